@@ -5,10 +5,11 @@
  * Supports flat key-value pairs with optional quoted values.
  *
  * Usage:
- *   import { parseFrontmatter, extractFrontmatterBlock, extractField } from './lib/frontmatter.mjs';
+ *   import { parseFrontmatter, extractFrontmatterBlock, extractField, extractListField } from './lib/frontmatter.mjs';
  *
  *   const { front, body } = parseFrontmatter(content);
  *   console.log(front.name, front.description);
+ *   const requires = extractListField(extractFrontmatterBlock(content)?.yaml, 'requires');
  */
 
 /**
@@ -96,6 +97,46 @@ export function extractField(frontmatter, fieldName, fallback = '') {
   return value;
 }
 
+/**
+ * Extract a list field from frontmatter or raw YAML content.
+ * Accepts a flow list (`key: [a, b]`), a comma-separated value (`key: a, b`)
+ * or a block list (`key:` followed by `- a` lines, indented or not, up to the next key).
+ *
+ * @param {string} frontmatter - Frontmatter block or full content
+ * @param {string} fieldName - Field to extract (e.g., 'requires')
+ * @returns {string[]} - Items with quotes removed; empty when the field is missing
+ */
+export function extractListField(frontmatter, fieldName) {
+  if (!frontmatter) return [];
+
+  const lines = frontmatter.replace(/\r\n/g, '\n').split('\n');
+  const re = new RegExp(`^${fieldName}:\\s*(.*)$`);
+  const idx = lines.findIndex((l) => re.test(l));
+  if (idx === -1) return [];
+
+  const unquote = (v) => {
+    const t = v.trim();
+    if ((t.startsWith('"') && t.endsWith('"')) || (t.startsWith("'") && t.endsWith("'"))) return t.slice(1, -1);
+    return t;
+  };
+
+  const inline = lines[idx].match(re)[1].trim();
+  if (inline) {
+    const items = inline.startsWith('[') && inline.endsWith(']') ? inline.slice(1, -1) : inline;
+    return items.split(',').map(unquote).filter(Boolean);
+  }
+
+  const out = [];
+  for (const line of lines.slice(idx + 1)) {
+    if (!line.trim()) continue;
+    const m = line.match(/^\s*-(?:\s+(.*))?$/);
+    if (!m) break;
+    const item = unquote(m[1] || '');
+    if (item) out.push(item);
+  }
+  return out;
+}
+
 /**
  * Generate a frontmatter block from key-value pairs.
  *
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractListField } from './frontmatter.mjs';
+
+test('extractListField reads flow and comma-separated lists', () => {
+  assert.deepEqual(extractListField('name: x\nrequires: [a, "b"]\n', 'requires'), ['a', 'b']);
+  assert.deepEqual(extractListField('requires: a, b', 'requires'), ['a', 'b']);
+  assert.deepEqual(extractListField('requires: []', 'requires'), []);
+  assert.deepEqual(extractListField('name: x', 'requires'), []);
+});
+
+test('extractListField reads indented block lists up to the next key', () => {
+  const yaml = ['name: x', 'requires:', '  - a', "  - 'b'", 'description: d'].join('\n');
+  assert.deepEqual(extractListField(yaml, 'requires'), ['a', 'b']);
+});
+
+test('extractListField reads unindented block lists up to the next key', () => {
+  const yaml = ['---', 'name: x', 'requires:', '- a', '- "b"', 'description: d', '- not-an-item', '---'].join('\n');
+  assert.deepEqual(extractListField(yaml, 'requires'), ['a', 'b']);
+});
+
+test('extractListField stops at the closing delimiter', () => {
+  assert.deepEqual(extractListField('---\ntags:\n- mobile\n---\n\n- body list item\n', 'tags'), ['mobile']);
+});
@@ -0,0 +1,288 @@
+/**
+ * SSOT skill catalog: index and search (dependency-free)
+ *
+ * Every `.ai/skills/<path>/SKILL.md` becomes one entry:
+ *   { name, description, category, tags, headings, requires, path, sourceHash }
+ *   category   the skill's parent path under .ai/skills (e.g. "workflows/common")
+ *   tags       frontmatter `tags: [mobile, react-native]`, plus metadata.tags of every pack in
+ *              _meta/packs/ that includes the skill (except "bundle"), plus the words of the
+ *              skill name (test-mobile-detox -> test, mobile, detox)
+ *   headings   Markdown headings of the body (outside code fences)
+ *
+ * The index can be prebuilt into `.ai/skills/_meta/skills-index.json` so queries do not
+ * parse every SKILL.md; sourceHash (and the index-level packsHash) let `skillsctl` find
+ * stale entries: `index --check` fails on them, `query` warns.
+ *
+ * Query syntax (case-insensitive):
+ *   keyword             ranked match on name, tags, description, headings and category
+ *   "two words"         phrase
+ *   field:value         filter; fields: name, category, tag, description, heading
+ *                       (category matches whole path segments: category:backend finds
+ *                       backend/... and workflows/backend/...)
+ * Filters must all match; keywords rank the remaining skills, and at least one must match.
+ *
+ * Usage:
+ *   import { buildSkillIndex, parseSkillQuery, searchSkills } from './lib/skill-index.mjs';
+ *
+ *   const index = buildSkillIndex(skillsRoot, repoRoot);
+ *   const results = searchSkills(index, parseSkillQuery('category:testing tag:mobile login'), { limit: 10 });
+ *   for (const r of results) console.log(r.score, r.skill.name, r.matched.join(','));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { extractField, extractFrontmatterBlock, extractListField } from './frontmatter.mjs';
+import { hashText } from './sync-lock.mjs';
+
+export const SKILL_INDEX_VERSION = 1;
+
+export const QUERY_FIELDS = ['name', 'category', 'tag', 'description', 'heading'];
+
+const SKILL_MD = 'SKILL.md';
+const IGNORE_DIRS = new Set(['.git', '.hg', '.svn', '__pycache__', 'node_modules', '_meta']);
+const PACKS_REL = path.join('_meta', 'packs');
+
+/** Pack tags that describe the pack rather than its skills. */
+const IGNORED_PACK_TAGS = new Set(['bundle']);
+/** Skill-name words that make no useful tag. */
+const NAME_STOPWORDS = new Set(['a', 'and', 'for', 'from', 'in', 'into', 'of', 'the', 'to', 'with']);
+
+/** Points per matched field for a keyword; a name equal to the keyword counts NAME_EXACT instead. */
+const WEIGHTS = { name: 5, tag: 4, description: 3, heading: 2, category: 2 };
+const NAME_EXACT = 10;
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+function findSkillDirs(rootDir) {
+  const stack = [rootDir];
+  const dirs = [];
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    if (entries.some((e) => e.isFile() && e.name === SKILL_MD)) {
+      dirs.push(dir);
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORE_DIRS.has(entry.name)) stack.push(path.join(dir, entry.name));
+    }
+  }
+  return dirs.sort((a, b) => a.localeCompare(b));
+}
+
+function extractHeadings(markdown) {
+  const headings = [];
+  let inFence = false;
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    const m = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (m) headings.push(m[1]);
+  }
+  return headings;
+}
+
+/** Pack definitions under `<skillsRoot>/_meta/packs/` plus a hash over their contents. */
+export function loadPackTags(skillsRoot) {
+  const dir = path.join(skillsRoot, PACKS_REL);
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort() : [];
+  const packs = [];
+  const raw = [];
+  for (const file of files) {
+    const text = fs.readFileSync(path.join(dir, file), 'utf8');
+    raw.push(`${file}\n${text}`);
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch {
+      continue;
+    }
+    const tags = ((pack.metadata && pack.metadata.tags) || []).map((t) => String(t).toLowerCase()).filter((t) => !IGNORED_PACK_TAGS.has(t));
+    if (tags.length === 0) continue;
+    packs.push({
+      prefixes: (pack.includePrefixes || []).map((p) => String(p).replace(/^\/+/, '').replace(/\/?$/, '/')),
+      skills: (pack.includeSkills || []).map(String),
+      tags
+    });
+  }
+  return { packs, hash: hashText(raw.join('\n')) };
+}
+
+function skillTags(yaml, name, rel, packs) {
+  const tags = extractListField(yaml, 'tags').map((t) => t.toLowerCase());
+  for (const pack of packs) {
+    if (pack.skills.includes(name) || pack.prefixes.some((p) => `${rel}/`.startsWith(p))) tags.push(...pack.tags);
+  }
+  tags.push(...name.toLowerCase().split(/[-_]+/).filter((w) => w && !NAME_STOPWORDS.has(w)));
+  return [...new Set(tags)];
+}
+
+/** Index entry for one SKILL.md; `packs` comes from loadPackTags(). */
+export function indexSkill(skillMdPath, skillsRoot, repoRoot, packs = []) {
+  const content = fs.readFileSync(skillMdPath, 'utf8');
+  const block = extractFrontmatterBlock(content);
+  const yaml = block ? block.yaml : '';
+  const dir = path.dirname(skillMdPath);
+  const rel = toPosix(path.relative(skillsRoot, dir));
+  const name = extractField(yaml, 'name', path.basename(dir));
+  return {
+    name,
+    description: extractField(yaml, 'description', ''),
+    category: rel.includes('/') ? rel.slice(0, rel.lastIndexOf('/')) : '',
+    tags: skillTags(yaml, name, rel, packs),
+    headings: extractHeadings(block ? block.rest : content),
+    requires: extractListField(yaml, 'requires'),
+    path: toPosix(path.relative(repoRoot, skillMdPath)),
+    sourceHash: hashText(content)
+  };
+}
+
+/** Scan the skills root and index every SKILL.md, sorted by name. */
+export function buildSkillIndex(skillsRoot, repoRoot) {
+  if (!fs.existsSync(skillsRoot)) throw new Error(`Missing skills root: ${skillsRoot}`);
+  const { packs, hash } = loadPackTags(skillsRoot);
+  const skills = findSkillDirs(skillsRoot).map((dir) => indexSkill(path.join(dir, SKILL_MD), skillsRoot, repoRoot, packs));
+  return {
+    version: SKILL_INDEX_VERSION,
+    skillsRoot: toPosix(path.relative(repoRoot, skillsRoot)),
+    packsHash: hash,
+    skills: skills.sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Source hashes of every SKILL.md without parsing them: enough for diffSkillIndex() to tell
+ * whether a prebuilt index is stale. Entries are named after their directory.
+ */
+export function hashSkillSources(skillsRoot, repoRoot) {
+  if (!fs.existsSync(skillsRoot)) throw new Error(`Missing skills root: ${skillsRoot}`);
+  return {
+    packsHash: loadPackTags(skillsRoot).hash,
+    skills: findSkillDirs(skillsRoot).map((dir) => {
+      const skillMdPath = path.join(dir, SKILL_MD);
+      return { name: path.basename(dir), path: toPosix(path.relative(repoRoot, skillMdPath)), sourceHash: hashText(fs.readFileSync(skillMdPath, 'utf8')) };
+    })
+  };
+}
+
+/** Read a prebuilt index. Throws on unreadable JSON or an unknown version. */
+export function readSkillIndex(indexPath) {
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  if (!index || index.version !== SKILL_INDEX_VERSION || !Array.isArray(index.skills)) {
+    throw new Error(`Unsupported skills index version: ${index && index.version} (expected ${SKILL_INDEX_VERSION})`);
+  }
+  return index;
+}
+
+export function writeSkillIndex(indexPath, index) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Compare a prebuilt index with a fresh scan (buildSkillIndex or hashSkillSources).
+ * @returns {{ missing: string[], stale: string[], extra: string[], packs: boolean }} skill names;
+ *          packs is true when the pack definitions (and so the derived tags) changed
+ */
+export function diffSkillIndex(index, fresh) {
+  const before = new Map(index.skills.map((s) => [s.path, s]));
+  const after = new Map(fresh.skills.map((s) => [s.path, s]));
+  const missing = [];
+  const stale = [];
+  for (const [p, s] of after) {
+    if (!before.has(p)) missing.push(s.name);
+    else if (before.get(p).sourceHash !== s.sourceHash) stale.push(s.name);
+  }
+  const extra = [...before].filter(([p]) => !after.has(p)).map(([, s]) => s.name);
+  return { missing, stale, extra, packs: index.packsHash !== fresh.packsHash };
+}
+
+/**
+ * Parse a query string into keywords and field filters.
+ * Throws on an unknown field.
+ * @returns {{ terms: string[], filters: { field: string, value: string }[] }}
+ */
+export function parseSkillQuery(text) {
+  const terms = [];
+  const filters = [];
+  const re = /(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    const value = (m[2] !== undefined ? m[2] : m[3]).trim().toLowerCase();
+    if (!value) continue;
+    if (!m[1]) {
+      terms.push(value);
+      continue;
+    }
+    const field = m[1].toLowerCase() === 'tags' ? 'tag' : m[1].toLowerCase();
+    if (!QUERY_FIELDS.includes(field)) throw new Error(`Unknown query field: ${m[1]} (fields: ${QUERY_FIELDS.join(', ')})`);
+    filters.push({ field, value });
+  }
+  return { terms, filters };
+}
+
+function fieldValues(skill, field) {
+  switch (field) {
+    case 'name':
+      return [skill.name];
+    case 'category':
+      return [skill.category];
+    case 'tag':
+      return skill.tags || [];
+    case 'description':
+      return [skill.description];
+    case 'heading':
+      return skill.headings || [];
+    default:
+      return [];
+  }
+}
+
+function fieldMatches(skill, field, value) {
+  const values = fieldValues(skill, field).map((v) => String(v).toLowerCase());
+  if (field === 'category') return values.some((v) => `/${v}/`.includes(`/${value.replace(/^\/+|\/+$/g, '')}/`));
+  if (field === 'tag') return values.includes(value);
+  // Names are kebab-case; let "route changes" match map-route-changes-for-testing.
+  if (field === 'name') return values.some((v) => v.includes(value) || v.replace(/[-_]/g, ' ').includes(value));
+  return values.some((v) => v.includes(value));
+}
+
+/**
+ * Rank skills against a parsed query.
+ * @returns {{ skill: object, score: number, matched: string[] }[]} best first (ties by name)
+ */
+export function searchSkills(index, query, options = {}) {
+  const limit = options.limit > 0 ? options.limit : Infinity;
+  const results = [];
+  for (const skill of index.skills) {
+    if (!query.filters.every((f) => fieldMatches(skill, f.field, f.value))) continue;
+
+    let score = 0;
+    const matched = new Set(query.filters.map((f) => f.field));
+    let hits = 0;
+    for (const term of query.terms) {
+      let termScore = 0;
+      for (const [field, weight] of Object.entries(WEIGHTS)) {
+        if (!fieldMatches(skill, field, term)) continue;
+        termScore += field === 'name' && skill.name.toLowerCase() === term ? NAME_EXACT : weight;
+        matched.add(field);
+      }
+      if (termScore > 0) hits += 1;
+      score += termScore;
+    }
+    if (query.terms.length > 0 && hits === 0) continue;
+    results.push({ skill, score, matched: QUERY_FIELDS.filter((f) => matched.has(f)) });
+  }
+  results.sort((a, b) => b.score - a.score || a.skill.name.localeCompare(b.skill.name));
+  return results.slice(0, limit);
+}
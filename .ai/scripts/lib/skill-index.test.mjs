@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  buildSkillIndex,
+  diffSkillIndex,
+  hashSkillSources,
+  parseSkillQuery,
+  readSkillIndex,
+  searchSkills,
+  writeSkillIndex
+} from './skill-index.mjs';
+
+const SKILLS = {
+  'testing/mobile/test-mobile-detox': [
+    '---',
+    'name: test-mobile-detox',
+    'description: End-to-end tests for React Native apps with Detox.',
+    'tags: [mobile, e2e]',
+    '---',
+    '',
+    '# Detox tests',
+    '',
+    '## Login flows',
+    '',
+    '```md',
+    '# not a heading',
+    '```',
+    ''
+  ].join('\n'),
+  'testing/unit/write-unit-tests': '---\nname: write-unit-tests\ndescription: Unit tests for services.\n---\n\n# Unit tests\n',
+  'workflows/backend/fix-build-errors': '---\nname: fix-build-errors\ndescription: Fix TypeScript build errors.\n---\n\n# Build errors\n\n## Login to the registry\n',
+  'backend/api-design': '# API design\n\nNo frontmatter.\n'
+};
+
+function withSkills(fn, { packs = {} } = {}) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-index-'));
+  const skillsRoot = path.join(repoRoot, '.ai', 'skills');
+  try {
+    for (const [rel, content] of Object.entries(SKILLS)) write(skillsRoot, `${rel}/SKILL.md`, content);
+    for (const [id, pack] of Object.entries(packs)) write(skillsRoot, `_meta/packs/${id}.json`, JSON.stringify(pack));
+    return fn({ repoRoot, skillsRoot });
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+function write(root, rel, content) {
+  const abs = path.join(root, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+const names = (results) => results.map((r) => r.skill.name);
+
+test('buildSkillIndex indexes frontmatter, category and headings outside code fences', () => {
+  withSkills(({ repoRoot, skillsRoot }) => {
+    const index = buildSkillIndex(skillsRoot, repoRoot);
+    const detox = index.skills.find((s) => s.name === 'test-mobile-detox');
+
+    assert.equal(index.skillsRoot, '.ai/skills');
+    assert.deepEqual(index.skills.map((s) => s.name), ['api-design', 'fix-build-errors', 'test-mobile-detox', 'write-unit-tests']);
+    assert.equal(detox.category, 'testing/mobile');
+    assert.equal(detox.path, '.ai/skills/testing/mobile/test-mobile-detox/SKILL.md');
+    assert.deepEqual(detox.headings, ['Detox tests', 'Login flows']);
+    assert.match(detox.sourceHash, /^sha256:/);
+
+    const bare = index.skills.find((s) => s.name === 'api-design');
+    assert.deepEqual([bare.description, bare.category, bare.headings], ['', 'backend', ['API design']], 'the directory names a skill without frontmatter');
+  });
+});
+
+test('tags combine frontmatter, pack tags (except bundle) and the words of the name', () => {
+  const packs = {
+    mobile: { id: 'mobile', includePrefixes: ['testing/mobile'], metadata: { tags: ['Mobile', 'react-native', 'bundle'] } },
+    backend: { id: 'backend', includeSkills: ['fix-build-errors'], metadata: { tags: ['backend'] } },
+    untagged: { id: 'untagged', includePrefixes: ['testing/'] }
+  };
+  withSkills(
+    ({ repoRoot, skillsRoot }) => {
+      const byName = Object.fromEntries(buildSkillIndex(skillsRoot, repoRoot).skills.map((s) => [s.name, s.tags]));
+      assert.deepEqual(byName['test-mobile-detox'], ['mobile', 'e2e', 'react-native', 'test', 'detox']);
+      assert.deepEqual(byName['fix-build-errors'], ['backend', 'fix', 'build', 'errors']);
+      assert.deepEqual(byName['write-unit-tests'], ['write', 'unit', 'tests']);
+    },
+    { packs }
+  );
+});
+
+test('parseSkillQuery splits keywords, phrases and field filters', () => {
+  assert.deepEqual(parseSkillQuery('Login category:testing tags:Mobile "build errors" heading:"login flows"'), {
+    terms: ['login', 'build errors'],
+    filters: [
+      { field: 'category', value: 'testing' },
+      { field: 'tag', value: 'mobile' },
+      { field: 'heading', value: 'login flows' }
+    ]
+  });
+  assert.deepEqual(parseSkillQuery(''), { terms: [], filters: [] });
+  assert.throws(() => parseSkillQuery('owner:alex'), /Unknown query field: owner \(fields: name, category, tag, description, heading\)/);
+});
+
+test('searchSkills ranks by weighted field matches and drops skills no keyword matches', () => {
+  withSkills(({ repoRoot, skillsRoot }) => {
+    const index = buildSkillIndex(skillsRoot, repoRoot);
+
+    const login = searchSkills(index, parseSkillQuery('login'));
+    assert.deepEqual(login.map((r) => [r.skill.name, r.score, r.matched]), [
+      ['fix-build-errors', 2, ['heading']],
+      ['test-mobile-detox', 2, ['heading']]
+    ]);
+
+    const build = searchSkills(index, parseSkillQuery('build errors'));
+    assert.equal(build[0].skill.name, 'fix-build-errors');
+    assert.deepEqual(build[0].matched, ['name', 'tag', 'description', 'heading']);
+
+    assert.equal(searchSkills(index, parseSkillQuery('api-design'))[0].score, 10, 'an exact name scores 10 instead of 5');
+    assert.deepEqual(names(searchSkills(index, parseSkillQuery('"build errors"'))), ['fix-build-errors']);
+    assert.deepEqual(names(searchSkills(index, parseSkillQuery('kubernetes'))), []);
+  });
+});
+
+test('filters must all match; category matches whole path segments', () => {
+  withSkills(({ repoRoot, skillsRoot }) => {
+    const index = buildSkillIndex(skillsRoot, repoRoot);
+    const q = (text) => names(searchSkills(index, parseSkillQuery(text)));
+
+    assert.deepEqual(q('category:testing'), ['test-mobile-detox', 'write-unit-tests']);
+    assert.deepEqual(q('category:backend'), ['api-design', 'fix-build-errors']);
+    assert.deepEqual(q('category:test'), [], 'no partial segments');
+    assert.deepEqual(q('category:testing tag:mobile'), ['test-mobile-detox']);
+    assert.deepEqual(q('tag:mob'), [], 'tags match exactly');
+    assert.deepEqual(q('name:"unit tests"'), ['write-unit-tests']);
+    assert.deepEqual(q('category:testing login'), ['test-mobile-detox']);
+    assert.deepEqual(names(searchSkills(index, parseSkillQuery(''), { limit: 2 })), ['api-design', 'fix-build-errors']);
+  });
+});
+
+test('diffSkillIndex finds missing, stale and extra skills and changed packs', () => {
+  withSkills(({ repoRoot, skillsRoot }) => {
+    const index = buildSkillIndex(skillsRoot, repoRoot);
+    assert.deepEqual(diffSkillIndex(index, hashSkillSources(skillsRoot, repoRoot)), { missing: [], stale: [], extra: [], packs: false });
+
+    fs.appendFileSync(path.join(skillsRoot, 'backend', 'api-design', 'SKILL.md'), '\n## Versioning\n');
+    fs.rmSync(path.join(skillsRoot, 'testing', 'unit'), { recursive: true });
+    write(skillsRoot, 'workflows/review/SKILL.md', '---\nname: review\n---\n');
+    write(skillsRoot, '_meta/packs/core.json', JSON.stringify({ id: 'core', metadata: { tags: ['core'] } }));
+
+    const fresh = hashSkillSources(skillsRoot, repoRoot);
+    assert.deepEqual(diffSkillIndex(index, fresh), { missing: ['review'], stale: ['api-design'], extra: ['write-unit-tests'], packs: true });
+    assert.deepEqual(diffSkillIndex(index, fresh), diffSkillIndex(index, buildSkillIndex(skillsRoot, repoRoot)));
+  });
+});
+
+test('writeSkillIndex and readSkillIndex round-trip; other versions and a missing root are errors', () => {
+  withSkills(({ repoRoot, skillsRoot }) => {
+    const indexPath = path.join(skillsRoot, '_meta', 'skills-index.json');
+    const index = buildSkillIndex(skillsRoot, repoRoot);
+    writeSkillIndex(indexPath, index);
+    assert.deepEqual(readSkillIndex(indexPath), index);
+    assert.ok(!buildSkillIndex(skillsRoot, repoRoot).skills.some((s) => s.path.includes('_meta')), '_meta is not scanned');
+
+    fs.writeFileSync(indexPath, JSON.stringify({ ...index, version: 7 }));
+    assert.throws(() => readSkillIndex(indexPath), /Unsupported skills index version: 7 \(expected 1\)/);
+    assert.throws(() => buildSkillIndex(path.join(repoRoot, 'missing'), repoRoot), /Missing skills root/);
+    assert.throws(() => hashSkillSources(path.join(repoRoot, 'missing'), repoRoot), /Missing skills root/);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Skill stub provider registry (dependency-free)
+ *
+ * Each provider turns an SSOT skill (`.ai/skills/<path>/SKILL.md`) into the entry file a tool
+ * reads. A provider defines:
+ *   id        name accepted by `sync-skills.mjs --providers`
+ *   root      repo-relative target root
+ *   layout    'tree' - one directory per skill, mirroring .ai/skills (<root>/<category>/<skill>/SKILL.md)
+ *             'flat' - one file per skill named after it (<root>/<skill><ext>)
+ *   owned     true when sync-skills owns the whole root (reset wipes it); false for roots shared
+ *             with hand-written files, where reset/prune/delete only touch generated stubs
+ *   target    (skill) => stub path relative to root
+ *   render    (skill) => stub content
+ *
+ * Built-in providers:
+ *   codex     .codex/skills/<path>/SKILL.md                  SSOT frontmatter + ssot_path/category
+ *   claude    .claude/skills/<path>/SKILL.md                 same as codex
+ *   cursor    .cursor/rules/<skill>.mdc                      description / globs / alwaysApply
+ *   copilot   .github/instructions/<skill>.instructions.md   description
+ *   windsurf  .windsurf/rules/<skill>.md                     trigger: model_decision + description
+ *   gemini    .gemini/commands/skills/<skill>.toml           custom command /skills:<skill>
+ *
+ * Flat stubs carry GENERATED_MARKER; that is how a shared root tells them apart from hand-written files.
+ *
+ * Usage:
+ *   import { getProvider, listProviderStubs, providerRoot, resolveProviders } from './lib/skill-providers.mjs';
+ *
+ *   const { providers, invalid } = resolveProviders(['both', 'cursor']);
+ *   const cursor = getProvider('cursor');
+ *   const file = path.join(providerRoot(cursor, repoRoot), cursor.target(skill));
+ *   fs.writeFileSync(file, cursor.render(skill));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { extractField } from './frontmatter.mjs';
+
+export const GENERATED_MARKER = 'Generated by .ai/scripts/sync-skills.mjs';
+
+/** Provider aliases accepted by --providers. */
+export const PROVIDER_ALIASES = {
+  both: ['codex', 'claude']
+};
+
+export const DEFAULT_PROVIDERS = PROVIDER_ALIASES.both;
+
+const SKILL_MD = 'SKILL.md';
+
+function readFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) {
+    return null;
+  }
+  return `---\n${match[1]}\n---\n\n`;
+}
+
+function canonicalDir(skill) {
+  return skill.relFromRepoRoot.replace(/\/$/, '');
+}
+
+function skillDescription(skill) {
+  return extractField(readFrontmatter(skill.content) || '', 'description', `See ${canonicalDir(skill)}/SKILL.md`);
+}
+
+/** Body shared by the flat providers: where the canonical skill lives. */
+function pointerBody(skill) {
+  const dir = canonicalDir(skill);
+  return [
+    `# ${skill.name}`,
+    '',
+    `<!-- ${GENERATED_MARKER} from ${dir}/SKILL.md; edit the SSOT skill, not this file. -->`,
+    '',
+    `Canonical source: \`${dir}/\``,
+    '',
+    `Open \`${dir}/SKILL.md\` and follow it, including any supporting files it references (for example \`reference.md\`, \`examples.md\`, \`scripts/\`, \`templates/\`).`,
+    ''
+  ].join('\n');
+}
+
+/** Codex/Claude stub: the SSOT frontmatter plus ssot_path/category, then a pointer to the source. */
+export function buildStub(skillName, sourceRelDirFromRepoRoot, sourceContent, relFromSkillsRoot) {
+  const originalFrontmatter = readFrontmatter(sourceContent);
+  const canonical = sourceRelDirFromRepoRoot.replace(/\/$/, '');
+
+  // Extract category from relFromSkillsRoot (e.g., "workflows/common/fix-frontend-runtime-errors" -> "workflows/common")
+  const pathParts = relFromSkillsRoot.split('/');
+  const category = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '';
+
+  // Build enhanced frontmatter with ssot_path and category (Option B).
+  let enhancedFrontmatter;
+  if (originalFrontmatter) {
+    // Insert ssot_path and category before the closing ---
+    const lines = originalFrontmatter.trim().split('\n');
+    const closingIdx = lines.lastIndexOf('---');
+    if (closingIdx > 0) {
+      lines.splice(closingIdx, 0, `ssot_path: ${canonical}`);
+      if (category) {
+        lines.splice(closingIdx, 0, `category: ${category}`);
+      }
+    }
+    enhancedFrontmatter = lines.join('\n');
+  } else {
+    const categoryLine = category ? `category: ${category}\n` : '';
+    enhancedFrontmatter = `---\nname: ${skillName}\ndescription: See ${canonical}/SKILL.md\n${categoryLine}ssot_path: ${canonical}\n---`;
+  }
+
+  const displayName = extractField(enhancedFrontmatter, 'name', skillName);
+
+  return [
+    enhancedFrontmatter,
+    '',
+    `# ${displayName} (entry)`,
+    '',
+    `Canonical source: \`${canonical}/\``,
+    '',
+    `Open \`${canonical}/SKILL.md\` and any supporting files referenced there (for example \`reference.md\`, \`examples.md\`, \`scripts/\`, \`templates/\`).`,
+    '',
+    '> **Note**: The frontmatter above is identical to the canonical source except for `ssot_path` and `category` which are added for navigation. After opening the source file, skip re-reading the description to avoid redundant token usage.',
+    '',
+  ].join('\n');
+}
+
+function treeProvider(id, root) {
+  return {
+    id,
+    root,
+    layout: 'tree',
+    owned: true,
+    target: (skill) => `${skill.relFromSkillsRoot}/${SKILL_MD}`,
+    render: (skill) => buildStub(skill.name, canonicalDir(skill), skill.content, skill.relFromSkillsRoot)
+  };
+}
+
+const registry = new Map();
+
+/** Register a provider (see the module header for the fields). Throws on an invalid or duplicate definition. */
+export function registerProvider(provider) {
+  const p = provider || {};
+  if (!/^[a-z][a-z0-9-]*$/.test(String(p.id || ''))) throw new Error(`Invalid provider id: ${p.id}`);
+  if (registry.has(p.id) || PROVIDER_ALIASES[p.id] || p.id === 'all') throw new Error(`Provider already registered: ${p.id}`);
+  if (!p.root || path.isAbsolute(p.root)) throw new Error(`Provider ${p.id}: root must be a repo-relative path`);
+  if (!['tree', 'flat'].includes(p.layout)) throw new Error(`Provider ${p.id}: layout must be "tree" or "flat"`);
+  if (typeof p.target !== 'function' || typeof p.render !== 'function') throw new Error(`Provider ${p.id}: target and render must be functions`);
+  registry.set(p.id, { owned: p.layout === 'tree', ...p });
+}
+
+registerProvider(treeProvider('codex', '.codex/skills'));
+registerProvider(treeProvider('claude', '.claude/skills'));
+
+registerProvider({
+  id: 'cursor',
+  root: '.cursor/rules',
+  layout: 'flat',
+  target: (skill) => `${skill.name}.mdc`,
+  // Agent-requested rule: Cursor attaches it when the description matches the task.
+  render: (skill) =>
+    ['---', `description: ${JSON.stringify(skillDescription(skill))}`, 'globs:', 'alwaysApply: false', '---', '', pointerBody(skill)].join('\n')
+});
+
+registerProvider({
+  id: 'copilot',
+  root: '.github/instructions',
+  layout: 'flat',
+  target: (skill) => `${skill.name}.instructions.md`,
+  render: (skill) => ['---', `description: ${JSON.stringify(skillDescription(skill))}`, '---', '', pointerBody(skill)].join('\n')
+});
+
+registerProvider({
+  id: 'windsurf',
+  root: '.windsurf/rules',
+  layout: 'flat',
+  target: (skill) => `${skill.name}.md`,
+  render: (skill) =>
+    ['---', 'trigger: model_decision', `description: ${JSON.stringify(skillDescription(skill))}`, '---', '', pointerBody(skill)].join('\n')
+});
+
+registerProvider({
+  id: 'gemini',
+  root: '.gemini/commands/skills',
+  layout: 'flat',
+  target: (skill) => `${skill.name}.toml`,
+  // Custom command, invoked as /skills:<name> [task].
+  render: (skill) => {
+    const dir = canonicalDir(skill);
+    return [
+      `# ${GENERATED_MARKER} from ${dir}/SKILL.md; edit the SSOT skill, not this file.`,
+      `description = ${JSON.stringify(skillDescription(skill))}`,
+      'prompt = """',
+      `Use the ${skill.name} skill. Open \`${dir}/SKILL.md\` and follow it, including any supporting files it references.`,
+      '',
+      'Task: {{args}}',
+      '"""',
+      ''
+    ].join('\n');
+  }
+});
+
+/** Registered provider ids, in registration order. */
+export function providerIds() {
+  return [...registry.keys()];
+}
+
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Expand --providers values: "both" (codex + claude), "all" (every registered provider)
+ * or provider ids. Returns deduplicated ids plus any unknown values.
+ */
+export function resolveProviders(values) {
+  const raw = values.length === 0 ? ['both'] : values;
+  const expanded = raw.flatMap((v) => {
+    const id = String(v).trim().toLowerCase();
+    if (!id) return DEFAULT_PROVIDERS;
+    if (id === 'all') return providerIds();
+    return PROVIDER_ALIASES[id] || [id];
+  });
+  const providers = [...new Set(expanded)];
+  return { providers: providers.filter((id) => registry.has(id)), invalid: providers.filter((id) => !registry.has(id)) };
+}
+
+/** Absolute target root of a provider. */
+export function providerRoot(provider, repoRoot) {
+  return path.join(repoRoot, ...provider.root.split('/'));
+}
+
+/**
+ * Path (relative to the provider root, POSIX) that represents a skill's stub on disk:
+ * the skill directory for tree providers, the stub file for flat ones.
+ */
+export function stubEntry(provider, skill) {
+  return provider.layout === 'tree' ? skill.relFromSkillsRoot : provider.target(skill);
+}
+
+/** True when a file was written by sync-skills (flat stubs carry GENERATED_MARKER). */
+export function isGeneratedStub(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').includes(GENERATED_MARKER);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stubs currently under a provider root: [{ relPath, absPath }] with relPath as in stubEntry().
+ * Tree providers: every directory holding a SKILL.md. Flat providers: generated files only.
+ */
+export function listProviderStubs(provider, repoRoot) {
+  const root = providerRoot(provider, repoRoot);
+  if (!fs.existsSync(root)) return [];
+
+  if (provider.layout === 'flat') {
+    return fs
+      .readdirSync(root, { withFileTypes: true })
+      .filter((e) => e.isFile() && isGeneratedStub(path.join(root, e.name)))
+      .map((e) => ({ relPath: e.name, absPath: path.join(root, e.name) }))
+      .sort((a, b) => a.relPath.localeCompare(b.relPath));
+  }
+
+  const stubs = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    if (entries.some((e) => e.isFile() && e.name === SKILL_MD)) {
+      stubs.push({ relPath: path.relative(root, dir).split(path.sep).join('/'), absPath: dir });
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) stack.push(path.join(dir, entry.name));
+    }
+  }
+  return stubs.sort((a, b) => a.relPath.localeCompare(b.relPath));
+}
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  DEFAULT_PROVIDERS,
+  GENERATED_MARKER,
+  buildStub,
+  getProvider,
+  isGeneratedStub,
+  listProviderStubs,
+  providerIds,
+  providerRoot,
+  registerProvider,
+  resolveProviders,
+  stubEntry,
+} from './skill-providers.mjs';
+
+const SKILL = {
+  name: 'fix-bugs',
+  relFromSkillsRoot: 'workflows/common/fix-bugs',
+  relFromRepoRoot: '.ai/skills/workflows/common/fix-bugs',
+  content: '---\nname: fix-bugs\ndescription: Fix bugs: "carefully".\n---\n\n# Fix bugs\n',
+};
+
+function withRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-providers-'));
+  try {
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+function write(repoRoot, rel, content) {
+  const abs = path.join(repoRoot, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+test('the built-in providers are registered with codex and claude as the default', () => {
+  assert.deepEqual(providerIds(), ['codex', 'claude', 'cursor', 'copilot', 'windsurf', 'gemini']);
+  assert.deepEqual(DEFAULT_PROVIDERS, ['codex', 'claude']);
+  assert.deepEqual(
+    providerIds().map((id) => [id, getProvider(id).layout, getProvider(id).owned]),
+    [
+      ['codex', 'tree', true],
+      ['claude', 'tree', true],
+      ['cursor', 'flat', false],
+      ['copilot', 'flat', false],
+      ['windsurf', 'flat', false],
+      ['gemini', 'flat', false],
+    ]
+  );
+  assert.equal(getProvider('vscode'), null);
+});
+
+test('resolveProviders expands both and all, deduplicates and reports unknown ids', () => {
+  assert.deepEqual(resolveProviders([]), { providers: ['codex', 'claude'], invalid: [] });
+  assert.deepEqual(resolveProviders(['both', 'Cursor', 'claude']), { providers: ['codex', 'claude', 'cursor'], invalid: [] });
+  assert.deepEqual(resolveProviders(['all']).providers, providerIds());
+  assert.deepEqual(resolveProviders(['gemini', 'vscode']), { providers: ['gemini'], invalid: ['vscode'] });
+});
+
+test('registerProvider rejects invalid or duplicate definitions', () => {
+  const base = { id: 'zed', root: '.zed/rules', layout: 'flat', target: () => 'x.md', render: () => '' };
+  assert.throws(() => registerProvider({ ...base, id: 'Zed' }), /Invalid provider id: Zed/);
+  assert.throws(() => registerProvider({ ...base, id: 'cursor' }), /already registered: cursor/);
+  assert.throws(() => registerProvider({ ...base, id: 'both' }), /already registered: both/);
+  assert.throws(() => registerProvider({ ...base, id: 'all' }), /already registered: all/);
+  assert.throws(() => registerProvider({ ...base, root: path.resolve('/abs') }), /root must be a repo-relative path/);
+  assert.throws(() => registerProvider({ ...base, layout: 'nested' }), /layout must be "tree" or "flat"/);
+  assert.throws(() => registerProvider({ ...base, render: 'x' }), /target and render must be functions/);
+});
+
+test('a registered provider becomes selectable and flat providers default to shared roots', () => {
+  registerProvider({ id: 'test-flat', root: '.test/rules', layout: 'flat', target: (s) => `${s.name}.md`, render: () => '' });
+  assert.equal(getProvider('test-flat').owned, false);
+  assert.deepEqual(resolveProviders(['test-flat']).providers, ['test-flat']);
+  assert.ok(providerIds().includes('test-flat'));
+});
+
+test('tree stubs copy the SSOT frontmatter and add ssot_path and category', () => {
+  const codex = getProvider('codex');
+  const stub = codex.render(SKILL);
+
+  assert.equal(codex.target(SKILL), 'workflows/common/fix-bugs/SKILL.md');
+  assert.match(stub, /^---\nname: fix-bugs\ndescription: Fix bugs: "carefully"\.\ncategory: workflows\/common\nssot_path: \.ai\/skills\/workflows\/common\/fix-bugs\n---\n\n# fix-bugs \(entry\)\n/);
+  assert.equal(getProvider('claude').render(SKILL), stub);
+});
+
+test('buildStub synthesizes frontmatter for skills without one and omits an empty category', () => {
+  const stub = buildStub('solo', '.ai/skills/solo/', '# Solo\n', 'solo');
+  assert.match(stub, /^---\nname: solo\ndescription: See \.ai\/skills\/solo\/SKILL\.md\nssot_path: \.ai\/skills\/solo\n---\n/);
+  assert.doesNotMatch(stub, /category:/);
+});
+
+test('flat providers write one marked stub per skill in their own format', () => {
+  const cursor = getProvider('cursor').render(SKILL);
+  assert.equal(getProvider('cursor').target(SKILL), 'fix-bugs.mdc');
+  assert.match(cursor, /^---\ndescription: "Fix bugs: \\"carefully\\"\."\nglobs:\nalwaysApply: false\n---\n\n# fix-bugs\n/);
+  assert.ok(cursor.includes(GENERATED_MARKER));
+
+  assert.equal(getProvider('copilot').target(SKILL), 'fix-bugs.instructions.md');
+  assert.match(getProvider('copilot').render(SKILL), /^---\ndescription: "Fix bugs: \\"carefully\\"\."\n---\n/);
+  assert.match(getProvider('windsurf').render(SKILL), /^---\ntrigger: model_decision\ndescription: /);
+
+  const gemini = getProvider('gemini').render(SKILL);
+  assert.equal(getProvider('gemini').target(SKILL), 'fix-bugs.toml');
+  assert.match(gemini, /^# Generated by \.ai\/scripts\/sync-skills\.mjs from \.ai\/skills\/workflows\/common\/fix-bugs\/SKILL\.md/);
+  assert.match(gemini, /\nprompt = """\nUse the fix-bugs skill\. [^\n]*\n\nTask: \{\{args\}\}\n"""\n$/);
+});
+
+test('flat stubs fall back to a pointer description without SSOT frontmatter', () => {
+  const bare = { ...SKILL, content: '# Fix bugs\n' };
+  assert.match(getProvider('copilot').render(bare), /description: "See \.ai\/skills\/workflows\/common\/fix-bugs\/SKILL\.md"/);
+});
+
+test('stubEntry is the skill directory for tree providers and the stub file for flat ones', () => {
+  assert.equal(stubEntry(getProvider('claude'), SKILL), 'workflows/common/fix-bugs');
+  assert.equal(stubEntry(getProvider('windsurf'), SKILL), 'fix-bugs.md');
+  assert.equal(providerRoot(getProvider('gemini'), '/repo'), path.join('/repo', '.gemini', 'commands', 'skills'));
+});
+
+test('listProviderStubs finds tree stubs by SKILL.md and only generated flat stubs', () => {
+  withRepo((repoRoot) => {
+    assert.deepEqual(listProviderStubs(getProvider('codex'), repoRoot), []);
+
+    write(repoRoot, '.codex/skills/workflows/a/SKILL.md', 'a');
+    write(repoRoot, '.codex/skills/workflows/b/SKILL.md', 'b');
+    write(repoRoot, '.codex/skills/workflows/b/nested/SKILL.md', 'nested stays inside b');
+    write(repoRoot, '.codex/skills/notes.md', 'not a stub');
+    assert.deepEqual(listProviderStubs(getProvider('codex'), repoRoot).map((s) => s.relPath), ['workflows/a', 'workflows/b']);
+
+    write(repoRoot, '.cursor/rules/fix-bugs.mdc', getProvider('cursor').render(SKILL));
+    write(repoRoot, '.cursor/rules/team.mdc', '---\nalwaysApply: true\n---\nHand-written.\n');
+    const stubs = listProviderStubs(getProvider('cursor'), repoRoot);
+    assert.deepEqual(stubs.map((s) => s.relPath), ['fix-bugs.mdc']);
+    assert.ok(isGeneratedStub(stubs[0].absPath));
+    assert.equal(isGeneratedStub(path.join(repoRoot, '.cursor', 'rules', 'missing.mdc')), false);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * sync-skills lockfile (dependency-free)
+ *
+ * `.ai/skills/_meta/sync-lock.json` records every stub sync-skills wrote, per provider:
+ *   {
+ *     "version": 1,
+ *     "providers": {
+ *       "codex": {
+ *         "root": ".codex/skills",
+ *         "stubs": {
+ *           "execute-code-refactor": {
+ *             "stub": "workflows/common/execute-code-refactor/SKILL.md",   // relative to root
+ *             "sourceHash": "sha256:...",                                  // SSOT SKILL.md
+ *             "stubHash": "sha256:..."                                     // rendered stub
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ * `--mode update` rewrites a stub only when the file on disk no longer matches the rendered
+ * stub; `--prune` removes only stubs listed here (anything else under the root is hand-made).
+ * Commit the lock next to sync-manifest.json.
+ *
+ * Usage:
+ *   import { hashText, providerLock, readSyncLock, writeSyncLock } from './lib/sync-lock.mjs';
+ *
+ *   const lock = readSyncLock(lockPath);
+ *   const stubs = providerLock(lock, 'codex', '.codex/skills').stubs;
+ *   stubs[skill.name] = { stub, sourceHash: hashText(skill.content), stubHash: hashText(content) };
+ *   writeSyncLock(lockPath, lock);
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const SYNC_LOCK_VERSION = 1;
+
+export function hashText(text) {
+  return `sha256:${crypto.createHash('sha256').update(String(text), 'utf8').digest('hex')}`;
+}
+
+export function emptySyncLock() {
+  return { version: SYNC_LOCK_VERSION, providers: {} };
+}
+
+/** Read the lock; a missing file yields an empty lock. Throws on unreadable JSON or an unknown version. */
+export function readSyncLock(lockPath) {
+  if (!fs.existsSync(lockPath)) return emptySyncLock();
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  if (!lock || typeof lock !== 'object' || lock.version !== SYNC_LOCK_VERSION) {
+    throw new Error(`Unsupported sync-lock version: ${lock && lock.version} (expected ${SYNC_LOCK_VERSION})`);
+  }
+  if (!lock.providers || typeof lock.providers !== 'object') lock.providers = {};
+  return lock;
+}
+
+/** The provider's section, created when missing. */
+export function providerLock(lock, providerId, root) {
+  const section = lock.providers[providerId] || { root, stubs: {} };
+  section.root = root;
+  if (!section.stubs || typeof section.stubs !== 'object') section.stubs = {};
+  lock.providers[providerId] = section;
+  return section;
+}
+
+/** Write the lock with providers and stubs sorted by key, so reruns produce stable diffs. */
+export function writeSyncLock(lockPath, lock) {
+  const sortKeys = (obj) => Object.fromEntries(Object.keys(obj).sort().map((k) => [k, obj[k]]));
+  const providers = {};
+  for (const [id, section] of Object.entries(sortKeys(lock.providers))) {
+    providers[id] = { root: section.root, stubs: sortKeys(section.stubs) };
+  }
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, JSON.stringify({ version: SYNC_LOCK_VERSION, providers }, null, 2) + '\n', 'utf8');
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { SYNC_LOCK_VERSION, emptySyncLock, hashText, providerLock, readSyncLock, writeSyncLock } from './sync-lock.mjs';
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-lock-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('hashText hashes UTF-8 text with an algorithm prefix', () => {
+  assert.equal(hashText('abc'), 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(hashText(12), hashText('12'));
+});
+
+test('readSyncLock yields an empty lock without a file and rejects other versions', () => {
+  withDir((dir) => {
+    const lockPath = path.join(dir, '_meta', 'sync-lock.json');
+    assert.deepEqual(readSyncLock(lockPath), emptySyncLock());
+    assert.equal(emptySyncLock().version, SYNC_LOCK_VERSION);
+
+    fs.mkdirSync(path.dirname(lockPath));
+    fs.writeFileSync(lockPath, JSON.stringify({ version: 2, providers: {} }));
+    assert.throws(() => readSyncLock(lockPath), /Unsupported sync-lock version: 2 \(expected 1\)/);
+    fs.writeFileSync(lockPath, 'null');
+    assert.throws(() => readSyncLock(lockPath), /Unsupported sync-lock version: null/);
+    fs.writeFileSync(lockPath, '{');
+    assert.throws(() => readSyncLock(lockPath), SyntaxError);
+
+    fs.writeFileSync(lockPath, JSON.stringify({ version: 1 }));
+    assert.deepEqual(readSyncLock(lockPath).providers, {}, 'a missing providers map is repaired');
+  });
+});
+
+test('providerLock creates a section once and keeps its root current', () => {
+  const lock = emptySyncLock();
+  const codex = providerLock(lock, 'codex', '.codex/skills');
+  codex.stubs['fix-bugs'] = { stub: 'workflows/fix-bugs/SKILL.md', sourceHash: 'a', stubHash: 'b' };
+
+  assert.equal(providerLock(lock, 'codex', '.codex/skills'), codex);
+  assert.equal(providerLock(lock, 'codex', '.codex/other').root, '.codex/other');
+  assert.deepEqual(Object.keys(lock.providers.codex.stubs), ['fix-bugs']);
+
+  lock.providers.claude = { root: '.claude/skills', stubs: null };
+  assert.deepEqual(providerLock(lock, 'claude', '.claude/skills').stubs, {});
+});
+
+test('writeSyncLock sorts providers and stubs and round-trips through readSyncLock', () => {
+  withDir((dir) => {
+    const lockPath = path.join(dir, 'sync-lock.json');
+    const lock = emptySyncLock();
+    const entry = (stub) => ({ stub, sourceHash: hashText(stub), stubHash: hashText(`${stub}!`) });
+    providerLock(lock, 'cursor', '.cursor/rules').stubs = { zeta: entry('zeta.mdc'), alpha: entry('alpha.mdc') };
+    providerLock(lock, 'codex', '.codex/skills').stubs = { beta: entry('beta/SKILL.md') };
+    lock.providers.cursor.extra = 'dropped';
+
+    writeSyncLock(lockPath, lock);
+    const raw = fs.readFileSync(lockPath, 'utf8');
+    const written = JSON.parse(raw);
+
+    assert.ok(raw.endsWith('}\n'));
+    assert.deepEqual(Object.keys(written.providers), ['codex', 'cursor']);
+    assert.deepEqual(Object.keys(written.providers.cursor.stubs), ['alpha', 'zeta']);
+    assert.deepEqual(Object.keys(written.providers.cursor), ['root', 'stubs']);
+    assert.deepEqual(readSyncLock(lockPath), written);
+  });
+});
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * skillsctl.mjs
+ *
+ * Search the SSOT skill catalog (.ai/skills/).
+ *
+ * Commands:
+ *   query [terms]     Ranked keyword + fielded search over skill frontmatter and headings
+ *   index             Build (or --check) the prebuilt index .ai/skills/_meta/skills-index.json
+ *
+ * Query syntax and index format: see ./lib/skill-index.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {
+  QUERY_FIELDS,
+  buildSkillIndex,
+  diffSkillIndex,
+  hashSkillSources,
+  parseSkillQuery,
+  readSkillIndex,
+  searchSkills,
+  writeSkillIndex
+} from './lib/skill-index.mjs';
+
+// ============================================================================
+// CLI Argument Parsing
+// ============================================================================
+
+const SKILLS_ROOT_REL = path.join('.ai', 'skills');
+const INDEX_REL = path.join(SKILLS_ROOT_REL, '_meta', 'skills-index.json');
+const FLAG_OPTIONS = new Set(['no-index', 'check']);
+
+function usage(exitCode = 0) {
+  const msg = `
+Usage:
+  node .ai/scripts/skillsctl.mjs <command> [options]
+
+Commands:
+  query [terms...]
+    --repo-root <path>          Repo root (default: cwd)
+    --format <text|json>        Output format (default: text)
+    --limit <n>                 Maximum results; 0 = all (default: 10)
+    --index <path>              Prebuilt index (default: ${INDEX_REL.split(path.sep).join('/')} when present)
+    --no-index                  Scan every SKILL.md even if an index exists
+    Search skills. Keywords rank matches on name, tags, description, headings and category;
+    field:value terms filter (fields: ${QUERY_FIELDS.join(', ')}); quote phrases ("build errors").
+    Tags come from frontmatter tags:, the tags of packs that include the skill, and the skill name's words.
+    A prebuilt index that no longer matches the SKILL.md files is used with a warning.
+
+  index
+    --repo-root <path>          Repo root (default: cwd)
+    --out <path>                Index file (default: ${INDEX_REL.split(path.sep).join('/')})
+    --check                     Compare the index with the skills; exit 1 when missing/stale/extra (no writes)
+    Build the prebuilt index used by query.
+
+Examples:
+  node .ai/scripts/skillsctl.mjs query typescript build errors
+  node .ai/scripts/skillsctl.mjs query category:testing tag:mobile
+  node .ai/scripts/skillsctl.mjs query "route changes" --format json --limit 3
+  node .ai/scripts/skillsctl.mjs index
+  node .ai/scripts/skillsctl.mjs index --check
+`;
+  console.log(msg.trim());
+  process.exit(exitCode);
+}
+
+function die(msg, exitCode = 1) {
+  console.error(msg);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  if (args.length === 0 || args[0] === '-h' || args[0] === '--help') usage(0);
+
+  const command = args.shift();
+  const opts = {};
+  const positional = [];
+
+  while (args.length > 0) {
+    const token = args.shift();
+    if (token === '-h' || token === '--help') usage(0);
+    if (token.startsWith('--')) {
+      const key = token.slice(2);
+      if (!FLAG_OPTIONS.has(key) && args.length > 0 && !args[0].startsWith('--')) {
+        opts[key] = args.shift();
+      } else {
+        opts[key] = true;
+      }
+    } else {
+      positional.push(token);
+    }
+  }
+
+  return { command, opts, positional };
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+function scanSkills(repoRoot) {
+  try {
+    return buildSkillIndex(path.join(repoRoot, SKILLS_ROOT_REL), repoRoot);
+  } catch (e) {
+    die(`[error] ${e.message}`);
+  }
+}
+
+function loadIndex(indexPath) {
+  try {
+    return readSkillIndex(indexPath);
+  } catch (e) {
+    die(`[error] Failed to read skills index ${indexPath}: ${e.message}\nRebuild it with: skillsctl index`);
+  }
+}
+
+function countDrift(diff) {
+  return diff.missing.length + diff.stale.length + diff.extra.length + (diff.packs ? 1 : 0);
+}
+
+/** Number of skills (plus the pack definitions) that changed since the index was built. */
+function indexDrift(repoRoot, index) {
+  try {
+    return countDrift(diffSkillIndex(index, hashSkillSources(path.join(repoRoot, SKILLS_ROOT_REL), repoRoot)));
+  } catch (e) {
+    die(`[error] ${e.message}`);
+  }
+}
+
+/**
+ * The catalog to search: the prebuilt index when present (or requested), otherwise a fresh scan.
+ * A stale index is still used, with a warning on stderr.
+ */
+function resolveCatalog(repoRoot, opts) {
+  if (opts['no-index']) return { index: scanSkills(repoRoot), source: 'scan', stale: 0 };
+  const indexPath = path.resolve(repoRoot, typeof opts['index'] === 'string' ? opts['index'] : INDEX_REL);
+  if (fs.existsSync(indexPath)) {
+    const index = loadIndex(indexPath);
+    const stale = indexDrift(repoRoot, index);
+    if (stale > 0) {
+      console.error(`[warn] Skills index is out of date (${stale} difference(s)); results may be stale. Rebuild it with: skillsctl index (or pass --no-index)`);
+    }
+    return { index, source: 'index', stale };
+  }
+  if (typeof opts['index'] === 'string') die(`[error] Skills index not found: ${indexPath}`);
+  return { index: scanSkills(repoRoot), source: 'scan', stale: 0 };
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/** Re-quote shell arguments that held spaces, so `"build errors"` stays one phrase. */
+function queryFromArgs(positional) {
+  return positional
+    .map((arg) => {
+      if (!/\s/.test(arg) || arg.includes('"')) return arg;
+      const m = arg.match(/^([A-Za-z]+):(.*)$/);
+      return m ? `${m[1]}:"${m[2]}"` : `"${arg}"`;
+    })
+    .join(' ');
+}
+
+function cmdQuery(repoRoot, queryText, opts, format) {
+  let query;
+  try {
+    query = parseSkillQuery(queryText);
+  } catch (e) {
+    die(`[error] ${e.message}`);
+  }
+  const limit = opts['limit'] === undefined ? 10 : Number(opts['limit']);
+  if (!Number.isInteger(limit) || limit < 0) die(`[error] --limit must be a non-negative integer: ${opts['limit']}`);
+
+  const { index, source, stale } = resolveCatalog(repoRoot, opts);
+  const all = searchSkills(index, query);
+  const results = limit > 0 ? all.slice(0, limit) : all;
+
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      query: queryText,
+      source,
+      stale: stale > 0,
+      total: all.length,
+      results: results.map((r) => ({
+        name: r.skill.name,
+        score: r.score,
+        matched: r.matched,
+        category: r.skill.category,
+        tags: r.skill.tags,
+        description: r.skill.description,
+        path: r.skill.path
+      }))
+    }, null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log(`No skills match: ${queryText}`);
+    return;
+  }
+  console.log(`Skills: ${results.length} of ${all.length} (${source})${queryText ? ` for: ${queryText}` : ''}`);
+  for (const r of results) {
+    const tags = r.skill.tags.length > 0 ? `  #${r.skill.tags.join(' #')}` : '';
+    console.log('');
+    console.log(`  ${r.skill.name}  [${r.skill.category || '.'}]${query.terms.length > 0 ? `  score ${r.score}` : ''}${tags}`);
+    if (r.skill.description) console.log(`    ${r.skill.description}`);
+    console.log(`    ${r.skill.path}`);
+  }
+}
+
+function cmdIndex(repoRoot, opts) {
+  const indexPath = path.resolve(repoRoot, typeof opts['out'] === 'string' ? opts['out'] : INDEX_REL);
+  const fresh = scanSkills(repoRoot);
+
+  if (opts['check']) {
+    if (!fs.existsSync(indexPath)) die(`[error] Skills index not found: ${indexPath}\nBuild it with: skillsctl index`);
+    const diff = diffSkillIndex(loadIndex(indexPath), fresh);
+    for (const name of diff.missing) console.log(`  [missing] ${name}`);
+    for (const name of diff.stale) console.log(`  [stale] ${name}`);
+    for (const name of diff.extra) console.log(`  [extra] ${name}`);
+    if (diff.packs) console.log('  [stale] pack definitions (_meta/packs/) changed');
+    const drift = countDrift(diff);
+    if (drift > 0) die(`[error] Skills index is out of date (${drift} difference(s)). Rebuild it with: skillsctl index`);
+    console.log(`[ok] Skills index is up to date (${fresh.skills.length} skills).`);
+    return;
+  }
+
+  writeSkillIndex(indexPath, fresh);
+  console.log(`[ok] Indexed ${fresh.skills.length} skills: ${path.relative(repoRoot, indexPath).split(path.sep).join('/')}`);
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  const { command, opts, positional } = parseArgs(process.argv);
+  const repoRoot = path.resolve(typeof opts['repo-root'] === 'string' ? opts['repo-root'] : process.cwd());
+  const format = String(opts['format'] || 'text').toLowerCase();
+  if (!['text', 'json'].includes(format)) die(`[error] Invalid --format: ${opts['format']} (expected text or json)`);
+
+  switch (command) {
+    case 'query':
+      cmdQuery(repoRoot, queryFromArgs(positional), opts, format);
+      break;
+    case 'index':
+      cmdIndex(repoRoot, opts);
+      break;
+    default:
+      console.error(`[error] Unknown command: ${command}`);
+      usage(1);
+  }
+}
+
+main();
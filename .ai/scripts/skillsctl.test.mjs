@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SKILLSCTL = path.join(path.dirname(fileURLToPath(import.meta.url)), 'skillsctl.mjs');
+
+const SKILLS = {
+  'testing/mobile/test-mobile-detox': '---\nname: test-mobile-detox\ndescription: Detox end-to-end tests.\ntags: [mobile]\n---\n\n# Detox\n',
+  'workflows/fix-build-errors': '---\nname: fix-build-errors\ndescription: Fix TypeScript build errors.\n---\n\n# Build errors\n'
+};
+
+function withRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'skillsctl-'));
+  try {
+    for (const [rel, content] of Object.entries(SKILLS)) write(repoRoot, `.ai/skills/${rel}/SKILL.md`, content);
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+function write(repoRoot, rel, content) {
+  const abs = path.join(repoRoot, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+function skillsctl(repoRoot, args, expectedStatus = 0) {
+  const res = spawnSync(process.execPath, [SKILLSCTL, ...args, '--repo-root', repoRoot], { encoding: 'utf8' });
+  assert.equal(res.status, expectedStatus, `skillsctl ${args.join(' ')} exited ${res.status}:\n${res.stdout}\n${res.stderr}`);
+  return res;
+}
+
+const query = (repoRoot, args) => JSON.parse(skillsctl(repoRoot, ['query', ...args, '--format', 'json']).stdout);
+
+test('query ranks skills and prints JSON results', () => {
+  withRepo((repoRoot) => {
+    const res = query(repoRoot, ['build', 'errors']);
+    assert.equal(res.query, 'build errors');
+    assert.equal(res.source, 'scan');
+    assert.equal(res.total, 1);
+    assert.deepEqual(Object.keys(res.results[0]), ['name', 'score', 'matched', 'category', 'tags', 'description', 'path']);
+    assert.equal(res.results[0].path, '.ai/skills/workflows/fix-build-errors/SKILL.md');
+
+    assert.deepEqual(query(repoRoot, ['category:testing', 'tag:mobile']).results.map((r) => r.name), ['test-mobile-detox']);
+    assert.equal(query(repoRoot, ['Fix TypeScript']).query, '"Fix TypeScript"', 'an argument with spaces stays one phrase');
+    assert.equal(query(repoRoot, ['--limit', '1']).results.length, 1);
+    assert.equal(query(repoRoot, ['--limit', '1']).total, 2);
+  });
+});
+
+test('query prints readable text and rejects bad input', () => {
+  withRepo((repoRoot) => {
+    assert.match(skillsctl(repoRoot, ['query', 'detox']).stdout, /^Skills: 1 of 1 \(scan\) for: detox\n\n {2}test-mobile-detox {2}\[testing\/mobile\] {2}score \d+ {2}#mobile #test #detox\n/);
+    assert.equal(skillsctl(repoRoot, ['query', 'kubernetes']).stdout, 'No skills match: kubernetes\n');
+    assert.match(skillsctl(repoRoot, ['query', 'owner:alex'], 1).stderr, /Unknown query field: owner/);
+    assert.match(skillsctl(repoRoot, ['query', '--limit', '-1'], 1).stderr, /--limit must be a non-negative integer/);
+    assert.match(skillsctl(repoRoot, ['query', '--index', 'none.json'], 1).stderr, /Skills index not found/);
+  });
+});
+
+test('index builds the prebuilt index that query uses and --check reports drift', () => {
+  withRepo((repoRoot) => {
+    assert.match(skillsctl(repoRoot, ['index', '--check'], 1).stderr, /Skills index not found/);
+    assert.match(skillsctl(repoRoot, ['index']).stdout, /\[ok\] Indexed 2 skills: \.ai\/skills\/_meta\/skills-index\.json/);
+    assert.match(skillsctl(repoRoot, ['index', '--check']).stdout, /\[ok\] Skills index is up to date \(2 skills\)\./);
+    assert.equal(query(repoRoot, ['detox']).source, 'index');
+    assert.equal(query(repoRoot, ['detox', '--no-index']).source, 'scan');
+
+    write(repoRoot, '.ai/skills/workflows/review/SKILL.md', '---\nname: review\n---\n');
+    const check = skillsctl(repoRoot, ['index', '--check'], 1);
+    assert.match(check.stdout, /\[missing\] review/);
+    assert.match(check.stderr, /Skills index is out of date \(1 difference\(s\)\)/);
+
+    const stale = skillsctl(repoRoot, ['query', 'review', '--format', 'json']);
+    assert.match(stale.stderr, /\[warn\] Skills index is out of date \(1 difference\(s\)\); results may be stale/);
+    assert.deepEqual(JSON.parse(stale.stdout), { query: 'review', source: 'index', stale: true, total: 0, results: [] });
+
+    fs.writeFileSync(path.join(repoRoot, '.ai', 'skills', '_meta', 'skills-index.json'), '{"version": 3}');
+    assert.match(skillsctl(repoRoot, ['query', 'review'], 1).stderr, /Failed to read skills index .*Unsupported skills index version: 3/);
+  });
+});
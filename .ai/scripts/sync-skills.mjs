@@ -4,6 +4,19 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import {
+  DEFAULT_PROVIDERS,
+  getProvider,
+  isGeneratedStub,
+  listProviderStubs,
+  providerIds,
+  providerRoot,
+  resolveProviders,
+  stubEntry,
+} from './lib/skill-providers.mjs';
+import { extractListField } from './lib/frontmatter.mjs';
+import { hashText, providerLock, readSyncLock, writeSyncLock } from './lib/sync-lock.mjs';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -12,10 +25,7 @@ const SKILL_MD = 'SKILL.md';
 
 const defaultSkillsRoot = path.join(repoRoot, '.ai', 'skills');
 const defaultManifestPath = path.join(defaultSkillsRoot, '_meta', 'sync-manifest.json');
-const providerDefaults = {
-  codex: path.join(repoRoot, '.codex', 'skills'),
-  claude: path.join(repoRoot, '.claude', 'skills'),
-};
+const defaultLockPath = path.join(defaultSkillsRoot, '_meta', 'sync-lock.json');
 
 const colors = {
   cyan: (s) => `\x1b[36m${s}\x1b[0m`,
@@ -33,29 +43,48 @@ function printHelp() {
     `Usage: ${cmd} [options]`,
     '',
     'Options:',
-    '  --providers <codex|claude|both|csv>   Providers to write (default: both)',
+    `  --providers <both|all|csv>            Providers to write (default: both = codex,claude; all = every provider)`,
     '  --scope <all|minimal|current|specific> Skill selection scope (default: all)',
     '  --skills <csv>                        Skill names (for --scope specific)',
     '  --skill <name>                        Repeatable; adds one skill name',
     '  --manifest <path>                     JSON manifest (for --scope current)',
-    '  --mode <reset|update>                 reset deletes provider roots; update is incremental (default: reset)',
-    '  --prune                               With --mode update: delete wrappers not in selected set (destructive)',
+    '  --mode <reset|update>                 reset deletes provider roots; update rewrites only changed stubs (default: reset)',
+    '  --prune                               With --mode update: delete synced wrappers not in selected set (destructive)',
     '  --delete <csv>                        Delete wrapper(s) only (no SSOT changes) (alias: --delete-wrappers)',
     '  --delete-wrappers <csv>               Delete wrapper(s) only (no SSOT changes)',
     '  --delete-skills <csv>                 Delete skill(s) from SSOT and/or providers (see --delete-scope)',
     '  --delete-scope <all|ssot|providers>   Deletion scope for --delete-skills (default: all)',
     '  --clean-empty                         With --delete-skills: remove empty parent dirs after deletion',
     '  --[no-]update-meta                    With --delete-skills: update .ai/skills/_meta/sync-manifest.json (default: update)',
+    '  --no-deps                             Do not add skills listed in `requires:` of selected skills',
     '  --list                                List discovered skills (respects --scope filters)',
+    '  --graph [tree|dot]                    With --list: print the `requires:` graph as a tree (default) or Graphviz DOT',
+    '  --check                               Compare on-disk stubs with what a sync would write; exit 1 on drift (no writes)',
     '  --dry-run                             Print actions without writing',
     '  --yes                                 Required for destructive operations (reset/prune/delete), unless --dry-run',
     '  -h, --help                            Show help',
     '',
+    'Providers:',
+    ...providerIds().map((id) => {
+      const p = getProvider(id);
+      return `  ${id.padEnd(9)}${p.root}/${p.layout === 'tree' ? '<category>/<skill>/SKILL.md' : p.target({ name: '<skill>', relFromSkillsRoot: '<skill>' })}`;
+    }),
+    '  Shared roots (all but codex/claude) keep hand-written files: reset/prune/delete only touch generated stubs.',
+    '',
+    'Lockfile:',
+    '  .ai/skills/_meta/sync-lock.json records each written stub (path, source hash, stub hash) per provider.',
+    '  --mode update skips stubs whose file already matches; --prune only removes stubs recorded there.',
+    '',
     'Scopes:',
     '  all      - all skills under the SSOT skills root',
     '  minimal  - default minimal set (workflows only)',
     '  current  - read selection from a manifest JSON',
     '  specific - explicit list via --skills/--skill',
+    '  Every scope also selects the skills its selection requires (transitively), unless --no-deps.',
+    '',
+    'Dependencies (SKILL.md frontmatter):',
+    '  requires: [skill-a, skill-b]',
+    '  Unknown names and cycles are errors.',
     '',
     'Manifest schema (JSON):',
     '  {',
@@ -97,6 +126,36 @@ function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
+function loadSyncLock() {
+  try {
+    return readSyncLock(defaultLockPath);
+  } catch (e) {
+    console.error(colors.red(`Failed to read sync lock: ${toPosix(path.relative(repoRoot, defaultLockPath))}`));
+    console.error(colors.red(`  ${e.message}`));
+    console.error(colors.gray('Delete it and re-run with --mode reset to rebuild it.'));
+    process.exit(1);
+  }
+}
+
+/** Path (relative to the provider root) that a locked stub occupies: its directory for tree providers. */
+function lockedEntry(provider, stubRel) {
+  return provider.layout === 'tree' ? path.posix.dirname(stubRel) : stubRel;
+}
+
+/** Drop lock entries whose stub occupies `entryRel`; returns true when something was removed. */
+function forgetLockedStub(lock, provider, entryRel) {
+  const section = lock.providers[provider.id];
+  if (!section) return false;
+  let changed = false;
+  for (const [name, entry] of Object.entries(section.stubs || {})) {
+    if (lockedEntry(provider, entry.stub) === entryRel) {
+      delete section.stubs[name];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
 function readJson(jsonPath) {
   try {
     const raw = fs.readFileSync(jsonPath, 'utf8');
@@ -184,6 +243,7 @@ function loadSkills(skillsRoot) {
     const frontmatter = readFrontmatter(content);
     const fallback = path.basename(dir);
     const name = extractName(frontmatter || '', fallback);
+    const requires = [...new Set(extractListField(frontmatter || '', 'requires'))];
 
     const relFromSkillsRoot = toPosix(path.relative(skillsRoot, dir));
     const relFromRepoRoot = toPosix(path.relative(repoRoot, dir));
@@ -197,6 +257,7 @@ function loadSkills(skillsRoot) {
       relFromRepoRoot,
       skillMdPath,
       content,
+      requires,
     });
   }
 
@@ -226,49 +287,66 @@ function loadSkills(skillsRoot) {
     }
   }
 
+  checkSkillGraph(skills, byName);
+
   return { skills, byName };
 }
 
-function buildStub(skillName, sourceRelDirFromRepoRoot, sourceContent, relFromSkillsRoot) {
-  const originalFrontmatter = readFrontmatter(sourceContent);
-  const canonicalDir = sourceRelDirFromRepoRoot.replace(/\/$/, '');
-
-  // Extract category from relFromSkillsRoot (e.g., "workflows/common/fix-frontend-runtime-errors" -> "workflows/common")
-  const pathParts = relFromSkillsRoot.split('/');
-  const category = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '';
-
-  // Build enhanced frontmatter with ssot_path and category (Option B).
-  let enhancedFrontmatter;
-  if (originalFrontmatter) {
-    // Insert ssot_path and category before the closing ---
-    const lines = originalFrontmatter.trim().split('\n');
-    const closingIdx = lines.lastIndexOf('---');
-    if (closingIdx > 0) {
-      lines.splice(closingIdx, 0, `ssot_path: ${canonicalDir}`);
-      if (category) {
-        lines.splice(closingIdx, 0, `category: ${category}`);
-      }
+/** Exit on `requires:` entries that name no skill, and on dependency cycles. */
+function checkSkillGraph(skills, byName) {
+  const unknown = [];
+  for (const s of skills) {
+    for (const dep of s.requires) {
+      if (!byName.has(dep)) unknown.push([s, dep]);
     }
-    enhancedFrontmatter = lines.join('\n');
-  } else {
-    const categoryLine = category ? `category: ${category}\n` : '';
-    enhancedFrontmatter = `---\nname: ${skillName}\ndescription: See ${canonicalDir}/SKILL.md\n${categoryLine}ssot_path: ${canonicalDir}\n---`;
+  }
+  if (unknown.length > 0) {
+    console.error(colors.red('Unknown skills in requires:'));
+    for (const [s, dep] of unknown) {
+      console.error(colors.red(`- ${dep} (required by ${s.name}: ${s.relFromRepoRoot}/${SKILL_MD})`));
+    }
+    process.exit(1);
   }
 
-  const displayName = extractName(enhancedFrontmatter, skillName);
+  // Depth-first search; reaching a skill that is still on the stack closes a cycle.
+  const state = new Map();
+  const stack = [];
+  const visit = (name) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'active') {
+      const cycle = [...stack.slice(stack.indexOf(name)), name];
+      console.error(colors.red(`Skill dependency cycle: ${cycle.join(' -> ')}`));
+      process.exit(1);
+    }
+    state.set(name, 'active');
+    stack.push(name);
+    for (const dep of byName.get(name).requires) visit(dep);
+    stack.pop();
+    state.set(name, 'done');
+  };
+  for (const s of skills) visit(s.name);
+}
 
-  return [
-    enhancedFrontmatter,
-    '',
-    `# ${displayName} (entry)`,
-    '',
-    `Canonical source: \`${canonicalDir}/\``,
-    '',
-    `Open \`${canonicalDir}/SKILL.md\` and any supporting files referenced there (for example \`reference.md\`, \`examples.md\`, \`scripts/\`, \`templates/\`).`,
-    '',
-    '> **Note**: The frontmatter above is identical to the canonical source except for `ssot_path` and `category` which are added for navigation. After opening the source file, skip re-reading the description to avoid redundant token usage.',
-    '',
-  ].join('\n');
+/**
+ * Selected skills plus everything they require, transitively. The selection keeps its order and
+ * dependencies follow in discovery order; `added` lists the dependencies that were not selected.
+ */
+function withDependencies(selected, allSkills) {
+  const byName = new Map(allSkills.map((s) => [s.name, s]));
+  const out = new Map(selected.map((s) => [s.name, s]));
+  const added = [];
+  const queue = [...selected];
+  while (queue.length > 0) {
+    const s = queue.shift();
+    for (const dep of s.requires) {
+      if (out.has(dep)) continue;
+      const found = byName.get(dep);
+      out.set(dep, found);
+      added.push({ skill: found, requiredBy: s.name });
+      queue.push(found);
+    }
+  }
+  return { skills: [...out.values()], added };
 }
 
 function parseCsv(value) {
@@ -282,11 +360,14 @@ function parseArgs(argv) {
   const args = {
     skillsRoot: defaultSkillsRoot,
     manifestPath: defaultManifestPath,
-    providers: ['codex', 'claude'],
+    providers: [...DEFAULT_PROVIDERS],
     scope: 'all',
     mode: 'reset',
     prune: false,
     list: false,
+    graph: null,
+    deps: true,
+    check: false,
     dryRun: false,
     yes: false,
     specificSkills: [],
@@ -330,6 +411,20 @@ function parseArgs(argv) {
       args.list = true;
       continue;
     }
+    if (a === '--graph') {
+      const next = String(argv[i + 1] || '').toLowerCase();
+      args.graph = next === 'tree' || next === 'dot' ? next : 'tree';
+      if (args.graph === next) i += 1;
+      continue;
+    }
+    if (a === '--no-deps') {
+      args.deps = false;
+      continue;
+    }
+    if (a === '--check') {
+      args.check = true;
+      continue;
+    }
     if (a === '--dry-run') {
       args.dryRun = true;
       continue;
@@ -386,23 +481,31 @@ function parseArgs(argv) {
 }
 
 function normalizeProviders(providers) {
-  const raw = providers.length === 0 ? ['both'] : providers;
-  const expanded = raw.flatMap((p) => {
-    const v = String(p).trim().toLowerCase();
-    if (!v || v === 'both') return ['codex', 'claude'];
-    return [v];
-  });
-
-  const dedup = [...new Set(expanded)];
-  const invalid = dedup.filter((p) => !Object.prototype.hasOwnProperty.call(providerDefaults, p));
+  const { providers: ids, invalid } = resolveProviders(providers);
   if (invalid.length > 0) {
     console.error(colors.red(`Invalid provider(s): ${invalid.join(', ')}`));
+    console.error(colors.gray(`Registered providers: ${providerIds().join(', ')} (aliases: both, all)`));
     process.exit(1);
   }
-  return dedup;
+  return ids;
 }
 
+/** Skills chosen by --scope plus their dependencies: { skills, added } where `added` names the dependencies. */
 function selectSkills(args, allSkills) {
+  const selected = selectScope(args, allSkills);
+  if (!args.deps) return { skills: selected, added: [] };
+
+  const { skills, added } = withDependencies(selected, allSkills);
+  const excluded = new Set(String(args.scope || '').toLowerCase() === 'current' ? parseManifest(args.manifestPath).excludeSkills : []);
+  for (const { skill, requiredBy } of added) {
+    if (excluded.has(skill.name)) {
+      console.error(colors.yellow(`  [!] ${skill.name} is excluded by the manifest but required by ${requiredBy}; selected anyway (use --no-deps to skip)`));
+    }
+  }
+  return { skills, added: added.map((a) => a.skill.name) };
+}
+
+function selectScope(args, allSkills) {
   const scope = String(args.scope || '').toLowerCase();
   if (scope === 'all' || scope === '') {
     return allSkills;
@@ -461,70 +564,42 @@ function selectSkills(args, allSkills) {
   process.exit(1);
 }
 
-/**
- * Find all wrapper directories (containing SKILL.md) under targetRoot.
- * Returns array of { relPath, absPath } where relPath is relative to targetRoot.
- */
-function findWrapperDirs(targetRoot) {
-  if (!fs.existsSync(targetRoot)) return [];
-
-  const wrappers = [];
-  const stack = [targetRoot];
-
-  while (stack.length > 0) {
-    const dir = stack.pop();
-    let entries;
-    try {
-      entries = fs.readdirSync(dir, { withFileTypes: true });
-    } catch {
-      continue;
-    }
-
-    const hasSkillMd = entries.some((e) => e.isFile() && e.name === SKILL_MD);
-    if (hasSkillMd) {
-      wrappers.push({
-        relPath: toPosix(path.relative(targetRoot, dir)),
-        absPath: dir,
-      });
-      continue;
-    }
-
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-      stack.push(path.join(dir, entry.name));
-    }
-  }
-
-  return wrappers;
-}
-
 function deleteWrappers({ providers, skillNames, dryRun, allSkills }) {
   console.log(colors.cyan('========================================'));
   console.log(colors.cyan('  Deleting skill stubs'));
   console.log(colors.cyan('========================================'));
 
-  // Build a map from skill name to relFromSkillsRoot
-  const nameToPath = new Map();
+  const lock = loadSyncLock();
+  let lockChanged = false;
+
+  // Build a map from skill name to skill (name + relFromSkillsRoot)
+  const nameToSkill = new Map();
   if (allSkills) {
     for (const s of allSkills) {
-      nameToPath.set(s.name, s.relFromSkillsRoot);
+      nameToSkill.set(s.name, s);
     }
   }
 
-  for (const provider of providers) {
-    const targetRoot = providerDefaults[provider];
+  for (const providerId of providers) {
+    const provider = getProvider(providerId);
+    const targetRoot = providerRoot(provider, repoRoot);
     console.log('');
-    console.log(colors.green(`Provider: ${provider}`));
+    console.log(colors.green(`Provider: ${providerId}`));
 
     for (const nameOrPath of skillNames) {
       // Try to resolve name to path using allSkills, otherwise treat as path
-      const targetRelPath = nameToPath.get(nameOrPath) || nameOrPath;
+      const skill = nameToSkill.get(nameOrPath) || { name: path.posix.basename(nameOrPath), relFromSkillsRoot: nameOrPath };
+      const targetRelPath = stubEntry(provider, skill);
       const targetDir = path.join(targetRoot, targetRelPath);
 
       if (!fs.existsSync(targetDir)) {
         console.log(colors.gray(`  [-] ${targetRelPath} (not present)`));
         continue;
       }
+      if (!provider.owned && !isGeneratedStub(targetDir)) {
+        console.log(colors.yellow(`  [!] ${targetRelPath} (not generated by sync-skills; left in place)`));
+        continue;
+      }
 
       if (dryRun) {
         console.log(colors.gray(`  [~] ${targetRelPath} (dry-run delete)`));
@@ -533,8 +608,11 @@ function deleteWrappers({ providers, skillNames, dryRun, allSkills }) {
 
       fs.rmSync(targetDir, { recursive: true, force: true });
       console.log(colors.gray(`  [-] ${targetRelPath}`));
+      if (forgetLockedStub(lock, provider, targetRelPath)) lockChanged = true;
     }
   }
+
+  if (lockChanged) writeSyncLock(defaultLockPath, lock);
 }
 
 function resolveSafeChildDir(rootDir, relPath) {
@@ -580,14 +658,16 @@ function deleteDirSafe(rootDir, relPath, label, options) {
     return { deleted: false, reason: 'not_found' };
   }
 
+  // Flat provider stubs are files; everything else is a directory.
+  const shown = `${toPosix(path.relative(repoRoot, targetDir))}${fs.statSync(targetDir).isDirectory() ? '/' : ''}`;
   if (dryRun) {
-    console.log(colors.yellow(`  [~] ${label}: ${toPosix(path.relative(repoRoot, targetDir))}/ (dry-run)`));
+    console.log(colors.yellow(`  [~] ${label}: ${shown} (dry-run)`));
     return { deleted: true, reason: 'dry_run' };
   }
 
   try {
     fs.rmSync(targetDir, { recursive: true, force: true });
-    console.log(colors.green(`  [✓] ${label}: ${toPosix(path.relative(repoRoot, targetDir))}/`));
+    console.log(colors.green(`  [✓] ${label}: ${shown}`));
 
     if (cleanEmpty && stopAt) {
       cleanEmptyParents(targetDir, stopAt);
@@ -738,6 +818,18 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
   }
   const targets = [...byPath.values()];
 
+  if (scope === 'all' || scope === 'ssot') {
+    const dependents = allSkills.filter((s) => !skillNamesForMeta.has(s.name) && s.requires.some((dep) => skillNamesForMeta.has(dep)));
+    if (dependents.length > 0) {
+      console.error(colors.red('Refusing to delete skills that other skills require:'));
+      for (const s of dependents) {
+        console.error(colors.red(`- ${s.name} requires ${s.requires.filter((dep) => skillNamesForMeta.has(dep)).join(', ')}`));
+      }
+      console.error(colors.gray('Remove them from `requires:` first, or delete the dependents too.'));
+      process.exit(1);
+    }
+  }
+
   console.log(colors.cyan('========================================'));
   console.log(colors.cyan('  Deleting skills'));
   console.log(colors.cyan('========================================'));
@@ -745,6 +837,9 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
   console.log(colors.gray(`  skills: ${targets.length}`));
   console.log(colors.gray(`  dry-run: ${dryRun}`));
 
+  const lock = loadSyncLock();
+  let lockChanged = false;
+
   for (const t of targets) {
     console.log('');
     console.log(colors.cyan(`Skill: ${t.relPath}`));
@@ -756,13 +851,22 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
     }
 
     if (scope === 'all' || scope === 'providers') {
-      for (const provider of providers) {
-        const providerRoot = providerDefaults[provider];
-        deleteDirSafe(providerRoot, t.relPath, provider, { ...opts, stopAt: providerRoot });
+      for (const providerId of providers) {
+        const provider = getProvider(providerId);
+        const root = providerRoot(provider, repoRoot);
+        const entry = stubEntry(provider, { name: t.skillName || path.posix.basename(t.relPath), relFromSkillsRoot: t.relPath });
+        if (!provider.owned && fs.existsSync(path.join(root, entry)) && !isGeneratedStub(path.join(root, entry))) {
+          console.log(colors.yellow(`  [!] ${providerId}: ${entry} is not generated by sync-skills; left in place`));
+          continue;
+        }
+        const res = deleteDirSafe(root, entry, providerId, { ...opts, stopAt: root });
+        if (res.reason === 'deleted' && forgetLockedStub(lock, provider, entry)) lockChanged = true;
       }
     }
   }
 
+  if (lockChanged) writeSyncLock(defaultLockPath, lock);
+
   if ((scope === 'all' || scope === 'ssot') && updateMeta && skillNamesForMeta.size > 0) {
     console.log('');
     console.log(colors.cyan('Meta updates:'));
@@ -779,6 +883,98 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
   }
 }
 
+/**
+ * Print the `requires:` graph of the selected skills.
+ * tree: one tree per skill that no other selected skill requires; dot: a Graphviz digraph (skill -> required skill).
+ */
+function printSkillGraph(selectedSkills, allSkills, format) {
+  const byName = new Map(allSkills.map((s) => [s.name, s]));
+
+  if (format === 'dot') {
+    const q = (name) => JSON.stringify(name);
+    const lines = ['digraph skills {', '  rankdir=LR;', '  node [shape=box];'];
+    for (const s of selectedSkills) lines.push(`  ${q(s.name)};`);
+    for (const s of selectedSkills) {
+      for (const dep of s.requires) lines.push(`  ${q(s.name)} -> ${q(dep)};`);
+    }
+    lines.push('}');
+    console.log(lines.join('\n'));
+    return;
+  }
+
+  const required = new Set(selectedSkills.flatMap((s) => s.requires));
+  const print = (name, depth) => {
+    console.log(`${'  '.repeat(depth)}${depth > 0 ? '- ' : ''}${name}`);
+    for (const dep of byName.get(name).requires) print(dep, depth + 1);
+  };
+  for (const s of selectedSkills) {
+    if (!required.has(s.name)) print(s.name, 0);
+  }
+}
+
+/**
+ * Compare the stubs a sync would write for the selected skills with what is on disk, byte for byte.
+ * Returns per-provider { provider, root, missing, stale, extra } (entries are stub paths relative to the root).
+ */
+function checkStubs({ providers, selectedSkills }) {
+  return providers.map((providerId) => {
+    const provider = getProvider(providerId);
+    const root = providerRoot(provider, repoRoot);
+    const expected = new Set();
+    const missing = [];
+    const stale = [];
+
+    for (const skill of selectedSkills) {
+      expected.add(stubEntry(provider, skill));
+      const rel = provider.target(skill);
+      const file = path.join(root, ...rel.split('/'));
+      if (!fs.existsSync(file)) {
+        missing.push(rel);
+      } else if (fs.readFileSync(file, 'utf8') !== provider.render(skill)) {
+        stale.push(rel);
+      }
+    }
+
+    const extra = listProviderStubs(provider, repoRoot)
+      .filter((stub) => !expected.has(stub.relPath))
+      .map((stub) => stub.relPath);
+
+    return { provider: providerId, root: toPosix(path.relative(repoRoot, root)), missing, stale, extra };
+  });
+}
+
+function reportCheck(results, args) {
+  console.log(colors.cyan('========================================'));
+  console.log(colors.cyan('  Checking skill stubs'));
+  console.log(colors.cyan('========================================'));
+  console.log(colors.gray(`  scope: ${args.scope}`));
+
+  let drift = 0;
+  for (const r of results) {
+    const count = r.missing.length + r.stale.length + r.extra.length;
+    drift += count;
+    console.log('');
+    if (count === 0) {
+      console.log(colors.green(`Provider: ${r.provider} (${r.root}) - up to date`));
+      continue;
+    }
+    console.log(colors.red(`Provider: ${r.provider} (${r.root}) - ${r.missing.length} missing, ${r.stale.length} stale, ${r.extra.length} extra`));
+    for (const rel of r.missing) console.log(colors.red(`  [missing] ${rel}`));
+    for (const rel of r.stale) console.log(colors.yellow(`  [stale]   ${rel}`));
+    for (const rel of r.extra) console.log(colors.yellow(`  [extra]   ${rel}`));
+  }
+
+  console.log('');
+  if (drift === 0) {
+    console.log(colors.green('Skill stubs are up to date.'));
+    return true;
+  }
+  const scopeArgs = args.scope === 'specific' ? `--scope specific --skills ${args.specificSkills.join(',')}` : `--scope ${args.scope}`;
+  console.log(colors.red(`Skill stubs are out of date (${drift} difference(s)).`));
+  console.log(colors.gray(`Regenerate: node .ai/scripts/sync-skills.mjs ${scopeArgs} --providers ${results.map((r) => r.provider).join(',')} --mode update --prune --yes`));
+  return false;
+}
+
 function sync() {
   const args = parseArgs(process.argv.slice(2));
   if (args.help) {
@@ -793,8 +989,14 @@ function sync() {
     process.exit(1);
   }
 
+  if (args.graph && !args.list) {
+    console.error(colors.red('--graph requires --list.'));
+    process.exit(1);
+  }
+
   const isDestructive =
     !args.list &&
+    !args.check &&
     !args.dryRun &&
     (mode === 'reset' ||
       (mode === 'update' && args.prune) ||
@@ -816,12 +1018,25 @@ function sync() {
     process.exit(1);
   }
 
+  if (args.check) {
+    if (args.list || hasDeleteSkills || hasDeleteWrappers) {
+      console.error(colors.red('Cannot combine --check with --list or delete operations.'));
+      process.exit(1);
+    }
+    const ok = reportCheck(checkStubs({ providers, selectedSkills: selectSkills(args, allSkills).skills }), args);
+    process.exit(ok ? 0 : 1);
+  }
+
   if (args.list) {
     if (hasDeleteSkills || hasDeleteWrappers) {
       console.error(colors.red('Cannot combine --list with delete operations.'));
       process.exit(1);
     }
-    const selectedSkills = selectSkills(args, allSkills);
+    const { skills: selectedSkills } = selectSkills(args, allSkills);
+    if (args.graph) {
+      printSkillGraph(selectedSkills, allSkills, args.graph);
+      return;
+    }
     for (const s of selectedSkills) {
       console.log(`${s.name}\t${s.relFromSkillsRoot}`);
     }
@@ -846,7 +1061,7 @@ function sync() {
     return;
   }
 
-  const selectedSkills = selectSkills(args, allSkills);
+  const { skills: selectedSkills, added } = selectSkills(args, allSkills);
 
   console.log(colors.cyan('========================================'));
   console.log(colors.cyan('  Syncing skill stubs'));
@@ -856,21 +1071,35 @@ function sync() {
   console.log(colors.gray(`  scope: ${args.scope}`));
   console.log(colors.gray(`  mode: ${mode}${mode === 'update' && args.prune ? ' + prune' : ''}`));
   console.log(colors.gray(`  selected_skills: ${selectedSkills.length}`));
-  // Use relFromSkillsRoot (paths) for matching instead of flat names (Option A).
-  const allPaths = new Set(allSkills.map((s) => s.relFromSkillsRoot));
-  const selectedPaths = new Set(selectedSkills.map((s) => s.relFromSkillsRoot));
-
-  for (const provider of providers) {
-    const targetRoot = providerDefaults[provider];
+  if (added.length > 0) console.log(colors.gray(`  dependencies: ${added.join(', ')}`));
+
+  const lock = loadSyncLock();
+  for (const providerId of providers) {
+    const provider = getProvider(providerId);
+    const targetRoot = providerRoot(provider, repoRoot);
+    const hadLock = !!lock.providers[providerId];
+    const locked = providerLock(lock, providerId, provider.root);
     console.log('');
-    console.log(colors.green(`Writing ${provider} stubs...`));
+    console.log(colors.green(`Writing ${providerId} stubs...`));
 
-    if (mode === 'reset') {
+    if (mode === 'reset' && !provider.owned) {
+      // Shared root: remove only the stubs a previous sync generated.
+      const stale = listProviderStubs(provider, repoRoot);
+      if (args.dryRun) {
+        console.log(colors.gray(`  [~] reset ${toPosix(path.relative(repoRoot, targetRoot))}: ${stale.length} generated stub(s) (dry-run)`));
+      } else {
+        for (const stub of stale) fs.rmSync(stub.absPath, { force: true });
+        ensureDir(targetRoot);
+      }
+    } else if (mode === 'reset') {
       if (args.dryRun) {
         console.log(colors.gray(`  [~] reset ${toPosix(path.relative(repoRoot, targetRoot))} (dry-run)`));
       } else {
         resetDir(targetRoot);
       }
+    }
+    if (mode === 'reset') {
+      locked.stubs = {};
     } else {
       if (args.dryRun) {
         console.log(colors.gray(`  [~] ensure ${toPosix(path.relative(repoRoot, targetRoot))} (dry-run)`));
@@ -879,37 +1108,78 @@ function sync() {
       }
     }
 
+    // Match on stub entries: relFromSkillsRoot paths for tree providers (Option A), file names for flat ones.
+    const selectedPaths = new Set(selectedSkills.map((s) => stubEntry(provider, s)));
+    const removeStub = (entryRel, why) => {
+      if (args.dryRun) {
+        console.log(colors.gray(`  [~] ${why} ${entryRel} (dry-run)`));
+        return;
+      }
+      fs.rmSync(path.join(targetRoot, ...entryRel.split('/')), { recursive: true, force: true });
+      forgetLockedStub(lock, provider, entryRel);
+      console.log(colors.gray(`  [-] ${entryRel} (${why === 'prune' ? 'pruned' : 'moved'})`));
+    };
+
     if (mode === 'update' && args.prune) {
-      // Find existing wrappers recursively (they now have hierarchy)
-      const existingWrappers = findWrapperDirs(targetRoot);
-      for (const wrapper of existingWrappers) {
-        if (!allPaths.has(wrapper.relPath)) continue; // not a known skill
-        if (selectedPaths.has(wrapper.relPath)) continue; // is in selected set
-        if (args.dryRun) {
-          console.log(colors.gray(`  [~] prune ${wrapper.relPath} (dry-run)`));
-        } else {
-          fs.rmSync(wrapper.absPath, { recursive: true, force: true });
-          console.log(colors.gray(`  [-] ${wrapper.relPath} (pruned)`));
+      if (hadLock) {
+        // The lock lists exactly the stubs this script wrote; anything else under the root is hand-made.
+        for (const entry of Object.values({ ...locked.stubs })) {
+          const entryRel = lockedEntry(provider, entry.stub);
+          if (!selectedPaths.has(entryRel)) removeStub(entryRel, 'prune');
+        }
+      } else {
+        // No lock yet (first update since upgrading): fall back to stubs of known skills.
+        console.log(colors.yellow(`  [!] no sync-lock entries for ${providerId}; pruning stubs of known skills only`));
+        const allPaths = new Set(allSkills.map((s) => stubEntry(provider, s)));
+        for (const wrapper of listProviderStubs(provider, repoRoot)) {
+          if (!allPaths.has(wrapper.relPath)) continue; // not a known skill
+          if (selectedPaths.has(wrapper.relPath)) continue; // is in selected set
+          removeStub(wrapper.relPath, 'prune');
         }
       }
     }
 
+    let unchanged = 0;
     for (const skill of selectedSkills) {
-      const sourceRelDir = toPosix(path.relative(repoRoot, skill.dir));
-      const stub = buildStub(skill.name, sourceRelDir, skill.content, skill.relFromSkillsRoot);
-      // Option A: preserve hierarchy using relFromSkillsRoot instead of flat names.
-      const targetDir = path.join(targetRoot, skill.relFromSkillsRoot);
-      const targetSkillMd = path.join(targetDir, SKILL_MD);
+      const stub = provider.render(skill);
+      // Tree providers preserve hierarchy using relFromSkillsRoot (Option A); flat ones name files after the skill.
+      const stubRel = provider.target(skill);
+      const targetFile = path.join(targetRoot, ...stubRel.split('/'));
+      const entry = { stub: stubRel, sourceHash: hashText(skill.content), stubHash: hashText(stub) };
+      const previous = locked.stubs[skill.name];
+
+      // A skill that moved leaves its old stub behind; it is ours to remove.
+      if (mode === 'update' && previous && previous.stub !== stubRel) {
+        removeStub(lockedEntry(provider, previous.stub), 'move');
+      }
+      if (mode === 'update' && fs.existsSync(targetFile) && hashText(fs.readFileSync(targetFile, 'utf8')) === entry.stubHash) {
+        unchanged += 1;
+        if (!args.dryRun) locked.stubs[skill.name] = entry;
+        continue;
+      }
 
       if (args.dryRun) {
-        console.log(colors.gray(`  [~] write ${skill.relFromSkillsRoot} -> ${toPosix(path.relative(repoRoot, targetSkillMd))}`));
+        console.log(colors.gray(`  [~] write ${skill.relFromSkillsRoot} -> ${toPosix(path.relative(repoRoot, targetFile))}`));
         continue;
       }
 
-      ensureDir(targetDir);
-      fs.writeFileSync(targetSkillMd, stub, 'utf8');
+      ensureDir(path.dirname(targetFile));
+      fs.writeFileSync(targetFile, stub, 'utf8');
+      locked.stubs[skill.name] = entry;
       console.log(colors.gray(`  [+] ${skill.relFromSkillsRoot}`));
     }
+    if (unchanged > 0) console.log(colors.gray(`  [=] ${unchanged} unchanged`));
+
+    // Stubs removed by hand are no longer ours to track.
+    for (const [name, entry] of Object.entries(locked.stubs)) {
+      if (!fs.existsSync(path.join(targetRoot, ...entry.stub.split('/')))) delete locked.stubs[name];
+    }
+  }
+
+  if (!args.dryRun) {
+    writeSyncLock(defaultLockPath, lock);
+    console.log('');
+    console.log(colors.gray(`  lock: ${toPosix(path.relative(repoRoot, defaultLockPath))}`));
   }
 
   console.log('');
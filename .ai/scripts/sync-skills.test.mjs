@@ -0,0 +1,267 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/** SSOT skills for a scratch repo: name -> { path, requires? }. */
+const SKILLS = {
+  'fix-bugs': { path: 'workflows/common/fix-bugs' },
+  'write-tests': { path: 'testing/write-tests' },
+};
+
+function skillMd(name, { requires } = {}) {
+  const lines = ['---', `name: ${name}`, `description: ${name} skill.`];
+  if (requires) lines.push(`requires: [${requires.join(', ')}]`);
+  return [...lines, '---', '', `# ${name}`, ''].join('\n');
+}
+
+/** A repo holding a copy of .ai/scripts (sync-skills resolves the repo from its own location) and the given skills. */
+function withRepo(skills, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-skills-'));
+  try {
+    fs.cpSync(SCRIPTS_DIR, path.join(repoRoot, '.ai', 'scripts'), { recursive: true });
+    for (const [name, spec] of Object.entries(skills)) write(repoRoot, `.ai/skills/${spec.path}/SKILL.md`, skillMd(name, spec));
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+function write(repoRoot, rel, content) {
+  const abs = path.join(repoRoot, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+const exists = (repoRoot, rel) => fs.existsSync(path.join(repoRoot, rel));
+
+function sync(repoRoot, args, expectedStatus = 0) {
+  const res = spawnSync(process.execPath, [path.join(repoRoot, '.ai', 'scripts', 'sync-skills.mjs'), ...args], { cwd: repoRoot, encoding: 'utf8' });
+  assert.equal(res.status, expectedStatus, `sync-skills ${args.join(' ')} exited ${res.status}:\n${res.stdout}\n${res.stderr}`);
+  return res;
+}
+
+test('--providers writes each provider in its own layout', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'codex,cursor,gemini', '--yes']);
+
+    assert.ok(exists(repoRoot, '.codex/skills/workflows/common/fix-bugs/SKILL.md'));
+    assert.ok(exists(repoRoot, '.cursor/rules/fix-bugs.mdc'));
+    assert.ok(exists(repoRoot, '.gemini/commands/skills/write-tests.toml'));
+    assert.ok(!exists(repoRoot, '.claude/skills'), 'only the requested providers are written');
+  });
+});
+
+test('a reset keeps hand-written files in shared roots but wipes owned roots', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    write(repoRoot, '.cursor/rules/team.mdc', '---\nalwaysApply: true\n---\nHand-written.\n');
+    write(repoRoot, '.codex/skills/stale/SKILL.md', 'old stub');
+    sync(repoRoot, ['--providers', 'codex,cursor', '--yes']);
+
+    fs.rmSync(path.join(repoRoot, '.ai', 'skills', 'testing'), { recursive: true });
+    sync(repoRoot, ['--providers', 'codex,cursor', '--yes']);
+
+    assert.deepEqual(fs.readdirSync(path.join(repoRoot, '.cursor', 'rules')).sort(), ['fix-bugs.mdc', 'team.mdc']);
+    assert.deepEqual(fs.readdirSync(path.join(repoRoot, '.codex', 'skills')), ['workflows']);
+  });
+});
+
+test('unknown providers are rejected with the registered list', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    const res = sync(repoRoot, ['--providers', 'codex,vscode', '--yes'], 1);
+    assert.match(res.stderr, /Invalid provider\(s\): vscode/);
+    assert.match(res.stderr, /Registered providers: codex, claude, cursor, copilot, windsurf, gemini \(aliases: both, all\)/);
+    assert.ok(!exists(repoRoot, '.codex'));
+  });
+});
+
+test('--providers all writes every registered provider', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'all', '--yes']);
+    for (const rel of ['.claude/skills', '.cursor/rules', '.github/instructions', '.windsurf/rules', '.gemini/commands/skills']) {
+      assert.ok(exists(repoRoot, rel), rel);
+    }
+  });
+});
+
+test('--check passes right after a sync and reports missing, stale and extra stubs per provider', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'codex,cursor', '--yes']);
+    assert.match(sync(repoRoot, ['--check', '--providers', 'codex,cursor']).stdout, /Skill stubs are up to date\./);
+
+    const fixBugs = path.join(repoRoot, '.ai', 'skills', 'workflows', 'common', 'fix-bugs', 'SKILL.md');
+    fs.writeFileSync(fixBugs, fs.readFileSync(fixBugs, 'utf8').replace('fix-bugs skill.', 'Fix bugs fast.'));
+    fs.rmSync(path.join(repoRoot, '.ai', 'skills', 'testing'), { recursive: true });
+    write(repoRoot, '.ai/skills/workflows/review/SKILL.md', skillMd('review'));
+    const before = fs.readFileSync(path.join(repoRoot, '.cursor', 'rules', 'fix-bugs.mdc'), 'utf8');
+
+    const { stdout } = sync(repoRoot, ['--check', '--providers', 'codex,cursor'], 1);
+    assert.match(stdout, /Provider: codex \(\.codex\/skills\) - 1 missing, 1 stale, 1 extra/);
+    assert.match(stdout, /\[missing\] workflows\/review\/SKILL\.md/);
+    assert.match(stdout, /\[stale\] {3}workflows\/common\/fix-bugs\/SKILL\.md/);
+    assert.match(stdout, /\[extra\] {3}testing\/write-tests/);
+    assert.match(stdout, /Provider: cursor \(\.cursor\/rules\) - 1 missing, 1 stale, 1 extra/);
+    assert.match(stdout, /\[extra\] {3}write-tests\.mdc/);
+    assert.match(stdout, /Skill stubs are out of date \(6 difference\(s\)\)\./);
+    assert.match(stdout, /Regenerate: node \.ai\/scripts\/sync-skills\.mjs --scope all --providers codex,cursor --mode update --prune --yes/);
+
+    assert.equal(fs.readFileSync(path.join(repoRoot, '.cursor', 'rules', 'fix-bugs.mdc'), 'utf8'), before, '--check writes nothing');
+    assert.ok(!exists(repoRoot, '.codex/skills/workflows/review'));
+
+    sync(repoRoot, ['--providers', 'codex,cursor', '--mode', 'update', '--prune', '--yes']);
+    sync(repoRoot, ['--check', '--providers', 'codex,cursor']);
+  });
+});
+
+test('--check compares only the selected scope and ignores hand-written files in shared roots', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    write(repoRoot, '.github/instructions/team.instructions.md', 'Hand-written.\n');
+    sync(repoRoot, ['--providers', 'copilot', '--scope', 'specific', '--skills', 'fix-bugs', '--yes']);
+
+    sync(repoRoot, ['--check', '--providers', 'copilot', '--scope', 'specific', '--skills', 'fix-bugs']);
+    const all = sync(repoRoot, ['--check', '--providers', 'copilot'], 1).stdout;
+    assert.match(all, /1 missing, 0 stale, 0 extra/);
+    assert.match(all, /\[missing\] write-tests\.instructions\.md/);
+  });
+});
+
+test('--check refuses to combine with --list or deletes', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    assert.match(sync(repoRoot, ['--check', '--list'], 1).stderr, /Cannot combine --check with --list or delete operations\./);
+    assert.match(sync(repoRoot, ['--check', '--delete-wrappers', 'fix-bugs'], 1).stderr, /Cannot combine --check/);
+  });
+});
+
+const readLock = (repoRoot) => JSON.parse(fs.readFileSync(path.join(repoRoot, '.ai', 'skills', '_meta', 'sync-lock.json'), 'utf8'));
+
+test('a sync records each stub with its source and stub hashes in sync-lock.json', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'codex,cursor', '--yes']);
+    const lock = readLock(repoRoot);
+
+    assert.deepEqual(Object.keys(lock.providers), ['codex', 'cursor']);
+    assert.equal(lock.providers.cursor.root, '.cursor/rules');
+    const entry = lock.providers.codex.stubs['fix-bugs'];
+    assert.equal(entry.stub, 'workflows/common/fix-bugs/SKILL.md');
+    const stub = fs.readFileSync(path.join(repoRoot, '.codex', 'skills', ...entry.stub.split('/')), 'utf8');
+    assert.equal(entry.stubHash, `sha256:${crypto.createHash('sha256').update(stub).digest('hex')}`);
+    assert.notEqual(entry.sourceHash, entry.stubHash);
+  });
+});
+
+test('update mode rewrites only stubs whose content changed', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'codex', '--yes']);
+    const sourceHash = readLock(repoRoot).providers.codex.stubs['write-tests'].sourceHash;
+    const stubPath = (rel) => path.join(repoRoot, '.codex', 'skills', ...rel.split('/'), 'SKILL.md');
+    const old = new Date('2020-01-01T00:00:00Z');
+    for (const rel of ['workflows/common/fix-bugs', 'testing/write-tests']) fs.utimesSync(stubPath(rel), old, old);
+
+    const skill = path.join(repoRoot, '.ai', 'skills', 'testing', 'write-tests', 'SKILL.md');
+    fs.writeFileSync(skill, fs.readFileSync(skill, 'utf8').replace('write-tests skill.', 'Write tests first.'));
+    const { stdout } = sync(repoRoot, ['--providers', 'codex', '--mode', 'update']);
+
+    assert.match(stdout, /\[\+\] testing\/write-tests/);
+    assert.match(stdout, /\[=\] 1 unchanged/);
+    assert.equal(fs.statSync(stubPath('workflows/common/fix-bugs')).mtimeMs, old.getTime(), 'unchanged stubs are not touched');
+    assert.match(fs.readFileSync(stubPath('testing/write-tests'), 'utf8'), /Write tests first\./);
+    assert.notEqual(readLock(repoRoot).providers.codex.stubs['write-tests'].sourceHash, sourceHash);
+  });
+});
+
+test('--prune removes only locked stubs and a moved skill drops its old stub', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'codex', '--yes']);
+    write(repoRoot, '.codex/skills/local/my-notes/SKILL.md', 'hand-made\n');
+
+    fs.renameSync(path.join(repoRoot, '.ai', 'skills', 'workflows'), path.join(repoRoot, '.ai', 'skills', 'ops'));
+    sync(repoRoot, ['--providers', 'codex', '--mode', 'update', '--prune', '--scope', 'specific', '--skills', 'fix-bugs', '--yes']);
+
+    assert.ok(exists(repoRoot, '.codex/skills/ops/common/fix-bugs/SKILL.md'));
+    assert.ok(!exists(repoRoot, '.codex/skills/workflows/common/fix-bugs'), 'moved');
+    assert.ok(!exists(repoRoot, '.codex/skills/testing/write-tests'), 'pruned');
+    assert.ok(exists(repoRoot, '.codex/skills/local/my-notes/SKILL.md'), 'hand-made stubs are not in the lock');
+    const stubs = readLock(repoRoot).providers.codex.stubs;
+    assert.deepEqual(Object.keys(stubs), ['fix-bugs']);
+    assert.equal(stubs['fix-bugs'].stub, 'ops/common/fix-bugs/SKILL.md');
+  });
+});
+
+test('stubs deleted by hand leave the lock and an unreadable lock stops the sync', () => {
+  withRepo(SKILLS, (repoRoot) => {
+    sync(repoRoot, ['--providers', 'cursor', '--yes']);
+    fs.rmSync(path.join(repoRoot, '.cursor', 'rules', 'write-tests.mdc'));
+    sync(repoRoot, ['--providers', 'cursor', '--mode', 'update', '--scope', 'specific', '--skills', 'fix-bugs']);
+    assert.deepEqual(Object.keys(readLock(repoRoot).providers.cursor.stubs), ['fix-bugs']);
+
+    fs.writeFileSync(path.join(repoRoot, '.ai', 'skills', '_meta', 'sync-lock.json'), '{ "version": 9 }');
+    const res = sync(repoRoot, ['--providers', 'cursor', '--mode', 'update'], 1);
+    assert.match(res.stderr, /Failed to read sync lock: \.ai\/skills\/_meta\/sync-lock\.json/);
+    assert.match(res.stderr, /Unsupported sync-lock version: 9/);
+  });
+});
+
+const GRAPH = {
+  'ship-feature': { path: 'workflows/ship-feature', requires: ['write-tests', 'review'] },
+  'write-tests': { path: 'testing/write-tests', requires: ['test-style'] },
+  review: { path: 'workflows/review' },
+  'test-style': { path: 'standards/test-style' },
+  'fix-bugs': { path: 'workflows/fix-bugs' },
+};
+
+const listed = (stdout) => stdout.trim().split('\n').map((l) => l.split('\t')[0]);
+
+test('a selection pulls in its transitive requires unless --no-deps', () => {
+  withRepo(GRAPH, (repoRoot) => {
+    const specific = ['--list', '--scope', 'specific', '--skills', 'ship-feature'];
+    assert.deepEqual(listed(sync(repoRoot, specific).stdout), ['ship-feature', 'write-tests', 'review', 'test-style']);
+    assert.deepEqual(listed(sync(repoRoot, [...specific, '--no-deps']).stdout), ['ship-feature']);
+
+    const { stdout } = sync(repoRoot, ['--providers', 'codex', '--scope', 'specific', '--skills', 'ship-feature', '--yes']);
+    assert.match(stdout, /dependencies: write-tests, review, test-style/);
+    assert.ok(exists(repoRoot, '.codex/skills/standards/test-style/SKILL.md'));
+    assert.ok(!exists(repoRoot, '.codex/skills/workflows/fix-bugs'));
+  });
+});
+
+test('a manifest exclusion yields to a dependency with a warning', () => {
+  withRepo(GRAPH, (repoRoot) => {
+    write(repoRoot, 'manifest.json', JSON.stringify({ version: 1, includePrefixes: ['testing/'], excludeSkills: ['test-style'] }));
+    const res = sync(repoRoot, ['--list', '--scope', 'current', '--manifest', 'manifest.json']);
+
+    assert.deepEqual(listed(res.stdout), ['write-tests', 'test-style']);
+    assert.match(res.stderr, /test-style is excluded by the manifest but required by write-tests; selected anyway \(use --no-deps to skip\)/);
+    assert.deepEqual(listed(sync(repoRoot, ['--list', '--scope', 'current', '--manifest', 'manifest.json', '--no-deps']).stdout), ['write-tests']);
+  });
+});
+
+test('--list --graph prints the requires tree or a DOT digraph', () => {
+  withRepo(GRAPH, (repoRoot) => {
+    const tree = sync(repoRoot, ['--list', '--graph', '--scope', 'specific', '--skills', 'ship-feature,fix-bugs']).stdout;
+    assert.equal(tree, ['fix-bugs', 'ship-feature', '  - write-tests', '    - test-style', '  - review', ''].join('\n'));
+
+    const dot = sync(repoRoot, ['--list', '--graph', 'dot', '--scope', 'specific', '--skills', 'write-tests']).stdout;
+    assert.equal(dot, ['digraph skills {', '  rankdir=LR;', '  node [shape=box];', '  "write-tests";', '  "test-style";', '  "write-tests" -> "test-style";', '}', ''].join('\n'));
+
+    assert.match(sync(repoRoot, ['--graph'], 1).stderr, /--graph requires --list\./);
+  });
+});
+
+test('unknown requires and dependency cycles are errors', () => {
+  withRepo({ ...GRAPH, review: { path: 'workflows/review', requires: ['ghost'] } }, (repoRoot) => {
+    const res = sync(repoRoot, ['--list'], 1);
+    assert.match(res.stderr, /Unknown skills in requires:/);
+    assert.match(res.stderr, /- ghost \(required by review: \.ai\/skills\/workflows\/review\/SKILL\.md\)/);
+  });
+  withRepo({ ...GRAPH, 'test-style': { path: 'standards/test-style', requires: ['ship-feature'] } }, (repoRoot) => {
+    const res = sync(repoRoot, ['--providers', 'codex', '--yes'], 1);
+    assert.match(res.stderr, /Skill dependency cycle: test-style -> ship-feature -> write-tests -> test-style/);
+    assert.ok(!exists(repoRoot, '.codex'));
+  });
+});
@@ -0,0 +1,361 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SKILL_DIR = path.resolve(SCRIPTS_DIR, '..');
+const REPO_ROOT = path.resolve(SKILL_DIR, '..', '..', '..', '..');
+const PIPELINE_REL = path.relative(REPO_ROOT, path.join(SCRIPTS_DIR, 'init-pipeline.mjs'));
+
+// Minimal Stage A docs that pass check-docs.
+const STAGE_A_DOCS = {
+  'requirements.md': [
+    '# Requirements',
+    '',
+    '## Conclusions (read first)',
+    '- Task tracker for small teams.',
+    '- Web app with an API backend.',
+    '- Ships as a single service.',
+    '',
+    '## Goals (MUST)',
+    '- R-001: Users can create a Task.',
+    '',
+    '## Non-goals (OUT)',
+    '- Mobile apps.',
+    ''
+  ].join('\n'),
+  'non-functional-requirements.md': '# Non-functional Requirements (NFR)\n\n## Conclusions (read first)\n- Performance: p95 < 300 ms\n- Availability: 99.5% monthly\n',
+  'domain-glossary.md': '# Domain Glossary\n\n## Terms\n\n### Task\n- Definition: A unit of work owned by one user.\n',
+  'risk-open-questions.md': '# Risks and Open Questions\n\n## Open questions (prioritized)\n- Which SSO provider? Owner: Alex. Decision due: 2026-11-01\n'
+};
+
+function run(cwd, cmd, args, expectedStatus = 0) {
+  const res = spawnSync(cmd, args, { cwd, encoding: 'utf8' });
+  assert.equal(res.status, expectedStatus, `${cmd} ${args.join(' ')} exited ${res.status}:\n${res.stdout}\n${res.stderr}`);
+  return res.stdout;
+}
+
+/** Copy the repo (without .git and init runtime state) into a fresh git repository. */
+function scratchRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'init-pipeline-'));
+  const skip = new Set(['.git', 'node_modules', path.join('init', '_work')]);
+  fs.cpSync(REPO_ROOT, dir, { recursive: true, filter: (src) => !skip.has(path.relative(REPO_ROOT, src)) });
+  run(dir, 'git', ['init', '-q']);
+  run(dir, 'git', ['add', '-A']);
+  run(dir, 'git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'base']);
+  return dir;
+}
+
+/** Run Stage A and Stage B through approval so the repo is ready for apply. */
+function approveStagesAB(repo, init) {
+  init('start');
+  for (const [name, content] of Object.entries(STAGE_A_DOCS)) {
+    fs.writeFileSync(path.join(repo, 'init', '_work', 'stage-a-docs', name), content, 'utf8');
+  }
+  init('check-docs');
+  init('advance');
+  init('approve', '--stage', 'A', '--approver', 'test');
+  fs.copyFileSync(path.join(SKILL_DIR, 'templates', 'project-blueprint.example.json'), path.join(repo, 'init', '_work', 'project-blueprint.json'));
+  init('validate');
+  init('suggest-packs');
+  init('advance');
+  init('approve', '--stage', 'B', '--approver', 'test');
+}
+
+const noGit = spawnSync('git', ['--version']).status !== 0 && 'git not available';
+
+test('apply followed by undo-apply leaves a clean tree', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+
+    approveStagesAB(repo, init);
+    init('apply', '--providers', 'both');
+
+    const applied = run(repo, 'git', ['status', '--porcelain']);
+    assert.match(applied, /\.ai\/skills\/_meta\/sync-lock\.json/);
+
+    init('undo-apply', '--apply');
+
+    // init/_work/ holds the pipeline state and the journal; everything else must be back to the commit.
+    const status = run(repo, 'git', ['status', '--porcelain', '--untracked-files=all'])
+      .split('\n')
+      .filter((line) => line && !line.slice(3).startsWith('init/_work/'));
+    assert.deepEqual(status, []);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('apply refuses when approved Stage A docs changed after approval', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+
+    approveStagesAB(repo, init);
+    fs.appendFileSync(path.join(repo, 'init', '_work', 'stage-a-docs', 'requirements.md'), '- R-002: Users can delete a Task.\n');
+
+    const out = run(repo, process.execPath, [PIPELINE_REL, 'apply', '--providers', 'both', '--format', 'json'], 3);
+    const envelope = JSON.parse(out);
+    assert.equal(envelope.ok, false);
+    assert.match(envelope.errors.join('\n'), /re-approve them before apply/);
+    assert.equal(fs.existsSync(path.join(repo, 'init', '_work', '.apply-journal.json')), false);
+    const status = run(repo, 'git', ['status', '--porcelain', '--untracked-files=all'])
+      .split('\n')
+      .filter((line) => line && !line.slice(3).startsWith('init/_work/'));
+    assert.deepEqual(status, []);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('migrate-blueprint previews by default and backs up before rewriting with --apply', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+    const blueprintPath = path.join(repo, 'init', '_work', 'project-blueprint.json');
+
+    init('start');
+    const v1 = JSON.parse(fs.readFileSync(path.join(SKILL_DIR, 'templates', 'project-blueprint.example.json'), 'utf8'));
+    v1.version = 1;
+    v1.skills.includeSkills = ['legacy-skill'];
+    const original = JSON.stringify(v1, null, 2) + '\n';
+    fs.writeFileSync(blueprintPath, original, 'utf8');
+
+    const preview = JSON.parse(init('migrate-blueprint', '--format', 'json'));
+    assert.equal(preview.mode, 'dry-run');
+    assert.equal(fs.readFileSync(blueprintPath, 'utf8'), original);
+
+    const applied = JSON.parse(init('migrate-blueprint', '--apply', '--format', 'json'));
+    assert.equal(applied.mode, 'applied');
+    assert.equal(applied.backup, 'init/_work/project-blueprint.v1.bak.json');
+    assert.equal(fs.readFileSync(path.join(repo, applied.backup), 'utf8'), original);
+    const migrated = JSON.parse(fs.readFileSync(blueprintPath, 'utf8'));
+    assert.equal(migrated.version, 2);
+    assert.deepEqual(migrated.skills.includeSkillNames.slice(-1), ['legacy-skill']);
+    assert.equal('includeSkills' in migrated.skills, false);
+
+    assert.equal(JSON.parse(init('migrate-blueprint', '--apply', '--format', 'json')).mode, 'up-to-date');
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('interview --answers fills requirements.md, records mustAsk and drafts the blueprint', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+    const answersPath = path.join(repo, 'answers.json');
+    fs.writeFileSync(
+      answersPath,
+      JSON.stringify({
+        projectName: 'task-hub',
+        onePurpose: 'Help small teams track work',
+        userRoles: ['Member: creates tasks'],
+        mustRequirements: ['Users can create a Task'],
+        blueprint: { language: 'typescript', layout: 'single', database: 'postgres' }
+      })
+    );
+
+    init('start');
+    const reqPath = path.join(repo, 'init', '_work', 'stage-a-docs', 'requirements.md');
+    const before = fs.readFileSync(reqPath, 'utf8');
+    const preview = JSON.parse(init('interview', '--answers', 'answers.json', '--format', 'json'));
+    assert.equal(preview.mode, 'dry-run');
+    assert.equal(fs.readFileSync(reqPath, 'utf8'), before);
+
+    const res = JSON.parse(init('interview', '--answers', 'answers.json', '--apply', '--format', 'json'));
+    assert.equal(res.ok, true);
+    assert.match(fs.readFileSync(reqPath, 'utf8'), /^- R-001: Users can create a Task$/m);
+
+    const blueprint = JSON.parse(fs.readFileSync(path.join(repo, 'init', '_work', 'project-blueprint.json'), 'utf8'));
+    assert.equal(blueprint.project.name, 'task-hub');
+    assert.deepEqual(blueprint.capabilities.database, { enabled: true, kind: 'postgres' });
+
+    const state = JSON.parse(fs.readFileSync(path.join(repo, 'init', '_work', '.init-state.json'), 'utf8'));
+    const mustAsk = state['stage-a'].mustAsk;
+    assert.deepEqual(mustAsk.onePurpose, { ...mustAsk.onePurpose, asked: true, answered: true, writtenTo: 'init/_work/stage-a-docs/requirements.md' });
+    assert.equal(mustAsk.constraints.asked, false);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('approve --packet records the exported packet hash and refuses a stale packet', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+    const docsDir = path.join(repo, 'init', '_work', 'stage-a-docs');
+
+    init('start');
+    for (const [name, content] of Object.entries(STAGE_A_DOCS)) fs.writeFileSync(path.join(docsDir, name), content, 'utf8');
+    init('check-docs');
+    init('advance');
+
+    const exported = JSON.parse(init('export', '--out', 'init/_work/review.html', '--format', 'json'));
+    const html = fs.readFileSync(path.join(repo, 'init', '_work', 'review.html'), 'utf8');
+    assert.ok(html.includes(`content="${exported.hash}"`));
+
+    fs.appendFileSync(path.join(docsDir, 'requirements.md'), '- R-002: Users can delete a Task.\n');
+    const stale = spawnSync(process.execPath, [PIPELINE_REL, 'approve', '--stage', 'A', '--approver', 'test', '--packet', 'init/_work/review.html'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(stale.status, 1);
+    assert.match(stale.stderr + stale.stdout, /does not match the current Stage A docs \+ blueprint/);
+
+    const fresh = JSON.parse(init('export', '--out', 'init/_work/review.md', '--format', 'json'));
+    init('approve', '--stage', 'A', '--approver', 'test', '--packet', 'init/_work/review.md');
+    const state = JSON.parse(fs.readFileSync(path.join(repo, 'init', '_work', '.init-state.json'), 'utf8'));
+    assert.equal(state['stage-a'].approvedPacket.hash, fresh.hash);
+    assert.equal(state['stage-a'].approvedPacket.file, 'init/_work/review.md');
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('approve records an audit trail that status and advance check for drift', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+    const docsDir = path.join(repo, 'init', '_work', 'stage-a-docs');
+
+    init('start');
+    for (const [name, content] of Object.entries(STAGE_A_DOCS)) fs.writeFileSync(path.join(docsDir, name), content, 'utf8');
+    init('check-docs');
+    init('advance');
+    run(repo, 'git', ['config', 'user.name', 'Jane Doe']);
+    run(repo, 'git', ['config', 'user.email', 'jane@example.com']);
+    init('approve', '--stage', 'A', '--comment', 'Reviewed with product');
+
+    const state = JSON.parse(fs.readFileSync(path.join(repo, 'init', '_work', '.init-state.json'), 'utf8'));
+    const approval = state['stage-a'].approval;
+    assert.equal(approval.approver, 'Jane Doe <jane@example.com>');
+    assert.equal(approval.comment, 'Reviewed with product');
+    assert.deepEqual(Object.keys(approval.artifacts), Object.keys(STAGE_A_DOCS).map((n) => `init/_work/stage-a-docs/${n}`).sort());
+
+    fs.appendFileSync(path.join(docsDir, 'requirements.md'), '- R-002: Users can delete a Task.\n');
+    const status = JSON.parse(init('status', '--format', 'json'));
+    assert.deepEqual(status.approvals['stage-a'].changed, [{ path: 'init/_work/stage-a-docs/requirements.md', change: 'modified' }]);
+
+    const advance = spawnSync(process.execPath, [PIPELINE_REL, 'advance'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(advance.status, 3);
+    assert.match(advance.stderr, /re-approval is required before advancing/);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('evolve previews the steps a delta touches and applies them to the archived blueprint', { skip: noGit }, () => {
+  const repo = scratchRepo();
+  try {
+    const init = (...args) => run(repo, process.execPath, [PIPELINE_REL, ...args]);
+    const archived = path.join(repo, 'docs', 'project', 'overview', 'project-blueprint.json');
+    fs.mkdirSync(path.dirname(archived), { recursive: true });
+    fs.copyFileSync(path.join(SKILL_DIR, 'templates', 'project-blueprint.example.json'), archived);
+    run(repo, 'git', ['add', '-A']);
+    run(repo, 'git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'archive']);
+
+    const missing = spawnSync(process.execPath, [PIPELINE_REL, 'evolve'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /--delta <file> is required/);
+
+    fs.writeFileSync(path.join(repo, 'noop.json'), JSON.stringify({ repo: { layout: 'monorepo' } }));
+    assert.deepEqual(JSON.parse(init('evolve', '--delta', 'noop.json', '--format', 'json')).steps, []);
+
+    fs.writeFileSync(path.join(repo, 'delta.json'), JSON.stringify({ repo: { apps: [{ name: 'admin', kind: 'frontend' }] } }));
+    const preview = JSON.parse(init('evolve', '--delta', 'delta.json', '--format', 'json'));
+    assert.equal(preview.mode, 'dry-run');
+    assert.equal(preview.blueprint, 'docs/project/overview/project-blueprint.json');
+    assert.deepEqual(preview.changes, ['repo.apps']);
+    assert.deepEqual(preview.steps.map((s) => s.step), ['scaffold', 'configs', 'root-docs']);
+    assert.equal(run(repo, 'git', ['status', '--porcelain', '--untracked-files=no']), '', 'dry-run writes nothing');
+
+    const applied = JSON.parse(init('evolve', '--delta', 'delta.json', '--apply', '--skip-configs', '--format', 'json'));
+    assert.deepEqual(applied.steps.map((s) => s.step), ['scaffold', 'root-docs']);
+    assert.ok(fs.existsSync(path.join(repo, 'apps', 'admin', 'README.md')));
+    assert.deepEqual(JSON.parse(fs.readFileSync(archived, 'utf8')).repo.apps, [{ name: 'admin', kind: 'frontend' }]);
+
+    init('start');
+    const inProgress = spawnSync(process.execPath, [PIPELINE_REL, 'evolve', '--delta', 'delta.json'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(inProgress.status, 3);
+    assert.match(inProgress.stderr, /Initialization is still in progress/);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('--format json prints one envelope with the documented exit code, success or failure', () => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'init-pipeline-json-'));
+  try {
+    const json = (args, status) => {
+      const res = spawnSync(process.execPath, [path.join(SCRIPTS_DIR, 'init-pipeline.mjs'), ...args, '--repo-root', repo, '--format', 'json'], { encoding: 'utf8' });
+      assert.equal(res.status, status, res.stdout + res.stderr);
+      const env = JSON.parse(res.stdout);
+      assert.equal(env.exitCode, status);
+      return env;
+    };
+
+    assert.deepEqual(json(['bogus'], 2).errors, ['Unknown command: bogus']);
+    const scaffold = json(['scaffold'], 3);
+    assert.equal(scaffold.ok, false);
+    assert.deepEqual(scaffold.errors, ['Blueprint not found: init/_work/project-blueprint.json']);
+    assert.ok(scaffold.hints.length > 0);
+    assert.equal(scaffold.state, null);
+
+    const start = json(['start'], 0);
+    assert.deepEqual(Object.keys(start).slice(0, 8), ['command', 'ok', 'exitCode', 'errors', 'warnings', 'hints', 'actions', 'state']);
+    assert.ok(start.actions.some((a) => a.op === 'write' && a.path === 'init/_work/stage-a-docs/requirements.md'));
+    assert.equal(start.state.stage, 'A');
+
+    assert.equal(json(['advance'], 3).state.stage, 'A', 'Stage A is not validated yet');
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('trace prints the requirement matrix, fails on unknown traces and on warnings with --strict', () => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'init-pipeline-trace-'));
+  try {
+    const workDir = path.join(repo, 'init', '_work');
+    fs.mkdirSync(path.join(workDir, 'stage-a-docs'), { recursive: true });
+    fs.writeFileSync(
+      path.join(workDir, 'stage-a-docs', 'requirements.md'),
+      '# Requirements\n\n## Goals (MUST)\n- R-001: Users can create a Task.\n- R-002: Users can share a Task.\n'
+    );
+    const blueprint = JSON.parse(fs.readFileSync(path.join(SKILL_DIR, 'templates', 'project-blueprint.example.json'), 'utf8'));
+    const writeBlueprint = () => fs.writeFileSync(path.join(workDir, 'project-blueprint.json'), JSON.stringify(blueprint));
+    const trace = (args, status) => {
+      const res = spawnSync(process.execPath, [path.join(SCRIPTS_DIR, 'init-pipeline.mjs'), 'trace', '--repo-root', repo, ...args], { encoding: 'utf8' });
+      assert.equal(res.status, status, res.stdout + res.stderr);
+      return res.stdout;
+    };
+
+    blueprint.capabilities.backend.traces = ['R-001'];
+    writeBlueprint();
+    const text = trace([], 0);
+    assert.match(text, /R-001 +MUST +Users can create a Task\. +backend\n/);
+    assert.match(text, /R-002 +MUST +Users can share a Task\. +\(orphan\)\n/);
+    assert.match(text, /\[warn\] MUST requirement\(s\) without an enabled capability: R-002/);
+
+    const strict = JSON.parse(trace(['--strict', '--format', 'json'], 1));
+    assert.equal(strict.ok, false);
+    assert.deepEqual(strict.requirements.map((r) => [r.id, r.capabilities]), [['R-001', ['backend']], ['R-002', []]]);
+    assert.deepEqual(strict.orphans, ['R-002']);
+
+    blueprint.capabilities.frontend.traces = ['R-002', 'R-009'];
+    blueprint.capabilities.api.traces = ['R-001'];
+    blueprint.capabilities.database.traces = ['R-001'];
+    writeBlueprint();
+    const unknown = JSON.parse(trace(['--format', 'json'], 1));
+    assert.equal(unknown.errors.length, 1);
+    assert.match(unknown.errors[0], /R-009/);
+
+    blueprint.capabilities.frontend.traces = ['R-002'];
+    writeBlueprint();
+    assert.match(trace(['--strict'], 0), /\[ok\] Traceability check passed\.\n$/);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,246 @@
+/**
+ * Stage C apply journal (dependency-free)
+ *
+ * Records what `apply` changed so `undo-apply` can restore the pre-apply tree:
+ * - files created or overwritten (previous bytes are stored base64-encoded)
+ * - directories created (removed again on undo when empty)
+ * - directories removed inside snapshotted trees (e.g. wrapper roots reset by sync-skills)
+ *
+ * The journal is written in two steps: `beginApplyJournal()` snapshots the
+ * "before" state prior to any write (status: in-progress), and
+ * `finishApplyJournal()` keeps only the paths that actually changed and records
+ * their post-apply SHA-256 so undo can refuse when files were edited afterwards.
+ *
+ * Usage:
+ *   import { beginApplyJournal, finishApplyJournal } from './lib/apply-journal.mjs';
+ *
+ *   const journal = beginApplyJournal(repoRoot, { files, dirs, trees });
+ *   writeJournal(journalPath, journal);
+ *   // ...writes...
+ *   writeJournal(journalPath, finishApplyJournal(repoRoot, journal, 'completed'));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { sha256 } from './hash.mjs';
+
+export const APPLY_JOURNAL_VERSION = 1;
+
+function toRel(repoRoot, absPath) {
+  return path.relative(repoRoot, absPath).split(path.sep).join('/');
+}
+
+function toAbs(repoRoot, relPath) {
+  return path.join(repoRoot, ...relPath.split('/'));
+}
+
+function readBytes(absPath) {
+  try {
+    return fs.statSync(absPath).isFile() ? fs.readFileSync(absPath) : null;
+  } catch {
+    return null;
+  }
+}
+
+function isDir(absPath) {
+  try {
+    return fs.statSync(absPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function walkTree(rootAbs, files, dirs) {
+  if (!isDir(rootAbs)) return;
+  dirs.add(rootAbs);
+  for (const ent of fs.readdirSync(rootAbs, { withFileTypes: true })) {
+    const p = path.join(rootAbs, ent.name);
+    if (ent.isDirectory()) walkTree(p, files, dirs);
+    else if (ent.isFile()) files.add(p);
+  }
+}
+
+/** Missing directories from `dirAbs` up to (excluding) the repo root, outermost first. */
+function missingAncestors(repoRoot, dirAbs) {
+  const out = [];
+  let cur = path.resolve(dirAbs);
+  const root = path.resolve(repoRoot);
+  while (cur !== root && cur.startsWith(root + path.sep) && !fs.existsSync(cur)) {
+    out.unshift(cur);
+    cur = path.dirname(cur);
+  }
+  return out;
+}
+
+function depth(relPath) {
+  return relPath.split('/').length;
+}
+
+/**
+ * Snapshot the pre-apply state as an in-progress journal.
+ *
+ * @param {string} repoRoot
+ * @param {{ files?: string[], dirs?: string[], trees?: string[], stageC?: object | null }} targets
+ *   files: absolute file paths apply may write; dirs: absolute directories apply may create;
+ *   trees: absolute roots that are snapshotted recursively (written by child processes)
+ * @returns {object} Journal object (pass to finishApplyJournal)
+ */
+export function beginApplyJournal(repoRoot, targets = {}) {
+  const files = new Set((targets.files || []).map((p) => path.resolve(p)));
+  const treeDirs = new Set();
+  for (const t of targets.trees || []) walkTree(path.resolve(t), files, treeDirs);
+
+  const candidateDirs = new Set();
+  for (const d of targets.dirs || []) missingAncestors(repoRoot, d).forEach((p) => candidateDirs.add(p));
+  for (const f of files) missingAncestors(repoRoot, path.dirname(f)).forEach((p) => candidateDirs.add(p));
+
+  const before = {};
+  for (const f of files) {
+    const buf = readBytes(f);
+    before[toRel(repoRoot, f)] = buf == null ? null : buf.toString('base64');
+  }
+
+  return {
+    version: APPLY_JOURNAL_VERSION,
+    command: 'apply',
+    status: 'in-progress',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    stageC: targets.stageC ?? null,
+    trees: (targets.trees || []).map((t) => toRel(repoRoot, path.resolve(t))),
+    before,
+    treeDirs: Array.from(treeDirs).map((d) => toRel(repoRoot, d)).sort(),
+    candidateDirs: Array.from(candidateDirs).map((d) => toRel(repoRoot, d)).sort(),
+    files: [],
+    createdDirs: [],
+    removedDirs: []
+  };
+}
+
+/**
+ * Compare the current tree with the in-progress snapshot and keep only what changed.
+ *
+ * @param {string} repoRoot
+ * @param {object} journal - Result of beginApplyJournal() or readApplyJournal()
+ * @param {'completed' | 'failed'} status
+ * @returns {object} Finalized journal
+ */
+export function finishApplyJournal(repoRoot, journal, status) {
+  if (journal.status !== 'in-progress') return journal;
+
+  const afterFiles = new Set();
+  const afterTreeDirs = new Set();
+  for (const t of journal.trees) walkTree(toAbs(repoRoot, t), afterFiles, afterTreeDirs);
+
+  const paths = new Set(Object.keys(journal.before));
+  for (const f of afterFiles) paths.add(toRel(repoRoot, f));
+
+  const changed = [];
+  for (const rel of Array.from(paths).sort()) {
+    const beforeB64 = Object.prototype.hasOwnProperty.call(journal.before, rel) ? journal.before[rel] : null;
+    const beforeHash = beforeB64 == null ? null : sha256(Buffer.from(beforeB64, 'base64'));
+    const afterBuf = readBytes(toAbs(repoRoot, rel));
+    const afterHash = afterBuf == null ? null : sha256(afterBuf);
+    if (beforeHash === afterHash) continue;
+    changed.push({ path: rel, before: beforeB64, beforeSha256: beforeHash, afterSha256: afterHash });
+  }
+
+  const treeDirsBefore = new Set(journal.treeDirs);
+  const treeDirsAfter = new Set(Array.from(afterTreeDirs).map((d) => toRel(repoRoot, d)));
+  const createdDirs = new Set(journal.candidateDirs.filter((d) => isDir(toAbs(repoRoot, d))));
+  for (const d of treeDirsAfter) if (!treeDirsBefore.has(d)) createdDirs.add(d);
+  const removedDirs = Array.from(treeDirsBefore).filter((d) => !treeDirsAfter.has(d));
+
+  return {
+    version: journal.version,
+    command: journal.command,
+    status,
+    startedAt: journal.startedAt,
+    finishedAt: new Date().toISOString(),
+    stageC: journal.stageC,
+    files: changed,
+    createdDirs: Array.from(createdDirs).sort(),
+    removedDirs: removedDirs.sort()
+  };
+}
+
+export function readApplyJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return null;
+  const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  if (!journal || journal.version !== APPLY_JOURNAL_VERSION) {
+    throw new Error(`Unsupported apply journal version: ${journal && journal.version}`);
+  }
+  return journal;
+}
+
+export function writeJournal(journalPath, journal) {
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Plan the undo of a finalized journal.
+ * `conflicts` lists paths whose current content no longer matches the post-apply hash.
+ *
+ * @returns {{ restore: string[], remove: string[], rmdirs: string[], mkdirs: string[], conflicts: { path: string, reason: string }[] }}
+ */
+export function planUndo(repoRoot, journal) {
+  const restore = [];
+  const remove = [];
+  const conflicts = [];
+
+  for (const f of journal.files) {
+    const buf = readBytes(toAbs(repoRoot, f.path));
+    const current = buf == null ? null : sha256(buf);
+    if (current !== f.afterSha256) {
+      const reason = current == null ? 'deleted since apply' : f.afterSha256 == null ? 'recreated since apply' : 'modified since apply';
+      conflicts.push({ path: f.path, reason });
+      continue;
+    }
+    if (f.before == null) remove.push(f.path);
+    else restore.push(f.path);
+  }
+
+  // Deepest first so parents are empty by the time they are checked.
+  const rmdirs = journal.createdDirs.slice().sort((a, b) => depth(b) - depth(a) || b.localeCompare(a));
+  const mkdirs = journal.removedDirs.slice().sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+  return { restore, remove, rmdirs, mkdirs, conflicts };
+}
+
+/**
+ * Execute a plan from planUndo(). Created directories are only removed when empty,
+ * so unrelated files added under them since apply are never deleted.
+ *
+ * @returns {{ restored: string[], removed: string[], removedDirs: string[], keptDirs: string[], recreatedDirs: string[] }}
+ */
+export function applyUndo(repoRoot, journal, plan) {
+  const byPath = new Map(journal.files.map((f) => [f.path, f]));
+  const res = { restored: [], removed: [], removedDirs: [], keptDirs: [], recreatedDirs: [] };
+
+  for (const rel of plan.remove) {
+    fs.rmSync(toAbs(repoRoot, rel), { force: true });
+    res.removed.push(rel);
+  }
+  for (const rel of plan.mkdirs) {
+    fs.mkdirSync(toAbs(repoRoot, rel), { recursive: true });
+    res.recreatedDirs.push(rel);
+  }
+  for (const rel of plan.restore) {
+    const abs = toAbs(repoRoot, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, Buffer.from(byPath.get(rel).before, 'base64'));
+    res.restored.push(rel);
+  }
+  for (const rel of plan.rmdirs) {
+    const abs = toAbs(repoRoot, rel);
+    if (!isDir(abs)) continue;
+    if (fs.readdirSync(abs).length > 0) {
+      res.keptDirs.push(rel);
+      continue;
+    }
+    fs.rmdirSync(abs);
+    res.removedDirs.push(rel);
+  }
+  return res;
+}
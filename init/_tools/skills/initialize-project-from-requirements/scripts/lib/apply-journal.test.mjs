@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  APPLY_JOURNAL_VERSION,
+  applyUndo,
+  beginApplyJournal,
+  finishApplyJournal,
+  planUndo,
+  readApplyJournal,
+  writeJournal
+} from './apply-journal.mjs';
+
+function withRepo(files, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'apply-journal-'));
+  try {
+    for (const [rel, content] of Object.entries(files)) write(repoRoot, rel, content);
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+function write(repoRoot, rel, content) {
+  const abs = path.join(repoRoot, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+}
+
+const read = (repoRoot, rel) => fs.readFileSync(path.join(repoRoot, rel), 'utf8');
+const exists = (repoRoot, rel) => fs.existsSync(path.join(repoRoot, rel));
+
+test('the journal keeps only changed files and undo restores the previous bytes', () => {
+  withRepo({ 'README.md': '# Before\n', 'AGENTS.md': 'same\n' }, (repoRoot) => {
+    const abs = (rel) => path.join(repoRoot, rel);
+    const begun = beginApplyJournal(repoRoot, {
+      files: [abs('README.md'), abs('AGENTS.md'), abs('apps/web/README.md')],
+      dirs: [abs('apps/web/src')],
+      stageC: { wrappersSynced: false }
+    });
+    assert.equal(begun.status, 'in-progress');
+    assert.deepEqual(begun.candidateDirs, ['apps', 'apps/web', 'apps/web/src']);
+
+    write(repoRoot, 'README.md', '# After\n');
+    write(repoRoot, 'apps/web/README.md', '# web\n');
+    fs.mkdirSync(abs('apps/web/src'));
+    const journal = finishApplyJournal(repoRoot, begun, 'completed');
+
+    assert.equal(journal.status, 'completed');
+    assert.deepEqual(journal.stageC, { wrappersSynced: false });
+    assert.deepEqual(journal.files.map((f) => [f.path, f.before == null]), [['README.md', false], ['apps/web/README.md', true]]);
+    assert.deepEqual(journal.createdDirs, ['apps', 'apps/web', 'apps/web/src']);
+    assert.equal(finishApplyJournal(repoRoot, journal, 'failed'), journal, 'finalized journals are returned as-is');
+
+    const plan = planUndo(repoRoot, journal);
+    assert.deepEqual(plan.conflicts, []);
+    assert.deepEqual(plan.rmdirs, ['apps/web/src', 'apps/web', 'apps']);
+    const res = applyUndo(repoRoot, journal, plan);
+
+    assert.deepEqual(res.restored, ['README.md']);
+    assert.deepEqual(res.removed, ['apps/web/README.md']);
+    assert.equal(read(repoRoot, 'README.md'), '# Before\n');
+    assert.equal(read(repoRoot, 'AGENTS.md'), 'same\n');
+    assert.ok(!exists(repoRoot, 'apps'));
+  });
+});
+
+test('undo refuses files edited, deleted or recreated after apply', () => {
+  withRepo({ 'README.md': 'v1\n', 'AGENTS.md': 'v1\n', 'gone.md': 'v1\n' }, (repoRoot) => {
+    const files = ['README.md', 'AGENTS.md', 'gone.md', 'new.md'].map((rel) => path.join(repoRoot, rel));
+    const begun = beginApplyJournal(repoRoot, { files });
+    write(repoRoot, 'README.md', 'v2\n');
+    write(repoRoot, 'AGENTS.md', 'v2\n');
+    fs.rmSync(path.join(repoRoot, 'gone.md'));
+    const journal = finishApplyJournal(repoRoot, begun, 'completed');
+
+    write(repoRoot, 'README.md', 'hand edit\n');
+    fs.rmSync(path.join(repoRoot, 'AGENTS.md'));
+    write(repoRoot, 'gone.md', 'back again\n');
+    const plan = planUndo(repoRoot, journal);
+
+    assert.deepEqual(plan.conflicts, [
+      { path: 'AGENTS.md', reason: 'deleted since apply' },
+      { path: 'README.md', reason: 'modified since apply' },
+      { path: 'gone.md', reason: 'recreated since apply' }
+    ]);
+    assert.deepEqual([plan.restore, plan.remove], [[], []]);
+  });
+});
+
+test('snapshotted trees restore removed files and directories and drop new ones', () => {
+  withRepo({ '.codex/skills/a/SKILL.md': 'a\n', '.codex/skills/b/SKILL.md': 'b\n' }, (repoRoot) => {
+    const root = path.join(repoRoot, '.codex', 'skills');
+    const begun = beginApplyJournal(repoRoot, { trees: [root] });
+    assert.deepEqual(begun.treeDirs, ['.codex/skills', '.codex/skills/a', '.codex/skills/b']);
+
+    // A reset sync wipes the root and writes a different set of stubs.
+    fs.rmSync(root, { recursive: true });
+    write(repoRoot, '.codex/skills/a/SKILL.md', 'a2\n');
+    write(repoRoot, '.codex/skills/c/SKILL.md', 'c\n');
+    const journal = finishApplyJournal(repoRoot, begun, 'completed');
+
+    assert.deepEqual(journal.createdDirs, ['.codex/skills/c']);
+    assert.deepEqual(journal.removedDirs, ['.codex/skills/b']);
+    applyUndo(repoRoot, journal, planUndo(repoRoot, journal));
+
+    assert.equal(read(repoRoot, '.codex/skills/a/SKILL.md'), 'a\n');
+    assert.equal(read(repoRoot, '.codex/skills/b/SKILL.md'), 'b\n');
+    assert.ok(!exists(repoRoot, '.codex/skills/c'));
+  });
+});
+
+test('undo keeps created directories that gained unrelated files', () => {
+  withRepo({}, (repoRoot) => {
+    const begun = beginApplyJournal(repoRoot, { files: [path.join(repoRoot, 'apps/api/README.md')] });
+    write(repoRoot, 'apps/api/README.md', '# api\n');
+    const journal = finishApplyJournal(repoRoot, begun, 'failed');
+    write(repoRoot, 'apps/api/notes.md', 'mine\n');
+
+    const res = applyUndo(repoRoot, journal, planUndo(repoRoot, journal));
+    assert.deepEqual(res.keptDirs, ['apps/api', 'apps']);
+    assert.equal(read(repoRoot, 'apps/api/notes.md'), 'mine\n');
+  });
+});
+
+test('readApplyJournal returns null without a journal and rejects other versions', () => {
+  withRepo({}, (repoRoot) => {
+    const journalPath = path.join(repoRoot, 'init', '_work', '.apply-journal.json');
+    assert.equal(readApplyJournal(journalPath), null);
+
+    const journal = finishApplyJournal(repoRoot, beginApplyJournal(repoRoot), 'completed');
+    writeJournal(journalPath, journal);
+    assert.deepEqual(readApplyJournal(journalPath), journal);
+
+    writeJournal(journalPath, { ...journal, version: APPLY_JOURNAL_VERSION + 1 });
+    assert.throws(() => readApplyJournal(journalPath), /Unsupported apply journal version: 2/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Approval audit records (dependency-free)
+ *
+ * `approve --stage <A|B|C>` stores who signed off, when, with what comment, and the SHA-256
+ * of every artifact they approved:
+ *   stage-a.approval.artifacts   Stage A docs
+ *   stage-b.approval.artifacts   blueprint
+ *   stage-c.approval             approver/comment only (the scaffold is the repo itself)
+ *
+ * The approver is `--approver <name>`, else the git identity (`user.name <user.email>`).
+ * `status` warns and `advance` refuses when an approved artifact changed or disappeared
+ * after approval; re-approving the stage records fresh hashes.
+ *
+ * Usage:
+ *   import { approvalDrift, buildApproval, resolveApprover } from './lib/approvals.mjs';
+ *
+ *   const who = resolveApprover(repoRoot, opts['approver']);      // { name, source } | null
+ *   state['stage-a'].approval = buildApproval({ approver: who, comment, files });
+ *   approvalDrift(repoRoot, state['stage-a'].approval);           // [{ path, change: 'modified' | 'missing' }]
+ */
+
+import childProcess from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { contentHash } from './hash.mjs';
+
+/** Path -> hash map of `{ path, content }` entries, keys sorted. */
+export function artifactHashes(files) {
+  const out = {};
+  for (const f of [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))) {
+    out[f.path] = contentHash(f.content);
+  }
+  return out;
+}
+
+function gitConfig(repoRoot, key) {
+  const res = childProcess.spawnSync('git', ['config', '--get', key], { cwd: repoRoot, encoding: 'utf8', timeout: 5000 });
+  if (res.error || res.status !== 0) return '';
+  return String(res.stdout || '').trim();
+}
+
+/**
+ * Who is approving: the explicit name, else "user.name <user.email>" from git config.
+ * Returns null when neither is available.
+ */
+export function resolveApprover(repoRoot, explicit) {
+  const name = String(explicit ?? '').trim();
+  if (name) return { name, source: 'flag' };
+  const gitName = gitConfig(repoRoot, 'user.name');
+  const gitEmail = gitConfig(repoRoot, 'user.email');
+  if (!gitName && !gitEmail) return null;
+  return { name: gitName && gitEmail ? `${gitName} <${gitEmail}>` : gitName || gitEmail, source: 'git' };
+}
+
+/**
+ * The approval record stored on a stage.
+ *
+ * @param {{ approver: { name: string, source: string }, comment?: string | null, files?: { path: string, content: string | Buffer }[] | null }} input
+ */
+export function buildApproval({ approver, comment = null, files = null }) {
+  const record = {
+    approver: approver.name,
+    approverSource: approver.source,
+    comment: comment && String(comment).trim() ? String(comment).trim() : null,
+    approvedAt: new Date().toISOString()
+  };
+  if (files) record.artifacts = artifactHashes(files);
+  return record;
+}
+
+/** Approved artifacts that no longer match their recorded hash. */
+export function approvalDrift(repoRoot, approval) {
+  if (!approval || !approval.artifacts) return [];
+  const out = [];
+  for (const [rel, hash] of Object.entries(approval.artifacts)) {
+    const abs = path.join(repoRoot, rel);
+    if (!fs.existsSync(abs)) {
+      out.push({ path: rel, change: 'missing' });
+    } else if (contentHash(fs.readFileSync(abs)) !== hash) {
+      out.push({ path: rel, change: 'modified' });
+    }
+  }
+  return out;
+}
+
+/** One-line summary: "Jane Doe <jane@example.com> at 2026-01-01T00:00:00.000Z: looks good". */
+export function describeApproval(approval) {
+  if (!approval) return '';
+  return `${approval.approver} at ${approval.approvedAt}${approval.comment ? `: ${approval.comment}` : ''}`;
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import { approvalDrift, artifactHashes, buildApproval, describeApproval, resolveApprover } from './approvals.mjs';
+import { contentHash } from './hash.mjs';
+
+function withRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+  try {
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+const noGit = spawnSync('git', ['--version']).status !== 0 && 'git not available';
+
+test('artifactHashes keys files by path in sorted order', () => {
+  const hashes = artifactHashes([
+    { path: 'b.md', content: 'b' },
+    { path: 'a.md', content: Buffer.from('a') }
+  ]);
+  assert.deepEqual(Object.keys(hashes), ['a.md', 'b.md']);
+  assert.equal(hashes['a.md'], contentHash('a'));
+});
+
+test('buildApproval records approver, trimmed comment and artifact hashes', () => {
+  const approval = buildApproval({ approver: { name: 'Jane', source: 'flag' }, comment: '  looks good ', files: [{ path: 'x.md', content: 'x' }] });
+
+  assert.deepEqual({ ...approval, approvedAt: null }, {
+    approver: 'Jane',
+    approverSource: 'flag',
+    comment: 'looks good',
+    approvedAt: null,
+    artifacts: { 'x.md': contentHash('x') }
+  });
+  assert.ok(!Number.isNaN(Date.parse(approval.approvedAt)));
+  assert.equal(describeApproval(approval), `Jane at ${approval.approvedAt}: looks good`);
+
+  const bare = buildApproval({ approver: { name: 'Jane', source: 'git' }, comment: '   ' });
+  assert.equal(bare.comment, null);
+  assert.equal('artifacts' in bare, false, 'Stage C approvals carry no artifacts');
+  assert.equal(describeApproval(null), '');
+});
+
+test('approvalDrift reports modified and missing artifacts', () => {
+  withRepo((repoRoot) => {
+    for (const name of ['a.md', 'b.md', 'c.md']) fs.writeFileSync(path.join(repoRoot, name), name);
+    const files = ['a.md', 'b.md', 'c.md'].map((p) => ({ path: p, content: fs.readFileSync(path.join(repoRoot, p)) }));
+    const approval = buildApproval({ approver: { name: 'Jane', source: 'flag' }, files });
+    assert.deepEqual(approvalDrift(repoRoot, approval), []);
+
+    fs.writeFileSync(path.join(repoRoot, 'a.md'), 'edited');
+    fs.rmSync(path.join(repoRoot, 'c.md'));
+    assert.deepEqual(approvalDrift(repoRoot, approval), [
+      { path: 'a.md', change: 'modified' },
+      { path: 'c.md', change: 'missing' }
+    ]);
+    assert.deepEqual(approvalDrift(repoRoot, { approver: 'Jane' }), []);
+  });
+});
+
+test('resolveApprover prefers the flag and falls back to the git identity', { skip: noGit }, () => {
+  withRepo((repoRoot) => {
+    assert.deepEqual(resolveApprover(repoRoot, ' Alex '), { name: 'Alex', source: 'flag' });
+
+    spawnSync('git', ['init', '-q'], { cwd: repoRoot });
+    spawnSync('git', ['config', 'user.name', 'Jane Doe'], { cwd: repoRoot });
+    spawnSync('git', ['config', 'user.email', 'jane@example.com'], { cwd: repoRoot });
+    assert.deepEqual(resolveApprover(repoRoot, ''), { name: 'Jane Doe <jane@example.com>', source: 'git' });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Blueprint deltas for `evolve` (dependency-free)
+ *
+ * A delta is a JSON merge patch (RFC 7386) against the archived blueprint:
+ *   objects merge key by key, `null` removes a key, arrays and scalars replace.
+ *
+ *   { "capabilities": { "database": { "enabled": true, "kind": "postgres" } } }
+ *
+ * `affectedSteps()` maps the changed paths onto the Stage C steps that read them, so
+ * `evolve` reruns only those:
+ *   scaffold    repo.layout / repo.apps / repo.packages, capabilities.*
+ *   configs     project.*, repo.*, capabilities.*, quality.* (config + container files, create-only, like apply)
+ *   manifest    skills.*  (sync-manifest.json)
+ *   wrappers    skills.*  (sync-skills.mjs)
+ *   root-docs   project.*, repo.*, capabilities.*  (README/AGENTS managed regions)
+ *
+ * Usage:
+ *   import { affectedSteps, applyMergePatch, changedPaths } from './lib/blueprint-delta.mjs';
+ *
+ *   const next = applyMergePatch(blueprint, delta);
+ *   const changes = changedPaths(blueprint, next);   // ['capabilities.database.enabled', ...]
+ *   affectedSteps(changes);                          // [{ step: 'scaffold', paths: [...] }, ...]
+ */
+
+export const EVOLVE_STEPS = ['scaffold', 'configs', 'manifest', 'wrappers', 'root-docs'];
+
+/** Path prefixes (dotted) that make a step rerun. */
+const STEP_TRIGGERS = {
+  scaffold: ['repo.layout', 'repo.apps', 'repo.packages', 'capabilities'],
+  configs: ['project', 'repo', 'capabilities', 'quality'],
+  manifest: ['skills'],
+  wrappers: ['skills'],
+  'root-docs': ['project', 'repo', 'capabilities']
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** RFC 7386 merge patch. Returns a new value; neither input is modified. */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+  const out = isPlainObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete out[key];
+    else out[key] = applyMergePatch(out[key], value);
+  }
+  return out;
+}
+
+/** Dotted paths of the leaves that differ between two blueprints (arrays compare as a whole), sorted. */
+export function changedPaths(before, after, prefix = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap((k) => changedPaths(before[k], after[k], prefix ? `${prefix}.${k}` : k)).sort();
+  }
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [prefix || '(root)'];
+}
+
+function matches(changePath, trigger) {
+  return changePath === trigger || changePath.startsWith(`${trigger}.`);
+}
+
+/** Steps to rerun for the changed paths, in EVOLVE_STEPS order: [{ step, paths }]. */
+export function affectedSteps(changes) {
+  const out = [];
+  for (const step of EVOLVE_STEPS) {
+    const paths = changes.filter((c) => c === '(root)' || STEP_TRIGGERS[step].some((t) => matches(c, t)));
+    if (paths.length > 0) out.push({ step, paths });
+  }
+  return out;
+}
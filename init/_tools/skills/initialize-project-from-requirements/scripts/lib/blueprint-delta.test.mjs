@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EVOLVE_STEPS, affectedSteps, applyMergePatch, changedPaths } from './blueprint-delta.mjs';
+
+const steps = (changes) => affectedSteps(changes).map((s) => s.step);
+
+test('applyMergePatch merges objects, removes null keys and replaces arrays and scalars', () => {
+  const before = { project: { name: 'p', domain: 'x' }, skills: { packs: ['workflows', 'backend'] } };
+  const delta = { project: { domain: null, description: 'd' }, skills: { packs: ['workflows'] }, quality: { ci: { enabled: true } } };
+  const after = applyMergePatch(before, delta);
+
+  assert.deepEqual(after, {
+    project: { name: 'p', description: 'd' },
+    skills: { packs: ['workflows'] },
+    quality: { ci: { enabled: true } }
+  });
+  assert.deepEqual(before, { project: { name: 'p', domain: 'x' }, skills: { packs: ['workflows', 'backend'] } }, 'the target is not modified');
+  assert.notEqual(applyMergePatch(before, {}).project, before.project, 'the result is a copy');
+});
+
+test('applyMergePatch lets a non-object patch replace the target and an object patch replace a scalar', () => {
+  assert.deepEqual(applyMergePatch({ a: 1 }, ['x']), ['x']);
+  assert.equal(applyMergePatch({ a: 1 }, 'x'), 'x');
+  assert.deepEqual(applyMergePatch({ repo: 'single' }, { repo: { layout: 'monorepo' } }), { repo: { layout: 'monorepo' } });
+  assert.deepEqual(applyMergePatch({ a: 1 }, { b: null }), { a: 1 }, 'removing a missing key is a no-op');
+});
+
+test('changedPaths lists changed leaves sorted, comparing arrays as a whole', () => {
+  const before = { repo: { layout: 'single', apps: [{ name: 'web' }] }, capabilities: { database: { enabled: false } } };
+  const after = {
+    repo: { layout: 'single', apps: [{ name: 'web' }, { name: 'api' }] },
+    capabilities: { database: { enabled: true, kind: 'postgres' } },
+    project: { name: 'p' }
+  };
+
+  assert.deepEqual(changedPaths(before, after), [
+    'capabilities.database.enabled',
+    'capabilities.database.kind',
+    'project',
+    'repo.apps'
+  ]);
+  assert.deepEqual(changedPaths(before, structuredClone(before)), []);
+  assert.deepEqual(changedPaths({ a: 1 }, ['a']), ['(root)']);
+});
+
+test('affectedSteps reruns only the steps that read the changed paths, in step order', () => {
+  assert.deepEqual(affectedSteps(['skills.packs']), [
+    { step: 'manifest', paths: ['skills.packs'] },
+    { step: 'wrappers', paths: ['skills.packs'] }
+  ]);
+  assert.deepEqual(steps(['capabilities.database.enabled']), ['scaffold', 'configs', 'root-docs']);
+  assert.deepEqual(steps(['quality.ci.provider']), ['configs']);
+  assert.deepEqual(steps(['repo.packageManager']), ['configs', 'root-docs'], 'only layout and workspaces touch the scaffold');
+  assert.deepEqual(steps(['repo.apps', 'project.description']), ['scaffold', 'configs', 'root-docs']);
+  assert.deepEqual(affectedSteps(['repo.apps', 'project.description'])[0].paths, ['repo.apps']);
+});
+
+test('affectedSteps matches whole path segments and treats a root change as touching every step', () => {
+  assert.deepEqual(steps(['skillset']), []);
+  assert.deepEqual(steps(['repo.appsExtra']), ['configs', 'root-docs']);
+  assert.deepEqual(steps(['(root)']), EVOLVE_STEPS);
+  assert.deepEqual(affectedSteps([]), []);
+});
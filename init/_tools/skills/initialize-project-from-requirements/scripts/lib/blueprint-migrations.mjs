@@ -0,0 +1,86 @@
+/**
+ * Blueprint version migrations (dependency-free)
+ *
+ * Each registry step upgrades `project-blueprint.json` by exactly one version.
+ * Steps are pure: they receive a deep copy and return the migrated blueprint plus
+ * human-readable change notes. `templates/project-blueprint.schema.json` always
+ * describes CURRENT_BLUEPRINT_VERSION.
+ *
+ * Adding a step:
+ *   1. Append `{ from: N, to: N + 1, description, migrate(bp) }` to BLUEPRINT_MIGRATIONS.
+ *   2. Update the schema (and `version.const`) and templates/project-blueprint.example.json.
+ *
+ * Usage:
+ *   import { planBlueprintMigration } from './lib/blueprint-migrations.mjs';
+ *
+ *   const plan = planBlueprintMigration(blueprint);
+ *   if (plan.error) throw new Error(plan.error);
+ *   console.log(plan.from, '->', plan.to, plan.steps.map((s) => s.changes));
+ */
+
+function mergeNameLists(skills, canonical, legacy, changes) {
+  if (!Object.prototype.hasOwnProperty.call(skills, legacy)) return;
+  const legacyList = Array.isArray(skills[legacy]) ? skills[legacy] : [];
+  const current = Array.isArray(skills[canonical]) ? skills[canonical] : [];
+  const merged = Array.from(new Set([...current, ...legacyList]));
+  delete skills[legacy];
+  skills[canonical] = merged;
+  changes.push(`skills.${legacy} -> skills.${canonical} (${merged.length} name(s))`);
+}
+
+export const BLUEPRINT_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Fold legacy skills.includeSkills / skills.excludeSkills into includeSkillNames / excludeSkillNames',
+    migrate(bp) {
+      const changes = [];
+      if (bp.skills && typeof bp.skills === 'object' && !Array.isArray(bp.skills)) {
+        mergeNameLists(bp.skills, 'includeSkillNames', 'includeSkills', changes);
+        mergeNameLists(bp.skills, 'excludeSkillNames', 'excludeSkills', changes);
+      }
+      return { blueprint: bp, changes };
+    }
+  }
+];
+
+export const CURRENT_BLUEPRINT_VERSION = BLUEPRINT_MIGRATIONS.reduce((max, m) => Math.max(max, m.to), 1);
+
+/** Blueprint version as an integer, or null when missing/invalid. */
+export function blueprintVersion(blueprint) {
+  const v = blueprint && typeof blueprint === 'object' ? blueprint.version : undefined;
+  return Number.isInteger(v) ? v : null;
+}
+
+/**
+ * Compute the migration chain from the blueprint's version to CURRENT_BLUEPRINT_VERSION.
+ *
+ * @param {object} blueprint - Parsed blueprint (not mutated)
+ * @returns {{
+ *   from: number | null,
+ *   to: number,
+ *   steps: { from: number, to: number, description: string, changes: string[] }[],
+ *   blueprint: object | null,
+ *   error: string | null
+ * }}
+ */
+export function planBlueprintMigration(blueprint) {
+  const to = CURRENT_BLUEPRINT_VERSION;
+  const from = blueprintVersion(blueprint);
+  const fail = (error) => ({ from, to, steps: [], blueprint: null, error });
+
+  if (from == null || from < 1) return fail('Blueprint.version must be an integer >= 1.');
+  if (from > to) return fail(`Blueprint is v${from}, newer than this init kit supports (v${to}).`);
+
+  let current = structuredClone(blueprint);
+  const steps = [];
+  for (let v = from; v < to; v++) {
+    const step = BLUEPRINT_MIGRATIONS.find((m) => m.from === v);
+    if (!step) return fail(`No migration registered from v${v}.`);
+    const res = step.migrate(current);
+    current = res.blueprint;
+    current.version = step.to;
+    steps.push({ from: step.from, to: step.to, description: step.description, changes: res.changes });
+  }
+  return { from, to, steps, blueprint: current, error: null };
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BLUEPRINT_MIGRATIONS, CURRENT_BLUEPRINT_VERSION, blueprintVersion, planBlueprintMigration } from './blueprint-migrations.mjs';
+
+test('the registry is a gap-free chain ending at the current version', () => {
+  BLUEPRINT_MIGRATIONS.forEach((m, i) => {
+    assert.equal(m.to, m.from + 1);
+    assert.equal(m.from, i + 1);
+  });
+  assert.equal(CURRENT_BLUEPRINT_VERSION, BLUEPRINT_MIGRATIONS.at(-1).to);
+});
+
+test('blueprintVersion accepts integers only', () => {
+  assert.equal(blueprintVersion({ version: 2 }), 2);
+  assert.equal(blueprintVersion({ version: '2' }), null);
+  assert.equal(blueprintVersion({ version: 1.5 }), null);
+  assert.equal(blueprintVersion(null), null);
+});
+
+test('v1 legacy skill lists are merged into the canonical keys without mutating the input', () => {
+  const v1 = {
+    version: 1,
+    skills: { includeSkillNames: ['a'], includeSkills: ['b', 'a'], excludeSkills: ['c'] }
+  };
+  const snapshot = structuredClone(v1);
+  const plan = planBlueprintMigration(v1);
+
+  assert.equal(plan.error, null);
+  assert.deepEqual([plan.from, plan.to], [1, CURRENT_BLUEPRINT_VERSION]);
+  assert.deepEqual(plan.steps[0].changes, [
+    'skills.includeSkills -> skills.includeSkillNames (2 name(s))',
+    'skills.excludeSkills -> skills.excludeSkillNames (1 name(s))'
+  ]);
+  assert.deepEqual(plan.blueprint.skills, { includeSkillNames: ['a', 'b'], excludeSkillNames: ['c'] });
+  assert.equal(plan.blueprint.version, CURRENT_BLUEPRINT_VERSION);
+  assert.deepEqual(v1, snapshot);
+});
+
+test('a v1 blueprint without legacy keys only bumps the version', () => {
+  const plan = planBlueprintMigration({ version: 1, skills: { packs: ['workflows'] } });
+  assert.deepEqual(plan.steps.map((s) => s.changes), [[]]);
+  assert.deepEqual(plan.blueprint, { version: 2, skills: { packs: ['workflows'] } });
+});
+
+test('current blueprints need no steps; missing or future versions are errors', () => {
+  assert.deepEqual(planBlueprintMigration({ version: CURRENT_BLUEPRINT_VERSION }).steps, []);
+  assert.equal(planBlueprintMigration({}).error, 'Blueprint.version must be an integer >= 1.');
+  assert.equal(planBlueprintMigration({ version: 0 }).error, 'Blueprint.version must be an integer >= 1.');
+  assert.equal(
+    planBlueprintMigration({ version: CURRENT_BLUEPRINT_VERSION + 1 }).error,
+    `Blueprint is v${CURRENT_BLUEPRINT_VERSION + 1}, newer than this init kit supports (v${CURRENT_BLUEPRINT_VERSION}).`
+  );
+});
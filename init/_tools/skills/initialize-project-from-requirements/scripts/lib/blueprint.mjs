@@ -0,0 +1,240 @@
+/**
+ * Blueprint checks and skill pack recommendations (Stage B)
+ *
+ * `validateBlueprint` checks the blueprint against templates/project-blueprint.schema.json plus
+ * the semantic rules the schema cannot express (workspaces, container stacks, packs).
+ * Pack recommendations come from the blueprint capabilities; the registry is lib/packs.mjs.
+ *
+ * Usage:
+ *   import { missingRecommendedPacks, recommendedPacksFromBlueprint, validateBlueprint } from './lib/blueprint.mjs';
+ *   import { loadPackRegistry } from './lib/packs.mjs';
+ *
+ *   const v = validateBlueprint(blueprint, repoRoot);
+ *   if (!v.ok) console.log(v.errors.join('\n'));
+ *   console.log(missingRecommendedPacks(loadPackRegistry(repoRoot), recommendedPacksFromBlueprint(blueprint), v.packs));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { CURRENT_BLUEPRINT_VERSION, blueprintVersion, planBlueprintMigration } from './blueprint-migrations.mjs';
+import { capabilityScaffold } from './capability-scaffold.mjs';
+import { EXIT } from './cli-output.mjs';
+import { die, readJson } from './cli.mjs';
+import {
+  getConfigTemplateDir,
+  listWorkspaceTemplates,
+  resolvePackageManager,
+  supportedConfigStacks
+} from './config-templates.mjs';
+import { containerPlan, containerizeEnabled, supportedContainerStacks } from './container-templates.mjs';
+import { formatSchemaError, validateSchema } from './json-schema.mjs';
+import { corePackOrder, describePackProblems, loadPackRegistry, resolvePacks } from './packs.mjs';
+import { ARCHIVE_DIR_DEFAULT_REL, TEMPLATES_DIR, resolvePath, toPosixPath } from './workdir.mjs';
+import { hasDeclaredWorkspaces, listWorkspaces, workspaceProblems } from './workspaces.mjs';
+
+export function uniq(arr) {
+  return Array.from(new Set(arr));
+}
+
+function packOrder() {
+  return corePackOrder();
+}
+
+export function normalizePackList(packs) {
+  const cleaned = (packs || [])
+    .filter((p) => typeof p === 'string')
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const order = packOrder();
+  const ordered = [];
+  for (const p of order) {
+    if (cleaned.includes(p)) ordered.push(p);
+  }
+  for (const p of cleaned) {
+    if (!ordered.includes(p)) ordered.push(p);
+  }
+  return uniq(ordered);
+}
+
+const BLUEPRINT_SCHEMA_PATH = path.join(TEMPLATES_DIR, 'project-blueprint.schema.json');
+
+let blueprintSchemaCache = null;
+
+function loadBlueprintSchema() {
+  if (!blueprintSchemaCache) blueprintSchemaCache = readJson(BLUEPRINT_SCHEMA_PATH);
+  return blueprintSchemaCache;
+}
+
+/**
+ * Two layers: (1) structural validation against templates/project-blueprint.schema.json
+ * (errors carry JSON pointers), (2) semantic checks the schema cannot express
+ * (cross-field consistency, pack registry resolution).
+ */
+export function validateBlueprint(blueprint, repoRoot) {
+  const errors = [];
+  const warnings = [];
+
+  // The schema only describes the current version. An older blueprint whose migration changes
+  // nothing but `version` is checked as its migrated copy; one that still uses legacy keys must be migrated first.
+  const version = blueprintVersion(blueprint);
+  let schemaTarget = blueprint;
+  if (version != null && version > CURRENT_BLUEPRINT_VERSION) {
+    errors.push(`Blueprint is v${version}, newer than this init kit supports (v${CURRENT_BLUEPRINT_VERSION}).`);
+    return { ok: false, errors, warnings, schemaErrors: [], outdated: false };
+  }
+  if (version != null && version < CURRENT_BLUEPRINT_VERSION) {
+    const plan = planBlueprintMigration(blueprint);
+    const pending = plan.error ? [plan.error] : plan.steps.flatMap((s) => s.changes);
+    if (pending.length > 0) {
+      errors.push(
+        `Blueprint is v${version} (current: v${CURRENT_BLUEPRINT_VERSION}) and needs migrating (${pending.join('; ')}). Run: node init/_tools/init.mjs migrate-blueprint --apply`
+      );
+      return { ok: false, errors, warnings, schemaErrors: [], outdated: true };
+    }
+    warnings.push(`Blueprint is v${version} (current: v${CURRENT_BLUEPRINT_VERSION}); accepted as-is. Run: node init/_tools/init.mjs migrate-blueprint --apply to bump the version.`);
+    schemaTarget = plan.blueprint;
+  }
+
+  const schemaErrors = validateSchema(loadBlueprintSchema(), schemaTarget);
+  for (const e of schemaErrors) errors.push(formatSchemaError(e));
+
+  if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+    return { ok: false, errors, warnings, schemaErrors };
+  }
+
+  // Capabilities sanity checks (warn-only unless obviously inconsistent)
+  const caps = blueprint.capabilities || {};
+  if (caps.database && caps.database.enabled) {
+    if (!caps.database.kind || typeof caps.database.kind !== 'string') warnings.push('capabilities.database.enabled=true but capabilities.database.kind is missing.');
+  }
+  if (caps.bpmn && typeof caps.bpmn.enabled !== 'boolean') warnings.push('capabilities.bpmn.enabled should be boolean when present.');
+  warnings.push(...capabilityScaffold(blueprint).warnings);
+
+  if (hasDeclaredWorkspaces(blueprint)) {
+    for (const e of workspaceProblems(listWorkspaces(blueprint))) errors.push(e);
+    if (blueprint.repo.layout !== 'monorepo') warnings.push('repo.apps / repo.packages are ignored unless repo.layout is "monorepo".');
+  }
+
+  // Config template coverage (apply skips config generation for uncovered stacks).
+  const repo = blueprint.repo || {};
+  if (typeof repo.language === 'string') {
+    const packageManager = resolvePackageManager(repo.language, repo.packageManager);
+    if (!getConfigTemplateDir(repo.language, packageManager)) {
+      warnings.push(
+        `No config templates for ${repo.language}-${packageManager}; apply will not generate config files. Supported: ${supportedConfigStacks().join(', ')}`
+      );
+    }
+    if (repo.layout === 'monorepo') {
+      for (const ws of listWorkspaces(blueprint)) {
+        const stackDir = getConfigTemplateDir(ws.language, ws.packageManager);
+        if (!stackDir || listWorkspaceTemplates(stackDir).length === 0) {
+          warnings.push(`No workspace templates for ${ws.path} (${ws.language}-${ws.packageManager}); only its README is scaffolded.`);
+        }
+      }
+    }
+  }
+
+  // Container template coverage (quality.devops.containerize).
+  if (containerizeEnabled(blueprint)) {
+    const { targets } = containerPlan(blueprint);
+    const uncovered = targets.filter((t) => !t.templateDir);
+    if (targets.length === 0) {
+      warnings.push('quality.devops.containerize=true but there is no app to containerize (enable a frontend/backend capability or declare repo.apps).');
+    }
+    for (const t of uncovered) {
+      warnings.push(
+        `quality.devops.containerize=true but there is no container template for ${t.stackKey}; apply will not generate ${t.dockerfile}. Supported: ${supportedContainerStacks().join(', ')}`
+      );
+    }
+  }
+
+  const skills = blueprint.skills || {};
+  const packs = normalizePackList(Array.isArray(skills.packs) ? skills.packs : []);
+  const registry = loadPackRegistry(repoRoot);
+  for (const e of registry.errors) errors.push(e);
+
+  // Unknown top-level packs stay warn-only (they are skipped by the manifest update);
+  // broken dependency graphs are errors because the resolved prefix set would be incomplete.
+  const resolved = resolvePacks(registry, packs);
+  const problems = describePackProblems(resolved);
+  resolved.missing.forEach((m, i) => {
+    if (m.requiredBy) errors.push(problems.missing[i]);
+    else warnings.push(`${problems.missing[i]} It will be ignored by manifest update.`);
+  });
+  for (const c of problems.cycles) errors.push(c);
+  for (const c of problems.conflicts) warnings.push(c);
+
+  if (!resolved.packs.includes('workflows')) warnings.push('skills.packs does not include "workflows". This is usually required.');
+  if (!resolved.packs.includes('standards')) warnings.push('skills.packs does not include "standards". This is usually recommended.');
+
+  const ok = errors.length === 0;
+  return { ok, errors, warnings, schemaErrors, packs, resolvedPacks: resolved.packs };
+}
+
+export function recommendedPacksFromBlueprint(blueprint) {
+  const rec = new Set(['workflows', 'standards']);
+  const caps = blueprint.capabilities || {};
+  const quality = blueprint.quality || {};
+
+  if (caps.backend && caps.backend.enabled) rec.add('backend');
+  if (caps.frontend && caps.frontend.enabled) rec.add('frontend');
+  if (quality.testing && quality.testing.enabled) rec.add('testing');
+
+  // Optional packs can be added explicitly via blueprint.skills.packs.
+
+  const ordered = [];
+  for (const p of packOrder()) {
+    if (rec.has(p)) ordered.push(p);
+  }
+  return ordered;
+}
+
+// A recommended pack counts as selected when it is listed directly, pulled in as a
+// dependency, or fully covered by the prefixes of other selected packs (e.g. a bundle).
+export function missingRecommendedPacks(registry, recommended, current) {
+  const resolved = resolvePacks(registry, current);
+  return recommended.filter((p) => {
+    if (resolved.packs.includes(p)) return false;
+    const def = registry.packs.get(p);
+    if (!def || def.includePrefixes.length === 0) return true;
+    return !def.includePrefixes.every((prefix) => resolved.includePrefixes.some((have) => prefix.startsWith(have)));
+  });
+}
+
+export function checkPackInstall(repoRoot, pack, registry = loadPackRegistry(repoRoot)) {
+  const resolved = resolvePacks(registry, [pack]);
+  if (resolved.missing.length > 0) {
+    const m = resolved.missing[0];
+    return { pack, installed: false, reason: m.requiredBy ? `unknown dependency "${m.pack}"` : 'unknown-pack' };
+  }
+
+  for (const prefix of resolved.includePrefixes) {
+    const dir = path.join(repoRoot, '.ai', 'skills', prefix.replace(/\/$/, ''));
+    if (!fs.existsSync(dir)) return { pack, installed: false, reason: `missing ${path.relative(repoRoot, dir)}` };
+  }
+  return { pack, installed: true };
+}
+
+/**
+ * Blueprint `evolve` starts from: --from, else the archived copy (cleanup-init --archive),
+ * else the init/_work blueprint of a finished init that was not cleaned up.
+ */
+export function resolveEvolveBlueprint(repoRoot, blueprintPath, opts) {
+  if (opts['from']) {
+    const p = resolvePath(repoRoot, opts['from']);
+    if (!fs.existsSync(p)) die(`[error] Blueprint not found: ${toPosixPath(path.relative(repoRoot, p))}`, EXIT.PRECONDITION);
+    return p;
+  }
+  const archived = path.join(resolvePath(repoRoot, opts['archive-dir'] || ARCHIVE_DIR_DEFAULT_REL), 'project-blueprint.json');
+  if (fs.existsSync(archived)) return archived;
+  if (fs.existsSync(blueprintPath)) return blueprintPath;
+  die(
+    [
+      `[error] No archived blueprint found: ${toPosixPath(path.relative(repoRoot, archived))}`,
+      '[hint] Archive it when cleaning up (cleanup-init --archive), or pass --from <blueprint.json>.'
+    ].join('\n'),
+    EXIT.PRECONDITION
+  );
+}
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { validateBlueprint } from './blueprint.mjs';
+import { PACKS_DIR_REL } from './packs.mjs';
+import { TEMPLATES_DIR } from './workdir.mjs';
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'project-blueprint.example.json'), 'utf8'));
+
+function example(patch = {}) {
+  return { ...structuredClone(EXAMPLE), ...patch };
+}
+
+function withPacks(packs, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-'));
+  try {
+    const dir = path.join(repoRoot, PACKS_DIR_REL);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const p of packs) fs.writeFileSync(path.join(dir, `${p.id}.json`), JSON.stringify(p), 'utf8');
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+test('validateBlueprint resolves pack dependencies from the pack files', () => {
+  const packs = [
+    { id: 'workflows', includePrefixes: ['workflows/'] },
+    { id: 'standards', includePrefixes: ['standards/'] },
+    { id: 'org-api', includePrefixes: ['backend/', 'testing/api/'], dependencies: ['workflows'] }
+  ];
+  const res = withPacks(packs, (repoRoot) => validateBlueprint(example({ skills: { packs: ['standards', 'org-api'] } }), repoRoot));
+
+  assert.deepEqual(res.errors, []);
+  assert.deepEqual(res.resolvedPacks, ['standards', 'workflows', 'org-api']);
+  assert.ok(!res.warnings.some((w) => w.includes('"workflows"')), 'workflows arrives as a dependency');
+});
+
+test('validateBlueprint fails on broken pack graphs but only warns on unknown selected packs', () => {
+  const packs = [
+    { id: 'workflows', includePrefixes: ['workflows/'], dependencies: ['org-base'] },
+    { id: 'org-base', includePrefixes: ['standards/'], dependencies: ['workflows'] },
+    { id: 'org-api', includePrefixes: ['backend/'], dependencies: ['org-auth'] }
+  ];
+  const res = withPacks(packs, (repoRoot) => validateBlueprint(example({ skills: { packs: ['workflows', 'org-api', 'org-mobile'] } }), repoRoot));
+
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.errors, ['Pack "org-api" depends on unknown pack "org-auth".', 'Pack dependency cycle: workflows -> org-base -> workflows']);
+  assert.ok(res.warnings.includes('skills.packs includes unknown pack "org-mobile" (no file under .ai/skills/_meta/packs/). It will be ignored by manifest update.'));
+});
+
+test('validateBlueprint reports schema typos as errors with JSON pointers', () => {
+  const blueprint = example({ capabilites: { database: { enabled: true } } });
+  blueprint.repo = { ...blueprint.repo, layout: 'multi' };
+  const res = withPacks([], (repoRoot) => validateBlueprint(blueprint, repoRoot));
+
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.schemaErrors.map((e) => e.path), ['/repo/layout', '/capabilites']);
+  assert.ok(res.errors.includes('/capabilites: unknown property "capabilites" (did you mean "capabilities"?)'));
+});
+
+test('validateBlueprint accepts a version-only upgrade but asks to migrate legacy keys', () => {
+  const bumpOnly = withPacks([], (repoRoot) => validateBlueprint(example({ version: 1 }), repoRoot));
+  assert.deepEqual(bumpOnly.errors, []);
+  assert.match(bumpOnly.warnings[0], /^Blueprint is v1 \(current: v2\); accepted as-is\./);
+
+  const legacy = example({ version: 1 });
+  legacy.skills = { ...legacy.skills, includeSkills: ['x'] };
+  const res = withPacks([], (repoRoot) => validateBlueprint(legacy, repoRoot));
+  assert.equal(res.outdated, true);
+  assert.match(res.errors[0], /needs migrating \(skills\.includeSkills -> skills\.includeSkillNames \(1 name\(s\)\)\)/);
+
+  const future = withPacks([], (repoRoot) => validateBlueprint(example({ version: 3 }), repoRoot));
+  assert.deepEqual(future.errors, ['Blueprint is v3, newer than this init kit supports (v2).']);
+});
+
+test('validateBlueprint rejects duplicate workspaces and warns when the layout ignores them', () => {
+  const dup = example();
+  dup.repo = { ...dup.repo, apps: [{ name: 'web' }, { name: 'web' }] };
+  const res = withPacks([], (repoRoot) => validateBlueprint(dup, repoRoot));
+  assert.deepEqual(res.errors, ['repo.apps declares "web" more than once (apps/web).']);
+
+  const single = example();
+  single.repo = { ...single.repo, layout: 'single', apps: [{ name: 'web' }] };
+  const warned = withPacks([], (repoRoot) => validateBlueprint(single, repoRoot));
+  assert.ok(warned.warnings.includes('repo.apps / repo.packages are ignored unless repo.layout is "monorepo".'));
+});
+
+test('validateBlueprint warns when no config templates cover the language and package manager', () => {
+  const bp = example();
+  bp.repo = { layout: 'single', language: 'python', packageManager: 'pip' };
+  const res = withPacks([], (repoRoot) => validateBlueprint(bp, repoRoot));
+
+  const warning = res.warnings.find((w) => w.startsWith('No config templates for python-pip;'));
+  assert.ok(warning, res.warnings.join('\n'));
+  assert.match(warning, /Supported: .*python-poetry, python-uv/);
+});
+
+test('validateBlueprint warns when containerize is set for a stack without a container template', () => {
+  const cpp = example({ repo: { layout: 'single', language: 'cpp', packageManager: 'xmake' } });
+  const warnings = withPacks([], (repoRoot) => validateBlueprint(cpp, repoRoot).warnings);
+  const warning = warnings.find((w) => w.includes('no container template'));
+  assert.match(warning, /^quality\.devops\.containerize=true but there is no container template for cpp-xmake; apply will not generate Dockerfile\. Supported: .*go-\*/);
+
+  const noApps = example({ capabilities: { ...EXAMPLE.capabilities, frontend: { enabled: false }, backend: { enabled: false } } });
+  assert.ok(withPacks([], (repoRoot) => validateBlueprint(noApps, repoRoot).warnings).some((w) => w.includes('there is no app to containerize')));
+
+  const off = example({ repo: cpp.repo, quality: { devops: { containerize: false } } });
+  assert.ok(!withPacks([], (repoRoot) => validateBlueprint(off, repoRoot).warnings).some((w) => w.includes('containerize')));
+});
@@ -0,0 +1,252 @@
+/**
+ * Capability-driven scaffold entries (dependency-free)
+ *
+ * Stage C turns three blueprint blocks into starter artifacts (create-only, like the rest
+ * of the scaffold):
+ *   capabilities.database   orm "prisma"  -> prisma/schema.prisma            (SSOT mode "repo-prisma")
+ *                           any other orm -> db/schema/tables.json (mirror)  (SSOT mode "database")
+ *                           both          -> docs/project/db-ssot.json, read by .ai/scripts/dbssotctl.mjs
+ *   capabilities.api        style "rest"    -> docs/context/api/openapi.yaml (OpenAPI 3.1 stub)
+ *                           style "graphql" -> docs/context/api/schema.graphql (SDL stub)
+ *                           auth selects the security scheme / auth note
+ *   capabilities.bpmn       enabled -> bpmn/ workspace
+ *
+ * Paths are repo-relative POSIX paths; parent directories are listed as 'dir' entries so
+ * apply can journal (and undo-apply remove) what it created.
+ *
+ * Usage:
+ *   import { capabilityScaffold } from './lib/capability-scaffold.mjs';
+ *
+ *   const { entries, keyDirs, warnings } = capabilityScaffold(blueprint);
+ *   // entries:  [{ kind: 'dir', path: 'prisma' }, { kind: 'file', path: 'prisma/schema.prisma', content }]
+ *   // keyDirs:  [{ dir: 'prisma/', purpose: 'Prisma schema (database SSOT)' }]
+ */
+
+export const DB_SSOT_CONFIG_PATH = 'docs/project/db-ssot.json';
+export const DB_CONTRACT_PATH = 'docs/context/db/schema.json';
+export const API_CONTRACT_DIR = 'docs/context/api';
+
+/** Prisma datasource providers for blueprint database kinds (kinds Prisma cannot serve are absent). */
+const PRISMA_PROVIDERS = {
+  postgres: 'postgresql',
+  mysql: 'mysql',
+  sqlite: 'sqlite',
+  mssql: 'sqlserver',
+  mongodb: 'mongodb'
+};
+
+const DOCUMENT_KINDS = ['mongodb', 'dynamodb'];
+
+function lower(v) {
+  return typeof v === 'string' ? v.trim().toLowerCase() : '';
+}
+
+/** DB SSOT mode for the blueprint: 'none' | 'repo-prisma' | 'database' (dbssotctl modes). */
+export function dbSsotMode(blueprint) {
+  const db = (blueprint && blueprint.capabilities && blueprint.capabilities.database) || {};
+  const kind = lower(db.kind);
+  if (!db.enabled || !kind || kind === 'none') return 'none';
+  if (lower(db.orm) === 'prisma' && PRISMA_PROVIDERS[kind]) return 'repo-prisma';
+  return 'database';
+}
+
+function prismaSchema(kind) {
+  const provider = PRISMA_PROVIDERS[kind];
+  const url = provider === 'sqlite' ? '"file:./dev.db"' : 'env("DATABASE_URL")';
+  return [
+    '// Database SSOT (docs/project/db-ssot.json mode "repo-prisma").',
+    '// After changing models: create a migration (prisma migrate dev), then refresh the LLM contract:',
+    '//   node .ai/scripts/dbssotctl.mjs sync-to-context',
+    '',
+    'generator client {',
+    '  provider = "prisma-client-js"',
+    '}',
+    '',
+    'datasource db {',
+    `  provider = "${provider}"`,
+    `  url      = ${url}`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+function dbMirror(kind) {
+  const mirror = {
+    version: 2,
+    ssot: { mode: 'database', source: { kind: 'database', path: '' } },
+    database: { kind: DOCUMENT_KINDS.includes(kind) ? 'document' : 'relational', dialect: kind || 'generic', name: '', schemas: [] },
+    enums: [],
+    tables: [],
+    notes: 'Mirror of the real database schema. Replace with an import of the live schema, then run: node .ai/scripts/dbssotctl.mjs sync-to-context'
+  };
+  return JSON.stringify(mirror, null, 2) + '\n';
+}
+
+function dbSsotConfig(db, mode, schemaPath) {
+  const config = {
+    version: 1,
+    db: {
+      ssot: mode,
+      kind: lower(db.kind),
+      orm: db.orm || null,
+      migrationStrategy: db.migrationStrategy || null,
+      schemaPath
+    },
+    contract: DB_CONTRACT_PATH
+  };
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+/** OpenAPI security scheme per capabilities.api.auth (null when the API is unauthenticated). */
+function openApiSecurityScheme(auth) {
+  switch (auth) {
+    case 'jwt':
+      return ['bearerAuth', ['type: http', 'scheme: bearer', 'bearerFormat: JWT']];
+    case 'session':
+      return ['sessionCookie', ['type: apiKey', 'in: cookie', 'name: session']];
+    case 'api-key':
+      return ['apiKey', ['type: apiKey', 'in: header', 'name: X-API-Key']];
+    case 'oauth2':
+      return [
+        'oauth2',
+        [
+          'type: oauth2',
+          'flows:',
+          '  authorizationCode:',
+          '    authorizationUrl: https://auth.example.com/authorize',
+          '    tokenUrl: https://auth.example.com/token',
+          '    scopes: {}'
+        ]
+      ];
+    default:
+      return null;
+  }
+}
+
+function openApiStub(project, auth) {
+  const scheme = openApiSecurityScheme(auth);
+  const lines = [
+    '# API contract (capabilities.api.style = "rest"). Keep it in sync with the backend routes.',
+    'openapi: 3.1.0',
+    'info:',
+    `  title: ${JSON.stringify(project.name || 'API')}`,
+    '  version: 0.1.0'
+  ];
+  if (project.description) lines.push(`  description: ${JSON.stringify(project.description)}`);
+  if (scheme) lines.push('security:', `  - ${scheme[0]}: []`);
+  lines.push(
+    'paths:',
+    '  /health:',
+    '    get:',
+    '      summary: Liveness probe',
+    '      operationId: getHealth'
+  );
+  if (scheme) lines.push('      security: []');
+  lines.push(
+    '      responses:',
+    "        '200':",
+    '          description: Service is up'
+  );
+  if (scheme) {
+    lines.push('components:', '  securitySchemes:', `    ${scheme[0]}:`, ...scheme[1].map((l) => `      ${l}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const GRAPHQL_AUTH_NOTES = {
+  jwt: 'Auth: JWT bearer token ("Authorization: Bearer <token>").',
+  session: 'Auth: session cookie.',
+  oauth2: 'Auth: OAuth 2.0 access token ("Authorization: Bearer <token>").',
+  'api-key': 'Auth: API key ("X-API-Key" header).'
+};
+
+function graphqlStub(project, auth) {
+  const lines = [`# GraphQL contract for ${project.name || 'the API'} (capabilities.api.style = "graphql").`];
+  if (GRAPHQL_AUTH_NOTES[auth]) lines.push(`# ${GRAPHQL_AUTH_NOTES[auth]}`);
+  lines.push('', 'type Query {', '  "Liveness probe."', '  health: String!', '}', '');
+  return lines.join('\n');
+}
+
+function bpmnReadme(bpmn) {
+  const storage = lower(bpmn.storage);
+  const lines = [
+    '# BPMN',
+    '',
+    'Business process models for this project (capabilities.bpmn).',
+    ''
+  ];
+  if (storage === 'docs') {
+    lines.push('Storage: `docs` - describe each process in Markdown here; add `.bpmn` files when a diagram is needed.');
+  } else {
+    lines.push('Storage: one BPMN 2.0 XML file per process (`<process-id>.bpmn`), editable with any BPMN modeler.');
+  }
+  lines.push('', 'Name each file after the process id and list the requirement IDs (R-###) it covers in its documentation.', '');
+  return lines.join('\n');
+}
+
+/** Directory entries for a path and its parents (outermost first). */
+function dirChain(relDir) {
+  const parts = relDir.split('/');
+  return parts.map((_, i) => ({ kind: 'dir', path: parts.slice(0, i + 1).join('/') }));
+}
+
+/**
+ * Scaffold entries for the database, API and BPMN capability blocks.
+ * Returns { entries, keyDirs, warnings }; entries are deduplicated and in creation order.
+ */
+export function capabilityScaffold(blueprint) {
+  const project = (blueprint && blueprint.project) || {};
+  const caps = (blueprint && blueprint.capabilities) || {};
+  const entries = [];
+  const keyDirs = [];
+  const warnings = [];
+  const seen = new Set();
+  const add = (e) => {
+    if (seen.has(`${e.kind}:${e.path}`)) return;
+    seen.add(`${e.kind}:${e.path}`);
+    entries.push(e);
+  };
+  const file = (relPath, content) => {
+    const dir = relPath.split('/').slice(0, -1).join('/');
+    if (dir) dirChain(dir).forEach(add);
+    add({ kind: 'file', path: relPath, content });
+  };
+
+  const db = caps.database || {};
+  const mode = dbSsotMode(blueprint);
+  if (mode !== 'none') {
+    const kind = lower(db.kind);
+    if (lower(db.orm) === 'prisma' && mode !== 'repo-prisma') {
+      warnings.push(`Prisma does not support capabilities.database.kind "${kind}"; scaffolding a db/schema/ mirror instead of prisma/.`);
+    }
+    if (mode === 'repo-prisma') {
+      file('prisma/schema.prisma', prismaSchema(kind));
+      file(DB_SSOT_CONFIG_PATH, dbSsotConfig(db, mode, 'prisma/schema.prisma'));
+      keyDirs.push({ dir: 'prisma/', purpose: 'Prisma schema + migrations (database SSOT)' });
+    } else {
+      file('db/schema/tables.json', dbMirror(kind));
+      file(DB_SSOT_CONFIG_PATH, dbSsotConfig(db, mode, 'db/schema/tables.json'));
+      keyDirs.push({ dir: 'db/schema/', purpose: 'Mirror of the live database schema (database is the SSOT)' });
+    }
+  }
+
+  const api = caps.api || {};
+  const style = lower(api.style);
+  const auth = lower(api.auth);
+  if (style === 'rest') {
+    file(`${API_CONTRACT_DIR}/openapi.yaml`, openApiStub(project, auth));
+  } else if (style === 'graphql') {
+    file(`${API_CONTRACT_DIR}/schema.graphql`, graphqlStub(project, auth));
+  }
+  if (style === 'rest' || style === 'graphql') {
+    keyDirs.push({ dir: `${API_CONTRACT_DIR}/`, purpose: `API contract (${style === 'rest' ? 'OpenAPI' : 'GraphQL SDL'})` });
+  }
+
+  const bpmn = caps.bpmn || {};
+  if (bpmn.enabled === true) {
+    file('bpmn/README.md', bpmnReadme(bpmn));
+    keyDirs.push({ dir: 'bpmn/', purpose: 'BPMN process models' });
+  }
+
+  return { entries, keyDirs, warnings };
+}
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { DB_SSOT_CONFIG_PATH, capabilityScaffold, dbSsotMode } from './capability-scaffold.mjs';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..', '..', '..', '..');
+const DBSSOTCTL = path.join(REPO_ROOT, '.ai', 'scripts', 'dbssotctl.mjs');
+
+const blueprint = (capabilities, project = { name: 'shop' }) => ({ project, capabilities });
+const files = (res) => res.entries.filter((e) => e.kind === 'file').map((e) => e.path);
+const content = (res, relPath) => res.entries.find((e) => e.path === relPath).content;
+
+function withRepo(res, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'capability-scaffold-'));
+  try {
+    for (const e of res.entries) {
+      const abs = path.join(repoRoot, ...e.path.split('/'));
+      if (e.kind === 'dir') fs.mkdirSync(abs, { recursive: true });
+      else fs.writeFileSync(abs, e.content);
+    }
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+test('dbSsotMode picks repo-prisma only for a Prisma-supported kind', () => {
+  assert.equal(dbSsotMode(blueprint({ database: { enabled: true, kind: 'postgres', orm: 'Prisma' } })), 'repo-prisma');
+  assert.equal(dbSsotMode(blueprint({ database: { enabled: true, kind: 'postgres', orm: 'typeorm' } })), 'database');
+  assert.equal(dbSsotMode(blueprint({ database: { enabled: true, kind: 'dynamodb', orm: 'prisma' } })), 'database');
+  assert.equal(dbSsotMode(blueprint({ database: { enabled: true, kind: 'none' } })), 'none');
+  assert.equal(dbSsotMode(blueprint({ database: { enabled: false, kind: 'postgres' } })), 'none');
+  assert.equal(dbSsotMode({}), 'none');
+});
+
+test('no capability blocks produce no entries', () => {
+  assert.deepEqual(capabilityScaffold(blueprint({ bpmn: { enabled: false }, api: { style: 'none' } })), { entries: [], keyDirs: [], warnings: [] });
+  assert.deepEqual(capabilityScaffold(undefined).entries, []);
+});
+
+test('a Prisma database gets prisma/schema.prisma and a repo-prisma SSOT config', () => {
+  const res = capabilityScaffold(blueprint({ database: { enabled: true, kind: 'postgres', orm: 'prisma', migrationStrategy: 'migrations' } }));
+
+  assert.deepEqual(res.entries.map((e) => `${e.kind}:${e.path}`), [
+    'dir:prisma',
+    'file:prisma/schema.prisma',
+    'dir:docs',
+    'dir:docs/project',
+    `file:${DB_SSOT_CONFIG_PATH}`
+  ]);
+  assert.match(content(res, 'prisma/schema.prisma'), /provider = "postgresql"\n {2}url {6}= env\("DATABASE_URL"\)/);
+  assert.deepEqual(JSON.parse(content(res, DB_SSOT_CONFIG_PATH)).db, {
+    ssot: 'repo-prisma',
+    kind: 'postgres',
+    orm: 'prisma',
+    migrationStrategy: 'migrations',
+    schemaPath: 'prisma/schema.prisma'
+  });
+  assert.deepEqual(res.keyDirs.map((d) => d.dir), ['prisma/']);
+  assert.match(content(res, 'prisma/schema.prisma').split('\n')[0], /repo-prisma/);
+  assert.match(capabilityScaffold(blueprint({ database: { enabled: true, kind: 'sqlite', orm: 'prisma' } })).entries[1].content, /url {6}= "file:\.\/dev\.db"/);
+});
+
+test('other ORMs get a db/schema/ mirror; Prisma on an unsupported kind warns and falls back', () => {
+  const res = capabilityScaffold(blueprint({ database: { enabled: true, kind: 'dynamodb', orm: 'prisma' } }));
+
+  assert.deepEqual(files(res), ['db/schema/tables.json', DB_SSOT_CONFIG_PATH]);
+  assert.deepEqual(res.warnings, ['Prisma does not support capabilities.database.kind "dynamodb"; scaffolding a db/schema/ mirror instead of prisma/.']);
+  const mirror = JSON.parse(content(res, 'db/schema/tables.json'));
+  assert.equal(mirror.database.kind, 'document');
+  assert.equal(mirror.database.dialect, 'dynamodb');
+  assert.equal(JSON.parse(content(res, DB_SSOT_CONFIG_PATH)).db.ssot, 'database');
+});
+
+test('a REST API gets an OpenAPI stub with the security scheme for api.auth', () => {
+  const res = capabilityScaffold(blueprint({ api: { style: 'REST', auth: 'jwt' } }, { name: 'shop', description: 'Sells "things".' }));
+  const yaml = content(res, 'docs/context/api/openapi.yaml');
+
+  assert.deepEqual(files(res), ['docs/context/api/openapi.yaml']);
+  assert.match(yaml, /^ {2}title: "shop"$/m);
+  assert.match(yaml, /^ {2}description: "Sells \\"things\\"\."$/m, 'strings are quoted for YAML');
+  assert.match(yaml, /^security:\n {2}- bearerAuth: \[\]$/m);
+  assert.match(yaml, /operationId: getHealth\n {6}security: \[\]\n/, 'the health probe stays public');
+  assert.match(yaml, /components:\n {2}securitySchemes:\n {4}bearerAuth:\n {6}type: http\n {6}scheme: bearer/);
+  assert.deepEqual(res.keyDirs, [{ dir: 'docs/context/api/', purpose: 'API contract (OpenAPI)' }]);
+
+  const open = content(capabilityScaffold(blueprint({ api: { style: 'rest', auth: 'none' } })), 'docs/context/api/openapi.yaml');
+  assert.doesNotMatch(open, /security/);
+});
+
+test('a GraphQL API gets an SDL stub with an auth note', () => {
+  const res = capabilityScaffold(blueprint({ api: { style: 'graphql', auth: 'api-key' } }));
+  const sdl = content(res, 'docs/context/api/schema.graphql');
+
+  assert.match(sdl, /^# GraphQL contract for shop/);
+  assert.match(sdl, /# Auth: API key \("X-API-Key" header\)\./);
+  assert.match(sdl, /type Query \{\n {2}"Liveness probe\."\n {2}health: String!\n\}/);
+  assert.equal(res.keyDirs[0].purpose, 'API contract (GraphQL SDL)');
+});
+
+test('enabled BPMN gets a bpmn/ workspace whose README follows the storage choice', () => {
+  const xml = capabilityScaffold(blueprint({ bpmn: { enabled: true, storage: 'files' } }));
+  assert.deepEqual(xml.entries.map((e) => e.path), ['bpmn', 'bpmn/README.md']);
+  assert.match(content(xml, 'bpmn/README.md'), /one BPMN 2\.0 XML file per process/);
+
+  const docs = capabilityScaffold(blueprint({ bpmn: { enabled: true, storage: 'docs' } }));
+  assert.match(content(docs, 'bpmn/README.md'), /Storage: `docs`/);
+  assert.deepEqual(capabilityScaffold(blueprint({ bpmn: { enabled: 'yes' } })).entries, [], 'only enabled: true counts');
+});
+
+test('shared parent directories are listed once', () => {
+  const res = capabilityScaffold(blueprint({ database: { enabled: true, kind: 'mysql', orm: 'drizzle' }, api: { style: 'rest' } }));
+  const dirs = res.entries.filter((e) => e.kind === 'dir').map((e) => e.path);
+
+  assert.deepEqual(dirs, ['db', 'db/schema', 'docs', 'docs/project', 'docs/context', 'docs/context/api']);
+});
+
+const noDbssotctl = !fs.existsSync(DBSSOTCTL) && 'dbssotctl.mjs not found';
+
+test('dbssotctl reads the scaffolded SSOT config and builds the context contract', { skip: noDbssotctl }, () => {
+  for (const [orm, mode] of [['prisma', 'repo-prisma'], ['knex', 'database']]) {
+    withRepo(capabilityScaffold(blueprint({ database: { enabled: true, kind: 'postgres', orm } })), (repoRoot) => {
+      const res = spawnSync(process.execPath, [DBSSOTCTL, 'sync-to-context', '--repo-root', repoRoot, '--format', 'json'], { encoding: 'utf8' });
+      assert.equal(res.status, 0, res.stderr);
+      assert.equal(JSON.parse(res.stdout).mode, mode);
+      assert.ok(fs.existsSync(path.join(repoRoot, 'docs', 'context', 'db', 'schema.json')));
+    });
+  }
+});
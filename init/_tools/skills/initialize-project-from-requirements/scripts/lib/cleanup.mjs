@@ -0,0 +1,172 @@
+/**
+ * After Stage C: provider wrapper sync, agent-builder pruning, init kit archive and removal
+ *
+ * `syncWrappers` runs .ai/scripts/sync-skills.mjs for the manifest that apply updated.
+ * `cleanupInit` removes the init/ kit only when its marker file is present; archiving copies
+ * the Stage A docs and the blueprint to docs/project/overview/ first.
+ *
+ * Usage:
+ *   import { archiveInitArtifacts, cleanupInit, syncWrappers } from './lib/cleanup.mjs';
+ *
+ *   const sync = syncWrappers(repoRoot, ['codex', 'claude'], true);
+ *   if (sync.mode === 'applied') archiveInitArtifacts(repoRoot, docsRoot, blueprintPath, { archiveDocs: true, archiveBlueprint: true }, true);
+ *   cleanupInit(repoRoot, false);
+ */
+
+import childProcess from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { rootDocsBasePath } from './scaffold.mjs';
+import {
+  ARCHIVE_DIR_DEFAULT_REL,
+  INIT_KIT_MARKER_DEFAULT_REL,
+  INIT_KIT_MARKER_LEGACY_REL,
+  ROOT_DOCS_BASE_FILE,
+  copyFile,
+  resolvePath
+} from './workdir.mjs';
+
+function tailText(text, maxChars = 4000) {
+  const s = String(text || '');
+  if (s.length <= maxChars) return s;
+  return `...(truncated ${s.length - maxChars} chars)\n` + s.slice(-maxChars);
+}
+
+/**
+ * Provider wrapper roots `sync-skills.mjs --mode reset` may rewrite, read from the target repo's
+ * provider registry (.ai/scripts/lib/skill-providers.mjs) so the journal covers every registered provider.
+ * Resolves to [] when the registry is missing (syncWrappers skips the sync then); rejects when it cannot be loaded.
+ */
+export async function wrapperRootsRel(repoRoot) {
+  const registryPath = path.join(repoRoot, '.ai', 'scripts', 'lib', 'skill-providers.mjs');
+  if (!fs.existsSync(registryPath)) return [];
+  let registry;
+  try {
+    registry = await import(pathToFileURL(registryPath).href);
+  } catch (e) {
+    throw new Error(`Failed to load the skill provider registry ${registryPath}: ${e.message}`);
+  }
+  return registry.providerIds().map((id) => path.join(...registry.getProvider(id).root.split('/')));
+}
+
+// Lock sync-skills.mjs rewrites with every sync; journaled with the wrapper roots so undo restores both.
+export const SYNC_LOCK_REL = path.join('.ai', 'skills', '_meta', 'sync-lock.json');
+
+export function syncWrappers(repoRoot, providers, apply, options = {}) {
+  const scriptPath = path.join(repoRoot, '.ai', 'scripts', 'sync-skills.mjs');
+  if (!fs.existsSync(scriptPath)) {
+    return { op: 'skip', path: scriptPath, reason: 'sync-skills.mjs not found' };
+  }
+  const providersArg = providers || 'both';
+  const cmd = 'node';
+  const args = [scriptPath, '--scope', 'current', '--providers', providersArg, '--mode', 'reset', '--yes'];
+
+  if (!apply) return { op: 'run', cmd: `${cmd} ${args.join(' ')}`, mode: 'dry-run' };
+
+  const stdio = options.stdio === 'pipe' ? 'pipe' : 'inherit';
+  const res = childProcess.spawnSync(cmd, args, { stdio, cwd: repoRoot, encoding: stdio === 'pipe' ? 'utf8' : undefined });
+  if (res.status !== 0) {
+    return {
+      op: 'run',
+      cmd: `${cmd} ${args.join(' ')}`,
+      mode: 'failed',
+      exitCode: res.status,
+      stdout: stdio === 'pipe' ? tailText(res.stdout) : undefined,
+      stderr: stdio === 'pipe' ? tailText(res.stderr) : undefined
+    };
+  }
+  return { op: 'run', cmd: `${cmd} ${args.join(' ')}`, mode: 'applied' };
+}
+
+export function pruneAgentBuilder(repoRoot, apply) {
+  const agentDir = path.join(repoRoot, '.ai', 'skills', 'workflows', 'agent');
+  if (!fs.existsSync(agentDir)) return { op: 'skip', path: agentDir, reason: 'agent workflow not present' };
+  if (!apply) return { op: 'rm', path: agentDir, mode: 'dry-run' };
+  try {
+    fs.rmSync(agentDir, { recursive: true, force: true });
+    return { op: 'rm', path: agentDir, mode: 'applied' };
+  } catch (e) {
+    return { op: 'rm', path: agentDir, mode: 'failed', error: e.message };
+  }
+}
+
+export function archiveInitArtifacts(repoRoot, docsRoot, blueprintPath, options, apply) {
+  const targetRoot = resolvePath(repoRoot, (options && options.archiveDir) || ARCHIVE_DIR_DEFAULT_REL);
+  const actions = [];
+  const errors = [];
+
+  if (options.archiveDocs) {
+    const docNames = [
+      'requirements.md',
+      'non-functional-requirements.md',
+      'domain-glossary.md',
+      'risk-open-questions.md'
+    ];
+    for (const name of docNames) {
+      const src = path.join(docsRoot, name);
+      const dest = path.join(targetRoot, name);
+      const res = copyFile(src, dest, apply);
+      actions.push(res);
+      if (res.mode === 'skip') errors.push(`Missing Stage A doc: ${path.relative(repoRoot, src)}`);
+      if (res.mode === 'failed') errors.push(`Failed to archive doc: ${path.relative(repoRoot, src)} (${res.error})`);
+    }
+  }
+
+  if (options.archiveBlueprint) {
+    const dest = path.join(targetRoot, 'project-blueprint.json');
+    const res = copyFile(blueprintPath, dest, apply);
+    actions.push(res);
+    if (res.mode === 'skip') errors.push(`Missing blueprint: ${path.relative(repoRoot, blueprintPath)}`);
+    if (res.mode === 'failed') errors.push(`Failed to archive blueprint: ${path.relative(repoRoot, blueprintPath)} (${res.error})`);
+
+    // `evolve` merges README/AGENTS managed regions against this base after init/ is gone.
+    const baseSrc = rootDocsBasePath(repoRoot);
+    if (fs.existsSync(baseSrc)) {
+      const baseRes = copyFile(baseSrc, path.join(targetRoot, ROOT_DOCS_BASE_FILE), apply);
+      actions.push(baseRes);
+      if (baseRes.mode === 'failed') errors.push(`Failed to archive root docs base: ${path.relative(repoRoot, baseSrc)} (${baseRes.error})`);
+    }
+  }
+
+  return {
+    op: 'archive',
+    mode: apply ? 'applied' : 'dry-run',
+    targetRoot,
+    actions,
+    errors
+  };
+}
+
+export function cleanupInit(repoRoot, apply) {
+  const initDir = path.join(repoRoot, 'init');
+  const markerDefault = path.join(repoRoot, INIT_KIT_MARKER_DEFAULT_REL);
+  const markerLegacy = path.join(repoRoot, INIT_KIT_MARKER_LEGACY_REL);
+  const marker = fs.existsSync(markerDefault) ? markerDefault : (fs.existsSync(markerLegacy) ? markerLegacy : null);
+
+  if (!fs.existsSync(initDir)) return { op: 'skip', path: initDir, reason: 'init/ not present' };
+  if (!marker) return { op: 'refuse', path: initDir, reason: 'missing init/_tools/.init-kit marker' };
+
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  const trashDir = path.join(repoRoot, `.init-trash-${ts}`);
+
+  if (!apply) {
+    return { op: 'rm', path: initDir, mode: 'dry-run', note: `will move to ${path.basename(trashDir)} then delete` };
+  }
+
+  // Move first (reduces risk if delete fails on Windows due to open file handles)
+  fs.renameSync(initDir, trashDir);
+
+  try {
+    fs.rmSync(trashDir, { recursive: true, force: true });
+    return { op: 'rm', path: initDir, mode: 'applied' };
+  } catch (e) {
+    return {
+      op: 'rm',
+      path: initDir,
+      mode: 'partial',
+      note: `renamed to ${path.basename(trashDir)} but could not delete automatically: ${e.message}`
+    };
+  }
+}
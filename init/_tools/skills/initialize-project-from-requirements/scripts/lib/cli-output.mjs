@@ -0,0 +1,131 @@
+/**
+ * init-pipeline output contract: JSON envelope and exit codes (dependency-free)
+ *
+ * With `--format json` every command prints exactly one JSON document on stdout, success or
+ * failure:
+ *   {
+ *     "command": "approve",
+ *     "ok": true,
+ *     "exitCode": 0,
+ *     "errors": [],                 // messages without the "[error]" prefix
+ *     "warnings": [],
+ *     "hints": [],                  // follow-up commands / advice ("[hint]" lines)
+ *     "actions": [{ "op": "write", "path": "init/_work/x.json", "mode": "applied", "reason": null }],
+ *     "state": { "stage": "B", "language": "en", "stage-a": {...}, "stage-b": {...}, "stage-c": {...} } | null,
+ *     ...command-specific fields
+ *   }
+ * `actions` lists file-system effects (planned in dry-run mode); `state` is the init state
+ * progress after the command ran (null when there is no state file).
+ *
+ * Exit codes (see EXIT_CODES) are the same in text and JSON mode.
+ *
+ * Usage:
+ *   import { EXIT, jsonEnvelope, parseMessages, toAction } from './lib/cli-output.mjs';
+ *
+ *   const { errors, warnings, hints } = parseMessages('[error] Blueprint not found\n[hint] Run start');
+ *   console.log(JSON.stringify(jsonEnvelope('validate', { ok: false, errors }, { exitCode: EXIT.FAILED }), null, 2));
+ */
+
+import path from 'node:path';
+
+export const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  PRECONDITION: 3,
+  RUNTIME: 4,
+  INTERRUPTED: 130
+};
+
+/** Documented meaning of each exit code (rendered into the CLI help and the README). */
+export const EXIT_CODES = [
+  { code: EXIT.OK, name: 'ok', meaning: 'Command succeeded (dry-runs included).' },
+  { code: EXIT.FAILED, name: 'failed', meaning: 'Checks or validation failed, or the command refused (conflicts, changed files).' },
+  { code: EXIT.USAGE, name: 'usage', meaning: 'Unknown command or invalid/missing options.' },
+  { code: EXIT.PRECONDITION, name: 'precondition', meaning: 'Init state does not allow it yet (no state, wrong stage, not validated/approved, approved artifacts modified), or a required input file is missing (blueprint, Stage A doc, review packet, answers, delta).' },
+  { code: EXIT.RUNTIME, name: 'runtime', meaning: 'Unexpected error: file system failure, sync-skills failure, crash.' },
+  { code: EXIT.INTERRUPTED, name: 'interrupted', meaning: 'Interactive prompt aborted (Ctrl+D / Ctrl+C); nothing was written.' }
+];
+
+const PREFIX_RE = /^\[(error|warn|hint|info|ok|plan|auto)\]\s*/;
+
+/**
+ * Split a die()/console message into envelope lists. Lines keep their text minus the prefix;
+ * unprefixed lines ("- detail", indented lists) are appended to the preceding message.
+ */
+export function parseMessages(text, defaultKind = 'error') {
+  const out = { errors: [], warnings: [], hints: [], info: [] };
+  const lists = { error: out.errors, warn: out.warnings, hint: out.hints, info: out.info, ok: out.info, plan: out.info, auto: out.info };
+  let last = null;
+  for (const raw of String(text ?? '').split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+    const m = raw.match(PREFIX_RE);
+    if (m) {
+      const list = lists[m[1]];
+      list.push(raw.slice(m[0].length).trim());
+      last = list;
+    } else if (last && last.length > 0) {
+      last[last.length - 1] += `\n${raw.trimEnd()}`;
+    } else {
+      const list = lists[defaultKind];
+      list.push(raw.trim());
+      last = list;
+    }
+  }
+  return out;
+}
+
+function messages(list) {
+  return (Array.isArray(list) ? list : []).map((m) => (typeof m === 'string' ? m : m && m.message ? m.message : JSON.stringify(m)));
+}
+
+/**
+ * Normalize an operation record ({ op | action, path | file | dest, mode, reason }) to
+ * { op, path, mode, reason } with a repo-relative POSIX path.
+ */
+export function toAction(record, repoRoot) {
+  if (!record || typeof record !== 'object') return null;
+  const target = record.path || record.dest || record.dst || record.file || null;
+  const rel =
+    target && repoRoot && path.isAbsolute(target) ? path.relative(repoRoot, target).split(path.sep).join('/') : target;
+  const action = {
+    op: record.op || record.action || 'unknown',
+    path: rel || null,
+    mode: record.mode || null,
+    reason: record.reason || record.error || null
+  };
+  if (record.src) {
+    action.from = repoRoot && path.isAbsolute(record.src) ? path.relative(repoRoot, record.src).split(path.sep).join('/') : record.src;
+  }
+  return action;
+}
+
+/**
+ * Build the envelope. `payload.ok/errors/warnings/hints/actions` feed the envelope fields;
+ * other payload keys are kept as command-specific fields.
+ *
+ * @param {string} command
+ * @param {object} payload
+ * @param {{ exitCode?: number, state?: object | null, warnings?: string[] }} [extra]
+ */
+export function jsonEnvelope(command, payload = {}, extra = {}) {
+  const { ok, errors, warnings, hints, actions, exitCode, command: _c, state: _s, ...rest } = payload;
+  const errorList = messages(errors);
+  const isOk = ok === undefined ? errorList.length === 0 : !!ok;
+  return {
+    command: command || null,
+    ok: isOk,
+    exitCode: extra.exitCode ?? exitCode ?? (isOk ? EXIT.OK : EXIT.FAILED),
+    errors: errorList,
+    warnings: [...(extra.warnings || []), ...messages(warnings)],
+    hints: messages(hints),
+    actions: (Array.isArray(actions) ? actions : []).filter(Boolean),
+    state: extra.state === undefined ? null : extra.state,
+    ...rest
+  };
+}
+
+/** Exit-code table as help text lines. */
+export function formatExitCodes(indent = '  ') {
+  return EXIT_CODES.map((e) => `${indent}${String(e.code).padEnd(5)}${e.name.padEnd(14)}${e.meaning}`);
+}
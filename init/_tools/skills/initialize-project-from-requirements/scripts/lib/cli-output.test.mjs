@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { EXIT, EXIT_CODES, formatExitCodes, jsonEnvelope, parseMessages, toAction } from './cli-output.mjs';
+
+test('parseMessages sorts prefixed lines and folds unprefixed detail into the preceding message', () => {
+  const text = [
+    '[error] The blueprint is invalid.',
+    '- /repo/layout: must be one of: single, monorepo',
+    '',
+    '[warn] Missing packs',
+    '[hint] Run: validate',
+    '[ok] wrote x',
+    '[plan] write y'
+  ].join('\n');
+
+  assert.deepEqual(parseMessages(text), {
+    errors: ['The blueprint is invalid.\n- /repo/layout: must be one of: single, monorepo'],
+    warnings: ['Missing packs'],
+    hints: ['Run: validate'],
+    info: ['wrote x', 'write y']
+  });
+});
+
+test('parseMessages files leading unprefixed lines under the default kind', () => {
+  assert.deepEqual(parseMessages('plain failure\r\n  more').errors, ['plain failure\n  more']);
+  assert.deepEqual(parseMessages('careful', 'warn').warnings, ['careful']);
+  assert.deepEqual(parseMessages(undefined), { errors: [], warnings: [], hints: [], info: [] });
+});
+
+test('toAction normalizes op records to repo-relative POSIX paths', () => {
+  const repoRoot = path.resolve('/repo');
+  assert.deepEqual(toAction({ op: 'write', path: path.join(repoRoot, 'apps', 'web', 'README.md'), mode: 'applied' }, repoRoot), {
+    op: 'write',
+    path: 'apps/web/README.md',
+    mode: 'applied',
+    reason: null
+  });
+  assert.deepEqual(toAction({ action: 'copy', dest: 'docs/x.md', src: path.join(repoRoot, 'init', 'x.md'), error: 'EACCES' }, repoRoot), {
+    op: 'copy',
+    path: 'docs/x.md',
+    mode: null,
+    reason: 'EACCES',
+    from: 'init/x.md'
+  });
+  assert.equal(toAction({ file: 'a.txt' }).op, 'unknown');
+  assert.equal(toAction(null), null);
+});
+
+test('jsonEnvelope fills the fixed fields and keeps command-specific ones', () => {
+  const env = jsonEnvelope('validate', { errors: ['bad', { message: 'worse' }], actions: [null, { op: 'write' }], summary: 's', command: 'x', state: 'x' });
+  assert.deepEqual(env, {
+    command: 'validate',
+    ok: false,
+    exitCode: EXIT.FAILED,
+    errors: ['bad', 'worse'],
+    warnings: [],
+    hints: [],
+    actions: [{ op: 'write' }],
+    state: null,
+    summary: 's'
+  });
+});
+
+test('jsonEnvelope honours an explicit ok, exit code, state and collected warnings', () => {
+  assert.equal(jsonEnvelope('apply', { ok: true, errors: ['ignored'] }).exitCode, EXIT.OK);
+  const env = jsonEnvelope('apply', { warnings: ['from payload'] }, { exitCode: EXIT.PRECONDITION, state: { stage: 'B' }, warnings: ['from warn()'] });
+  assert.equal(env.ok, true);
+  assert.equal(env.exitCode, EXIT.PRECONDITION);
+  assert.deepEqual(env.state, { stage: 'B' });
+  assert.deepEqual(env.warnings, ['from warn()', 'from payload']);
+  assert.equal(jsonEnvelope(undefined).command, null);
+});
+
+test('the exit-code table documents every EXIT code once', () => {
+  assert.deepEqual(EXIT_CODES.map((e) => e.code), Object.values(EXIT));
+  const lines = formatExitCodes('');
+  assert.equal(lines.length, EXIT_CODES.length);
+  assert.match(lines[3], /^3 {4}precondition {2}Init state does not allow it yet/);
+});
@@ -0,0 +1,105 @@
+/**
+ * Shared CLI context for init-pipeline commands: output, errors and JSON file I/O
+ *
+ * `cli` holds the current command, output format and repo root (set once by main()). `die`,
+ * `warn` and `printJson` honour `--format json` by emitting the envelope from
+ * lib/cli-output.mjs instead of prefixed text lines.
+ *
+ * Usage:
+ *   import { cli, die, printJson, readBlueprintOrDie, warn } from './lib/cli.mjs';
+ *
+ *   const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+ *   if (!blueprint.repo) die('[error] Blueprint has no repo section.', EXIT.FAILED);
+ *   if (cli.format === 'json') printJson({ ok: true });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { EXIT, jsonEnvelope, parseMessages } from './cli-output.mjs';
+import { getStageProgress, getStateLanguage, getStatePath, normalizeStateShape } from './state.mjs';
+import { stripUtf8Bom, toPosixPath } from './workdir.mjs';
+
+// Output context for the --format json envelope (lib/cli-output.mjs); filled in by main().
+export const cli = { command: null, format: 'text', repoRoot: null, warnings: [] };
+
+/** Init progress for the envelope's `state` field (null without a state file). */
+function stateSnapshot() {
+  if (!cli.repoRoot || !fs.existsSync(getStatePath(cli.repoRoot))) return null;
+  try {
+    const state = normalizeStateShape(JSON.parse(stripUtf8Bom(fs.readFileSync(getStatePath(cli.repoRoot), 'utf8'))));
+    return { ...getStageProgress(state), language: getStateLanguage(state) };
+  } catch {
+    return null;
+  }
+}
+
+/** Print the JSON envelope for the current command (does not exit). */
+export function printJson(payload, exitCode) {
+  const envelope = jsonEnvelope(cli.command, payload, { exitCode, state: stateSnapshot(), warnings: cli.warnings });
+  console.log(JSON.stringify(envelope, null, 2));
+  return envelope.exitCode;
+}
+
+export function die(msg, exitCode = EXIT.FAILED) {
+  if (cli.format === 'json') {
+    const { errors, warnings, hints } = parseMessages(msg);
+    printJson({ ok: false, errors, warnings, hints }, exitCode);
+  } else {
+    console.error(msg);
+  }
+  process.exit(exitCode);
+}
+
+/** "[warn] ..." on stderr in text mode; collected into the envelope's `warnings` in JSON mode. */
+export function warn(msg) {
+  if (cli.format === 'json') cli.warnings.push(...parseMessages(msg, 'warn').warnings);
+  else console.warn(msg);
+}
+
+export function printResult(result, format) {
+  if (format === 'json') {
+    printJson(result);
+    return;
+  }
+  // text
+  if (result.summary) console.log(result.summary);
+  if (result.errors && result.errors.length > 0) {
+    console.log('\nErrors:');
+    for (const e of result.errors) console.log(`- ${e}`);
+  }
+  if (result.warnings && result.warnings.length > 0) {
+    console.log('\nWarnings:');
+    for (const w of result.warnings) console.log(`- ${w}`);
+  }
+}
+
+export function readJson(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(stripUtf8Bom(raw));
+  } catch (e) {
+    die(`[error] Failed to read JSON: ${filePath}\n${e.message}`);
+  }
+}
+
+export function readBlueprintOrDie(repoRoot, blueprintPath) {
+  if (!fs.existsSync(blueprintPath)) {
+    const rel = toPosixPath(path.relative(repoRoot, blueprintPath));
+    const cmdStart = 'node init/_tools/init.mjs start --repo-root .';
+    die(
+      [
+        `[error] Blueprint not found: ${rel}`,
+        `[hint] Run: ${cmdStart}`,
+        '[hint] Or provide a custom path via: --blueprint <path>'
+      ].join('\n'),
+      EXIT.PRECONDITION
+    );
+  }
+  return readJson(blueprintPath);
+}
+
+export function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
@@ -0,0 +1,201 @@
+/**
+ * init-pipeline `evolve`: after init, apply a blueprint delta to the archived blueprint and
+ * rerun only the Stage C steps the changed paths affect (lib/blueprint-delta.mjs)
+ *
+ * Usage:
+ *   import { cmdEvolve } from './lib/commands/evolve.mjs';
+ *
+ *   cmdEvolve({ opts, format, repoRoot, blueprintPath, rel, actionsOf });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { affectedSteps, applyMergePatch, changedPaths } from '../blueprint-delta.mjs';
+import {
+  missingRecommendedPacks,
+  normalizePackList,
+  recommendedPacksFromBlueprint,
+  resolveEvolveBlueprint,
+  validateBlueprint
+} from '../blueprint.mjs';
+import { syncWrappers } from '../cleanup.mjs';
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, readJson, warn, writeJson } from '../cli.mjs';
+import { containerizeEnabled } from '../container-templates.mjs';
+import { loadPackRegistry } from '../packs.mjs';
+import {
+  describeRegionResults,
+  generateConfigFiles,
+  generateContainerFiles,
+  generateProjectAgents,
+  generateProjectReadme,
+  planScaffold,
+  readRootDocsBase,
+  renderProjectAgents,
+  renderProjectReadme,
+  updateManifest
+} from '../scaffold.mjs';
+import { loadState } from '../state.mjs';
+import { ROOT_DOCS_BASE_FILE, resolvePath, toPosixPath } from '../workdir.mjs';
+
+/** `evolve`: apply a blueprint delta after init. */
+export function cmdEvolve({ opts, format, repoRoot, blueprintPath, rel, actionsOf }) {
+  const apply = !!opts['apply'];
+  const providers = opts['providers'] || 'both';
+  const skipConfigs = !!opts['skip-configs'];
+  const skipReadme = !!opts['skip-readme'];
+  const skipRootAgents = !!opts['skip-root-agents'];
+  const overwriteManaged = !!opts['overwrite-managed'];
+
+  const state = loadState(repoRoot);
+  if (state && state.stage !== 'complete') {
+    die(
+      [
+        `[error] Initialization is still in progress (stage ${state.stage}). evolve changes a finished project.`,
+        '[hint] Edit the blueprint and re-run: node init/_tools/init.mjs apply'
+      ].join('\n'),
+      EXIT.PRECONDITION
+    );
+  }
+  if (!opts['delta'] || opts['delta'] === true) die('[error] --delta <file> is required (JSON merge patch against the blueprint).', EXIT.USAGE);
+
+  const sourcePath = resolveEvolveBlueprint(repoRoot, blueprintPath, opts);
+  const sourceRel = toPosixPath(path.relative(repoRoot, sourcePath));
+  const before = readJson(sourcePath);
+  const deltaPath = resolvePath(repoRoot, opts['delta']);
+  if (!fs.existsSync(deltaPath)) die(`[error] Delta not found: ${toPosixPath(path.relative(repoRoot, deltaPath))}`, EXIT.PRECONDITION);
+  const delta = readJson(deltaPath);
+  if (!delta || typeof delta !== 'object' || Array.isArray(delta)) die('[error] The delta must be a JSON object (merge patch).');
+
+  const blueprint = applyMergePatch(before, delta);
+  const changes = changedPaths(before, blueprint);
+  if (changes.length === 0) {
+    if (format === 'json') printJson({ ok: true, blueprint: sourceRel, changes: [], steps: [] });
+    else console.log(`[info] The delta does not change ${sourceRel}; nothing to do.`);
+    process.exit(0);
+  }
+
+  const v = validateBlueprint(blueprint, repoRoot);
+  if (!v.ok) die(['[error] The evolved blueprint is invalid. Fix the delta and re-run.', ...v.errors.map((e) => `- ${e}`)].join('\n'));
+  const warnings = [...v.warnings];
+
+  const rec = recommendedPacksFromBlueprint(blueprint);
+  const currentPacks = normalizePackList((blueprint.skills && blueprint.skills.packs) || []);
+  const missingPacks = missingRecommendedPacks(loadPackRegistry(repoRoot), rec, currentPacks);
+  if (missingPacks.length > 0) {
+    warnings.push(
+      `Blueprint.skills.packs is missing recommended packs: ${missingPacks.join(', ')}. ` +
+        `Add to the delta: "skills": { "packs": ${JSON.stringify([...currentPacks, ...missingPacks])} }`
+    );
+  }
+
+  const skipped = new Set([skipConfigs ? 'configs' : null].filter(Boolean));
+  if (skipReadme && skipRootAgents) skipped.add('root-docs');
+  const steps = affectedSteps(changes).filter((s) => !skipped.has(s.step));
+
+  // Managed regions merge against the base archived with the blueprint; without one,
+  // the regions the unchanged blueprint renders stand in for it.
+  const basePath = path.join(path.dirname(sourcePath), ROOT_DOCS_BASE_FILE);
+  let base = readRootDocsBase(repoRoot, basePath);
+  if (!fs.existsSync(basePath)) {
+    base = {
+      'README.md': renderProjectReadme(repoRoot, before, { overwriteManaged: true, base: {} }).base || {},
+      'AGENTS.md': renderProjectAgents(repoRoot, before, { overwriteManaged: true, base: {} }).base || {}
+    };
+  }
+
+  const results = {};
+  for (const { step } of steps) {
+    if (step === 'scaffold') results.scaffold = planScaffold(repoRoot, blueprint, apply);
+    if (step === 'configs') {
+      results.configs = generateConfigFiles(repoRoot, blueprint, apply);
+      if (containerizeEnabled(blueprint)) results.containers = generateContainerFiles(repoRoot, blueprint, apply);
+    }
+    if (step === 'manifest') {
+      results.manifest = updateManifest(repoRoot, blueprint, apply);
+      warnings.push(...(results.manifest.warnings || []));
+    }
+    if (step === 'wrappers') {
+      results.wrappers = syncWrappers(repoRoot, providers, apply, { stdio: format === 'json' ? 'pipe' : 'inherit' });
+      if (results.wrappers.mode === 'failed') die(`[error] sync-skills.mjs failed with exit code ${results.wrappers.exitCode}`, EXIT.RUNTIME);
+    }
+    if (step === 'root-docs') {
+      const docOptions = { overwriteManaged, base, basePath };
+      if (!skipReadme) results.readme = generateProjectReadme(repoRoot, blueprint, apply, docOptions);
+      if (!skipRootAgents) results.agents = generateProjectAgents(repoRoot, blueprint, apply, docOptions);
+    }
+  }
+
+  if (apply) writeJson(sourcePath, blueprint);
+  results.blueprint = { op: 'write', path: sourcePath, mode: apply ? 'applied' : 'dry-run' };
+
+  if (format === 'json') {
+    const relRecord = (r) => (r && r.path ? { ...r, path: rel(r.path) } : r);
+    printJson({
+      ok: true,
+      mode: apply ? 'apply' : 'dry-run',
+      blueprint: sourceRel,
+      changes,
+      steps,
+      warnings,
+      actions: actionsOf([
+        ...(results.scaffold || []),
+        ...(results.configs || []),
+        ...(results.containers || []),
+        results.manifest,
+        results.wrappers,
+        results.readme,
+        results.agents,
+        results.blueprint
+      ]),
+      results: {
+        ...results,
+        scaffold: results.scaffold ? results.scaffold.map(relRecord) : undefined,
+        manifest: relRecord(results.manifest),
+        readme: relRecord(results.readme),
+        agents: relRecord(results.agents),
+        blueprint: relRecord(results.blueprint)
+      }
+    });
+    process.exit(EXIT.OK);
+  }
+
+  const label = apply ? '[ok]' : '[plan]';
+  console.log(`${label} evolve (${apply ? 'apply' : 'dry-run'}): ${sourceRel}`);
+  console.log('Changed:');
+  for (const c of changes) console.log(`  - ${c}`);
+  console.log('Steps:');
+  for (const s of steps) console.log(`  - ${s.step}`);
+  for (const w of warnings) warn(`[warn] ${w}`);
+
+  const line = (r) => {
+    const mode = r.mode ? ` (${r.mode})` : '';
+    const reason = r.reason ? ` [${r.reason}]` : '';
+    return `  - ${r.op || r.action}: ${r.file || toPosixPath(path.relative(repoRoot, r.path || ''))}${mode}${reason}`;
+  };
+  if (results.scaffold) {
+    console.log(`${label} scaffold:`);
+    for (const r of results.scaffold) console.log(line(r));
+  }
+  if (results.configs) {
+    console.log(`${label} configs:`);
+    for (const r of results.configs) console.log(line(r));
+  }
+  if (results.containers) {
+    console.log(`${label} containers:`);
+    for (const r of results.containers) console.log(line(r));
+  }
+  if (results.manifest) console.log(`${label} manifest:\n${line(results.manifest)}`);
+  if (results.wrappers) console.log(`${label} wrappers:\n  - ${results.wrappers.cmd || results.wrappers.op}${results.wrappers.mode ? ` (${results.wrappers.mode})` : ''}`);
+  for (const [name, r] of [['README.md', results.readme], ['AGENTS.md', results.agents]]) {
+    if (!r) continue;
+    console.log(`${label} ${name}: ${r.mode || r.reason || r.op}`);
+    for (const l of describeRegionResults(name, r.regions)) console.log(l);
+  }
+  console.log(`${label} blueprint:\n${line(results.blueprint)}`);
+  if (!apply) {
+    console.log('\nRe-run with --apply to write these changes.');
+  }
+  process.exit(0);
+}
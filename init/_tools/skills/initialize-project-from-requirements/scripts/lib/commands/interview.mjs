@@ -0,0 +1,275 @@
+/**
+ * init-pipeline `interview`: ask the Stage A must-ask questions and the blueprint questions
+ *
+ * Answers come from the TTY or from `--answers <file>`; the questions and the rendering of
+ * requirements.md and the draft blueprint are in lib/interview.mjs.
+ *
+ * Usage:
+ *   import { cmdInterview } from './lib/commands/interview.mjs';
+ *
+ *   cmdInterview({ opts, format, repoRoot, docsRoot, blueprintPath });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline/promises';
+
+import { CURRENT_BLUEPRINT_VERSION } from '../blueprint-migrations.mjs';
+import { recommendedPacksFromBlueprint, validateBlueprint } from '../blueprint.mjs';
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, readJson, writeJson } from '../cli.mjs';
+import { resolvePackageManager } from '../config-templates.mjs';
+import { tryAutoUpdateInitBoardDoc } from '../entry-docs.mjs';
+import {
+  BLUEPRINT_QUESTIONS,
+  INTERVIEW_QUESTIONS,
+  PROJECT_NAME_RE,
+  draftBlueprint,
+  fillRequirementsDoc,
+  isAnswered,
+  normalizeAnswers
+} from '../interview.mjs';
+import { resolveStageALocale, stageATemplatePath } from '../stage-a-locales.mjs';
+import { addHistoryEvent, getStateLanguage, loadState, saveState, stageKey } from '../state.mjs';
+import { TEMPLATES_DIR, resolvePath, stripUtf8Bom, toPosixPath } from '../workdir.mjs';
+
+async function askInterviewQuestions(rl) {
+  const raw = {};
+  for (const q of INTERVIEW_QUESTIONS) {
+    console.log(`\n${q.prompt}`);
+    if (q.list) {
+      console.log('  (one per line; empty line to finish)');
+      const items = [];
+      for (;;) {
+        const line = (await rl.question('  - ')).trim();
+        if (!line) break;
+        items.push(line);
+      }
+      raw[q.key] = items;
+      continue;
+    }
+    for (;;) {
+      const value = (await rl.question('> ')).trim();
+      if (q.key === 'projectName' && value && !PROJECT_NAME_RE.test(value)) {
+        console.log('[warn] Use lowercase letters, digits and dashes (e.g. "task-hub").');
+        continue;
+      }
+      raw[q.key] = value;
+      break;
+    }
+  }
+  return raw;
+}
+
+async function askBlueprintQuestions(rl) {
+  const choices = {};
+  for (const q of BLUEPRINT_QUESTIONS) {
+    const def = q.key === 'packageManager' ? resolvePackageManager(choices.language) : q.default;
+    const shown = q.boolean ? (def ? 'y' : 'n') : def;
+    const value = (await rl.question(`${q.prompt} [${shown}]: `)).trim();
+    choices[q.key] = value || def;
+  }
+  return choices;
+}
+
+async function confirm(rl, question, defaultYes) {
+  const value = (await rl.question(`${question} ${defaultYes ? '[Y/n]' : '[y/N]'} `)).trim();
+  if (!value) return defaultYes;
+  return /^y(es)?$/i.test(value);
+}
+
+/** True when the blueprint file is missing or still the unmodified example written by `start`. */
+function isPristineBlueprint(blueprintPath) {
+  if (!fs.existsSync(blueprintPath)) return true;
+  const examplePath = path.join(TEMPLATES_DIR, 'project-blueprint.example.json');
+  try {
+    const current = JSON.parse(stripUtf8Bom(fs.readFileSync(blueprintPath, 'utf8')));
+    const example = JSON.parse(stripUtf8Bom(fs.readFileSync(examplePath, 'utf8')));
+    return JSON.stringify(current) === JSON.stringify(example);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Plans the interview writes: requirements.md slots and the optional blueprint draft.
+ * Nothing is written here.
+ */
+function planInterview(repoRoot, docsRoot, blueprintPath, answers, blueprintChoices, options = {}) {
+  const reqPath = path.join(docsRoot, 'requirements.md');
+  const locale = resolveStageALocale(getStateLanguage(loadState(repoRoot)));
+  const template = fs.readFileSync(stageATemplatePath('requirements.template.md', locale), 'utf8');
+  const current = fs.existsSync(reqPath) ? fs.readFileSync(reqPath, 'utf8') : template;
+  const filled = fillRequirementsDoc(current, template, answers, { force: !!options.force, locale });
+
+  let blueprint = null;
+  if (blueprintChoices) {
+    const rel = toPosixPath(path.relative(repoRoot, blueprintPath));
+    if (!isAnswered(answers, 'projectName') || !isAnswered(answers, 'onePurpose')) {
+      blueprint = { op: 'skip', path: rel, reason: 'projectName and onePurpose are required to draft a blueprint' };
+    } else if (!options.force && !isPristineBlueprint(blueprintPath)) {
+      blueprint = { op: 'skip', path: rel, reason: 'blueprint already edited (pass --force to replace it)' };
+    } else {
+      const draft = draftBlueprint(answers, blueprintChoices, { version: CURRENT_BLUEPRINT_VERSION, resolvePackageManager });
+      draft.skills.packs = recommendedPacksFromBlueprint(draft);
+      const v = validateBlueprint(draft, repoRoot);
+      blueprint = v.ok
+        ? { op: 'write', path: rel, content: draft, warnings: v.warnings }
+        : { op: 'invalid', path: rel, content: draft, errors: v.errors };
+    }
+  }
+
+  return {
+    requirements: { path: toPosixPath(path.relative(repoRoot, reqPath)), absPath: reqPath, content: filled.content, changed: filled.content !== current, slots: filled.slots },
+    blueprint
+  };
+}
+
+/** Records asked/answered/writtenTo for each must-ask question in init state. */
+function recordInterviewState(repoRoot, plan, answers, askedKeys) {
+  const state = loadState(repoRoot);
+  if (!state) return false;
+  const stageA = state[stageKey('A')] && typeof state[stageKey('A')] === 'object' ? state[stageKey('A')] : {};
+  const mustAsk = stageA.mustAsk || {};
+  const landed = new Set(
+    plan.requirements.slots.filter((s) => s.status === 'written' || s.status === 'unchanged').flatMap((s) => s.keys)
+  );
+
+  for (const q of INTERVIEW_QUESTIONS) {
+    if (!q.mustAsk || !askedKeys.includes(q.key)) continue;
+    const prev = mustAsk[q.key] && typeof mustAsk[q.key] === 'object' ? mustAsk[q.key] : {};
+    mustAsk[q.key] = {
+      ...prev,
+      asked: true,
+      answered: isAnswered(answers, q.key),
+      writtenTo: landed.has(q.key) ? plan.requirements.path : prev.writtenTo || null
+    };
+  }
+  stageA.mustAsk = mustAsk;
+  stageA.docsWritten = { ...(stageA.docsWritten || {}), requirements: true };
+  state[stageKey('A')] = stageA;
+  addHistoryEvent(state, 'interview_recorded', `Interview answers written to ${plan.requirements.path}`);
+  saveState(repoRoot, state);
+  return true;
+}
+
+function printInterviewPlan(plan, apply, pending = ' (dry-run)') {
+  console.log(apply ? `[ok] ${plan.requirements.path}:` : `[plan] ${plan.requirements.path}${pending}:`);
+  for (const s of plan.requirements.slots) {
+    const note = s.status === 'edited' ? ' (already edited; left unchanged, pass --force to replace)' : s.status === 'missing' ? ' (section not found)' : '';
+    console.log(`  - ${s.slot}: ${s.status}${note}`);
+  }
+  const b = plan.blueprint;
+  if (!b) return;
+  if (b.op === 'write') {
+    console.log(apply ? `[ok] Blueprint drafted: ${b.path}` : `[plan] Blueprint draft: ${b.path}${pending}`);
+    for (const w of b.warnings) console.log(`[warn] ${w}`);
+  } else if (b.op === 'invalid') {
+    console.log(`[error] Blueprint draft is invalid; ${b.path} was not written:`);
+    for (const e of b.errors) console.log(`- ${e}`);
+  } else {
+    console.log(`[info] Blueprint: ${b.reason}`);
+  }
+}
+
+/**
+ * `interview`: asks the must-ask questions (TTY) or reads them from --answers,
+ * fills requirements.md, records stage-a.mustAsk and optionally drafts the blueprint.
+ * Resolves to the process exit code.
+ */
+async function runInterview(ctx) {
+  const { repoRoot, docsRoot, blueprintPath, opts, format } = ctx;
+  const state = loadState(repoRoot);
+  if (!state) die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+
+  let raw;
+  let apply = !!opts['apply'];
+  const answersFile = opts['answers'];
+  let rl = null;
+  let finished = false;
+
+  if (answersFile) {
+    const p = resolvePath(repoRoot, String(answersFile));
+    if (!fs.existsSync(p)) die(`[error] Answers file not found: ${answersFile}`, EXIT.PRECONDITION);
+    raw = readJson(p);
+    if (opts['skip-blueprint'] && raw && typeof raw === 'object') raw = { ...raw, blueprint: false };
+  } else {
+    if (format === 'json') die('[error] --format json needs --answers <file> (the interactive interview writes to the terminal).', EXIT.USAGE);
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      die('[error] interview needs an interactive terminal.\n[hint] For non-interactive runs pass: --answers <file> (see --help)', EXIT.USAGE);
+    }
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.on('close', () => {
+      if (!finished) die('\n[error] Interview aborted; nothing was written.', EXIT.INTERRUPTED);
+    });
+    console.log('Stage A interview: answer each question (Ctrl+D to abort).');
+    raw = await askInterviewQuestions(rl);
+    if (!opts['skip-blueprint'] && (await confirm(rl, `\nDraft ${toPosixPath(path.relative(repoRoot, blueprintPath))} from these answers?`, false))) {
+      raw.blueprint = await askBlueprintQuestions(rl);
+    }
+  }
+
+  const { answers, blueprint: blueprintChoices, errors } = normalizeAnswers(raw);
+  if (errors.length > 0) die(['[error] Invalid interview answers:', ...errors.map((e) => `- ${e}`)].join('\n'));
+  const askedKeys = INTERVIEW_QUESTIONS.map((q) => q.key).filter((k) => k in raw);
+
+  const plan = planInterview(repoRoot, docsRoot, blueprintPath, answers, blueprintChoices, { force: !!opts['force'] });
+
+  if (rl) {
+    printInterviewPlan(plan, false, '');
+    apply = await confirm(rl, '\nWrite these changes?', true);
+    finished = true;
+    rl.close();
+    if (!apply) {
+      console.log('[info] Nothing was written.');
+      return 0;
+    }
+  }
+
+  if (apply) {
+    if (plan.requirements.changed) fs.writeFileSync(plan.requirements.absPath, plan.requirements.content, 'utf8');
+    if (plan.blueprint && plan.blueprint.op === 'write') writeJson(blueprintPath, plan.blueprint.content);
+    recordInterviewState(repoRoot, plan, answers, askedKeys);
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  }
+
+  const ok = !plan.blueprint || plan.blueprint.op !== 'invalid';
+  if (format === 'json') {
+    const mode = apply ? 'applied' : 'dry-run';
+    printJson({
+      ok,
+      errors: plan.blueprint && plan.blueprint.op === 'invalid' ? plan.blueprint.errors || ['Blueprint draft is invalid.'] : [],
+      actions: [
+        plan.requirements.changed ? { op: 'write', path: plan.requirements.path, mode, reason: null } : null,
+        plan.blueprint && plan.blueprint.op === 'write' ? { op: 'write', path: plan.blueprint.path, mode, reason: null } : null
+      ],
+      mode,
+      requirements: { path: plan.requirements.path, changed: plan.requirements.changed, slots: plan.requirements.slots },
+      blueprint: plan.blueprint,
+      mustAsk: INTERVIEW_QUESTIONS.filter((q) => q.mustAsk).map((q) => ({ key: q.key, asked: askedKeys.includes(q.key), answered: isAnswered(answers, q.key) }))
+    });
+  } else {
+    // The TTY flow already showed the plan before asking for confirmation.
+    if (rl) {
+      if (plan.requirements.changed) console.log(`[ok] ${plan.requirements.path} updated.`);
+      if (plan.blueprint && plan.blueprint.op === 'write') console.log(`[ok] Blueprint drafted: ${plan.blueprint.path}`);
+    } else {
+      printInterviewPlan(plan, apply);
+    }
+    if (apply) {
+      console.log('[ok] stage-a.mustAsk updated.');
+      console.log('Next: complete the remaining template sections, then run check-docs.');
+    } else {
+      console.log('[info] Dry-run. Re-run with --apply to write.');
+    }
+  }
+  return ok ? EXIT.OK : EXIT.FAILED;
+}
+
+/** `interview`: run the Stage A interview (TTY or answers file). */
+export function cmdInterview({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  runInterview({ repoRoot, docsRoot, blueprintPath, opts, format }).then(
+    (code) => process.exit(code),
+    (e) => die(`[error] Interview failed: ${e.message}`, EXIT.RUNTIME)
+  );
+}
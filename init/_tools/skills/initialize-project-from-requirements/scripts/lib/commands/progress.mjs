@@ -0,0 +1,618 @@
+/**
+ * init-pipeline commands that move the init state forward: start, set-language, status,
+ * advance, approve, review-skill-retention
+ *
+ * Each handler takes the context built by main() in init-pipeline.mjs
+ * ({ opts, format, repoRoot, docsRoot, blueprintPath, statePath, rel, actionsOf }).
+ *
+ * Usage:
+ *   import { cmdStatus } from './lib/commands/progress.mjs';
+ *
+ *   cmdStatus({ format, repoRoot, docsRoot, blueprintPath });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { approvalDrift, buildApproval, describeApproval, resolveApprover } from '../approvals.mjs';
+import { validateBlueprint } from '../blueprint.mjs';
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, readBlueprintOrDie, warn } from '../cli.mjs';
+import { tryAutoUpdateInitBoardDoc } from '../entry-docs.mjs';
+import {
+  checkDocs,
+  ensureInitTemplates,
+  localizeStageADocs,
+  resolveApprovedPacket,
+  traceRequirements
+} from '../stage-a-docs.mjs';
+import { listStageALocales, resolveStageALocale } from '../stage-a-locales.mjs';
+import {
+  addHistoryEvent,
+  approvalArtifactFiles,
+  approvalDriftReport,
+  approvalHistoryNote,
+  createInitialState,
+  formatApprovalDrift,
+  getStageProgress,
+  getStateLanguage,
+  loadState,
+  normalizeLanguageValue,
+  saveState,
+  stageKey
+} from '../state.mjs';
+import { BLUEPRINT_DEFAULT_REL, STAGE_A_DOCS_DEFAULT_REL, toPosixPath } from '../workdir.mjs';
+
+function printStatus(state, repoRoot, { docsRoot, blueprintPath } = {}) {
+  const progress = getStageProgress(state);
+  const language = getStateLanguage(state);
+
+  const stageNames = { A: 'Requirements', B: 'Blueprint', C: 'Scaffold', complete: 'Complete' };
+  const docsRel = docsRoot ? toPosixPath(path.relative(repoRoot, docsRoot)) : toPosixPath(STAGE_A_DOCS_DEFAULT_REL);
+  const bpRel = blueprintPath ? toPosixPath(path.relative(repoRoot, blueprintPath)) : toPosixPath(BLUEPRINT_DEFAULT_REL);
+
+  console.log('');
+  console.log('== Init Status ==');
+  console.log(`Current stage: ${progress.stage} - ${stageNames[progress.stage] || progress.stage}`);
+  console.log(`Language: ${language || '(not set)'}`);
+
+  if (!language) {
+    console.log('');
+    console.log('Entry docs (init/START-HERE.md, init/INIT-BOARD.md) are created only after language is set.');
+    console.log('Next:');
+    console.log('  node init/_tools/init.mjs set-language --language \"<your language>\" --repo-root .');
+  }
+
+  if (progress.stage === 'A' || progress.stage === 'B' || progress.stage === 'C') {
+    console.log('');
+    console.log('Stage A:');
+    console.log(`  Must-ask: ${progress[stageKey('A')].mustAskAnswered}/${progress[stageKey('A')].mustAskTotal}`);
+    console.log(`  Docs written: ${progress[stageKey('A')].docsWritten}/${progress[stageKey('A')].docsTotal}`);
+    console.log(`  Validated: ${progress[stageKey('A')].validated ? 'yes' : 'no'}`);
+    console.log(`  User approved: ${progress[stageKey('A')].userApproved ? 'yes' : 'no'}`);
+    if ((state[stageKey('A')] || {}).approval) console.log(`  Approved by: ${describeApproval(state[stageKey('A')].approval)}`);
+  }
+
+  if (progress.stage === 'B' || progress.stage === 'C') {
+    console.log('');
+    console.log('Stage B:');
+    console.log(`  Drafted: ${progress[stageKey('B')].drafted ? 'yes' : 'no'}`);
+    console.log(`  Validated: ${progress[stageKey('B')].validated ? 'yes' : 'no'}`);
+    console.log(`  Packs reviewed: ${progress[stageKey('B')].packsReviewed ? 'yes' : 'no'}`);
+    console.log(`  User approved: ${progress[stageKey('B')].userApproved ? 'yes' : 'no'}`);
+    if ((state[stageKey('B')] || {}).approval) console.log(`  Approved by: ${describeApproval(state[stageKey('B')].approval)}`);
+  }
+
+  if (progress.stage === 'C' || progress.stage === 'complete') {
+    console.log('');
+    console.log('Stage C:');
+    console.log(`  Scaffold applied: ${progress[stageKey('C')].scaffoldApplied ? 'yes' : 'no'}`);
+    console.log(`  Configs generated: ${progress[stageKey('C')].configsGenerated ? 'yes' : 'no'}`);
+    console.log(`  Manifest updated: ${progress[stageKey('C')].manifestUpdated ? 'yes' : 'no'}`);
+    console.log(`  Wrappers synced: ${progress[stageKey('C')].wrappersSynced ? 'yes' : 'no'}`);
+    console.log(`  Skill retention reviewed: ${progress[stageKey('C')].skillRetentionReviewed ? 'yes' : 'no'}`);
+    if ((state[stageKey('C')] || {}).approval) console.log(`  Approved by: ${describeApproval(state[stageKey('C')].approval)}`);
+  }
+
+  const drift = approvalDriftReport(repoRoot, state);
+  if (drift.length > 0) {
+    console.log('');
+    for (const line of formatApprovalDrift(drift, '[warn]')) console.log(line);
+  }
+
+  console.log('');
+  console.log('Next steps:');
+  if (progress.stage === 'A') {
+    if (!progress[stageKey('A')].validated) {
+      console.log('- Complete the interview and draft Stage A docs.');
+      console.log(`- Run: node init/_tools/init.mjs check-docs --docs-root ${docsRel} --repo-root .`);
+    } else if (!progress[stageKey('A')].userApproved) {
+      console.log('- Ask the user to review Stage A docs.');
+      console.log('- After approval run: node init/_tools/init.mjs approve --stage A --repo-root .');
+    }
+  } else if (progress.stage === 'B') {
+    if (!progress[stageKey('B')].validated) {
+      console.log(`- Create ${bpRel}`);
+      console.log(`- Run: node init/_tools/init.mjs validate --blueprint ${bpRel} --repo-root .`);
+    } else if (!progress[stageKey('B')].userApproved) {
+      console.log('- Ask the user to review the blueprint.');
+      console.log('- After approval run: node init/_tools/init.mjs approve --stage B --repo-root .');
+    }
+  } else if (progress.stage === 'C') {
+    if (!progress[stageKey('C')].wrappersSynced) {
+      console.log(`- Run: node init/_tools/init.mjs apply --blueprint ${bpRel} --repo-root .`);
+    } else if (!progress[stageKey('C')].skillRetentionReviewed) {
+      console.log('- Review skill retention (keep vs prune).');
+      console.log('- Then run: node init/_tools/init.mjs review-skill-retention --repo-root .');
+    } else if (!progress[stageKey('C')].userApproved) {
+      console.log('- Initialization ready for review.');
+      console.log('- After approval run: node init/_tools/init.mjs approve --stage C --repo-root .');
+    }
+  } else if (progress.stage === 'complete') {
+    console.log('- Initialization complete!');
+  }
+
+  console.log('');
+}
+
+/** `start`: create the init state and the Stage A templates, then show next steps. */
+export function cmdStart({ format, repoRoot, docsRoot, blueprintPath, statePath, rel, actionsOf }) {
+  const existingState = loadState(repoRoot);
+  const templateResults = ensureInitTemplates(docsRoot, blueprintPath, true, resolveStageALocale(getStateLanguage(existingState)));
+  const created = templateResults.filter((r) => r.mode === 'applied');
+  if (format === 'json') {
+    if (!existingState) {
+      const state = createInitialState();
+      addHistoryEvent(state, 'init_started', 'Initialization started');
+      saveState(repoRoot, state);
+    }
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+    printJson({
+      ok: true,
+      created: !existingState,
+      statePath: rel(statePath),
+      actions: [...actionsOf(templateResults), existingState ? null : { op: 'write', path: rel(statePath), mode: 'applied', reason: null }],
+      hints: existingState ? [`To restart, delete ${rel(statePath)} first`] : []
+    });
+    process.exit(EXIT.OK);
+  }
+  if (created.length > 0) {
+    console.log('[ok] Init templates created:');
+    for (const r of created) {
+      console.log(`  - ${path.relative(repoRoot, r.path || r.dst || '')}`);
+    }
+  } else {
+    console.log('[info] Init templates already exist');
+  }
+
+  if (existingState) {
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+    console.log('[info] Existing init state detected');
+    printStatus(existingState, repoRoot, { docsRoot, blueprintPath });
+    console.log(`[info] To restart, delete ${toPosixPath(path.relative(repoRoot, statePath))} first`);
+    process.exit(0);
+  }
+
+  const state = createInitialState();
+  addHistoryEvent(state, 'init_started', 'Initialization started');
+  saveState(repoRoot, state);
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+  console.log(`[ok] Init state created: ${toPosixPath(path.relative(repoRoot, statePath))}`);
+  printStatus(state, repoRoot, { docsRoot, blueprintPath });
+  process.exit(0);
+}
+
+/** `set-language`: set the working language and localize untouched Stage A docs. */
+export function cmdSetLanguage({ opts, format, repoRoot, docsRoot, blueprintPath, actionsOf }) {
+  const raw = opts['language'] ?? opts['lang'] ?? opts['value'];
+  const language = normalizeLanguageValue(raw);
+  if (!language) {
+    die('[error] --language is required (non-empty).', EXIT.USAGE);
+  }
+
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+
+  if (getStateLanguage(state) !== language) {
+    state.language = language;
+    addHistoryEvent(state, 'language_set', `Language set: ${language}`);
+    saveState(repoRoot, state);
+  }
+
+  // Stage A docs still holding template text follow the language; edited docs are left alone.
+  const locale = resolveStageALocale(language);
+  const localized = localizeStageADocs(docsRoot, locale);
+  const switched = localized.filter((r) => r.mode === 'applied');
+  const kept = localized.filter((r) => r.reason === 'edited');
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+  const noLocale = !locale && !/^en\b/i.test(language) && !/^english$/i.test(language);
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      language,
+      locale,
+      warnings: noLocale ? [`No localized Stage A templates for "${language}"; using English (available: ${listStageALocales().join(', ')}).`] : [],
+      actions: actionsOf(localized)
+    });
+    process.exit(EXIT.OK);
+  }
+  console.log(`[ok] Language set: ${language}`);
+  if (!locale && !/^en\b/i.test(language) && !/^english$/i.test(language)) {
+    console.log(`[info] No localized Stage A templates for "${language}"; using English (available: ${listStageALocales().join(', ')}).`);
+  }
+  if (switched.length > 0) {
+    console.log(`[ok] Stage A templates switched to ${locale || 'English'}: ${switched.map((r) => path.basename(r.path)).join(', ')}`);
+  }
+  if (kept.length > 0) {
+    console.log(`[info] Kept edited Stage A docs as they are: ${kept.map((r) => path.basename(r.path)).join(', ')}`);
+  }
+  process.exit(0);
+}
+
+/** `status`: show initialization progress. */
+export function cmdStatus({ format, repoRoot, docsRoot, blueprintPath }) {
+  const state = loadState(repoRoot);
+  if (!state) {
+    if (format === 'json') {
+      printJson({ ok: true, hints: ['Run "start" to begin initialization'] });
+      process.exit(EXIT.OK);
+    }
+    console.log('[info] No init state detected');
+    console.log('[info] Run "start" to begin initialization');
+    process.exit(0);
+  }
+
+  if (format === 'json') {
+    // Keep stdout JSON-only (auto-update may create/refresh entry docs).
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: true });
+    const drift = approvalDriftReport(repoRoot, state);
+    const approvals = {};
+    for (const stage of ['A', 'B', 'C']) {
+      const approval = (state[stageKey(stage)] || {}).approval;
+      if (!approval) continue;
+      const d = drift.find((x) => x.stage === stage);
+      approvals[stageKey(stage)] = { ...approval, changed: d ? d.changes : [] };
+    }
+    printJson({
+      ...getStageProgress(state),
+      approvals,
+      warnings: drift.flatMap((d) => d.changes.map((c) => `Stage ${d.stage} artifact ${c.change} after approval: ${c.path}`))
+    });
+  } else {
+    printStatus(state, repoRoot, { docsRoot, blueprintPath });
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+  }
+  process.exit(0);
+}
+
+/** `advance`: check the current stage and print what the next one needs. */
+export function cmdAdvance({ format, repoRoot, docsRoot, blueprintPath }) {
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+
+  const drift = approvalDriftReport(repoRoot, state);
+  if (drift.length > 0) {
+    die(['[error] Approved artifacts were modified; re-approval is required before advancing.', ...formatApprovalDrift(drift, '[error]')].join('\n'), EXIT.PRECONDITION);
+  }
+
+  const progress = getStageProgress(state);
+  // JSON mode reports the checkpoint and the command(s) to run next instead of the banner text.
+  const checkpoint = (name, next) => {
+    if (format === 'json') process.exit(printJson({ ok: true, checkpoint: name, hints: next.map((c) => `Run: node init/_tools/init.mjs ${c}`) }));
+  };
+
+  if (progress.stage === 'A') {
+    if (!progress[stageKey('A')].validated) {
+      die('[error] Stage A docs not validated yet. Run check-docs first.', EXIT.PRECONDITION);
+    }
+    checkpoint('stage-a-approval', ['approve --stage A']);
+    console.log('\n== Stage A -> B Checkpoint ==\n');
+    console.log('Stage A docs validated.');
+    console.log(`Confirm the user reviewed and approved docs under ${toPosixPath(path.relative(repoRoot, docsRoot))}/`);
+    console.log('\nIf confirmed, run the following to approve and advance:');
+    console.log('  node init/_tools/init.mjs approve --stage A');
+    process.exit(0);
+  }
+
+  if (progress.stage === 'B') {
+    if (!progress[stageKey('B')].validated) {
+      die('[error] Stage B blueprint not validated yet. Run validate first.', EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('B')].packsReviewed) {
+      checkpoint('stage-b-pack-review', ['suggest-packs --repo-root .', 'approve --stage B']);
+      console.log('\n== Stage B Pack Review Checkpoint ==\n');
+      console.log('Stage B blueprint validated, but skill pack selection has not been reviewed yet.');
+      console.log('Review recommended packs (and optionally write safe-adds) by running:');
+      console.log('  node init/_tools/init.mjs suggest-packs --repo-root .');
+      console.log('\nAfter reviewing packs, you may approve Stage B:');
+      console.log('  node init/_tools/init.mjs approve --stage B');
+      process.exit(0);
+    }
+    checkpoint('stage-b-approval', ['approve --stage B']);
+    console.log('\n== Stage B -> C Checkpoint ==\n');
+    console.log('Stage B blueprint validated.');
+    console.log(`Confirm the user reviewed and approved ${toPosixPath(path.relative(repoRoot, blueprintPath))}.`);
+    console.log('\nIf confirmed, run the following to approve and advance:');
+    console.log('  node init/_tools/init.mjs approve --stage B');
+    process.exit(0);
+  }
+
+  if (progress.stage === 'C') {
+    if (!progress[stageKey('C')].wrappersSynced) {
+      die('[error] Stage C not complete yet. Run apply first.', EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('C')].skillRetentionReviewed) {
+      checkpoint('stage-c-skill-retention', ['review-skill-retention']);
+      console.log('\n== Stage C Skill Retention Review Checkpoint ==\n');
+      console.log('Scaffold and skill wrappers are generated.');
+      console.log('Before approving Stage C, review which skills to keep vs prune.');
+      console.log('\nWhen done, mark review complete by running:');
+      console.log('  node init/_tools/init.mjs review-skill-retention');
+      process.exit(0);
+    }
+
+    checkpoint('stage-c-approval', ['approve --stage C', 'update-root-docs --apply', 'cleanup-init --apply --i-understand --archive']);
+    console.log('\n== Stage C Completion Checkpoint ==\n');
+    console.log('Scaffold and skill packs applied.');
+    console.log('Confirm the user reviewed the initialization result.');
+    console.log('\n[IMPORTANT] Root docs updated from blueprint:');
+    console.log('- AGENTS.md: Project Type, Tech Stack, Key Directories');
+    console.log('- README.md: Title, description, tech stack, structure');
+    console.log('\nPlease verify:');
+    console.log('- AGENTS.md "Project Type" shows your project name (NOT "Template repository")');
+    console.log('- Tech Stack and Key Directories match your blueprint choices');
+    console.log('\nIf confirmed, run the following to finish initialization:');
+    console.log('  node init/_tools/init.mjs approve --stage C');
+    console.log('\nNext steps:');
+    console.log('- Review: README.md and AGENTS.md (verify project-specific content)');
+    console.log('- Optional: regenerate root docs:');
+    console.log('  node init/_tools/init.mjs update-root-docs --apply');
+    console.log('- Optional: archive and remove init/:');
+    console.log('  node init/_tools/init.mjs cleanup-init --apply --i-understand --archive');
+    process.exit(0);
+  }
+
+  checkpoint('complete', []);
+  console.log('[info] Initialization complete');
+  process.exit(0);
+}
+
+/** `approve`: record approval of the current stage and move to the next one. */
+export function cmdApprove({ opts, format, repoRoot, docsRoot, blueprintPath, statePath, rel }) {
+  const stageArg = (opts['stage'] || '').toUpperCase();
+  if (!['A', 'B', 'C'].includes(stageArg)) {
+    die('[error] --stage is required. Valid values: A, B, C', EXIT.USAGE);
+  }
+
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+
+  const progress = getStageProgress(state);
+
+  if (opts['approver'] === true || opts['comment'] === true) {
+    die('[error] --approver and --comment need a value.', EXIT.USAGE);
+  }
+  const approver = resolveApprover(repoRoot, opts['approver']);
+  if (!approver) {
+    die('[error] Cannot tell who is approving: pass --approver <name> (git config user.name / user.email are not set).', EXIT.USAGE);
+  }
+
+  // Re-approving Stage A/B after it was approved records fresh artifact hashes; the stage does not move.
+  const reapprove = (stage) =>
+    stageArg === stage && progress.stage !== stage && progress.stage !== 'complete' && progress[stageKey(stage)].userApproved;
+  const reportJson = (approval, packet, advancedTo, hints = []) => {
+    if (format !== 'json') return;
+    process.exit(printJson({
+      ok: true,
+      stage: stageArg,
+      reapproved: !advancedTo,
+      advancedTo,
+      approval,
+      packet: packet || null,
+      actions: [{ op: 'write', path: rel(statePath), mode: 'applied', reason: null }],
+      hints
+    }));
+  };
+  if (reapprove('A') || reapprove('B')) {
+    const s = state[stageKey(stageArg)];
+    if (s.approval && approvalDrift(repoRoot, s.approval).length === 0) {
+      if (format === 'json') process.exit(printJson({ ok: true, stage: stageArg, unchanged: true, approval: s.approval }));
+      console.log(`[info] Stage ${stageArg} is already approved (${describeApproval(s.approval)}) and its artifacts are unchanged.`);
+      process.exit(0);
+    }
+  }
+
+  if (stageArg === 'A') {
+    if (progress.stage !== 'A' && !reapprove('A')) {
+      die(`[error] Current stage is ${progress.stage}. Cannot approve Stage A.`, EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('A')].validated) {
+      die('[error] Stage A docs not validated yet. Run check-docs first.', EXIT.PRECONDITION);
+    }
+
+    // Re-check docs to avoid stale state if files changed after validation.
+    const docsCheck = checkDocs(docsRoot, repoRoot);
+    if (!docsCheck.ok) {
+      die(
+        [
+          '[error] Stage A docs are not currently valid. Fix docs and re-run check-docs.',
+          ...docsCheck.errors.map((e) => `- ${e}`)
+        ].join('\n')
+      );
+    }
+    
+    const packet = resolveApprovedPacket(repoRoot, docsRoot, blueprintPath, opts);
+    const approval = buildApproval({
+      approver,
+      comment: opts['comment'],
+      files: approvalArtifactFiles(repoRoot, docsRoot, blueprintPath, 'A')
+    });
+    state[stageKey('A')].userApproved = true;
+    state[stageKey('A')].approval = approval;
+    if (packet) state[stageKey('A')].approvedPacket = packet;
+    if (reapprove('A')) {
+      addHistoryEvent(state, 'stage_a_reapproved', `User re-approved modified Stage A docs${approvalHistoryNote(approval, packet)}`);
+    } else {
+      state.stage = 'B';
+      addHistoryEvent(state, 'stage_a_approved', `User approved Stage A, advancing to Stage B${approvalHistoryNote(approval, packet)}`);
+    }
+    saveState(repoRoot, state);
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+    reportJson(approval, packet, reapprove('A') ? null : 'B', reapprove('A') ? [] : [`Create ${rel(blueprintPath)}`]);
+    
+    console.log(`[ok] Stage A ${reapprove('A') ? 're-approved' : 'approved'} by ${approval.approver}`);
+    console.log(`[ok] Recorded hashes of ${Object.keys(approval.artifacts).length} Stage A doc(s)`);
+    if (packet) console.log(`[ok] Recorded review packet: ${packet.hash}`);
+    if (reapprove('A')) process.exit(0);
+    console.log('[ok] Advanced to Stage B - Blueprint');
+    console.log(`\nNext: create ${toPosixPath(path.relative(repoRoot, blueprintPath))}`);
+    process.exit(0);
+  }
+
+  if (stageArg === 'B') {
+    if (progress.stage !== 'B' && !reapprove('B')) {
+      die(`[error] Current stage is ${progress.stage}. Cannot approve Stage B.`, EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('B')].validated) {
+      die('[error] Stage B blueprint not validated yet. Run validate first.', EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('B')].packsReviewed) {
+      die('[error] Stage B skill packs have not been reviewed yet. Run suggest-packs first.', EXIT.PRECONDITION);
+    }
+
+    // Re-check blueprint to avoid stale state if file changed after validation.
+    const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+    const v = validateBlueprint(blueprint, repoRoot);
+    if (!v.ok) {
+      die(
+        [
+          '[error] Blueprint is not currently valid. Fix errors and re-run validate.',
+          ...v.errors.map((e) => `- ${e}`)
+        ].join('\n')
+      );
+    }
+    
+    // Traceability is evidence for the approval, not a gate (run `trace --strict` to enforce it).
+    const trace = traceRequirements(docsRoot, blueprint);
+    if (trace.rows.length > 0) {
+      for (const w of [...trace.errors, ...trace.warnings]) warn(`[warn] Traceability: ${w}`);
+    }
+
+    const packet = resolveApprovedPacket(repoRoot, docsRoot, blueprintPath, opts);
+    const approval = buildApproval({
+      approver,
+      comment: opts['comment'],
+      files: approvalArtifactFiles(repoRoot, docsRoot, blueprintPath, 'B')
+    });
+    state[stageKey('B')].userApproved = true;
+    state[stageKey('B')].approval = approval;
+    if (packet) state[stageKey('B')].approvedPacket = packet;
+    if (reapprove('B')) {
+      addHistoryEvent(state, 'stage_b_reapproved', `User re-approved the modified blueprint${approvalHistoryNote(approval, packet)}`);
+    } else {
+      state.stage = 'C';
+      addHistoryEvent(state, 'stage_b_approved', `User approved Stage B, advancing to Stage C${approvalHistoryNote(approval, packet)}`);
+    }
+    saveState(repoRoot, state);
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+    reportJson(approval, packet, reapprove('B') ? null : 'C', reapprove('B') ? [] : ['Run apply to create the scaffold']);
+    
+    console.log(`[ok] Stage B ${reapprove('B') ? 're-approved' : 'approved'} by ${approval.approver}`);
+    console.log('[ok] Recorded the blueprint hash');
+    if (packet) console.log(`[ok] Recorded review packet: ${packet.hash}`);
+    if (reapprove('B')) process.exit(0);
+    console.log('[ok] Advanced to Stage C - Scaffold');
+    console.log('\nNext: run apply to create the scaffold');
+    process.exit(0);
+  }
+
+  if (stageArg === 'C') {
+    if (opts['packet'] || opts['packet-hash']) {
+      die('[error] Review packets cover Stage A/B only; approve Stage C without --packet.', EXIT.USAGE);
+    }
+    if (progress.stage !== 'C') {
+      die(`[error] Current stage is ${progress.stage}. Cannot approve Stage C.`, EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('C')].wrappersSynced) {
+      die('[error] Stage C not complete yet. Run apply first.', EXIT.PRECONDITION);
+    }
+    if (!progress[stageKey('C')].skillRetentionReviewed) {
+      die('[error] Skill retention has not been reviewed yet. Run review-skill-retention first.', EXIT.PRECONDITION);
+    }
+    
+    const drift = approvalDriftReport(repoRoot, state);
+    if (drift.length > 0) {
+      die(['[error] Approved artifacts were modified; re-approve them before approving Stage C.', ...formatApprovalDrift(drift, '[error]')].join('\n'), EXIT.PRECONDITION);
+    }
+
+    const approval = buildApproval({ approver, comment: opts['comment'] });
+    state[stageKey('C')].userApproved = true;
+    state[stageKey('C')].approval = approval;
+    state.stage = 'complete';
+    addHistoryEvent(state, 'stage_c_approved', `User approved Stage C, initialization complete${approvalHistoryNote(approval, null)}`);
+    saveState(repoRoot, state);
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+    reportJson(approval, null, 'complete', [
+      'Verify README.md and AGENTS.md show project-specific content',
+      'Optional: node init/_tools/init.mjs cleanup-init --apply --i-understand --archive'
+    ]);
+    
+    console.log(`[ok] Stage C approved by ${approval.approver}`);
+    console.log('[ok] Initialization complete!');
+    
+    // Check whether agent-builder exists and inform the user
+    const agentDir = path.join(repoRoot, '.ai', 'skills', 'workflows', 'agent');
+    if (fs.existsSync(agentDir)) {
+      console.log('\n[info] Agent Builder pack detected');
+      console.log('- Found: .ai/skills/workflows/agent');
+      console.log('- If not needed, remove it to reduce repo size and sync time:');
+      console.log('  node init/_tools/init.mjs prune-agent-builder --repo-root . --apply --i-understand');
+    }
+    
+    console.log('\n[IMPORTANT] Root docs have been updated from the blueprint:');
+    console.log('- AGENTS.md: Project Type, Tech Stack, Key Directories');
+    console.log('- README.md: Title, description, tech stack, structure');
+    console.log('Please verify these files contain project-specific content.');
+    
+    console.log('\nNext steps:');
+    console.log('- Verify: AGENTS.md shows your project info (not "Template repository")');
+    console.log('- Optional: archive and remove init/:');
+    console.log('  node init/_tools/init.mjs cleanup-init --apply --i-understand --archive');
+    process.exit(0);
+  }
+}
+
+/** `review-skill-retention`: mark Stage C skill retention as reviewed. */
+export function cmdReviewSkillRetention({ format, repoRoot, docsRoot, blueprintPath, statePath, rel }) {
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+
+  const progress = getStageProgress(state);
+  if (progress.stage !== 'C') {
+    die(`[error] Current stage is ${progress.stage}. review-skill-retention is only valid in Stage C.`, EXIT.PRECONDITION);
+  }
+  if (!progress[stageKey('C')].wrappersSynced) {
+    die('[error] Stage C not complete yet. Run apply first.', EXIT.PRECONDITION);
+  }
+
+  const stageC =
+    state[stageKey('C')] && typeof state[stageKey('C')] === 'object' ? state[stageKey('C')] : {};
+  const prevReviewed = !!stageC.skillRetentionReviewed;
+  stageC.skillRetentionReviewed = true;
+  state[stageKey('C')] = stageC;
+
+  if (!prevReviewed) {
+    addHistoryEvent(state, 'stage_c_skill_retention_reviewed', 'Skill retention reviewed');
+    saveState(repoRoot, state);
+  }
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      stage: 'C',
+      skillRetentionReviewed: true,
+      alreadyReviewed: prevReviewed,
+      actions: prevReviewed ? [] : [{ op: 'write', path: rel(statePath), mode: 'applied', reason: null }],
+      hints: ['Next: node init/_tools/init.mjs advance']
+    });
+  } else {
+    console.log(prevReviewed ? '[info] Skill retention already marked as reviewed.' : '[ok] Stage C skill retention review marked as complete.');
+    console.log('Next:');
+    console.log('  node init/_tools/init.mjs advance');
+  }
+
+  process.exit(0);
+}
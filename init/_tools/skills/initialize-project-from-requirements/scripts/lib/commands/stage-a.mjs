@@ -0,0 +1,228 @@
+/**
+ * init-pipeline Stage A commands: check-docs, glossary, trace
+ *
+ * Usage:
+ *   import { cmdCheckDocs } from './lib/commands/stage-a.mjs';
+ *
+ *   cmdCheckDocs({ opts, format, repoRoot, docsRoot, blueprintPath });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, printResult, readBlueprintOrDie, writeJson } from '../cli.mjs';
+import { tryAutoUpdateInitBoardDoc } from '../entry-docs.mjs';
+import { checkDocs, checkGlossaryTerms, traceRequirements } from '../stage-a-docs.mjs';
+import { addHistoryEvent, loadState, saveState, stageKey } from '../state.mjs';
+import { resolvePath, toPosixPath } from '../workdir.mjs';
+
+function printTraceMatrix(trace) {
+  const idWidth = Math.max(6, ...trace.rows.map((r) => r.id.length));
+  const textWidth = Math.min(48, Math.max(11, ...trace.rows.map((r) => r.text.length)));
+  const clip = (t) => (t.length > textWidth ? `${t.slice(0, textWidth - 3)}...` : t.padEnd(textWidth));
+
+  console.log('Requirements -> capabilities');
+  if (trace.rows.length === 0) console.log('  (no requirement IDs found)');
+  for (const r of trace.rows) {
+    const caps = r.capabilities.length > 0 ? r.capabilities.join(', ') : r.strength === 'MUST' ? '(orphan)' : '-';
+    console.log(`  ${r.id.padEnd(idWidth)}  ${(r.strength || '').padEnd(6)}  ${clip(r.text)}  ${caps}`);
+  }
+
+  console.log('\nCapabilities -> requirements');
+  const capWidth = Math.max(10, ...trace.capabilities.map((c) => c.name.length));
+  for (const c of trace.capabilities) {
+    const traces = c.error ? '(invalid traces)' : c.traces.length > 0 ? c.traces.join(', ') : c.enabled ? '(no traces)' : '-';
+    console.log(`  ${c.name.padEnd(capWidth)}  ${(c.enabled ? 'on' : 'off').padEnd(3)}  ${traces}`);
+  }
+}
+
+/** `check-docs`: validate the Stage A docs. */
+export function cmdCheckDocs({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  const strict = !!opts['strict'];
+  const res = checkDocs(docsRoot, repoRoot);
+
+  const passed = res.ok;
+  const ok = passed && (!strict || res.warnings.length === 0);
+  const summary = ok
+    ? `[ok] Stage A docs check passed: ${path.relative(repoRoot, docsRoot)}`
+    : `[error] Stage A docs check failed: ${path.relative(repoRoot, docsRoot)}`;
+
+  // Auto-update state if validation passes
+  if (passed) {
+    const state = loadState(repoRoot);
+    if (state && state.stage === 'A') {
+      const stageA =
+        state[stageKey('A')] && typeof state[stageKey('A')] === 'object' ? state[stageKey('A')] : {};
+      const prevValidated = !!stageA.validated;
+      let changed = false;
+
+      if (!prevValidated) {
+        stageA.validated = true;
+        changed = true;
+      }
+
+      const nextDocsWritten = {
+        requirements: fs.existsSync(path.join(docsRoot, 'requirements.md')),
+        nfr: fs.existsSync(path.join(docsRoot, 'non-functional-requirements.md')),
+        glossary: fs.existsSync(path.join(docsRoot, 'domain-glossary.md')),
+        riskQuestions: fs.existsSync(path.join(docsRoot, 'risk-open-questions.md'))
+      };
+      const prevDocsWritten =
+        stageA.docsWritten && typeof stageA.docsWritten === 'object' ? stageA.docsWritten : null;
+      const docsWrittenChanged =
+        !prevDocsWritten ||
+        !!prevDocsWritten.requirements !== nextDocsWritten.requirements ||
+        !!prevDocsWritten.nfr !== nextDocsWritten.nfr ||
+        !!prevDocsWritten.glossary !== nextDocsWritten.glossary ||
+        !!prevDocsWritten.riskQuestions !== nextDocsWritten.riskQuestions;
+      if (docsWrittenChanged) {
+        stageA.docsWritten = nextDocsWritten;
+        changed = true;
+      }
+
+      // The pipeline is file-based; treat a validated Stage A as "must-ask answered".
+      // This keeps the board/status verifiable without requiring manual state edits.
+      const mustAsk = stageA.mustAsk || {};
+      const reqRel = toPosixPath(path.relative(repoRoot, path.join(docsRoot, 'requirements.md')));
+      const nfrRel = toPosixPath(path.relative(repoRoot, path.join(docsRoot, 'non-functional-requirements.md')));
+      const writtenToByKey = {
+        onePurpose: reqRel,
+        userRoles: reqRel,
+        mustRequirements: reqRel,
+        outOfScope: reqRel,
+        userJourneys: reqRel,
+        constraints: nfrRel,
+        successMetrics: reqRel
+      };
+      for (const key of Object.keys(writtenToByKey)) {
+        const prev = mustAsk[key] && typeof mustAsk[key] === 'object' ? mustAsk[key] : {};
+        const next = {
+          ...prev,
+          asked: true,
+          answered: true,
+          writtenTo: prev.writtenTo || writtenToByKey[key] || reqRel
+        };
+        if (prev.asked !== true || prev.answered !== true || prev.writtenTo !== next.writtenTo) {
+          changed = true;
+        }
+        mustAsk[key] = next;
+      }
+      stageA.mustAsk = mustAsk;
+      state[stageKey('A')] = stageA;
+
+      if (changed) {
+        if (!prevValidated) {
+          addHistoryEvent(state, 'stage_a_validated', 'Stage A docs validated');
+        }
+        saveState(repoRoot, state);
+        if (format !== 'json') {
+          console.log('[auto] State updated: stage-a.validated = true');
+        }
+      }
+    }
+  } else {
+    // If previously validated, mark as not validated to avoid stale state.
+    const state = loadState(repoRoot);
+    if (state && state.stage === 'A') {
+      const stageA =
+        state[stageKey('A')] && typeof state[stageKey('A')] === 'object' ? state[stageKey('A')] : {};
+      const prevValidated = !!stageA.validated;
+      if (prevValidated) {
+        stageA.validated = false;
+        state[stageKey('A')] = stageA;
+        addHistoryEvent(state, 'stage_a_invalidated', 'Stage A docs validation failed (state marked not validated)');
+        saveState(repoRoot, state);
+        if (format !== 'json') {
+          console.log('[auto] State updated: stage-a.validated = false');
+        }
+      }
+    }
+  }
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  printResult({ ok, errors: res.errors, warnings: res.warnings, issues: res.issues, summary }, format);
+  process.exit(ok ? 0 : 1);
+}
+
+/** `glossary`: glossary terms and their usage; optional JSON export. */
+export function cmdGlossary({ opts, format, repoRoot, docsRoot, rel }) {
+  const strict = !!opts['strict'];
+  if (!fs.existsSync(path.join(docsRoot, 'domain-glossary.md'))) {
+    die(`[error] Missing ${toPosixPath(path.relative(repoRoot, path.join(docsRoot, 'domain-glossary.md')))}. Run "start" first.`, EXIT.PRECONDITION);
+  }
+  const res = checkGlossaryTerms(docsRoot, repoRoot);
+  const ok = !strict || res.findings.length === 0;
+  const report = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    glossary: toPosixPath(path.relative(repoRoot, path.join(docsRoot, 'domain-glossary.md'))),
+    scanned: res.scanned,
+    terms: res.terms.map(({ term, aliases, definition }) => ({ term, aliases, definition })),
+    findings: res.findings
+  };
+
+  if (opts['out']) {
+    const outPath = resolvePath(repoRoot, opts['out']);
+    writeJson(outPath, report);
+    if (format !== 'json') console.log(`[ok] Glossary export written: ${toPosixPath(path.relative(repoRoot, outPath))}`);
+  }
+
+  if (format === 'json') {
+    printJson({
+      ok,
+      ...report,
+      warnings: res.findings.map((f) => `${f.file}:${f.line}: ${f.message}`),
+      actions: opts['out'] ? [{ op: 'write', path: rel(resolvePath(repoRoot, opts['out'])), mode: 'applied', reason: null }] : []
+    });
+  } else {
+    console.log(`Glossary terms (${res.terms.length}):`);
+    if (res.terms.length === 0) console.log('  (no terms found under "## Terms")');
+    for (const t of res.terms) console.log(`  ${t.term}${t.aliases.length > 0 ? ` (aliases: ${t.aliases.join(', ')})` : ''}`);
+    console.log('');
+    for (const f of res.findings) console.log(`[warn] ${f.file}:${f.line}: ${f.message}`);
+    if (!ok) console.log('[error] Glossary check failed (--strict).');
+    else if (res.findings.length > 0) console.log(`[ok] Glossary checked: ${res.findings.length} finding(s) (use --strict to fail on them).`);
+    else if (res.terms.length === 0) console.log('[ok] Glossary checked: no terms defined yet.');
+    else console.log(`[ok] Glossary checked: ${res.scanned.join(', ')} use the canonical terms.`);
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+/** `trace`: requirements to blueprint capabilities matrix. */
+export function cmdTrace({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  const strict = !!opts['strict'];
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+  const trace = traceRequirements(docsRoot, blueprint);
+  const ok = trace.errors.length === 0 && (!strict || trace.warnings.length === 0);
+
+  if (format === 'json') {
+    printJson({
+      ok,
+      docsRoot: toPosixPath(path.relative(repoRoot, docsRoot)),
+      blueprint: toPosixPath(path.relative(repoRoot, blueprintPath)),
+      requirements: trace.rows,
+      capabilities: trace.capabilities,
+      orphans: trace.orphans,
+      untraced: trace.untraced,
+      untracedCapabilities: trace.untracedCapabilities,
+      unknownTraces: trace.unknownTraces,
+      invalidTraces: trace.invalidTraces,
+      errors: trace.errors,
+      warnings: trace.warnings
+    });
+  } else {
+    printTraceMatrix(trace);
+    console.log('');
+    for (const e of trace.errors) console.log(`[error] ${e}`);
+    for (const w of trace.warnings) console.log(`[warn] ${w}`);
+    if (trace.untraced.length > 0) console.log(`[info] Untraced SHOULD/MAY requirement(s): ${trace.untraced.join(', ')}`);
+    if (trace.rows.length === 0) {
+      console.log('[hint] Give requirements stable IDs in the Stage A docs, e.g. "- R-001: ...", then list them in capabilities.<name>.traces.');
+    }
+    if (!ok) console.log('[error] Traceability check failed.');
+    else if (trace.warnings.length > 0) console.log('[ok] Traceability check passed with warnings (use --strict to fail on them).');
+    else console.log('[ok] Traceability check passed.');
+  }
+  process.exit(ok ? 0 : 1);
+}
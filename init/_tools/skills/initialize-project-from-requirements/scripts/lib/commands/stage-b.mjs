@@ -0,0 +1,268 @@
+/**
+ * init-pipeline Stage B commands: validate, migrate-blueprint, suggest-packs, export
+ *
+ * Usage:
+ *   import { cmdValidate } from './lib/commands/stage-b.mjs';
+ *
+ *   cmdValidate({ format, repoRoot, docsRoot, blueprintPath });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { planBlueprintMigration } from '../blueprint-migrations.mjs';
+import {
+  checkPackInstall,
+  missingRecommendedPacks,
+  normalizePackList,
+  recommendedPacksFromBlueprint,
+  validateBlueprint
+} from '../blueprint.mjs';
+import { die, printJson, printResult, readBlueprintOrDie, warn, writeJson } from '../cli.mjs';
+import { tryAutoUpdateInitBoardDoc } from '../entry-docs.mjs';
+import { loadPackRegistry, resolvePacks } from '../packs.mjs';
+import { renderPacket } from '../review-packet.mjs';
+import { buildReviewPacket } from '../stage-a-docs.mjs';
+import { addHistoryEvent, loadState, saveState, stageKey } from '../state.mjs';
+import { diffLines, formatUnifiedDiff } from '../unified-diff.mjs';
+import { REVIEW_PACKET_DEFAULT_REL, resolvePath, toPosixPath } from '../workdir.mjs';
+
+/** `validate`: validate the blueprint (no writes). */
+export function cmdValidate({ format, repoRoot, docsRoot, blueprintPath }) {
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+  const v = validateBlueprint(blueprint, repoRoot);
+
+  // Auto-update state if validation passes
+  if (v.ok) {
+    const state = loadState(repoRoot);
+    if (state && state.stage === 'B') {
+      const stageB =
+        state[stageKey('B')] && typeof state[stageKey('B')] === 'object' ? state[stageKey('B')] : {};
+      const prevDrafted = !!stageB.drafted;
+      const prevValidated = !!stageB.validated;
+
+      stageB.drafted = true;
+      stageB.validated = true;
+      state[stageKey('B')] = stageB;
+
+      if (!prevDrafted || !prevValidated) {
+        addHistoryEvent(state, 'stage_b_validated', 'Stage B blueprint validated');
+        saveState(repoRoot, state);
+        if (format !== 'json') {
+          console.log('[auto] State updated: stage-b.validated = true');
+        }
+      }
+    }
+  } else {
+    // If previously validated, mark as not validated to avoid stale state.
+    const state = loadState(repoRoot);
+    if (state && state.stage === 'B') {
+      const stageB =
+        state[stageKey('B')] && typeof state[stageKey('B')] === 'object' ? state[stageKey('B')] : {};
+      const prevValidated = !!stageB.validated;
+      if (prevValidated) {
+        stageB.validated = false;
+        state[stageKey('B')] = stageB;
+        addHistoryEvent(state, 'stage_b_invalidated', 'Stage B blueprint validation failed (state marked not validated)');
+        saveState(repoRoot, state);
+        if (format !== 'json') {
+          console.log('[auto] State updated: stage-b.validated = false');
+        }
+      }
+    }
+  }
+
+  const result = {
+    ok: v.ok,
+    packs: v.packs,
+    errors: v.errors,
+    schemaErrors: v.schemaErrors,
+    warnings: v.warnings,
+    summary: v.ok
+      ? `[ok] Blueprint is valid: ${path.relative(repoRoot, blueprintPath)}`
+      : `[error] Blueprint validation failed: ${path.relative(repoRoot, blueprintPath)}`
+  };
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  printResult(result, format);
+  process.exit(v.ok ? 0 : 1);
+}
+
+/** `migrate-blueprint`: upgrade an older blueprint (backup + rewrite). */
+export function cmdMigrateBlueprint({ opts, format, repoRoot, blueprintPath, rel }) {
+  const apply = !!opts['apply'];
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+  const blueprintRel = toPosixPath(path.relative(repoRoot, blueprintPath));
+  const plan = planBlueprintMigration(blueprint);
+  if (plan.error) die(`[error] ${plan.error}`);
+
+  const before = fs.readFileSync(blueprintPath, 'utf8');
+  const after = JSON.stringify(plan.blueprint, null, 2) + '\n';
+  const upToDate = plan.steps.length === 0;
+
+  let backupPath = null;
+  if (apply && !upToDate) {
+    const base = blueprintPath.replace(/\.json$/i, '');
+    backupPath = `${base}.v${plan.from}.bak.json`;
+    for (let i = 2; fs.existsSync(backupPath); i++) backupPath = `${base}.v${plan.from}.bak-${i}.json`;
+    fs.copyFileSync(blueprintPath, backupPath);
+    fs.writeFileSync(blueprintPath, after, 'utf8');
+
+    const state = loadState(repoRoot);
+    if (state) {
+      addHistoryEvent(state, 'blueprint_migrated', `Blueprint migrated v${plan.from} -> v${plan.to} (backup: ${toPosixPath(path.relative(repoRoot, backupPath))})`);
+      saveState(repoRoot, state);
+    }
+  }
+
+  const v = upToDate || apply ? validateBlueprint(upToDate ? blueprint : plan.blueprint, repoRoot) : null;
+  const mode = upToDate ? 'up-to-date' : apply ? 'applied' : 'dry-run';
+
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      blueprint: blueprintRel,
+      mode,
+      from: plan.from,
+      to: plan.to,
+      steps: plan.steps,
+      backup: backupPath ? rel(backupPath) : null,
+      validation: v ? { ok: v.ok, errors: v.errors, warnings: v.warnings } : null,
+      warnings: v && !v.ok ? v.errors.map((e) => `Blueprint still has validation errors: ${e}`) : [],
+      actions: upToDate
+        ? []
+        : [
+            backupPath ? { op: 'copy', path: rel(backupPath), mode, reason: null, from: blueprintRel } : null,
+            { op: 'write', path: blueprintRel, mode, reason: null }
+          ]
+    });
+  } else if (upToDate) {
+    console.log(`[ok] Blueprint is already v${plan.to}: ${blueprintRel}`);
+  } else {
+    console.log(apply
+      ? `[ok] Blueprint migrated v${plan.from} -> v${plan.to}: ${blueprintRel}`
+      : `[plan] Blueprint migration v${plan.from} -> v${plan.to} (dry-run): ${blueprintRel}`);
+    for (const step of plan.steps) {
+      console.log(`  - v${step.from} -> v${step.to}: ${step.description}`);
+      for (const c of step.changes) console.log(`      ${c}`);
+    }
+    if (backupPath) {
+      console.log(`- Backup: ${toPosixPath(path.relative(repoRoot, backupPath))}`);
+    } else {
+      const hunks = diffLines(before, after);
+      if (hunks.length > 0) process.stdout.write('\n' + formatUnifiedDiff(blueprintRel, before, after, hunks));
+      console.log('[hint] Re-run with --apply to rewrite the blueprint (a backup is kept).');
+    }
+  }
+  if (v && !v.ok && format !== 'json') {
+    warn(['[warn] Blueprint still has validation errors:', ...v.errors.map((e) => `  - ${e}`)].join('\n'));
+  }
+  process.exit(0);
+}
+
+/** `suggest-packs`: recommend skill packs from blueprint capabilities. */
+export function cmdSuggestPacks({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+
+  const v = validateBlueprint(blueprint, repoRoot);
+  const registry = loadPackRegistry(repoRoot);
+  const rec = recommendedPacksFromBlueprint(blueprint);
+  const current = normalizePackList((blueprint.skills && blueprint.skills.packs) || []);
+  const missing = missingRecommendedPacks(registry, rec, current);
+  const extra = current.filter((p) => !rec.includes(p));
+  const resolved = resolvePacks(registry, current);
+
+  const installChecks = rec.map((p) => checkPackInstall(repoRoot, p, registry)).filter((x) => !x.installed);
+  const warnings = [];
+  for (const c of installChecks) warnings.push(`Recommended pack "${c.pack}" is not installed (${c.reason}).`);
+
+  const result = {
+    ok: v.ok,
+    recommended: rec,
+    current,
+    missing,
+    extra,
+    resolved: resolved.packs,
+    includePrefixes: resolved.includePrefixes,
+    warnings,
+    errors: v.errors,
+    summary: [
+      `[info] Packs: current=${current.join(', ') || '(none)'} | recommended=${rec.join(', ')}`,
+      `[info] Resolved (with dependencies): ${resolved.packs.join(', ') || '(none)'}`
+    ].join('\n')
+  };
+
+  if (opts['write']) {
+    if (!v.ok) die('[error] Cannot write packs: blueprint validation failed.');
+    const next = normalizePackList([...current, ...missing]);
+    blueprint.skills = blueprint.skills || {};
+    blueprint.skills.packs = next;
+    writeJson(blueprintPath, blueprint);
+    result.wrote = { path: path.relative(repoRoot, blueprintPath), packs: next };
+    result.summary += `\n[write] Added missing recommended packs into blueprint.skills.packs`;
+  }
+
+  if (v.ok) {
+    const state = loadState(repoRoot);
+    if (state && state.stage === 'B') {
+      const stageB =
+        state[stageKey('B')] && typeof state[stageKey('B')] === 'object' ? state[stageKey('B')] : {};
+      const prevDrafted = !!stageB.drafted;
+      const prevReviewed = !!stageB.packsReviewed;
+
+      stageB.drafted = true;
+      stageB.packsReviewed = true;
+      state[stageKey('B')] = stageB;
+
+      if (!prevDrafted || !prevReviewed) {
+        addHistoryEvent(state, 'stage_b_packs_reviewed', 'Stage B packs reviewed via suggest-packs');
+        saveState(repoRoot, state);
+        if (format !== 'json') {
+          console.log('[auto] State updated: stage-b.packsReviewed = true');
+        }
+      }
+    }
+  }
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  printResult(result, format);
+  process.exit(v.ok ? 0 : 1);
+}
+
+/** `export`: write the hashed review packet for Stage A/B approval. */
+export function cmdExport({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  const outPath = resolvePath(repoRoot, opts['out'] || REVIEW_PACKET_DEFAULT_REL);
+  const kind = /\.html?$/i.test(outPath) ? 'html' : 'md';
+  const packet = buildReviewPacket(repoRoot, docsRoot, blueprintPath);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, renderPacket(packet, kind), 'utf8');
+  const outRel = toPosixPath(path.relative(repoRoot, outPath));
+
+  if (format === 'json') {
+    const stage = packet.state && ['A', 'B'].includes(packet.state.stage) ? packet.state.stage : '<A|B>';
+    printJson({
+      ok: true,
+      path: outRel,
+      kind,
+      hash: packet.hash,
+      files: packet.files.map((f) => f.path),
+      stage: packet.state ? packet.state.stage : null,
+      checkDocs: { ok: packet.checkDocs.ok, errors: packet.checkDocs.errors.length, warnings: packet.checkDocs.warnings.length },
+      validation: packet.validation ? { ok: packet.validation.ok, errors: packet.validation.errors.length } : null,
+      warnings: [
+        packet.checkDocs.ok ? null : 'check-docs currently fails; the packet lists the errors.',
+        packet.validation && !packet.validation.ok ? 'Blueprint validation currently fails; the packet lists the errors.' : null
+      ].filter(Boolean),
+      actions: [{ op: 'write', path: outRel, mode: 'applied', reason: null }],
+      hints: [`After review: node init/_tools/init.mjs approve --stage ${stage} --packet ${outRel}`]
+    });
+  } else {
+    console.log(`[ok] Review packet written: ${outRel} (${kind === 'html' ? 'HTML' : 'Markdown'})`);
+    console.log(`[info] Packet hash: ${packet.hash}`);
+    console.log(`[info] Covers: ${packet.files.map((f) => f.path).join(', ') || '(no files)'}`);
+    if (!packet.checkDocs.ok) console.log('[warn] check-docs currently fails; the packet lists the errors.');
+    if (packet.validation && !packet.validation.ok) console.log('[warn] Blueprint validation currently fails; the packet lists the errors.');
+    const stage = packet.state && ['A', 'B'].includes(packet.state.stage) ? packet.state.stage : '<A|B>';
+    console.log(`[hint] After review: node init/_tools/init.mjs approve --stage ${stage} --packet ${outRel}`);
+  }
+  process.exit(0);
+}
@@ -0,0 +1,728 @@
+/**
+ * init-pipeline Stage C commands: scaffold, diff, apply, undo-apply, cleanup-init,
+ * update-root-docs, prune-agent-builder
+ *
+ * Usage:
+ *   import { cmdDiff } from './lib/commands/stage-c.mjs';
+ *
+ *   cmdDiff({ opts, format, repoRoot, blueprintPath });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { applyUndo, beginApplyJournal, finishApplyJournal, planUndo, readApplyJournal, writeJournal } from '../apply-journal.mjs';
+import { missingRecommendedPacks, normalizePackList, recommendedPacksFromBlueprint, validateBlueprint } from '../blueprint.mjs';
+import {
+  SYNC_LOCK_REL,
+  archiveInitArtifacts,
+  cleanupInit,
+  pruneAgentBuilder,
+  syncWrappers,
+  wrapperRootsRel
+} from '../cleanup.mjs';
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, readBlueprintOrDie, warn } from '../cli.mjs';
+import { containerizeEnabled } from '../container-templates.mjs';
+import { tryAutoUpdateInitBoardDoc } from '../entry-docs.mjs';
+import { loadPackRegistry } from '../packs.mjs';
+import {
+  collectStageCWrites,
+  describeRegionResults,
+  diffStageC,
+  generateConfigFiles,
+  generateContainerFiles,
+  generateProjectAgents,
+  generateProjectReadme,
+  planScaffold,
+  rootDocsBasePath,
+  scaffoldEntries,
+  updateManifest
+} from '../scaffold.mjs';
+import { checkDocs } from '../stage-a-docs.mjs';
+import { addHistoryEvent, approvalDriftReport, formatApprovalDrift, loadState, saveState, stageKey } from '../state.mjs';
+import { applyJournalPath, toPosixPath } from '../workdir.mjs';
+
+/** `scaffold`: plan or apply the directory scaffold. */
+export function cmdScaffold({ opts, format, repoRoot, docsRoot, blueprintPath, actionsOf }) {
+  const apply = !!opts['apply'];
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+
+  const v = validateBlueprint(blueprint, repoRoot);
+  if (!v.ok) die(['[error] Blueprint is not valid; refusing to scaffold.', ...v.errors.map((e) => `- ${e}`)].join('\n'), EXIT.PRECONDITION);
+
+  const plan = planScaffold(repoRoot, blueprint, apply);
+  const summary = apply
+    ? `[ok] Scaffold applied under repo root: ${repoRoot}`
+    : `[plan] Scaffold dry-run under repo root: ${repoRoot}`;
+
+  if (format === 'json') {
+    printJson({ ok: true, summary, plan, actions: actionsOf(plan) });
+  } else {
+    console.log(summary);
+    for (const item of plan) {
+      const mode = item.mode ? ` (${item.mode})` : '';
+      const reason = item.reason ? ` [${item.reason}]` : '';
+      console.log(`- ${item.op}: ${path.relative(repoRoot, item.path || '')}${mode}${reason}`);
+    }
+  }
+
+  if (apply) {
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  }
+  process.exit(0);
+}
+
+/** `diff`: preview every Stage C write as a unified diff. */
+export function cmdDiff({ opts, format, repoRoot, blueprintPath }) {
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+  const v = validateBlueprint(blueprint, repoRoot);
+  if (!v.ok) die(['[error] Blueprint validation failed. Fix errors and re-run.', ...v.errors.map((e) => `- ${e}`)].join('\n'));
+
+  const contextRaw = opts['context'];
+  const context = contextRaw == null ? 3 : Number.parseInt(String(contextRaw), 10);
+  if (!Number.isInteger(context) || context < 0) die('[error] --context must be a non-negative integer.', EXIT.USAGE);
+
+  const res = diffStageC(repoRoot, blueprint, {
+    context,
+    skipConfigs: !!opts['skip-configs'],
+    skipReadme: !!opts['skip-readme'],
+    skipRootAgents: !!opts['skip-root-agents'],
+    overwriteManaged: !!opts['overwrite-managed']
+  });
+  const summary = `[plan] Stage C would write ${res.added + res.modified} file(s): ${res.added} added, ${res.modified} modified, ${res.unchanged} unchanged`;
+
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      blueprint: toPosixPath(path.relative(repoRoot, blueprintPath)),
+      summary,
+      files: res.files.map(({ patch, ...f }) => f),
+      actions: res.files
+        .filter((f) => f.status !== 'unchanged')
+        .map((f) => ({ op: 'write', path: f.path, mode: 'dry-run', reason: f.status })),
+      warnings: ['Wrapper sync (.codex/skills, .claude/skills) is not previewed.']
+    });
+  } else {
+    for (const f of res.files) {
+      if (f.patch) process.stdout.write(f.patch);
+    }
+    if (res.added + res.modified > 0) console.log('');
+    console.log(summary);
+    for (const f of res.files) {
+      const lines = describeRegionResults(f.path, f.regions);
+      if (lines.length > 0) console.log(`[plan] ${f.path} managed regions:\n${lines.join('\n')}`);
+    }
+    console.log('[info] Wrapper sync (.codex/skills, .claude/skills) is not previewed.');
+  }
+  process.exit(0);
+}
+
+/** `apply`: run Stage C (validate, scaffold, configs, manifest, wrapper sync) under an apply journal. */
+export async function cmdApply({ opts, format, repoRoot, docsRoot, blueprintPath, rel, actionsOf }) {
+  const providers = opts['providers'] || 'both';
+  const requireStageA = !!opts['require-stage-a'] || !!opts['require-stage-a-strict'];
+  const requireStageAStrict = !!opts['require-stage-a-strict'];
+  const skipConfigs = !!opts['skip-configs'];
+  const skipReadme = !!opts['skip-readme'];
+  const skipRootAgents = !!opts['skip-root-agents'];
+  const overwriteManaged = !!opts['overwrite-managed'];
+  const skipAgentBuilder = !!opts['skip-agent-builder'];
+  const cleanup = !!opts['cleanup-init'];
+  const archiveAll = !!opts['archive'];
+  const archiveDocs = !!opts['archive-docs'];
+  const archiveBlueprint = !!opts['archive-blueprint'];
+  const archiveDir = opts['archive-dir'];
+
+  if (cleanup && !opts['i-understand']) {
+    die('[error] --cleanup-init requires --i-understand', EXIT.USAGE);
+  }
+  if (skipAgentBuilder && !opts['i-understand']) {
+    die('[error] --skip-agent-builder requires --i-understand', EXIT.USAGE);
+  }
+  if (!cleanup && (archiveAll || archiveDocs || archiveBlueprint)) {
+    warn('[warn] Archive flags are ignored without --cleanup-init');
+  }
+
+  const stateForGate = loadState(repoRoot);
+  if (stateForGate && stateForGate.stage !== 'C') {
+    die(
+      [
+        `[error] Current stage is ${stateForGate.stage}. apply is only valid in Stage C.`,
+        '[hint] After user approval, run: node init/_tools/init.mjs approve --stage B',
+        '[hint] Or use: node init/_tools/init.mjs scaffold --apply  (minimal directories only)'
+      ].join('\n'),
+      EXIT.PRECONDITION
+    );
+  }
+  const drift = approvalDriftReport(repoRoot, stateForGate);
+  if (drift.length > 0) {
+    die(['[error] Approved artifacts were modified; re-approve them before apply.', ...formatApprovalDrift(drift, '[error]')].join('\n'), EXIT.PRECONDITION);
+  }
+
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+
+  // Validate blueprint
+  const v = validateBlueprint(blueprint, repoRoot);
+  if (!v.ok) die(['[error] Blueprint validation failed. Fix errors and re-run.', ...v.errors.map((e) => `- ${e}`)].join('\n'));
+
+  // Stage A docs check (optional gating)
+  const docsCheckRes = checkDocs(docsRoot, repoRoot);
+  if (requireStageA) {
+    const ok = docsCheckRes.ok && (!requireStageAStrict || docsCheckRes.warnings.length === 0);
+    if (!ok) {
+      const docsRel = toPosixPath(path.relative(repoRoot, docsRoot));
+      const cmd = [
+        'node init/_tools/init.mjs check-docs',
+        `--docs-root ${docsRel}`,
+        requireStageAStrict ? '--strict' : null
+      ].filter(Boolean).join(' ');
+      die(
+        [
+          requireStageAStrict
+            ? '[error] Stage A docs check failed in strict mode. Fix docs and re-run.'
+            : '[error] Stage A docs check failed. Fix docs and re-run.',
+          `[hint] Run: ${cmd}`
+        ].join('\n'),
+        EXIT.PRECONDITION
+      );
+    }
+  }
+
+  // Suggest packs (warn-only)
+  const rec = recommendedPacksFromBlueprint(blueprint);
+  const current = normalizePackList((blueprint.skills && blueprint.skills.packs) || []);
+  const missing = missingRecommendedPacks(loadPackRegistry(repoRoot), rec, current);
+  if (missing.length > 0) {
+    warn(`[warn] Blueprint.skills.packs is missing recommended packs: ${missing.join(', ')}`);
+    warn(`[warn] Run: suggest-packs --blueprint ${path.relative(repoRoot, blueprintPath)} --write  (or edit blueprint.skills.packs manually)`);
+  }
+
+  // Journal every write below so undo-apply can restore the pre-apply tree.
+  const journalPath = applyJournalPath(repoRoot);
+  let wrapperRoots;
+  try {
+    wrapperRoots = await wrapperRootsRel(repoRoot);
+  } catch (e) {
+    die(`[error] ${e.message}`, EXIT.RUNTIME);
+  }
+  const stageCBefore = stateForGate && stateForGate[stageKey('C')] ? stateForGate[stageKey('C')] : null;
+  let journal = beginApplyJournal(repoRoot, {
+    files: [
+      ...collectStageCWrites(repoRoot, blueprint, { skipConfigs, skipReadme, skipRootAgents, overwriteManaged }).map((w) => w.path),
+      rootDocsBasePath(repoRoot),
+      path.join(repoRoot, SYNC_LOCK_REL)
+    ],
+    dirs: scaffoldEntries(repoRoot, blueprint).filter((e) => e.kind === 'dir').map((e) => e.path),
+    trees: [
+      ...wrapperRoots.map((rel) => path.join(repoRoot, rel)),
+      skipAgentBuilder ? path.join(repoRoot, '.ai', 'skills', 'workflows', 'agent') : null
+    ].filter(Boolean),
+    stageC: stageCBefore
+  });
+  writeJournal(journalPath, journal);
+  const failApply = (msg) => {
+    writeJournal(journalPath, finishApplyJournal(repoRoot, journal, 'failed'));
+    die(`${msg}\n[hint] Partial changes were journaled. Revert with: node init/_tools/init.mjs undo-apply --apply`, EXIT.RUNTIME);
+  };
+
+  // Scaffold directories
+  const scaffoldPlan = planScaffold(repoRoot, blueprint, true);
+  if (format !== 'json') {
+    console.log('[ok] Scaffold updated.');
+    for (const item of scaffoldPlan) {
+      const mode = item.mode ? ` (${item.mode})` : '';
+      const reason = item.reason ? ` [${item.reason}]` : '';
+      console.log(`  - ${item.op}: ${path.relative(repoRoot, item.path || '')}${mode}${reason}`);
+    }
+  }
+
+  // Generate config files (default: enabled)
+  let configResults = [];
+  if (!skipConfigs) {
+    configResults = generateConfigFiles(repoRoot, blueprint, true);
+    if (format !== 'json') {
+      console.log('[ok] Config files generated.');
+      for (const r of configResults) {
+        const mode = r.mode ? ` (${r.mode})` : '';
+        const reason = r.reason ? ` [${r.reason}]` : '';
+        console.log(`  - ${r.action}: ${r.file}${mode}${reason}`);
+      }
+    }
+  }
+
+  // Container files (quality.devops.containerize); --skip-configs skips them too.
+  let containerResults = [];
+  if (!skipConfigs && containerizeEnabled(blueprint)) {
+    containerResults = generateContainerFiles(repoRoot, blueprint, true);
+    if (format !== 'json') {
+      console.log('[ok] Container files generated.');
+      for (const r of containerResults) {
+        const mode = r.mode ? ` (${r.mode})` : '';
+        const reason = r.reason ? ` [${r.reason}]` : '';
+        console.log(`  - ${r.action}: ${r.file}${mode}${reason}`);
+      }
+    }
+  }
+
+  // Generate/update root docs from the blueprint
+  let readmeResult = null;
+  if (!skipReadme) {
+    readmeResult = generateProjectReadme(repoRoot, blueprint, true, { overwriteManaged });
+    if (format !== 'json') {
+      if (readmeResult.op === 'write' && readmeResult.mode === 'applied') {
+        console.log('[ok] README.md generated from blueprint.');
+        for (const line of describeRegionResults('README.md', readmeResult.regions)) console.log(line);
+      } else if (readmeResult.reason) {
+        console.log(`[info] README.md: ${readmeResult.reason}`);
+      }
+    }
+  }
+
+  let agentsResult = null;
+  if (!skipRootAgents) {
+    agentsResult = generateProjectAgents(repoRoot, blueprint, true, { overwriteManaged });
+    if (format !== 'json') {
+      if (agentsResult.op === 'write' && agentsResult.mode === 'applied') {
+        console.log('[ok] AGENTS.md updated from blueprint.');
+        for (const line of describeRegionResults('AGENTS.md', agentsResult.regions)) console.log(line);
+      } else if (agentsResult.reason) {
+        console.log(`[info] AGENTS.md: ${agentsResult.reason}`);
+      }
+    }
+  }
+
+  // Manifest update
+  const manifestResult = updateManifest(repoRoot, blueprint, true);
+  if (manifestResult.warnings && manifestResult.warnings.length > 0) {
+    for (const w of manifestResult.warnings) warn(`[warn] ${w}`);
+  }
+
+  // Optional prune of heavy workflow skills
+  let pruneResult = null;
+  if (skipAgentBuilder) {
+    pruneResult = pruneAgentBuilder(repoRoot, true);
+    if (pruneResult.mode === 'failed') failApply(`[error] Failed to prune agent workflow: ${pruneResult.error}`);
+  }
+
+  // Sync wrappers
+  const syncResult = syncWrappers(repoRoot, providers, true, { stdio: format === 'json' ? 'pipe' : 'inherit' });
+  if (syncResult.mode === 'failed') failApply(`[error] sync-skills.mjs failed with exit code ${syncResult.exitCode}`);
+
+  journal = finishApplyJournal(repoRoot, journal, 'completed');
+  writeJournal(journalPath, journal);
+  const journalSummary = {
+    path: toPosixPath(path.relative(repoRoot, journalPath)),
+    files: journal.files.length,
+    createdDirs: journal.createdDirs.length,
+    removedDirs: journal.removedDirs.length
+  };
+
+  // Auto-update state
+  const state = loadState(repoRoot);
+  if (state && state.stage === 'C') {
+    const stageC =
+      state[stageKey('C')] && typeof state[stageKey('C')] === 'object' ? state[stageKey('C')] : {};
+
+    let changed = false;
+    const skillsChanged =
+      (manifestResult && manifestResult.mode === 'applied') ||
+      (pruneResult && pruneResult.mode === 'applied');
+
+    if (stageC.scaffoldApplied !== true) {
+      stageC.scaffoldApplied = true;
+      changed = true;
+    }
+
+    if (typeof stageC.configsGenerated !== 'boolean') {
+      stageC.configsGenerated = false;
+      changed = true;
+    }
+    if (!skipConfigs && stageC.configsGenerated !== true) {
+      stageC.configsGenerated = true;
+      changed = true;
+    }
+
+    if (stageC.manifestUpdated !== true) {
+      stageC.manifestUpdated = true;
+      changed = true;
+    }
+
+    if (typeof stageC.wrappersSynced !== 'boolean') {
+      stageC.wrappersSynced = false;
+      changed = true;
+    }
+    if (syncResult && syncResult.mode === 'applied' && stageC.wrappersSynced !== true) {
+      stageC.wrappersSynced = true;
+      changed = true;
+    }
+
+    if (typeof stageC.skillRetentionReviewed !== 'boolean') {
+      stageC.skillRetentionReviewed = false;
+      changed = true;
+    }
+    if (skillsChanged && stageC.skillRetentionReviewed === true) {
+      stageC.skillRetentionReviewed = false;
+      changed = true;
+    }
+
+    state[stageKey('C')] = stageC;
+    if (changed) {
+      const detail = skillsChanged
+        ? 'Stage C apply completed (skills changed; retention review required)'
+        : 'Stage C apply completed';
+      addHistoryEvent(state, 'stage_c_applied', detail);
+      saveState(repoRoot, state);
+      if (format !== 'json') {
+        console.log('[auto] State updated: stage-c progress updated');
+      }
+    }
+  }
+
+  if (!cleanup) {
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  }
+
+  // Optional cleanup
+  let archiveResult = null;
+  let cleanupResult = null;
+  if (cleanup) {
+    const wantsArchiveDocs = archiveAll || archiveDocs;
+    const wantsArchiveBlueprint = archiveAll || archiveBlueprint;
+    if (wantsArchiveDocs || wantsArchiveBlueprint) {
+      archiveResult = archiveInitArtifacts(
+        repoRoot,
+        docsRoot,
+        blueprintPath,
+        { archiveDocs: wantsArchiveDocs, archiveBlueprint: wantsArchiveBlueprint, archiveDir },
+        true
+      );
+      if (archiveResult.errors.length > 0) {
+        die(`[error] Archive failed:\n- ${archiveResult.errors.join('\n- ')}`, EXIT.RUNTIME);
+      }
+    }
+    cleanupResult = cleanupInit(repoRoot, true);
+    if (cleanupResult.mode === 'partial') {
+      warn(`[warn] cleanup-init partially completed: ${cleanupResult.note}`);
+    }
+  }
+
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      warnings: [
+        docsCheckRes.ok ? null : 'Stage A docs check had errors; consider re-running with --require-stage-a.',
+        docsCheckRes.warnings.length > 0 ? 'Stage A docs check has warnings; ensure TBD/TODO items are tracked.' : null
+      ].filter(Boolean),
+      actions: actionsOf([
+        ...scaffoldPlan,
+        ...configResults,
+        ...containerResults,
+        readmeResult,
+        agentsResult,
+        manifestResult,
+        ...(archiveResult ? archiveResult.actions : []),
+        pruneResult,
+        syncResult,
+        cleanupResult
+      ]),
+      hints: ['Next: node init/_tools/init.mjs advance'],
+      blueprint: path.relative(repoRoot, blueprintPath),
+      docsRoot: path.relative(repoRoot, docsRoot),
+      [stageKey('A')]: docsCheckRes,
+      scaffold: scaffoldPlan,
+      configs: configResults,
+      containers: containerResults,
+      readme: readmeResult,
+      agents: agentsResult,
+      manifest: manifestResult,
+      archive: archiveResult,
+      pruneAgentBuilder: pruneResult,
+      sync: syncResult,
+      journal: cleanupResult ? null : journalSummary,
+      cleanup: cleanupResult
+    });
+  } else {
+    console.log('[ok] Apply completed.');
+    console.log(`- Blueprint: ${path.relative(repoRoot, blueprintPath)}`);
+    console.log(`- Docs root: ${path.relative(repoRoot, docsRoot)}`);
+    if (!docsCheckRes.ok) console.log('[warn] Stage A docs check had errors; consider re-running with --require-stage-a.');
+    if (docsCheckRes.warnings.length > 0) console.log('[warn] Stage A docs check has warnings; ensure TBD/TODO items are tracked.');
+    console.log(`- Manifest: ${manifestResult.mode || manifestResult.op} (${path.relative(repoRoot, manifestResult.path)})`);
+    if (archiveResult) console.log(`- Archive: ${archiveResult.mode}`);
+    if (pruneResult) console.log(`- Agent workflow prune: ${pruneResult.mode}`);
+    console.log(`- Wrappers synced via: ${syncResult.cmd || '(skipped)'}`);
+    if (cleanupResult) console.log(`- init/ cleanup: ${cleanupResult.mode}`);
+    else console.log(`- Journal: ${journalSummary.path} (${journalSummary.files} file(s); revert with: undo-apply --apply)`);
+    
+    // Explicit prompt about root docs updates
+    if (readmeResult || agentsResult) {
+      console.log('\n[IMPORTANT] Root docs updated from blueprint:');
+      if (readmeResult && readmeResult.op === 'write') {
+        console.log('- README.md: project title, description, tech stack, structure');
+      }
+      if (agentsResult && agentsResult.op === 'write') {
+        console.log('- AGENTS.md: Project Type, Tech Stack, Key Directories');
+      }
+      console.log('Please verify these contain project-specific content (not template placeholders).');
+    }
+    
+    console.log('\nNext:');
+    console.log('  node init/_tools/init.mjs advance');
+  }
+
+  process.exit(0);
+}
+
+/** `undo-apply`: restore the tree captured by the last apply journal. */
+export function cmdUndoApply({ opts, format, repoRoot, docsRoot, blueprintPath }) {
+  const apply = !!opts['apply'];
+  const journalPath = applyJournalPath(repoRoot);
+  const journalRel = toPosixPath(path.relative(repoRoot, journalPath));
+
+  let journal;
+  try {
+    journal = readApplyJournal(journalPath);
+  } catch (e) {
+    die(`[error] Failed to read apply journal: ${journalRel}\n${e.message}`, EXIT.RUNTIME);
+  }
+  if (!journal) {
+    die(
+      [
+        `[error] No apply journal found: ${journalRel}`,
+        '[hint] undo-apply can only revert the most recent apply, and the journal is removed by cleanup-init.'
+      ].join('\n'),
+      EXIT.PRECONDITION
+    );
+  }
+  if (journal.status === 'undone') {
+    die(`[error] The apply from ${journal.startedAt} was already undone (${journal.undoneAt}).`, EXIT.PRECONDITION);
+  }
+  if (journal.status === 'in-progress') {
+    // apply was interrupted before it could finalize: the current tree is the best post-apply snapshot.
+    warn('[warn] Apply journal was not finalized (apply was interrupted); treating the current tree as post-apply.');
+    journal = finishApplyJournal(repoRoot, journal, 'failed');
+    if (apply) writeJournal(journalPath, journal);
+  }
+
+  const plan = planUndo(repoRoot, journal);
+  const ok = plan.conflicts.length === 0;
+  const planItems = [
+    ...plan.restore.map((p) => ({ op: 'restore', path: p })),
+    ...plan.remove.map((p) => ({ op: 'rm', path: p })),
+    ...plan.mkdirs.map((p) => ({ op: 'mkdir', path: p })),
+    ...plan.rmdirs.map((p) => ({ op: 'rmdir', path: p }))
+  ];
+
+  let undoResult = null;
+  if (ok && apply) {
+    undoResult = applyUndo(repoRoot, journal, plan);
+    writeJournal(journalPath, { ...journal, status: 'undone', undoneAt: new Date().toISOString() });
+
+    const state = loadState(repoRoot);
+    if (state) {
+      if (journal.stageC) state[stageKey('C')] = journal.stageC;
+      addHistoryEvent(
+        state,
+        'stage_c_apply_undone',
+        `Reverted apply from ${journal.startedAt}: ${undoResult.restored.length} restored, ${undoResult.removed.length} removed, ${undoResult.removedDirs.length} dir(s) removed`
+      );
+      saveState(repoRoot, state);
+    }
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  }
+
+  if (format === 'json') {
+    const mode = !ok ? 'refused' : apply ? 'applied' : 'dry-run';
+    printJson({
+      ok,
+      errors: plan.conflicts.map((c) => `Changed since apply (${journal.startedAt}): ${c.path} (${c.reason})`),
+      warnings: undoResult && undoResult.keptDirs.length > 0 ? [`Kept non-empty directories created by apply: ${undoResult.keptDirs.join(', ')}`] : [],
+      hints: !ok ? ['Revert or move these changes, then re-run undo-apply.'] : apply ? [] : ['Re-run with --apply to restore.'],
+      actions: ok ? planItems.map((item) => ({ ...item, mode, reason: null })) : [],
+      mode,
+      journal: journalRel,
+      appliedAt: journal.startedAt,
+      applyStatus: journal.status,
+      plan: planItems,
+      conflicts: plan.conflicts,
+      result: undoResult
+    });
+  } else if (!ok) {
+    console.error(`[error] ${plan.conflicts.length} file(s) changed since apply (${journal.startedAt}); refusing to undo:`);
+    for (const c of plan.conflicts) console.error(`  - ${c.path} (${c.reason})`);
+    console.error('[hint] Revert or move these changes, then re-run undo-apply.');
+  } else {
+    console.log(
+      apply
+        ? `[ok] Reverted apply from ${journal.startedAt}.`
+        : `[plan] Undo apply from ${journal.startedAt} (${journal.status}) (dry-run):`
+    );
+    for (const item of planItems) console.log(`  - ${item.op}: ${item.path}`);
+    if (undoResult && undoResult.keptDirs.length > 0) {
+      warn(`[warn] Kept non-empty directories created by apply: ${undoResult.keptDirs.join(', ')}`);
+    }
+    if (!apply) console.log('[hint] Re-run with --apply to restore.');
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+/** `cleanup-init`: archive and remove the init/ kit (guarded). */
+export function cmdCleanupInit({ opts, format, repoRoot, docsRoot, blueprintPath, actionsOf }) {
+  if (!opts['i-understand']) die('[error] cleanup-init requires --i-understand', EXIT.USAGE);
+  const apply = !!opts['apply'];
+  const archiveAll = !!opts['archive'];
+  const archiveDocs = !!opts['archive-docs'];
+  const archiveBlueprint = !!opts['archive-blueprint'];
+  const archiveDir = opts['archive-dir'];
+  const wantsArchiveDocs = archiveAll || archiveDocs;
+  const wantsArchiveBlueprint = archiveAll || archiveBlueprint;
+
+  let archiveResult = null;
+  if (wantsArchiveDocs || wantsArchiveBlueprint) {
+    archiveResult = archiveInitArtifacts(
+      repoRoot,
+      docsRoot,
+      blueprintPath,
+      { archiveDocs: wantsArchiveDocs, archiveBlueprint: wantsArchiveBlueprint, archiveDir },
+      apply
+    );
+    if (apply && archiveResult.errors.length > 0) {
+      die(`[error] Archive failed:\n- ${archiveResult.errors.join('\n- ')}`, EXIT.RUNTIME);
+    }
+  }
+
+  const res = cleanupInit(repoRoot, apply);
+  if (format === 'json') {
+    printJson({
+      ok: true,
+      actions: actionsOf([...(archiveResult ? archiveResult.actions : []), res]),
+      warnings: res.note && res.mode === 'partial' ? [res.note] : [],
+      archive: archiveResult,
+      result: res
+    });
+  } else {
+    if (!apply) {
+      console.log(`[plan] ${res.op}: ${path.relative(repoRoot, res.path || '')} (${res.mode})`);
+      if (res.note) console.log(`Note: ${res.note}`);
+      if (archiveResult) {
+        console.log(`[plan] archive: ${path.relative(repoRoot, archiveResult.targetRoot)} (${archiveResult.mode})`);
+      }
+    } else {
+      console.log(`[ok] ${res.op}: ${path.relative(repoRoot, res.path || '')} (${res.mode})`);
+      if (res.note) console.log(`Note: ${res.note}`);
+      if (archiveResult) {
+        console.log(`[ok] archive: ${path.relative(repoRoot, archiveResult.targetRoot)} (${archiveResult.mode})`);
+      }
+    }
+  }
+  process.exit(0);
+}
+
+/** `update-root-docs`: generate or merge root README.md and AGENTS.md. */
+export function cmdUpdateRootDocs({ opts, format, repoRoot, docsRoot, blueprintPath, actionsOf }) {
+  const apply = !!opts['apply'];
+  const skipReadme = !!opts['skip-readme'];
+  const skipRootAgents = !!opts['skip-root-agents'];
+  const overwriteManaged = !!opts['overwrite-managed'];
+
+  const blueprint = readBlueprintOrDie(repoRoot, blueprintPath);
+  const v = validateBlueprint(blueprint, repoRoot);
+  if (!v.ok) die(['[error] Blueprint validation failed. Fix errors and re-run.', ...v.errors.map((e) => `- ${e}`)].join('\n'));
+
+  const readmeResult = skipReadme
+    ? { op: 'skip', path: path.join(repoRoot, 'README.md'), reason: '--skip-readme' }
+    : generateProjectReadme(repoRoot, blueprint, apply, { overwriteManaged });
+
+  const agentsResult = skipRootAgents
+    ? { op: 'skip', path: path.join(repoRoot, 'AGENTS.md'), reason: '--skip-root-agents' }
+    : generateProjectAgents(repoRoot, blueprint, apply, { overwriteManaged });
+
+  if (format === 'json') {
+    printJson({ ok: true, readme: readmeResult, agents: agentsResult, actions: actionsOf([readmeResult, agentsResult]) });
+  } else {
+    console.log(apply ? '[ok] Root docs updated.' : '[plan] Root docs update planned (dry-run).');
+    console.log(`- README.md: ${readmeResult.mode || readmeResult.reason || readmeResult.op}`);
+    for (const line of describeRegionResults('README.md', readmeResult.regions)) console.log(line);
+    console.log(`- AGENTS.md: ${agentsResult.mode || agentsResult.reason || agentsResult.op}`);
+    for (const line of describeRegionResults('AGENTS.md', agentsResult.regions)) console.log(line);
+
+    if (apply) {
+      console.log('\n[IMPORTANT] Updated sections from blueprint:');
+      if (readmeResult.op === 'write') {
+        console.log('- README.md: managed regions (header, tech stack, getting started, structure, init kit)');
+      }
+      if (agentsResult.op === 'write') {
+        console.log('- AGENTS.md: Project Type, Tech Stack (managed regions), Key Directories');
+      }
+      console.log('Please verify these contain project-specific content (not "Template repository").');
+    }
+  }
+
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply, silent: format === 'json' });
+
+  process.exit(0);
+}
+
+/** `prune-agent-builder`: remove the agent-builder skill and re-sync wrappers. */
+export function cmdPruneAgentBuilder({ opts, format, repoRoot, docsRoot, blueprintPath, rel, actionsOf }) {
+  if (!opts['i-understand']) die('[error] prune-agent-builder requires --i-understand', EXIT.USAGE);
+  const apply = !!opts['apply'];
+  const syncAfter = opts['sync-after'] !== 'false' && opts['sync-after'] !== false;
+  const providers = opts['providers'] || 'both';
+
+  const agentDir = path.join(repoRoot, '.ai', 'skills', 'workflows', 'agent');
+
+  if (!fs.existsSync(agentDir)) {
+    if (format === 'json') {
+      const result = { op: 'skip', path: agentDir, reason: 'not present' };
+      printJson({ ok: true, result, actions: actionsOf([result]) });
+    } else {
+      console.log('[info] Agent Builder directory not found; nothing to remove');
+      console.log(`  Path: ${path.relative(repoRoot, agentDir)}`);
+    }
+    process.exit(0);
+  }
+
+  const pruneResult = pruneAgentBuilder(repoRoot, apply);
+
+  let syncResult = null;
+  if (apply && syncAfter && pruneResult.mode === 'applied') {
+    if (format !== 'json') {
+      console.log('[info] Re-syncing skill wrappers...');
+    }
+    syncResult = syncWrappers(repoRoot, providers, true, { stdio: format === 'json' ? 'pipe' : 'inherit' });
+  }
+
+  if (format === 'json') {
+    const failed = pruneResult.mode === 'failed' || (syncResult && syncResult.mode === 'failed');
+    printJson(
+      {
+        ok: !failed,
+        errors: [
+          pruneResult.mode === 'failed' ? `Failed to remove ${rel(pruneResult.path)}: ${pruneResult.error}` : null,
+          syncResult && syncResult.mode === 'failed' ? `sync-skills.mjs failed with exit code ${syncResult.exitCode}` : null
+        ].filter(Boolean),
+        prune: pruneResult,
+        sync: syncResult,
+        actions: actionsOf([pruneResult, syncResult])
+      },
+      failed ? EXIT.RUNTIME : EXIT.OK
+    );
+    process.exit(failed ? EXIT.RUNTIME : EXIT.OK);
+  } else {
+    if (!apply) {
+      console.log(`[plan] ${pruneResult.op}: ${path.relative(repoRoot, pruneResult.path || '')} (${pruneResult.mode})`);
+      if (syncAfter) {
+        console.log('[plan] Will re-sync wrappers after removal');
+      }
+    } else {
+      console.log(`[ok] ${pruneResult.op}: ${path.relative(repoRoot, pruneResult.path || '')} (${pruneResult.mode})`);
+      if (syncResult) {
+        console.log(`[ok] Wrappers sync: ${syncResult.mode}`);
+      }
+    }
+  }
+  tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply, silent: format === 'json' });
+  process.exit(0);
+}
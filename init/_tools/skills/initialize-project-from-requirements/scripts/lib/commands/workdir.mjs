@@ -0,0 +1,220 @@
+/**
+ * init-pipeline commands for the workdir and the entry docs: migrate-workdir, update-intake,
+ * update-board
+ *
+ * Usage:
+ *   import { cmdUpdateBoard, warnLegacyWorkdirIfNeeded } from './lib/commands/workdir.mjs';
+ *
+ *   warnLegacyWorkdirIfNeeded(repoRoot, docsRoot, blueprintPath, statePath);
+ *   cmdUpdateBoard({ opts, format, repoRoot, docsRoot, blueprintPath, rel, actionsOf });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { EXIT } from '../cli-output.mjs';
+import { die, printJson, warn } from '../cli.mjs';
+import { tryAutoUpdateInitBoardDoc, updateInitBoardDoc, updateStartHeereDoc } from '../entry-docs.mjs';
+import { getStateLanguage, loadState } from '../state.mjs';
+import {
+  BLUEPRINT_DEFAULT_REL,
+  INIT_BOARD_DEFAULT_REL,
+  INIT_STATE_DEFAULT_REL,
+  LEGACY_BLUEPRINT_REL,
+  LEGACY_INIT_STATE_REL,
+  LEGACY_STAGE_A_DOCS_REL,
+  STAGE_A_DOCS_DEFAULT_REL,
+  START_HEERE_LEGACY_REL,
+  START_HERE_DEFAULT_REL,
+  movePath,
+  resolveBlueprintPath,
+  resolveDocsRoot,
+  resolvePath,
+  toPosixPath
+} from '../workdir.mjs';
+
+function detectWorkdirMode(repoRoot, docsRoot, blueprintPath, statePath) {
+  const docsRel = toPosixPath(path.relative(repoRoot, docsRoot));
+  const blueprintRel = toPosixPath(path.relative(repoRoot, blueprintPath));
+  const stateRel = toPosixPath(path.relative(repoRoot, statePath));
+
+  const modern = {
+    docs: toPosixPath(STAGE_A_DOCS_DEFAULT_REL),
+    blueprint: toPosixPath(BLUEPRINT_DEFAULT_REL),
+    state: toPosixPath(INIT_STATE_DEFAULT_REL)
+  };
+  const legacy = {
+    docs: toPosixPath(LEGACY_STAGE_A_DOCS_REL),
+    blueprint: toPosixPath(LEGACY_BLUEPRINT_REL),
+    state: toPosixPath(LEGACY_INIT_STATE_REL)
+  };
+
+  const legacyUsed = [];
+  if (docsRel === legacy.docs) legacyUsed.push(legacy.docs);
+  if (blueprintRel === legacy.blueprint) legacyUsed.push(legacy.blueprint);
+  if (stateRel === legacy.state) legacyUsed.push(legacy.state);
+
+  const modernUsed = [];
+  if (docsRel === modern.docs) modernUsed.push(modern.docs);
+  if (blueprintRel === modern.blueprint) modernUsed.push(modern.blueprint);
+  if (stateRel === modern.state) modernUsed.push(modern.state);
+
+  let mode = 'custom';
+  if (legacyUsed.length > 0 && modernUsed.length > 0) mode = 'mixed';
+  else if (legacyUsed.length > 0) mode = 'legacy';
+  else if (modernUsed.length === 3) mode = 'modern';
+
+  return {
+    mode,
+    docsRel,
+    blueprintRel,
+    stateRel,
+    legacyUsed,
+    modernUsed
+  };
+}
+
+export function warnLegacyWorkdirIfNeeded(repoRoot, docsRoot, blueprintPath, statePath) {
+  const diag = detectWorkdirMode(repoRoot, docsRoot, blueprintPath, statePath);
+  if (diag.legacyUsed.length === 0) return;
+
+  const paths = diag.legacyUsed.map((p) => `\`${p}\``).join(', ');
+  const cmd = 'node init/_tools/init.mjs migrate-workdir --apply --repo-root .';
+
+  warn(`[warn] Legacy init workdir path(s) detected: ${paths}`);
+  if (diag.mode === 'mixed') {
+    warn('[warn] Some init paths resolve to legacy while others resolve to modern.');
+  }
+  warn(`[warn] Recommended: migrate outputs into \`init/_work/\`:\n       ${cmd}`);
+}
+
+/** `migrate-workdir`: move legacy init outputs into init/_work. */
+export function cmdMigrateWorkdir({ opts, format, repoRoot, actionsOf }) {
+  const apply = !!opts['apply'];
+
+  const legacyState = path.join(repoRoot, LEGACY_INIT_STATE_REL);
+  const legacyDocs = path.join(repoRoot, LEGACY_STAGE_A_DOCS_REL);
+  const legacyBlueprint = path.join(repoRoot, LEGACY_BLUEPRINT_REL);
+
+  const modernState = path.join(repoRoot, INIT_STATE_DEFAULT_REL);
+  const modernDocs = path.join(repoRoot, STAGE_A_DOCS_DEFAULT_REL);
+  const modernBlueprint = path.join(repoRoot, BLUEPRINT_DEFAULT_REL);
+
+  const actions = [
+    movePath(legacyState, modernState, apply),
+    movePath(legacyDocs, modernDocs, apply),
+    movePath(legacyBlueprint, modernBlueprint, apply)
+  ];
+
+  const failed = actions.filter((a) => a.mode === 'failed');
+
+  if (apply && failed.length === 0) {
+    const nextDocsRoot = resolveDocsRoot(repoRoot, null);
+    const nextBlueprintPath = resolveBlueprintPath(repoRoot, null);
+    tryAutoUpdateInitBoardDoc(repoRoot, nextDocsRoot, nextBlueprintPath, { apply: true, silent: format === 'json' });
+  }
+
+  if (format === 'json') {
+    process.exit(printJson({ ok: failed.length === 0, actions: actionsOf(actions) }, failed.length === 0 ? EXIT.OK : EXIT.RUNTIME));
+  } else {
+    const label = apply ? '[ok]' : '[plan]';
+    console.log(`${label} migrate-workdir (${apply ? 'apply' : 'dry-run'})`);
+    for (const a of actions) {
+      const srcRel = toPosixPath(path.relative(repoRoot, a.src || ''));
+      const destRel = toPosixPath(path.relative(repoRoot, a.dest || ''));
+      const mode = a.mode ? ` (${a.mode})` : '';
+      const reason = a.reason ? ` [${a.reason}]` : '';
+      const err = a.error ? ` [error: ${a.error}]` : '';
+      console.log(`- ${a.op}: ${srcRel} -> ${destRel}${mode}${reason}${err}`);
+    }
+  }
+
+  process.exit(failed.length === 0 ? EXIT.OK : EXIT.RUNTIME);
+}
+
+/** `update-intake`: re-render init/START-HERE.md, keeping the LLM blocks. */
+export function cmdUpdateIntake({ opts, format, repoRoot, docsRoot, blueprintPath, rel, actionsOf }) {
+  const apply = !!opts['apply'];
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+  if (!getStateLanguage(state)) {
+    die('[error] Language not set. Run: node init/_tools/init.mjs set-language --language "<your language>" --repo-root .', EXIT.PRECONDITION);
+  }
+
+  const intakePath = resolvePath(repoRoot, opts['path'] || START_HERE_DEFAULT_REL);
+  const startHerePath = path.join(repoRoot, START_HERE_DEFAULT_REL);
+  const startHeereLegacyPath = path.join(repoRoot, START_HEERE_LEGACY_REL);
+  const sourcePath =
+    !fs.existsSync(intakePath) && intakePath === startHerePath && fs.existsSync(startHeereLegacyPath)
+      ? startHeereLegacyPath
+      : null;
+
+  const res = updateStartHeereDoc({
+    repoRoot,
+    docsRoot,
+    blueprintPath,
+    intakePath,
+    sourcePath,
+    apply
+  });
+
+  if (apply && res.ok) {
+    tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, { apply: true, silent: format === 'json' });
+  }
+
+  if (format === 'json') {
+    const { path: resPath, ...rest } = res;
+    process.exit(printJson({ ...rest, path: rel(resPath || intakePath), actions: actionsOf([{ ...res, op: 'write', mode: apply ? 'applied' : 'dry-run' }]) }));
+  } else {
+    const rel = toPosixPath(path.relative(repoRoot, res.path || intakePath));
+    console.log(apply ? `[ok] START-HERE updated: ${rel}` : `[plan] START-HERE update planned (dry-run): ${rel}`);
+  }
+  process.exit(res.ok ? 0 : 1);
+}
+
+/** `update-board`: refresh the machine snapshot in init/INIT-BOARD.md. */
+export function cmdUpdateBoard({ opts, format, repoRoot, docsRoot, blueprintPath, rel, actionsOf }) {
+  const apply = !!opts['apply'];
+  const boardPath = resolvePath(repoRoot, opts['path'] || INIT_BOARD_DEFAULT_REL);
+  const state = loadState(repoRoot);
+  if (!state) {
+    die('[error] No init state detected. Run "start" first.', EXIT.PRECONDITION);
+  }
+  if (!getStateLanguage(state)) {
+    die('[error] Language not set. Run: node init/_tools/init.mjs set-language --language "<your language>" --repo-root .', EXIT.PRECONDITION);
+  }
+
+  if (apply) {
+    const startHerePath = path.join(repoRoot, START_HERE_DEFAULT_REL);
+    const startHeereLegacyPath = path.join(repoRoot, START_HEERE_LEGACY_REL);
+    if (!fs.existsSync(startHerePath) && fs.existsSync(startHeereLegacyPath)) {
+      try {
+        fs.renameSync(startHeereLegacyPath, startHerePath);
+      } catch (e) {
+        warn(`[warn] Failed to migrate legacy START-HEERE.md -> START-HERE.md: ${e.message}`);
+      }
+    }
+    const sourcePath =
+      !fs.existsSync(startHerePath) && fs.existsSync(startHeereLegacyPath) ? startHeereLegacyPath : null;
+    updateStartHeereDoc({ repoRoot, docsRoot, blueprintPath, intakePath: startHerePath, sourcePath, apply: true });
+  }
+
+  const res = updateInitBoardDoc({
+    repoRoot,
+    docsRoot,
+    blueprintPath,
+    boardPath,
+    apply
+  });
+
+  if (format === 'json') {
+    const { path: resPath, ...rest } = res;
+    process.exit(printJson({ ...rest, path: rel(resPath || boardPath), actions: actionsOf([{ ...res, op: 'write', mode: apply ? 'applied' : 'dry-run' }]) }));
+  } else {
+    const rel = toPosixPath(path.relative(repoRoot, res.path || boardPath));
+    console.log(apply ? `[ok] INIT-BOARD updated: ${rel}` : `[plan] INIT-BOARD update planned (dry-run): ${rel}`);
+  }
+  process.exit(res.ok ? 0 : 1);
+}
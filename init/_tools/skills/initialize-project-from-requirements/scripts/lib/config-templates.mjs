@@ -0,0 +1,135 @@
+/**
+ * Config template stacks (dependency-free)
+ *
+ * Single source for which `templates/scaffold-configs/<stack>/` directory serves a
+ * `repo.language` + `repo.packageManager` combination. Shared by init-pipeline.mjs
+ * and scaffold-configs.mjs.
+ *
+ * Stack layout:
+ *   <stack>/*.template            root config files (all layouts)
+ *   <stack>/monorepo/*.template   monorepo variants; replace or add root files when repo.layout is "monorepo"
+ *   <stack>/workspace/*.template  per-workspace files for declared repo.apps[] / repo.packages[]
+ *
+ * Usage:
+ *   import { getConfigTemplateDir, listConfigTemplates, resolvePackageManager } from './lib/config-templates.mjs';
+ *
+ *   const pm = resolvePackageManager(repo.language, repo.packageManager);
+ *   const dir = getConfigTemplateDir(repo.language, pm);
+ *   if (dir) for (const t of listConfigTemplates(dir, repo.layout)) console.log(t.target, t.templatePath);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const CONFIG_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'templates', 'scaffold-configs');
+
+/** "<language>-<packageManager>" (or "<language>" as a fallback for any package manager) -> stack directory. */
+export const CONFIG_TEMPLATE_STACKS = {
+  'typescript-pnpm': 'typescript-pnpm',
+  'typescript-npm': 'typescript-pnpm', // fallback
+  'typescript-yarn': 'typescript-pnpm', // fallback
+  'javascript-pnpm': 'typescript-pnpm', // fallback
+  'javascript-npm': 'typescript-pnpm', // fallback
+  'javascript-yarn': 'typescript-pnpm', // fallback
+  'go-go': 'go',
+  go: 'go',
+  'cpp-xmake': 'cpp-xmake',
+  'c-xmake': 'cpp-xmake',
+  cpp: 'cpp-xmake',
+  c: 'cpp-xmake',
+  'react-native': 'react-native-typescript',
+  'python-uv': 'python-uv',
+  'python-poetry': 'python-poetry',
+  'java-gradle': 'java-gradle',
+  'java-maven': 'java-maven',
+  'kotlin-gradle': 'kotlin-gradle',
+  'rust-cargo': 'rust-cargo',
+  rust: 'rust-cargo'
+};
+
+/** Package manager assumed when `repo.packageManager` (or a workspace's) is not set. */
+export const DEFAULT_PACKAGE_MANAGER = {
+  typescript: 'pnpm',
+  javascript: 'pnpm',
+  'react-native': 'pnpm',
+  go: 'go',
+  python: 'uv',
+  java: 'gradle',
+  kotlin: 'gradle',
+  rust: 'cargo',
+  dotnet: 'dotnet',
+  c: 'xmake',
+  cpp: 'xmake'
+};
+
+export function resolvePackageManager(language, packageManager) {
+  if (packageManager) return String(packageManager).toLowerCase();
+  return DEFAULT_PACKAGE_MANAGER[String(language || '').toLowerCase()] || 'pnpm';
+}
+
+/** Stack name for a language/package manager, or null when none is mapped. */
+export function configTemplateStack(language, packageManager) {
+  const lang = String(language || '').toLowerCase();
+  const key = `${lang}-${String(packageManager || '').toLowerCase()}`;
+  return CONFIG_TEMPLATE_STACKS[key] || CONFIG_TEMPLATE_STACKS[lang] || null;
+}
+
+/** Absolute stack directory, or null when unmapped or missing on disk. */
+export function getConfigTemplateDir(language, packageManager) {
+  const stack = configTemplateStack(language, packageManager);
+  if (!stack) return null;
+  const dir = path.join(CONFIG_TEMPLATES_DIR, stack);
+  return fs.existsSync(dir) ? dir : null;
+}
+
+/**
+ * Sorted combinations that have a template stack ("<language>-*" for language-wide fallbacks).
+ * `accept` narrows the list to combinations whose stack it returns true for.
+ */
+export function supportedConfigStacks(accept = () => true) {
+  const keys = Object.keys(CONFIG_TEMPLATE_STACKS);
+  const wildcard = new Set(keys.filter((k) => Object.prototype.hasOwnProperty.call(DEFAULT_PACKAGE_MANAGER, k)));
+  return keys
+    .filter((k) => wildcard.has(k) || !Array.from(wildcard).some((lang) => k.startsWith(`${lang}-`)))
+    .filter((k) => accept(CONFIG_TEMPLATE_STACKS[k]))
+    .map((k) => (wildcard.has(k) ? `${k}-*` : k))
+    .sort();
+}
+
+function templatesIn(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isFile() && e.name.endsWith('.template'))
+    .map((e) => e.name)
+    .sort();
+}
+
+/**
+ * Root config templates for a layout. In a monorepo, `<stack>/monorepo/<file>.template`
+ * replaces `<stack>/<file>.template` and may add files of its own.
+ *
+ * @returns {{ target: string, templatePath: string, variant: 'base' | 'monorepo' }[]}
+ */
+export function listConfigTemplates(templateDir, layout) {
+  const byTarget = new Map();
+  for (const name of templatesIn(templateDir)) {
+    byTarget.set(name.replace('.template', ''), { templatePath: path.join(templateDir, name), variant: 'base' });
+  }
+  if (layout === 'monorepo') {
+    const monoDir = path.join(templateDir, 'monorepo');
+    for (const name of templatesIn(monoDir)) {
+      byTarget.set(name.replace('.template', ''), { templatePath: path.join(monoDir, name), variant: 'monorepo' });
+    }
+  }
+  return Array.from(byTarget.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([target, t]) => ({ target, ...t }));
+}
+
+/** Per-workspace templates (`<stack>/workspace/*.template`). */
+export function listWorkspaceTemplates(templateDir) {
+  const dir = path.join(templateDir, 'workspace');
+  return templatesIn(dir).map((name) => ({ target: name.replace('.template', ''), templatePath: path.join(dir, name) }));
+}
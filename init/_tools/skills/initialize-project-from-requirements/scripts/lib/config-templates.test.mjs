@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  CONFIG_TEMPLATE_STACKS,
+  configTemplateStack,
+  getConfigTemplateDir,
+  listConfigTemplates,
+  listWorkspaceTemplates,
+  resolvePackageManager,
+  supportedConfigStacks
+} from './config-templates.mjs';
+import { generateConfigFiles } from './scaffold.mjs';
+import { TEMPLATES_DIR } from './workdir.mjs';
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'project-blueprint.example.json'), 'utf8'));
+
+function withRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'config-templates-'));
+  try {
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+/** Render the root (and workspace) config files for a stack into a fresh repo; returns { target: content }. */
+function render(repo) {
+  return withRepo((repoRoot) => {
+    const blueprint = { ...structuredClone(EXAMPLE), repo };
+    generateConfigFiles(repoRoot, blueprint, true);
+    const out = {};
+    const walk = (dir) => {
+      for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+        const abs = path.join(dir, e.name);
+        if (e.isDirectory()) walk(abs);
+        else out[path.relative(repoRoot, abs).split(path.sep).join('/')] = fs.readFileSync(abs, 'utf8');
+      }
+    };
+    walk(repoRoot);
+    return out;
+  });
+}
+
+test('package managers default per language and stacks resolve by language + package manager', () => {
+  assert.equal(resolvePackageManager('python'), 'uv');
+  assert.equal(resolvePackageManager('Kotlin'), 'gradle');
+  assert.equal(resolvePackageManager('python', 'Poetry'), 'poetry');
+  assert.equal(resolvePackageManager('other'), 'pnpm');
+
+  assert.equal(configTemplateStack('python', 'poetry'), 'python-poetry');
+  assert.equal(configTemplateStack('java', 'maven'), 'java-maven');
+  assert.equal(configTemplateStack('rust', 'other'), 'rust-cargo', 'language-wide fallback');
+  assert.equal(configTemplateStack('python', 'pip'), null);
+  assert.equal(getConfigTemplateDir('dotnet', 'dotnet'), null);
+});
+
+test('every mapped stack directory exists and the supported list collapses language fallbacks', () => {
+  for (const stack of new Set(Object.values(CONFIG_TEMPLATE_STACKS))) {
+    assert.ok(fs.existsSync(path.join(TEMPLATES_DIR, 'scaffold-configs', stack)), stack);
+  }
+  const supported = supportedConfigStacks();
+  assert.ok(supported.includes('rust-*') && supported.includes('python-uv') && supported.includes('java-maven'));
+  assert.ok(!supported.includes('rust-cargo'), 'covered by rust-*');
+  assert.deepEqual(supportedConfigStacks((stack) => stack === 'python-uv'), ['python-uv']);
+});
+
+test('monorepo templates replace root files of the same name and add their own', () => {
+  const dir = getConfigTemplateDir('kotlin', 'gradle');
+  const single = listConfigTemplates(dir, 'single');
+  const mono = listConfigTemplates(dir, 'monorepo');
+
+  assert.ok(single.every((t) => t.variant === 'base'));
+  assert.deepEqual(
+    mono.map((t) => [t.target, t.variant]),
+    [['.gitignore', 'base'], ['build.gradle.kts', 'monorepo'], ['settings.gradle.kts', 'monorepo']]
+  );
+  assert.deepEqual(listWorkspaceTemplates(dir).map((t) => t.target), ['build.gradle.kts']);
+  assert.deepEqual(listWorkspaceTemplates(getConfigTemplateDir('cpp', 'xmake')), []);
+});
+
+test('single-repo stacks render their root config files without leftover placeholders', () => {
+  const cases = [
+    [{ language: 'python', packageManager: 'uv' }, ['.gitignore', '.python-version', 'pyproject.toml']],
+    [{ language: 'python', packageManager: 'poetry' }, ['.gitignore', '.python-version', 'pyproject.toml']],
+    [{ language: 'java', packageManager: 'gradle' }, ['.gitignore', 'build.gradle.kts', 'settings.gradle.kts']],
+    [{ language: 'java', packageManager: 'maven' }, ['.gitignore', 'pom.xml']],
+    [{ language: 'kotlin' }, ['.gitignore', 'build.gradle.kts', 'settings.gradle.kts']],
+    [{ language: 'rust' }, ['.gitignore', 'Cargo.toml']]
+  ];
+  for (const [repo, files] of cases) {
+    const out = render({ layout: 'single', ...repo });
+    assert.deepEqual(Object.keys(out).sort(), files, JSON.stringify(repo));
+    for (const [file, content] of Object.entries(out)) assert.doesNotMatch(content, /\{\{/, `${repo.language} ${file}`);
+  }
+  assert.match(render({ layout: 'single', language: 'python', packageManager: 'poetry' })['pyproject.toml'], /\[tool\.poetry\]/);
+});
+
+test('monorepo roots list the declared workspaces of their language, or globs when there are none', () => {
+  const cargo = render({
+    layout: 'monorepo',
+    language: 'rust',
+    apps: [{ name: 'api' }, { name: 'web', language: 'typescript' }],
+    packages: [{ name: 'core' }]
+  });
+  assert.match(cargo['Cargo.toml'], /members = \[\n {4}"apps\/api",\n {4}"packages\/core",\n\]/);
+  assert.ok(cargo['apps/api/Cargo.toml'] && cargo['packages/core/Cargo.toml']);
+
+  const uv = render({ layout: 'monorepo', language: 'python', packageManager: 'uv' });
+  assert.match(uv['pyproject.toml'], /members = \[\n {4}"apps\/\*",\n {4}"packages\/\*",\n\]/);
+
+  const maven = render({ layout: 'monorepo', language: 'java', packageManager: 'maven', apps: [{ name: 'api' }] });
+  assert.match(maven['pom.xml'], /<packaging>pom<\/packaging>/);
+  assert.match(maven['pom.xml'], /<modules>\n {4}<module>apps\/api<\/module>\n {2}<\/modules>/);
+  assert.match(maven['apps/api/pom.xml'], /<artifactId>api<\/artifactId>/);
+});
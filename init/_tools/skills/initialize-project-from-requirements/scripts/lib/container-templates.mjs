@@ -0,0 +1,216 @@
+/**
+ * Container scaffolding for `quality.devops.containerize` (dependency-free)
+ *
+ * Stage C renders these create-only files when containerize is true:
+ *   single layout   Dockerfile, .dockerignore, compose.yaml               (build context: repo root)
+ *   monorepo        apps/<app>/Dockerfile per app, root .dockerignore + compose.yaml
+ *                   (declared repo.apps[] except kind "mobile"; otherwise apps/frontend and
+ *                   apps/backend from capabilities; every build context is the repo root)
+ *
+ * Templates live in `templates/scaffold-containers/`:
+ *   <stack>/Dockerfile.template    per container stack (see CONTAINER_TEMPLATE_STACKS)
+ *   dockerignore.template          shared; ecosystem sections switch on `ignore.<stack>`
+ *   compose.yaml.template          shared; one service per app plus a `db` service for
+ *                                  capabilities.database kinds with a stock image
+ *
+ * Usage:
+ *   import { containerPlan } from './lib/container-templates.mjs';
+ *
+ *   const plan = containerPlan(blueprint);
+ *   for (const t of plan.targets) console.log(t.dockerfile, t.templateDir || `(no template for ${t.stackKey})`);
+ *   // plan.view -> { services, database, ignore } for the shared templates
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { dbSsotMode } from './capability-scaffold.mjs';
+import { configTemplateStack, resolvePackageManager, supportedConfigStacks } from './config-templates.mjs';
+import { hasDeclaredWorkspaces, listWorkspaces } from './workspaces.mjs';
+
+export const CONTAINER_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'templates', 'scaffold-containers');
+
+/** Config template stack -> container template directory (stacks without an entry have no container template). */
+export const CONTAINER_TEMPLATE_STACKS = {
+  'typescript-pnpm': 'node',
+  go: 'go',
+  'python-uv': 'python-uv',
+  'python-poetry': 'python-poetry',
+  'java-gradle': 'gradle',
+  'kotlin-gradle': 'gradle',
+  'java-maven': 'maven',
+  'rust-cargo': 'cargo'
+};
+
+/**
+ * Install/run commands for the Node image, per package manager. No lockfile is scaffolded, so
+ * installs may resolve; `lockedInstall` is what to switch to once the lockfile is committed.
+ */
+const NODE_PACKAGE_MANAGERS = {
+  pnpm: { corepack: true, install: 'pnpm install', lockedInstall: 'pnpm install --frozen-lockfile', run: 'pnpm' },
+  yarn: { corepack: true, install: 'yarn install', lockedInstall: 'yarn install --immutable', run: 'yarn' },
+  npm: { corepack: false, install: 'npm install', lockedInstall: 'npm ci', run: 'npm' }
+};
+
+/** Port exposed per app kind (kinds without one get no EXPOSE / port mapping). */
+const APP_PORTS = { frontend: '3000', backend: '8080', other: '8080' };
+
+/** Kinds whose services get DATABASE_URL and depend on the db service. */
+const DATABASE_CLIENT_KINDS = ['backend', 'worker', 'other'];
+
+/** Local database services for compose (kinds without a stock image are left out). */
+const DATABASE_SERVICES = {
+  postgres: {
+    image: 'postgres:16',
+    port: '5432',
+    data: '/var/lib/postgresql/data',
+    env: { POSTGRES_USER: 'app', POSTGRES_PASSWORD: 'app', POSTGRES_DB: 'app' },
+    url: 'postgresql://app:app@db:5432/app'
+  },
+  mysql: {
+    image: 'mysql:8.4',
+    port: '3306',
+    data: '/var/lib/mysql',
+    env: { MYSQL_USER: 'app', MYSQL_PASSWORD: 'app', MYSQL_DATABASE: 'app', MYSQL_ROOT_PASSWORD: 'root' },
+    url: 'mysql://app:app@db:3306/app'
+  },
+  mongodb: {
+    image: 'mongo:7',
+    port: '27017',
+    data: '/data/db',
+    env: { MONGO_INITDB_ROOT_USERNAME: 'app', MONGO_INITDB_ROOT_PASSWORD: 'app' },
+    url: 'mongodb://app:app@db:27017/app?authSource=admin'
+  },
+  mssql: {
+    image: 'mcr.microsoft.com/mssql/server:2022-latest',
+    port: '1433',
+    data: '/var/opt/mssql',
+    env: { ACCEPT_EULA: 'Y', MSSQL_SA_PASSWORD: 'Dev_Passw0rd!' },
+    url: 'sqlserver://db:1433;database=master;user=sa;password=Dev_Passw0rd!;trustServerCertificate=true'
+  }
+};
+
+/** True when the blueprint asks for container files. */
+export function containerizeEnabled(blueprint) {
+  const devops = (blueprint && blueprint.quality && blueprint.quality.devops) || {};
+  return devops.containerize === true;
+}
+
+/** Container template directory name for a language/package manager, or null. */
+export function containerTemplateStack(language, packageManager) {
+  return CONTAINER_TEMPLATE_STACKS[configTemplateStack(language, packageManager)] || null;
+}
+
+/** Absolute container template directory, or null when unmapped or missing on disk. */
+export function getContainerTemplateDir(language, packageManager) {
+  const stack = containerTemplateStack(language, packageManager);
+  if (!stack) return null;
+  const dir = path.join(CONTAINER_TEMPLATES_DIR, stack);
+  return fs.existsSync(path.join(dir, 'Dockerfile.template')) ? dir : null;
+}
+
+/** Sorted language/package manager combinations that resolve to a container template (same lookup as containerPlan). */
+export function supportedContainerStacks() {
+  return supportedConfigStacks((stack) => Object.prototype.hasOwnProperty.call(CONTAINER_TEMPLATE_STACKS, stack));
+}
+
+function enabled(caps, key) {
+  return !!(caps[key] && caps[key].enabled);
+}
+
+/** Apps that get a Dockerfile: { name, kind, language, packageManager, path }. */
+function containerApps(blueprint) {
+  const repo = (blueprint && blueprint.repo) || {};
+  const caps = (blueprint && blueprint.capabilities) || {};
+  const language = String(repo.language || 'typescript').toLowerCase();
+  const packageManager = resolvePackageManager(language, repo.packageManager);
+
+  if (repo.layout !== 'monorepo') {
+    const kind = enabled(caps, 'backend') ? 'backend' : enabled(caps, 'frontend') ? 'frontend' : 'other';
+    const name = (blueprint.project && blueprint.project.name) || 'app';
+    return [{ name, kind, language, packageManager, path: '.' }];
+  }
+  if (hasDeclaredWorkspaces(blueprint)) {
+    return listWorkspaces(blueprint)
+      .filter((ws) => ws.group === 'apps' && ws.kind !== 'mobile')
+      .map((ws) => ({ name: ws.name, kind: ws.kind, language: ws.language, packageManager: ws.packageManager, path: ws.path }));
+  }
+  return ['frontend', 'backend']
+    .filter((kind) => enabled(caps, kind))
+    .map((kind) => ({ name: kind, kind, language, packageManager, path: `apps/${kind}` }));
+}
+
+function databaseService(blueprint) {
+  if (dbSsotMode(blueprint) === 'none') return null;
+  const kind = String(blueprint.capabilities.database.kind).trim().toLowerCase();
+  const spec = DATABASE_SERVICES[kind];
+  if (!spec) return null;
+  return { kind, ...spec, env: Object.entries(spec.env).map(([name, value]) => ({ name, value })) };
+}
+
+/**
+ * Dockerfile targets and the view for the shared templates.
+ *
+ * @returns {{
+ *   targets: { name: string, kind: string, language: string, packageManager: string, path: string, dockerfile: string, port: string | null, stack: string | null, stackKey: string, templateDir: string | null }[],
+ *   view: { services: object[], database: object | null, ignore: Record<string, boolean> }
+ * }}
+ */
+export function containerPlan(blueprint) {
+  const targets = containerApps(blueprint).map((app) => ({
+    ...app,
+    dockerfile: app.path === '.' ? 'Dockerfile' : `${app.path}/Dockerfile`,
+    port: APP_PORTS[app.kind] || null,
+    stack: containerTemplateStack(app.language, app.packageManager),
+    stackKey: `${app.language}-${app.packageManager}`,
+    templateDir: getContainerTemplateDir(app.language, app.packageManager)
+  }));
+
+  const database = databaseService(blueprint);
+  const buildable = targets.filter((t) => t.templateDir);
+  // Apps of the same kind share a container port; give each its own host port.
+  const hostPorts = new Set(database ? [Number(database.port)] : []);
+  const services = buildable.map((t) => {
+    const usesDb = !!database && DATABASE_CLIENT_KINDS.includes(t.kind);
+    let ports = null;
+    if (t.port) {
+      let host = Number(t.port);
+      while (hostPorts.has(host)) host++;
+      hostPorts.add(host);
+      ports = { host: String(host), container: t.port };
+    }
+    return { name: t.name, dockerfile: t.dockerfile, ports, database: usesDb ? { url: database.url } : null };
+  });
+  const ignore = {};
+  for (const t of buildable) ignore[t.stack.replace(/-.*$/, '')] = true;
+
+  return { targets, view: { services, database, ignore } };
+}
+
+/** Template variables for `<stack>/Dockerfile.template`: { app, container }. */
+export function containerTemplateVars(blueprint, target) {
+  const projectName = (blueprint.project && blueprint.project.name) || 'app';
+  const monorepo = target.path !== '.';
+  const packageName = monorepo ? `${projectName}-${target.name}` : projectName;
+  return {
+    app: {
+      name: target.name,
+      kind: target.kind,
+      path: target.path,
+      dockerfile: target.dockerfile,
+      image: monorepo ? `${projectName}-${target.name}` : projectName,
+      port: target.port,
+      workdir: monorepo ? `/app/${target.path}` : '/app',
+      monorepo,
+      // npm workspace package name (workspace package.json template) / Python package and module names.
+      nodePackage: `@${projectName}/${target.name}`,
+      packageName,
+      module: packageName.replace(/[^A-Za-z0-9_]/g, '_'),
+      // Gradle subproject (settings.gradle.kts includes "apps:<name>") / Cargo binary name.
+      gradleProject: monorepo ? `:${target.path.split('/').join(':')}` : '',
+      binary: monorepo ? target.name : projectName
+    },
+    container: NODE_PACKAGE_MANAGERS[target.packageManager] || NODE_PACKAGE_MANAGERS.npm
+  };
+}
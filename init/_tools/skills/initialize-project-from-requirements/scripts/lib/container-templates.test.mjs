@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {
+  CONTAINER_TEMPLATES_DIR,
+  CONTAINER_TEMPLATE_STACKS,
+  containerPlan,
+  containerTemplateStack,
+  containerTemplateVars,
+  containerizeEnabled,
+  getContainerTemplateDir,
+  supportedContainerStacks
+} from './container-templates.mjs';
+import { TEMPLATES_DIR } from './workdir.mjs';
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'project-blueprint.example.json'), 'utf8'));
+
+function example(edit = () => {}) {
+  const blueprint = structuredClone(EXAMPLE);
+  edit(blueprint);
+  return blueprint;
+}
+
+test('containerizeEnabled reads quality.devops.containerize strictly', () => {
+  assert.equal(containerizeEnabled(EXAMPLE), true);
+  assert.equal(containerizeEnabled(example((b) => (b.quality.devops.containerize = 'yes'))), false);
+  assert.equal(containerizeEnabled({}), false);
+});
+
+test('every container stack has a Dockerfile template on disk', () => {
+  for (const stack of new Set(Object.values(CONTAINER_TEMPLATE_STACKS))) {
+    assert.ok(fs.existsSync(path.join(CONTAINER_TEMPLATES_DIR, stack, 'Dockerfile.template')), stack);
+  }
+  assert.equal(containerTemplateStack('typescript', 'npm'), 'node', 'Node fallbacks share the node template');
+  assert.equal(containerTemplateStack('kotlin', 'gradle'), 'gradle');
+  assert.equal(containerTemplateStack('cpp', 'xmake'), null);
+  assert.equal(getContainerTemplateDir('cpp', 'xmake'), null);
+  assert.equal(getContainerTemplateDir('go', 'go'), path.join(CONTAINER_TEMPLATES_DIR, 'go'));
+});
+
+test('supportedContainerStacks lists the language/package manager combinations containerPlan resolves', () => {
+  const stacks = supportedContainerStacks();
+  assert.ok(stacks.includes('go-*') && stacks.includes('java-maven') && stacks.includes('javascript-npm'));
+  assert.ok(!stacks.some((s) => s.startsWith('cpp') || s.startsWith('c-') || s === 'react-native'));
+  assert.deepEqual(stacks, [...stacks].sort());
+});
+
+test('a single-layout repo gets one root Dockerfile named after the project', () => {
+  const plan = containerPlan(example((b) => (b.repo = { layout: 'single', language: 'python', packageManager: 'uv' })));
+
+  assert.deepEqual(
+    plan.targets.map((t) => [t.name, t.kind, t.dockerfile, t.port, t.stack]),
+    [['my-product', 'backend', 'Dockerfile', '8080', 'python-uv']]
+  );
+  assert.deepEqual(plan.view.ignore, { python: true });
+  assert.equal(plan.view.services[0].database.url, 'postgresql://app:app@db:5432/app');
+});
+
+test('a monorepo without declared apps containerizes the frontend and backend capabilities', () => {
+  const plan = containerPlan(EXAMPLE);
+
+  assert.deepEqual(plan.targets.map((t) => t.dockerfile), ['apps/frontend/Dockerfile', 'apps/backend/Dockerfile']);
+  assert.deepEqual(plan.view.services, [
+    { name: 'frontend', dockerfile: 'apps/frontend/Dockerfile', ports: { host: '3000', container: '3000' }, database: null },
+    { name: 'backend', dockerfile: 'apps/backend/Dockerfile', ports: { host: '8080', container: '8080' }, database: { url: 'postgresql://app:app@db:5432/app' } }
+  ]);
+  assert.equal(plan.view.database.image, 'postgres:16');
+  assert.deepEqual(plan.view.database.env[0], { name: 'POSTGRES_USER', value: 'app' });
+  assert.deepEqual(plan.view.ignore, { node: true });
+});
+
+test('declared apps get one Dockerfile each; mobile apps are skipped and host ports stay unique', () => {
+  const plan = containerPlan(
+    example((b) => {
+      b.repo.apps = [
+        { name: 'api', kind: 'backend' },
+        { name: 'admin-api', kind: 'backend', language: 'go' },
+        { name: 'ios', kind: 'mobile' },
+        { name: 'engine', kind: 'worker', language: 'cpp' }
+      ];
+      b.capabilities.database.kind = 'redis';
+    })
+  );
+
+  assert.deepEqual(plan.targets.map((t) => t.name), ['api', 'admin-api', 'engine']);
+  assert.equal(plan.targets[2].templateDir, null, 'no container template for C++');
+  assert.deepEqual(plan.view.services.map((s) => [s.name, s.ports && s.ports.host]), [['api', '8080'], ['admin-api', '8081']]);
+  assert.equal(plan.view.database, null, 'no stock image for redis');
+  assert.deepEqual(plan.view.ignore, { node: true, go: true });
+});
+
+test('the compose db service follows capabilities.database.kind and is left out without a database', () => {
+  const mysql = containerPlan(example((b) => (b.capabilities.database = { enabled: true, kind: 'mysql', orm: 'none' })));
+  assert.deepEqual([mysql.view.database.image, mysql.view.database.port], ['mysql:8.4', '3306']);
+  assert.equal(mysql.view.services[1].database.url, 'mysql://app:app@db:3306/app');
+
+  const none = containerPlan(example((b) => (b.capabilities.database.enabled = false)));
+  assert.equal(none.view.database, null);
+  assert.ok(none.view.services.every((s) => s.database === null));
+});
+
+test('containerTemplateVars names images, packages and build paths for single and monorepo apps', () => {
+  const mono = containerPlan(EXAMPLE).targets[1];
+  const vars = containerTemplateVars(EXAMPLE, mono);
+  assert.equal(vars.app.image, 'my-product-backend');
+  assert.equal(vars.app.workdir, '/app/apps/backend');
+  assert.equal(vars.app.nodePackage, '@my-product/backend');
+  assert.equal(vars.app.module, 'my_product_backend');
+  assert.equal(vars.app.gradleProject, ':apps:backend');
+  assert.equal(vars.container.run, 'pnpm');
+  assert.equal(vars.container.corepack, true);
+
+  const single = example((b) => (b.repo = { layout: 'single', language: 'typescript', packageManager: 'npm' }));
+  const one = containerTemplateVars(single, containerPlan(single).targets[0]);
+  assert.deepEqual([one.app.image, one.app.workdir, one.app.monorepo, one.app.binary], ['my-product', '/app', false, 'my-product']);
+  assert.equal(one.container.install, 'npm install');
+  assert.equal(one.container.lockedInstall, 'npm ci');
+});
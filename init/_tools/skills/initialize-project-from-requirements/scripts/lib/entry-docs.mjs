@@ -0,0 +1,410 @@
+/**
+ * Entry docs: init/START-HERE.md (intake) and init/INIT-BOARD.md (board)
+ *
+ * START-HERE.md is template-driven; the LLM-maintained blocks between START-HERE markers are
+ * preserved when the template is re-rendered. INIT-BOARD.md is LLM-owned; the pipeline only
+ * rewrites its MACHINE_SNAPSHOT block, after every state-changing command.
+ *
+ * Usage:
+ *   import { tryAutoUpdateInitBoardDoc, updateStartHeereDoc } from './lib/entry-docs.mjs';
+ *
+ *   updateStartHeereDoc({ repoRoot, docsRoot, blueprintPath, apply: true });
+ *   tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { cli, warn } from './cli.mjs';
+import { getStageProgress, getStateLanguage, getStatePath, loadState } from './state.mjs';
+import {
+  INIT_BOARD_DEFAULT_REL,
+  START_HEERE_LEGACY_REL,
+  START_HERE_DEFAULT_REL,
+  TEMPLATES_DIR,
+  stripUtf8Bom,
+  toPosixPath
+} from './workdir.mjs';
+
+const START_HERE_BLOCK_TYPES = ["LLM", "MANUAL"];
+
+const START_HERE_BLOCK_TYPE_PRIMARY = "LLM";
+
+function startHeereMarker(type, id, which) {
+  return "<!-- " + which + " " + type + ":" + id + " -->";
+}
+
+function extractStartHeereBlockInner(content, type, id) {
+  const begin = startHeereMarker(type, id, "BEGIN");
+  const end = startHeereMarker(type, id, "END");
+
+  const beginIdx = content.indexOf(begin);
+  if (beginIdx === -1) return null;
+  const afterBegin = beginIdx + begin.length;
+  const endIdx = content.indexOf(end, afterBegin);
+  if (endIdx === -1) return null;
+  return content.slice(afterBegin, endIdx);
+}
+
+function extractStartHeereBlockInnerAnyType(content, id) {
+  for (const type of START_HERE_BLOCK_TYPES) {
+    const inner = extractStartHeereBlockInner(content, type, id);
+    if (inner != null) return inner;
+  }
+  return null;
+}
+
+function normalizeBlockInner(inner) {
+  if (inner == null) return "\n";
+  let s = String(inner);
+  if (!s.startsWith("\n")) s = "\n" + s;
+  if (!s.endsWith("\n")) s = s + "\n";
+  return s;
+}
+
+function renderStartHeereBlock(type, id, inner) {
+  const begin = startHeereMarker(type, id, "BEGIN");
+  const end = startHeereMarker(type, id, "END");
+  return begin + normalizeBlockInner(inner) + end;
+}
+
+function getStartHereTemplateContent(language, stage) {
+  const templatePath = path.join(TEMPLATES_DIR, "START-HERE.template.md");
+  let template;
+  if (fs.existsSync(templatePath)) {
+    template = stripUtf8Bom(fs.readFileSync(templatePath, "utf8"));
+  } else {
+    template = [
+      "# START HERE (Intake)",
+      "",
+      "<!--",
+      "LLM:",
+      "- This is the single intake surface for progressive information capture.",
+      "- Only edit inside the BEGIN/END LLM blocks.",
+      "",
+      "Rules:",
+      "- The user does NOT need to answer every question at once.",
+      "- Do not show explicit mapping tables here; capture and organize inputs.",
+      "- When a stage starts, roll once: archive prior stage focus + this round into <details>, then clear.",
+      "-->",
+      "",
+      "language: {{language}}",
+      "stage: {{stage}}",
+      "",
+      "## 0. Snapshot (LLM)",
+      "<!-- BEGIN LLM:SNAPSHOT -->",
+      "### Current focus",
+      "- (clear and update as you progress)",
+      "",
+      "### Key inputs (rolling)",
+      "| Key | Value | Status (todo/confirmed/tbd) | Notes |",
+      "|---|---|---|---|",
+      "|  |  | todo |  |",
+      "",
+      "### Questions (rolling, simplified)",
+      "- [ ] (add questions; the user can answer later)",
+      "<!-- END LLM:SNAPSHOT -->",
+      "",
+      "## 1. Working Agreement (LLM)",
+      "<!-- BEGIN LLM:WORKING_AGREEMENT -->",
+      "- timeZone:",
+      "- asyncFirst: true",
+      "- responseSLA:",
+      "- decisionPolicy:",
+      "  - preStageA: editable",
+      "  - stageA: editable (keep required headings for validator)",
+      "  - stageB: editable (re-run validate)",
+      "  - stageC: editable (re-run apply)",
+      "<!-- END LLM:WORKING_AGREEMENT -->",
+      "",
+      "## 2. Materials Register (LLM, no uploads)",
+      "<!-- BEGIN LLM:MATERIALS_REGISTER -->",
+      "| ID | Type | Link | Owner | Extracted summary | Written to | Status | Notes |",
+      "|---|---|---|---|---|---|---|---|",
+      "| M-001 | doc | https:// |  |  |  | todo |  |",
+      "<!-- END LLM:MATERIALS_REGISTER -->",
+      "",
+      "## 3. Notes (LLM)",
+      "<!-- BEGIN LLM:PRE_STAGE_A_NOTES -->",
+      "### This round (new inputs)",
+      "- (append as the user shares info)",
+      "",
+      "### Archive (folded, append-only)",
+      "<details>",
+      "<summary>Stage A (archive)</summary>",
+      "",
+      "- TBD",
+      "",
+      "</details>",
+      "<!-- END LLM:PRE_STAGE_A_NOTES -->",
+      "",
+      "## 4. Next (Read-only)",
+      "- See `init/INIT-BOARD.md`",
+      ""
+    ].join("\n");
+  }
+
+  return template
+    .replace(/\{\{\s*language\s*\}\}/g, String(language || ""))
+    .replace(/\{\{\s*stage\s*\}\}/g, String(stage || ""));
+}
+
+function upsertStartHeereBlock(content, id, inner) {
+  const type = START_HERE_BLOCK_TYPE_PRIMARY;
+  const begin = startHeereMarker(type, id, "BEGIN");
+  const end = startHeereMarker(type, id, "END");
+
+  const text = String(content || "");
+  const beginIdx = text.indexOf(begin);
+  const rendered = renderStartHeereBlock(type, id, inner);
+  if (beginIdx === -1) {
+    const nl = text.includes("\r\n") ? "\r\n" : "\n";
+    const trimmed = text.trimEnd();
+    return trimmed ? trimmed + nl + nl + rendered + nl : rendered + nl;
+  }
+
+  const afterBegin = beginIdx + begin.length;
+  const endIdx = text.indexOf(end, afterBegin);
+  if (endIdx === -1) return text;
+
+  return text.slice(0, beginIdx) + rendered + text.slice(endIdx + end.length);
+}
+
+export function updateStartHeereDoc({ repoRoot, docsRoot, blueprintPath, intakePath, sourcePath, apply }) {
+  const targetPath = intakePath || path.join(repoRoot, START_HERE_DEFAULT_REL);
+
+  const existingPath =
+    fs.existsSync(targetPath)
+      ? targetPath
+      : (sourcePath && fs.existsSync(sourcePath) ? sourcePath : null);
+  const existing = existingPath ? fs.readFileSync(existingPath, "utf8") : null;
+
+  const state = loadState(repoRoot);
+  const languageValue = getStateLanguage(state);
+  if (!languageValue) {
+    return { ok: true, op: "write", path: targetPath, mode: "skipped", reason: "language not set" };
+  }
+
+  const stage = (state && state.stage) ? String(state.stage) : "A";
+  const template = getStartHereTemplateContent(languageValue, stage);
+
+  const blockIds = ["SNAPSHOT", "WORKING_AGREEMENT", "MATERIALS_REGISTER", "PRE_STAGE_A_NOTES"];
+
+  const defaults = {};
+  for (const id of blockIds) {
+    defaults[id] = extractStartHeereBlockInnerAnyType(template, id) || "\n";
+  }
+
+  const blocks = {};
+  for (const id of blockIds) {
+    const extracted = existing ? extractStartHeereBlockInnerAnyType(existing, id) : null;
+    blocks[id] = extracted != null ? extracted : defaults[id];
+  }
+
+  let content = template;
+  for (const id of blockIds) {
+    content = upsertStartHeereBlock(content, id, blocks[id]);
+  }
+
+  const targetExisting = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, "utf8") : null;
+  const nl = targetExisting && targetExisting.includes("\r\n") ? "\r\n" : "\n";
+  const hasBom = !!(targetExisting && targetExisting.charCodeAt(0) === 0xfeff);
+
+  let next = String(content).replace(/\r\n/g, "\n").split("\n").join(nl);
+  next = ensureTrailingNewline(next, nl);
+  if (hasBom && next.charCodeAt(0) !== 0xfeff) next = "\ufeff" + next;
+
+  const existingNormalized = targetExisting ? ensureTrailingNewline(targetExisting, nl) : null;
+  if (existingNormalized && next === existingNormalized) {
+    return { ok: true, op: "write", path: targetPath, mode: "skipped", reason: "no change" };
+  }
+
+  if (!apply) return { ok: true, op: "write", path: targetPath, mode: "dry-run" };
+
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fs.writeFileSync(targetPath, next, "utf8");
+  return { ok: true, op: "write", path: targetPath, mode: "applied" };
+}
+
+const INIT_BOARD_MACHINE_SNAPSHOT_START = '<!-- INIT-BOARD:MACHINE_SNAPSHOT:START -->';
+
+const INIT_BOARD_MACHINE_SNAPSHOT_END = '<!-- INIT-BOARD:MACHINE_SNAPSHOT:END -->';
+
+function getStateUpdatedAt(state) {
+  if (!state || typeof state !== 'object') return null;
+  const history = Array.isArray(state.history) ? state.history : [];
+  let latest = null;
+  for (const item of history) {
+    const ts = item && typeof item.timestamp === 'string' ? item.timestamp : null;
+    if (!ts) continue;
+    if (!latest || ts > latest) latest = ts;
+  }
+  if (latest) return latest;
+  return typeof state.createdAt === 'string' ? state.createdAt : null;
+}
+
+function getInitBoardTemplateContent({ language }) {
+  const templatePath = path.join(TEMPLATES_DIR, 'INIT-BOARD.template.md');
+  if (fs.existsSync(templatePath)) {
+    return fs.readFileSync(templatePath, 'utf8').replace(/\{\{\s*language\s*\}\}/g, language || '');
+  }
+
+  // Fallback template (ASCII-only). The board is LLM-owned; the pipeline updates only the machine snapshot block.
+  return [
+    '# INIT BOARD (LLM-owned)',
+    '',
+    '<!--',
+    'LLM: Maintain this file in the user\'s chosen language and preferred layout.',
+    'Pipeline: Updates ONLY the MACHINE_SNAPSHOT block below.',
+    'Do not edit inside the MACHINE_SNAPSHOT markers.',
+    '-->',
+    '',
+    `language: ${language || ''}`,
+    '',
+    '## Current',
+    '- (LLM) Summarize current stage, current focus, and what is blocked.',
+    '',
+    '## Next',
+    '- (LLM) List the next 1-3 actions.',
+    '',
+    INIT_BOARD_MACHINE_SNAPSHOT_START,
+    '```json',
+    '{',
+    '  \"note\": \"machine snapshot will be injected here\"',
+    '}',
+    '```',
+    INIT_BOARD_MACHINE_SNAPSHOT_END,
+    ''
+  ].join('\n');
+}
+
+function ensureFileExistsWithContent(filePath, content, apply) {
+  if (fs.existsSync(filePath)) return { ok: true, op: 'skip', path: filePath, mode: 'skipped', reason: 'exists' };
+  if (!apply) return { ok: true, op: 'write', path: filePath, mode: 'dry-run' };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  return { ok: true, op: 'write', path: filePath, mode: 'applied' };
+}
+
+function ensureTrailingNewline(text, nl = '\n') {
+  const s = String(text || '');
+  if (s.endsWith('\r\n') || s.endsWith('\n')) return s;
+  return s + nl;
+}
+
+function upsertTextBetweenMarkers(content, startMarker, endMarker, inner) {
+  const text = String(content || '');
+  const nl = text.includes('\r\n') ? '\r\n' : '\n';
+
+  const normalizedInner = String(inner || '')
+    .replace(/\r\n/g, '\n')
+    .trimEnd()
+    .split('\n')
+    .join(nl);
+
+  const startIdx = text.indexOf(startMarker);
+  const endIdx = text.indexOf(endMarker);
+
+  if (startIdx !== -1 && endIdx !== -1 && endIdx > startIdx) {
+    const before = text.slice(0, startIdx + startMarker.length);
+    const after = text.slice(endIdx);
+    return `${before}${nl}${normalizedInner}${nl}${after}`;
+  }
+
+  // Markers missing: append the block to preserve existing layout.
+  const trimmed = text.trimEnd();
+  if (!trimmed) {
+    return [startMarker, normalizedInner, endMarker, ''].join(nl);
+  }
+  return [trimmed, '', startMarker, normalizedInner, endMarker, ''].join(nl);
+}
+
+export function updateInitBoardDoc({ repoRoot, docsRoot, blueprintPath, boardPath, apply }) {
+  const targetPath = boardPath || path.join(repoRoot, INIT_BOARD_DEFAULT_REL);
+
+  const statePath = getStatePath(repoRoot);
+  const state = loadState(repoRoot);
+  const language = getStateLanguage(state);
+  if (!language) {
+    return { ok: true, op: 'write', path: targetPath, mode: 'skipped', reason: 'language not set' };
+  }
+
+  const ensure = ensureFileExistsWithContent(targetPath, getInitBoardTemplateContent({ language }), apply);
+  if (!ensure.ok) return ensure;
+
+  const progress = state ? getStageProgress(state) : null;
+  const snapshot = {
+    statePath: toPosixPath(path.relative(repoRoot, statePath)),
+    stateUpdatedAt: getStateUpdatedAt(state),
+    language,
+    stage: state ? state.stage : null,
+    progress,
+    paths: {
+      docsRoot: toPosixPath(path.relative(repoRoot, docsRoot)),
+      blueprintPath: toPosixPath(path.relative(repoRoot, blueprintPath)),
+      startHere: toPosixPath(START_HERE_DEFAULT_REL),
+      initBoard: toPosixPath(INIT_BOARD_DEFAULT_REL)
+    },
+    files: {
+      docsRootExists: fs.existsSync(docsRoot),
+      blueprintExists: fs.existsSync(blueprintPath)
+    }
+  };
+
+  const snapshotInner = ['```json', JSON.stringify(snapshot, null, 2), '```'].join('\n');
+
+  const existing = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : '';
+  const next = upsertTextBetweenMarkers(existing, INIT_BOARD_MACHINE_SNAPSHOT_START, INIT_BOARD_MACHINE_SNAPSHOT_END, snapshotInner);
+
+  const nl = existing.includes('\r\n') ? '\r\n' : '\n';
+  const nextNormalized = ensureTrailingNewline(next, nl);
+  const existingNormalized = ensureTrailingNewline(existing, nl);
+
+  if (nextNormalized === existingNormalized) {
+    return { ok: true, op: 'write', path: targetPath, mode: 'skipped', reason: 'no change' };
+  }
+  if (!apply) return { ok: true, op: 'write', path: targetPath, mode: 'dry-run' };
+
+  fs.writeFileSync(targetPath, nextNormalized, 'utf8');
+  return { ok: true, op: 'write', path: targetPath, mode: 'applied' };
+}
+
+export function tryAutoUpdateInitBoardDoc(repoRoot, docsRoot, blueprintPath, options = {}) {
+  try {
+    const apply = options.apply == null ? true : !!options.apply;
+    const silent = options.silent !== undefined ? !!options.silent : cli.format === 'json';
+
+    const state = loadState(repoRoot);
+    const language = getStateLanguage(state);
+    if (!language) return;
+
+    // Keep the intake doc in a consistent shape (preserve LLM blocks; migrate legacy name if needed).
+    const startHerePath = path.join(repoRoot, START_HERE_DEFAULT_REL);
+    const startHeereLegacyPath = path.join(repoRoot, START_HEERE_LEGACY_REL);
+
+    if (apply && !fs.existsSync(startHerePath) && fs.existsSync(startHeereLegacyPath)) {
+      try {
+        fs.renameSync(startHeereLegacyPath, startHerePath);
+      } catch (e) {
+        // Fall back to copy-on-write via updateStartHeereDoc (preserves LLM blocks).
+        warn(`[warn] Failed to migrate legacy START-HEERE.md -> START-HERE.md: ${e.message}`);
+      }
+    }
+
+    const sourcePath = !fs.existsSync(startHerePath) && fs.existsSync(startHeereLegacyPath) ? startHeereLegacyPath : null;
+    updateStartHeereDoc({ repoRoot, docsRoot, blueprintPath, intakePath: startHerePath, sourcePath, apply });
+
+    const res = updateInitBoardDoc({
+      repoRoot,
+      docsRoot,
+      blueprintPath,
+      boardPath: path.join(repoRoot, INIT_BOARD_DEFAULT_REL),
+      apply
+    });
+    if (!silent && res && res.mode === 'applied') {
+      console.log(`[auto] INIT-BOARD updated: ${path.relative(repoRoot, res.path || '')}`);
+    }
+  } catch (e) {
+    warn(`[warn] Failed to auto-update INIT-BOARD: ${e.message}`);
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * Domain glossary enforcement (dependency-free)
+ *
+ * Parses the terms in `domain-glossary.md` and checks how other docs use them:
+ *   glossary-alias      an alias/synonym is used where the canonical term is expected
+ *   glossary-spelling   a near-miss spelling of a term (edit distance 1, or 2 for long terms)
+ *   glossary-missing    a capitalized noun is used mid-sentence several times but is not in the glossary
+ *
+ * Accepted glossary forms under "## Terms":
+ *   ### Workspace
+ *   - Definition: A team's shared space
+ *   - Synonyms: space, team area          (or "Aliases:")
+ *
+ *   | Term | Definition | Aliases |
+ *
+ *   - **Workspace**: A team's shared space
+ *
+ * Localized headings and labels ("## 术语", "- Synonyme:") come from lib/stage-a-locales.mjs.
+ * Fenced code, inline code, URLs and HTML comments are ignored. All findings are warnings.
+ *
+ * Usage:
+ *   import { checkGlossaryUsage, parseGlossary } from './lib/glossary.mjs';
+ *
+ *   const terms = parseGlossary(glossaryContent);
+ *   // [{ term, aliases, definition, line }]
+ *   const findings = checkGlossaryUsage(terms, [{ name: 'requirements.md', content }], { nounDocs: ['requirements.md'] });
+ *   // [{ level: 'warning', file, line, rule, message, term?, found }]
+ */
+
+import { headingVariants, labelVariants } from './stage-a-locales.mjs';
+
+const TERMS_HEADINGS = headingVariants('## Terms').map((h) => h.replace(/^#+\s*/, '').toLowerCase());
+const FIELD_LABELS = {
+  definition: labelVariants('Definition').map((l) => l.toLowerCase()),
+  aliases: [...labelVariants('Synonyms'), ...labelVariants('Aliases')].map((l) => l.toLowerCase())
+};
+
+function fieldKind(label) {
+  const l = label.toLowerCase();
+  return Object.keys(FIELD_LABELS).find((k) => FIELD_LABELS[k].includes(l)) || null;
+}
+
+/** Capitalized words that are not domain nouns (weekdays, months, common tooling). */
+const COMMON_CAPITALIZED = new Set(
+  (
+    'monday tuesday wednesday thursday friday saturday sunday january february march april may june july august ' +
+    'september october november december english markdown json yaml github gitlab docker kubernetes node react vue ' +
+    'angular python java kotlin rust go typescript javascript postgres postgresql mysql sqlite redis linux windows ' +
+    'macos ios android chrome safari firefox slack email oauth google microsoft apple amazon aws azure'
+  ).split(' ')
+);
+
+const PLACEHOLDER_VALUE = /^(?:\.\.\.|<[^>]*>|tbd|todo|n\/a|none|-)?$/i;
+
+function splitList(value) {
+  return String(value || '')
+    .split(/[,;/，、；]/)
+    .map((v) => v.replace(/\*\*|__|`/g, '').trim())
+    .filter((v) => v && !PLACEHOLDER_VALUE.test(v));
+}
+
+function cleanTerm(text) {
+  const t = String(text || '')
+    .replace(/\*\*|__|`/g, '')
+    .trim();
+  return PLACEHOLDER_VALUE.test(t) || /<[^>]*>/.test(t) ? '' : t;
+}
+
+/**
+ * Glossary entries from the "## Terms" section.
+ *
+ * @param {string} content - domain-glossary.md
+ * @returns {{ term: string, aliases: string[], definition: string, line: number }[]}
+ */
+export function parseGlossary(content) {
+  const lines = String(content || '').split(/\r?\n/);
+  const terms = [];
+  let inTerms = false;
+  let inFence = false;
+  let current = null;
+  let table = null;
+
+  lines.forEach((text, i) => {
+    const line = i + 1;
+    if (/^\s*(```|~~~)/.test(text)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const heading = text.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      table = null;
+      current = null;
+      if (level <= 2) inTerms = TERMS_HEADINGS.some((h) => heading[2].trim().toLowerCase().startsWith(h));
+      else if (inTerms && level === 3) {
+        const term = cleanTerm(heading[2]);
+        if (term) {
+          current = { term, aliases: [], definition: '', line };
+          terms.push(current);
+        }
+      }
+      return;
+    }
+    if (!inTerms) return;
+
+    const t = text.trim();
+    if (t.startsWith('|')) {
+      const cells = t.replace(/^\||\|$/g, '').split('|').map((c) => c.trim());
+      if (/^[\s:|-]+$/.test(t)) return;
+      if (!table) {
+        const header = cells.map((c) => c.toLowerCase());
+        table = {
+          term: header.findIndex((c) => labelVariants('Term').some((v) => c === v.toLowerCase())),
+          definition: header.findIndex((c) => fieldKind(c) === 'definition'),
+          aliases: header.findIndex((c) => fieldKind(c) === 'aliases')
+        };
+        return;
+      }
+      const term = table.term === -1 ? '' : cleanTerm(cells[table.term]);
+      if (term) {
+        terms.push({
+          term,
+          aliases: table.aliases === -1 ? [] : splitList(cells[table.aliases]),
+          definition: table.definition === -1 ? '' : (cells[table.definition] || '').trim(),
+          line
+        });
+      }
+      return;
+    }
+    table = null;
+
+    const labelled = t.match(/^[-*+]\s+(?:\*\*)?([^:：*]+?)(?:\*\*)?\s*[:：]\s*(.*)$/);
+    const field = labelled && fieldKind(labelled[1]) ? [labelled[0], fieldKind(labelled[1]), labelled[2]] : null;
+    if (field) {
+      if (!current) return;
+      if (field[1] === 'definition') current.definition = PLACEHOLDER_VALUE.test(field[2].trim()) ? '' : field[2].trim();
+      else current.aliases.push(...splitList(field[2]));
+      return;
+    }
+
+    const bullet = t.match(/^[-*+]\s+\*\*(.+?)\*\*\s*:?\s*(.*)$/);
+    if (bullet) {
+      current = null;
+      const term = cleanTerm(bullet[1]);
+      if (term) terms.push({ term, aliases: [], definition: bullet[2].trim(), line });
+    }
+  });
+
+  return terms;
+}
+
+/** Damerau-Levenshtein (optimal string alignment) distance, capped at `max + 1`. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Inflections that still spell the term correctly (plural, possessive). */
+function inflections(word) {
+  const w = word.toLowerCase();
+  const out = [w, `${w}s`, `${w}es`, `${w}'s`, `${w}s'`];
+  if (/[^aeiou]y$/.test(w)) out.push(`${w.slice(0, -1)}ies`);
+  return out;
+}
+
+/** Prose of each line with code, URLs, comments and link targets removed. */
+function proseLines(content) {
+  let inFence = false;
+  let inComment = false;
+  return String(content || '')
+    .split(/\r?\n/)
+    .map((raw, i) => {
+      if (/^\s*(```|~~~)/.test(raw)) {
+        inFence = !inFence;
+        return { line: i + 1, text: '', heading: false };
+      }
+      if (inFence) return { line: i + 1, text: '', heading: false };
+      let text = raw;
+      if (inComment) {
+        const end = text.indexOf('-->');
+        if (end === -1) return { line: i + 1, text: '', heading: false };
+        text = text.slice(end + 3);
+        inComment = false;
+      }
+      text = text.replace(/<!--.*?-->/g, ' ');
+      const open = text.indexOf('<!--');
+      if (open !== -1) {
+        text = text.slice(0, open);
+        inComment = true;
+      }
+      text = text
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/\]\([^)]*\)/g, '] ')
+        .replace(/\bhttps?:\/\/\S+/g, ' ');
+      return { line: i + 1, text, heading: /^\s*#{1,6}\s/.test(raw) };
+    });
+}
+
+const WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}'-]*/gu;
+
+function words(text) {
+  return Array.from(text.matchAll(WORD_RE), (m) => ({ word: m[0].replace(/[-']+$/, ''), index: m.index }));
+}
+
+/** True when the word opens a sentence, list item, heading or table cell. */
+function atSentenceStart(text, index) {
+  const before = text
+    .slice(0, index)
+    .replace(/^\s*(?:#{1,6}\s+|(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)?/, '')
+    .replace(/[*_"'(\[]+$/, '')
+    .trimEnd();
+  return before === '' || /[.!?:|]$/.test(before) || /^R-\d+$/.test(before);
+}
+
+/**
+ * Alias, spelling and missing-term findings for `docs`.
+ *
+ * @param {{ term: string, aliases: string[] }[]} terms - from parseGlossary
+ * @param {{ name: string, content: string }[]} docs - docs to scan (the glossary itself is skipped)
+ * @param {{ glossaryName?: string, nounDocs?: string[], minNounCount?: number }} [options]
+ *   nounDocs: docs counted for glossary-missing (default: all scanned docs); minNounCount default 3
+ * @returns {{ level: 'warning', file: string, line: number, rule: string, message: string, term?: string, found: string }[]}
+ */
+export function checkGlossaryUsage(terms, docs, options = {}) {
+  const glossaryName = options.glossaryName || 'domain-glossary.md';
+  const nounDocs = new Set(options.nounDocs || docs.map((d) => d.name));
+  const minNounCount = options.minNounCount || 3;
+  const findings = [];
+  if (terms.length === 0) return findings;
+
+  // Every spelling the glossary knows, lowercase, by word count.
+  const known = new Set();
+  const knownWords = new Set();
+  for (const t of terms) {
+    for (const s of [t.term, ...t.aliases]) {
+      for (const inf of inflections(s)) known.add(inf);
+      for (const w of s.toLowerCase().split(/\s+/)) for (const inf of inflections(w)) knownWords.add(inf);
+    }
+  }
+  const aliasOf = new Map();
+  for (const t of terms) for (const a of t.aliases) for (const inf of inflections(a)) aliasOf.set(inf, t);
+
+  const seen = new Set();
+  const add = (f) => {
+    const key = `${f.file}:${f.line}:${f.rule}:${f.found.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push(f);
+  };
+  const nouns = new Map();
+
+  for (const doc of docs) {
+    if (doc.name === glossaryName) continue;
+    for (const { line, text, heading } of proseLines(doc.content)) {
+      const ws = words(text);
+      if (ws.length === 0) continue;
+      const span = (i, n) =>
+        ws
+          .slice(i, i + n)
+          .map((w) => w.word)
+          .join(' ');
+
+      // Words inside a canonical term ("Team workspace") are not alias uses of "workspace".
+      const covered = new Set();
+      for (const t of terms) {
+        const n = t.term.split(/\s+/).length;
+        const spellings = inflections(t.term);
+        for (let i = 0; i + n <= ws.length; i++) {
+          if (spellings.includes(span(i, n).toLowerCase())) for (let k = i; k < i + n; k++) covered.add(k);
+        }
+      }
+
+      for (const t of terms) {
+        const spellings = [t.term, ...t.aliases];
+        for (const n of new Set(spellings.map((s) => s.split(/\s+/).length))) {
+          for (let i = 0; i + n <= ws.length; i++) {
+            const found = span(i, n);
+            const lower = found.toLowerCase();
+            if (aliasOf.get(lower) === t) {
+              if (Array.from({ length: n }, (_, k) => i + k).some((k) => covered.has(k))) continue;
+              add({
+                level: 'warning',
+                file: doc.name,
+                line,
+                rule: 'glossary-alias',
+                term: t.term,
+                found,
+                message: `Uses alias "${found}"; the glossary term is "${t.term}".`
+              });
+              continue;
+            }
+            if (known.has(lower) || n !== t.term.split(/\s+/).length) continue;
+            const target = t.term.toLowerCase();
+            const max = target.length >= 10 ? 2 : target.length >= 6 ? 1 : 0;
+            if (max === 0) continue;
+            if (inflections(target).some((inf) => editDistance(lower, inf, max) <= max)) {
+              add({
+                level: 'warning',
+                file: doc.name,
+                line,
+                rule: 'glossary-spelling',
+                term: t.term,
+                found,
+                message: `"${found}" looks like a misspelling of the glossary term "${t.term}".`
+              });
+            }
+          }
+        }
+      }
+
+      if (!nounDocs.has(doc.name) || heading) continue;
+      for (const { word, index } of ws) {
+        if (!/^\p{Lu}\p{Ll}{2,}$/u.test(word) || atSentenceStart(text, index)) continue;
+        const lower = word.toLowerCase();
+        if (knownWords.has(lower) || COMMON_CAPITALIZED.has(lower)) continue;
+        const singular = lower.replace(/(?:'s|s')$/, '').replace(/ies$/, 'y').replace(/s$/, '');
+        if (knownWords.has(singular) || COMMON_CAPITALIZED.has(singular)) continue;
+        const entry = nouns.get(singular) || { word, count: 0, file: doc.name, line };
+        entry.count++;
+        nouns.set(singular, entry);
+      }
+    }
+  }
+
+  for (const n of nouns.values()) {
+    if (n.count < minNounCount) continue;
+    add({
+      level: 'warning',
+      file: n.file,
+      line: n.line,
+      rule: 'glossary-missing',
+      found: n.word,
+      message: `"${n.word}" is used ${n.count} times but is not defined in ${glossaryName} (add it, or list it as a synonym of a term).`
+    });
+  }
+
+  const order = docs.map((d) => d.name);
+  return findings.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file) || a.line - b.line);
+}
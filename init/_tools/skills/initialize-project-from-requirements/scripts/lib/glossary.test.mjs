@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkGlossaryUsage, parseGlossary } from './glossary.mjs';
+
+const GLOSSARY = [
+  '# Domain Glossary',
+  '',
+  '## Terms',
+  '',
+  '### Workspace',
+  '- Definition: A team\'s shared space',
+  '- Synonyms: space, team area',
+  '',
+  '### Subscription',
+  '- Definition: ...',
+  '',
+  '| Term | Definition | Aliases |',
+  '|------|------------|---------|',
+  '| Task | A unit of work | ticket; issue |',
+  '| <term> | <definition> | |',
+  '',
+  '- **Member**: A person in a workspace',
+  '',
+  '```',
+  '### NotATerm',
+  '```',
+  '',
+  '## Notes',
+  '### Outside',
+  ''
+].join('\n');
+
+const TERMS = parseGlossary(GLOSSARY);
+const check = (content, options) => checkGlossaryUsage(TERMS, [{ name: 'requirements.md', content }], options);
+
+test('parseGlossary reads heading, table and bold-bullet entries under Terms only', () => {
+  assert.deepEqual(TERMS, [
+    { term: 'Workspace', aliases: ['space', 'team area'], definition: "A team's shared space", line: 5 },
+    { term: 'Subscription', aliases: [], definition: '', line: 9 },
+    { term: 'Task', aliases: ['ticket', 'issue'], definition: 'A unit of work', line: 14 },
+    { term: 'Member', aliases: [], definition: 'A person in a workspace', line: 17 }
+  ]);
+});
+
+test('parseGlossary accepts localized headings and labels', () => {
+  const terms = parseGlossary('# Domänenglossar\n\n## Begriffe\n\n### Arbeitsbereich\n- Definition: Geteilter Bereich\n- Synonyme: Bereich\n');
+  assert.deepEqual(terms.map((t) => [t.term, t.aliases]), [['Arbeitsbereich', ['Bereich']]]);
+});
+
+test('aliases are reported with the canonical term they stand for', () => {
+  const findings = check('Each member owns a ticket.\nThe team area lists Issues.\nPick a space first.\n');
+
+  assert.deepEqual(findings.map((f) => [f.line, f.rule, f.found, f.term]), [
+    [1, 'glossary-alias', 'ticket', 'Task'],
+    [2, 'glossary-alias', 'team area', 'Workspace'],
+    [2, 'glossary-alias', 'Issues', 'Task'],
+    [3, 'glossary-alias', 'space', 'Workspace']
+  ]);
+  assert.equal(findings[0].message, 'Uses alias "ticket"; the glossary term is "Task".');
+});
+
+test('near-miss spellings are flagged; inflections and short terms are not', () => {
+  const findings = check('Open a Worksapce.\nCancel the Subscripton.\nAll workspaces and Tasks.\nA Tusk.\n');
+  assert.deepEqual(findings.map((f) => [f.line, f.rule, f.found]), [
+    [1, 'glossary-spelling', 'Worksapce'],
+    [2, 'glossary-spelling', 'Subscripton']
+  ]);
+});
+
+test('frequent capitalized nouns missing from the glossary are reported once', () => {
+  const content = 'Each task has an Invoice.\nThe team pays the Invoice.\nOld Invoices expire on Monday and Monday.\nInvoice totals.\n';
+  const findings = check(content);
+
+  assert.deepEqual(findings.map((f) => [f.line, f.rule, f.found]), [[1, 'glossary-missing', 'Invoice']]);
+  assert.match(findings[0].message, /"Invoice" is used 3 times but is not defined in domain-glossary\.md/);
+  assert.deepEqual(check(content, { nounDocs: [] }), [], 'only nounDocs are counted');
+  assert.equal(check(content, { minNounCount: 4 }).length, 0);
+});
+
+test('code, links, comments and the glossary itself are ignored', () => {
+  const content = 'Use `ticket` ids.\n```\nticket\n```\nSee [docs](https://x.test/ticket).\n<!-- ticket -->\n';
+  assert.deepEqual(check(content), []);
+  assert.deepEqual(checkGlossaryUsage(TERMS, [{ name: 'domain-glossary.md', content: 'ticket' }]), []);
+  assert.deepEqual(checkGlossaryUsage([], [{ name: 'a.md', content: 'ticket' }]), []);
+});
@@ -0,0 +1,24 @@
+/**
+ * SHA-256 helpers shared by the init kit (dependency-free)
+ *
+ * Strings hash as UTF-8; Buffers hash as their bytes, so a file read with or without an
+ * encoding gives the same digest.
+ *
+ * Usage:
+ *   import { contentHash, sha256 } from './lib/hash.mjs';
+ *
+ *   sha256(fs.readFileSync(file));   // '<hex>'
+ *   contentHash(text);               // 'sha256:<hex>' (the form stored in init state and review packets)
+ */
+
+import crypto from 'node:crypto';
+
+/** Hex SHA-256 of a string (UTF-8) or Buffer. */
+export function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/** "sha256:<hex>" of a string (UTF-8) or Buffer. */
+export function contentHash(content) {
+  return `sha256:${sha256(content)}`;
+}
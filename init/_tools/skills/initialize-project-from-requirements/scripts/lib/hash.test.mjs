@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { contentHash, sha256 } from './hash.mjs';
+
+test('sha256 hashes strings as UTF-8 and Buffers as bytes', () => {
+  assert.equal(sha256(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.equal(sha256('Größe'), sha256(Buffer.from('Größe', 'utf8')));
+  assert.notEqual(sha256('Größe'), sha256(Buffer.from('Größe', 'latin1')));
+});
+
+test('contentHash prefixes the digest with the algorithm', () => {
+  assert.equal(contentHash('abc'), 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
@@ -0,0 +1,346 @@
+/**
+ * Stage A/B interview: must-ask questions, answer files, doc filling (dependency-free)
+ *
+ * The `interview` command asks the Stage A must-ask questions (keys match
+ * `stage-a.mustAsk` in init/_work/.init-state.json), writes the answers into the
+ * Stage A docs, and can draft a Stage B blueprint from them. Prompting lives in
+ * init-pipeline.mjs; everything here is pure.
+ *
+ * Answers file (non-interactive mode, `--answers <file>`):
+ *   {
+ *     "projectName": "task-hub",
+ *     "onePurpose": "Help small teams track work",
+ *     "userRoles": ["Member: creates and updates tasks"],
+ *     "mustRequirements": ["..."], "outOfScope": ["..."], "userJourneys": ["..."],
+ *     "constraints": ["..."], "successMetrics": ["..."],
+ *     "blueprint": { "language": "typescript", "layout": "single", "frontend": true, "backend": true, "database": "postgres" }
+ *   }
+ * Omit "blueprint" (or set it to false) to skip drafting.
+ *
+ * Docs are only written where the template text is still untouched: a section or
+ * bullet that was already edited is reported as "edited" and left alone (unless forced).
+ * Localized requirements.md headings and bullet labels (lib/stage-a-locales.mjs) are
+ * recognized and kept; pass the matching localized template.
+ *
+ * Usage:
+ *   import { INTERVIEW_QUESTIONS, fillRequirementsDoc, normalizeAnswers } from './lib/interview.mjs';
+ *
+ *   const { answers, errors } = normalizeAnswers(JSON.parse(raw));
+ *   const res = fillRequirementsDoc(current, template, answers, { force: false });
+ *   // res.content, res.slots [{ slot, keys, status: 'written' | 'unchanged' | 'edited' | 'missing' }]
+ */
+
+import { headingVariants, labelVariants, localizeHeading } from './stage-a-locales.mjs';
+
+export const PROJECT_NAME_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Stage A questions in asking order. `mustAsk: true` entries are tracked in
+ * `stage-a.mustAsk`; `list` answers are collected one item per line.
+ */
+export const INTERVIEW_QUESTIONS = [
+  {
+    key: 'projectName',
+    mustAsk: false,
+    list: false,
+    prompt: 'Project name (kebab-case, e.g. "task-hub")'
+  },
+  {
+    key: 'onePurpose',
+    mustAsk: true,
+    list: false,
+    prompt: 'In one sentence: what does the project do, and for whom?'
+  },
+  {
+    key: 'userRoles',
+    mustAsk: true,
+    list: true,
+    prompt: 'Who are the users? One role per line, e.g. "Admin: manages accounts"'
+  },
+  {
+    key: 'mustRequirements',
+    mustAsk: true,
+    list: true,
+    prompt: 'What MUST the first release do? One requirement per line'
+  },
+  {
+    key: 'outOfScope',
+    mustAsk: true,
+    list: true,
+    prompt: 'What is explicitly OUT of scope? One item per line'
+  },
+  {
+    key: 'userJourneys',
+    mustAsk: true,
+    list: true,
+    prompt: 'Top user journeys, one per line, e.g. "Member creates a task and assigns it"'
+  },
+  {
+    key: 'constraints',
+    mustAsk: true,
+    list: true,
+    prompt: 'Constraints (deadlines, budget, hosting, compliance, mandated tech)? One per line'
+  },
+  {
+    key: 'successMetrics',
+    mustAsk: true,
+    list: true,
+    prompt: 'How will you measure success? One metric per line'
+  }
+];
+
+/** Stage B draft questions (asked only when the user opts into drafting the blueprint). */
+export const BLUEPRINT_QUESTIONS = [
+  { key: 'language', prompt: 'Primary language', default: 'typescript' },
+  { key: 'packageManager', prompt: 'Package manager', default: null },
+  { key: 'layout', prompt: 'Repo layout (single|monorepo)', default: 'single' },
+  { key: 'frontend', prompt: 'Frontend? (y/n)', default: true, boolean: true },
+  { key: 'backend', prompt: 'Backend? (y/n)', default: true, boolean: true },
+  { key: 'database', prompt: 'Database kind (none, postgres, mysql, sqlite, mongodb, ...)', default: 'none' }
+];
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/\r?\n/).map((v) => v.replace(/^\s*[-*]\s+/, '').trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Validate and normalize an answers object (from a file or the TTY).
+ * Missing keys are allowed (not asked); present keys must have the right shape.
+ *
+ * @returns {{ answers: object, blueprint: object | null, errors: string[] }}
+ */
+export function normalizeAnswers(raw) {
+  const errors = [];
+  const answers = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { answers, blueprint: null, errors: ['Answers must be a JSON object.'] };
+  }
+
+  const known = new Set([...INTERVIEW_QUESTIONS.map((q) => q.key), 'blueprint']);
+  for (const key of Object.keys(raw)) {
+    if (!known.has(key)) errors.push(`Unknown answer key "${key}" (expected: ${Array.from(known).join(', ')}).`);
+  }
+
+  for (const q of INTERVIEW_QUESTIONS) {
+    if (!(q.key in raw) || raw[q.key] == null) continue;
+    const value = raw[q.key];
+    if (q.list) {
+      if (!Array.isArray(value) && typeof value !== 'string') {
+        errors.push(`"${q.key}" must be an array of strings.`);
+        continue;
+      }
+      answers[q.key] = toList(value);
+    } else {
+      if (typeof value !== 'string') {
+        errors.push(`"${q.key}" must be a string.`);
+        continue;
+      }
+      answers[q.key] = value.trim();
+    }
+  }
+
+  if (answers.projectName && !PROJECT_NAME_RE.test(answers.projectName)) {
+    errors.push(`"projectName" must be kebab-case (got "${answers.projectName}").`);
+  }
+
+  let blueprint = null;
+  if (raw.blueprint != null && raw.blueprint !== false) {
+    if (typeof raw.blueprint !== 'object' || Array.isArray(raw.blueprint)) {
+      errors.push('"blueprint" must be an object (or false to skip drafting).');
+    } else {
+      const allowed = new Set(BLUEPRINT_QUESTIONS.map((q) => q.key));
+      for (const key of Object.keys(raw.blueprint)) {
+        if (!allowed.has(key)) errors.push(`Unknown blueprint answer "${key}" (expected: ${Array.from(allowed).join(', ')}).`);
+      }
+      blueprint = { ...raw.blueprint };
+    }
+  }
+
+  return { answers, blueprint, errors };
+}
+
+/** True when a question counts as answered (non-empty string or list). */
+export function isAnswered(answers, key) {
+  const v = answers[key];
+  return Array.isArray(v) ? v.length > 0 : typeof v === 'string' && v.length > 0;
+}
+
+// ----------------------------------------------------------------------------
+// Markdown slots
+// ----------------------------------------------------------------------------
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** `- **Label**: value` (or `- Label: value`) plus its indented continuation lines. */
+function bulletRe(label, bold) {
+  const head = bold ? `\\*\\*${escapeRe(label)}\\*\\*` : escapeRe(label);
+  return new RegExp(`^- ${head}:.*(?:\\n[ \\t]+\\S.*)*`, 'm');
+}
+
+/** Heading line through the line before the next heading of the same or a higher level. */
+function sectionRe(heading) {
+  const level = heading.match(/^#+/)[0].length;
+  return new RegExp(`^${escapeRe(heading)}[ \\t]*\\n([\\s\\S]*?)(?=^#{1,${level}} |(?![\\s\\S]))`, 'm');
+}
+
+function renderBullet(label, bold, items) {
+  const head = bold ? `- **${label}**:` : `- ${label}:`;
+  if (items.length === 1) return `${head} ${items[0]}`;
+  return [head, ...items.map((i) => `  - ${i}`)].join('\n');
+}
+
+function requirementId(n) {
+  return `R-${String(n).padStart(3, '0')}`;
+}
+
+function renderJourneys(items) {
+  return items.map((j, i) => `${i + 1}. Journey: ${j}\n   - Acceptance criteria:\n     - [ ] TBD (define during review)`).join('\n');
+}
+
+/**
+ * Where each answer lands in requirements.md. Bullets replace a single template line,
+ * sections replace the body under a heading (`insertBefore` adds a missing section).
+ */
+const REQUIREMENTS_SLOTS = [
+  {
+    id: 'Conclusions: Project',
+    keys: ['projectName', 'onePurpose'],
+    requires: ['onePurpose'],
+    bullet: 'Project',
+    bold: true,
+    render: (a) => [[a.projectName, a.onePurpose].filter(Boolean).join(' - ')]
+  },
+  { id: 'Conclusions: In-scope', keys: ['mustRequirements'], bullet: 'In-scope (MUST)', bold: true },
+  { id: 'Conclusions: Out-of-scope', keys: ['outOfScope'], bullet: 'Out-of-scope (OUT)', bold: true },
+  { id: 'Conclusions: Primary users', keys: ['userRoles'], bullet: 'Primary users', bold: true },
+  { id: 'Conclusions: Top user journeys', keys: ['userJourneys'], bullet: 'Top user journeys', bold: true },
+  // Goals get stable requirement IDs (R-001, ...) so blueprint capabilities can trace them.
+  { id: 'Goals (MUST)', keys: ['mustRequirements'], heading: '## Goals (MUST)', render: (a) => a.mustRequirements.map((t, i) => `- ${requirementId(i + 1)}: ${t}`).join('\n') },
+  { id: 'Non-goals (OUT)', keys: ['outOfScope'], heading: '## Non-goals (OUT)' },
+  { id: 'User types', keys: ['userRoles'], heading: '### User types' },
+  { id: 'Top journeys', keys: ['userJourneys'], heading: '### Top journeys (with acceptance criteria)', render: (a) => renderJourneys(a.userJourneys) },
+  { id: 'Constraints', keys: ['constraints'], bullet: 'Constraints', bold: false },
+  { id: 'Success metrics', keys: ['successMetrics'], heading: '## Success metrics', insertBefore: '## Verification' }
+];
+
+/**
+ * Write answers into requirements.md.
+ *
+ * @param {string} content - Current requirements.md
+ * @param {string} template - Pristine requirements.template.md (to detect untouched slots)
+ * @param {object} answers - normalizeAnswers().answers
+ * @param {{ force?: boolean, locale?: string | null }} [options] - force: overwrite slots that were already edited;
+ *   locale: language of headings inserted for missing sections
+ * @returns {{ content: string, slots: { slot: string, keys: string[], status: 'written' | 'unchanged' | 'edited' | 'missing' }[] }}
+ */
+export function fillRequirementsDoc(content, template, answers, options = {}) {
+  let out = content;
+  const slots = [];
+
+  for (const slot of REQUIREMENTS_SLOTS) {
+    if (!(slot.requires || slot.keys).every((k) => isAnswered(answers, k))) continue;
+    const items = slot.render ? slot.render(answers) : answers[slot.keys[0]];
+    const report = (status) => slots.push({ slot: slot.id, keys: slot.keys, status });
+
+    if (slot.bullet) {
+      const label = labelVariants(slot.bullet).find((l) => bulletRe(l, slot.bold).test(out));
+      if (!label) {
+        report('missing');
+        continue;
+      }
+      const re = bulletRe(label, slot.bold);
+      const current = out.match(re);
+      const next = renderBullet(label, slot.bold, items);
+      const pristine = template.match(re);
+      if (current[0] === next) report('unchanged');
+      else if (options.force || (pristine && current[0] === pristine[0])) {
+        out = out.replace(re, () => next);
+        report('written');
+      } else report('edited');
+      continue;
+    }
+
+    const heading = headingVariants(slot.heading).find((h) => sectionRe(h).test(out)) || localizeHeading(slot.heading, options.locale);
+    const re = sectionRe(heading);
+    const body = slot.render ? items : items.map((i) => `- ${i}`).join('\n');
+    const next = `${heading}\n${body}\n\n`;
+    const current = out.match(re);
+    if (!current) {
+      const anchor = slot.insertBefore
+        ? headingVariants(slot.insertBefore)
+            .map((h) => out.match(new RegExp(`^${escapeRe(h)}[ \\t]*$`, 'm')))
+            .find(Boolean)
+        : null;
+      if (!anchor) {
+        report('missing');
+        continue;
+      }
+      out = out.slice(0, anchor.index) + next + out.slice(anchor.index);
+      report('written');
+      continue;
+    }
+    const pristine = template.match(re);
+    if (current[0].trimEnd() === next.trimEnd()) report('unchanged');
+    else if (options.force || (pristine && current[1] === pristine[1])) {
+      out = out.replace(re, () => next);
+      report('written');
+    } else report('edited');
+  }
+
+  // A section replaced at the end of the file must not leave a trailing blank line.
+  return { content: out.replace(/\n+$/, '\n'), slots };
+}
+
+// ----------------------------------------------------------------------------
+// Blueprint draft
+// ----------------------------------------------------------------------------
+
+function toBoolean(value, fallback) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && value.trim()) return /^(y|yes|true|1)$/i.test(value.trim());
+  return fallback;
+}
+
+/** Role names for project.primaryUsers ("Admin: manages accounts" -> "admin"). */
+function roleNames(roles) {
+  return (roles || []).map((r) => r.split(/\s*[:(—]|\s+-\s+/)[0].trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Draft a blueprint from interview answers. Only fields the interview knows are set;
+ * the caller validates the result and fills skills.packs.
+ *
+ * @param {object} answers - normalizeAnswers().answers
+ * @param {object} choices - Blueprint answers ({ language, packageManager, layout, frontend, backend, database })
+ * @param {{ version: number, resolvePackageManager: (language: string, pm?: string) => string }} ctx
+ */
+export function draftBlueprint(answers, choices, ctx) {
+  const language = String(choices.language || 'typescript').trim().toLowerCase();
+  const databaseKind = String(choices.database || 'none').trim().toLowerCase();
+  const frontend = toBoolean(choices.frontend, true);
+  const backend = toBoolean(choices.backend, true);
+
+  const project = { name: answers.projectName, description: answers.onePurpose };
+  const primaryUsers = roleNames(answers.userRoles);
+  if (primaryUsers.length > 0) project.primaryUsers = primaryUsers;
+
+  return {
+    version: ctx.version,
+    project,
+    repo: {
+      layout: String(choices.layout || 'single').trim().toLowerCase(),
+      language,
+      packageManager: ctx.resolvePackageManager(language, choices.packageManager ? String(choices.packageManager).trim() : null)
+    },
+    capabilities: {
+      frontend: { enabled: frontend },
+      backend: { enabled: backend },
+      database: databaseKind === 'none' ? { enabled: false } : { enabled: true, kind: databaseKind }
+    },
+    skills: { packs: [] }
+  };
+}
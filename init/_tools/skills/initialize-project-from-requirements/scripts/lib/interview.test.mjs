@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { draftBlueprint, fillRequirementsDoc, isAnswered, normalizeAnswers } from './interview.mjs';
+import { stageATemplatePath } from './stage-a-locales.mjs';
+
+const TEMPLATE = fs.readFileSync(stageATemplatePath('requirements.template.md', null), 'utf8');
+
+const ANSWERS = {
+  projectName: 'task-hub',
+  onePurpose: 'Help small teams track work',
+  userRoles: ['Member: creates tasks', 'Admin (owner) manages accounts'],
+  mustRequirements: ['Users can create a Task', 'Users can assign a Task'],
+  outOfScope: ['Mobile apps'],
+  userJourneys: ['Member creates a task and assigns it'],
+  constraints: ['EU hosting only'],
+  successMetrics: ['50 weekly active teams']
+};
+
+const statuses = (res) => Object.fromEntries(res.slots.map((s) => [s.slot, s.status]));
+
+test('normalizeAnswers trims values, splits list strings and reports bad shapes', () => {
+  const res = normalizeAnswers({ onePurpose: '  Track work ', userRoles: '- Admin\n* Member\n\n', outOfScope: null });
+  assert.deepEqual(res, { answers: { onePurpose: 'Track work', userRoles: ['Admin', 'Member'] }, blueprint: null, errors: [] });
+
+  const bad = normalizeAnswers({ projectName: 'Task Hub', userRoles: 3, onePurpose: ['x'], extra: 1, blueprint: { lang: 'go' } });
+  assert.deepEqual(bad.errors.map((e) => e.split(' (')[0]), [
+    'Unknown answer key "extra"',
+    '"onePurpose" must be a string.',
+    '"userRoles" must be an array of strings.',
+    '"projectName" must be kebab-case',
+    'Unknown blueprint answer "lang"'
+  ]);
+  assert.deepEqual(normalizeAnswers([]).errors, ['Answers must be a JSON object.']);
+  assert.equal(normalizeAnswers({ blueprint: false }).blueprint, null);
+});
+
+test('isAnswered needs a non-empty string or list', () => {
+  assert.equal(isAnswered({ a: '', b: [], c: 'x', d: ['y'] }, 'a'), false);
+  assert.equal(isAnswered({ b: [] }, 'b'), false);
+  assert.equal(isAnswered({ c: 'x' }, 'c'), true);
+  assert.equal(isAnswered({ d: ['y'] }, 'd'), true);
+});
+
+test('fillRequirementsDoc writes every answer into the pristine template', () => {
+  const res = fillRequirementsDoc(TEMPLATE, TEMPLATE, ANSWERS);
+
+  assert.ok(res.slots.every((s) => s.status === 'written'), JSON.stringify(res.slots));
+  assert.match(res.content, /^- \*\*Project\*\*: task-hub - Help small teams track work$/m);
+  assert.match(res.content, /^- \*\*In-scope \(MUST\)\*\*:\n {2}- Users can create a Task\n {2}- Users can assign a Task$/m);
+  assert.match(res.content, /^## Goals \(MUST\)\n- R-001: Users can create a Task\n- R-002: Users can assign a Task\n\n## Non-goals/m);
+  assert.match(res.content, /^1\. Journey: Member creates a task and assigns it\n {3}- Acceptance criteria:/m);
+  assert.match(res.content, /^- Constraints: EU hosting only$/m);
+  assert.match(res.content, /## Success metrics\n- 50 weekly active teams\n\n## Verification/, 'missing section inserted before Verification');
+  assert.ok(res.content.endsWith('testable.\n  - Out-of-scope items are explicit.\n  - Each top journey has acceptance criteria.\n'));
+});
+
+test('fillRequirementsDoc leaves hand-edited slots alone unless forced and is idempotent', () => {
+  const edited = TEMPLATE.replace('## Non-goals (OUT)\n- ...', '## Non-goals (OUT)\n- Billing (decided with finance)');
+  const res = fillRequirementsDoc(edited, TEMPLATE, ANSWERS);
+  assert.equal(statuses(res)['Non-goals (OUT)'], 'edited');
+  assert.match(res.content, /- Billing \(decided with finance\)/);
+
+  assert.match(fillRequirementsDoc(edited, TEMPLATE, ANSWERS, { force: true }).content, /## Non-goals \(OUT\)\n- Mobile apps\n/);
+
+  const again = fillRequirementsDoc(res.content, TEMPLATE, ANSWERS);
+  assert.equal(again.content, res.content);
+  assert.ok(again.slots.every((s) => s.status === 'unchanged' || s.status === 'edited'));
+});
+
+test('fillRequirementsDoc skips unanswered keys and reports sections that are gone', () => {
+  const res = fillRequirementsDoc('# Requirements\n', TEMPLATE, { constraints: ['EU only'], successMetrics: ['x'] });
+  assert.deepEqual(res.slots.map((s) => [s.slot, s.status]), [['Constraints', 'missing'], ['Success metrics', 'missing']]);
+  assert.equal(res.content, '# Requirements\n');
+});
+
+test('localized templates keep their headings and labels', () => {
+  const de = fs.readFileSync(stageATemplatePath('requirements.template.md', 'de'), 'utf8');
+  const res = fillRequirementsDoc(de, de, ANSWERS, { locale: 'de' });
+
+  assert.ok(res.slots.every((s) => s.status === 'written'), JSON.stringify(res.slots));
+  assert.doesNotMatch(res.content, /^## (Goals|Success metrics)/m);
+});
+
+test('draftBlueprint maps answers and choices onto a blueprint skeleton', () => {
+  const ctx = { version: 2, resolvePackageManager: (lang, pm) => pm || `${lang}-default` };
+  const bp = draftBlueprint(ANSWERS, { language: 'Python', layout: 'monorepo', frontend: 'n', backend: 'yes', database: 'Postgres' }, ctx);
+
+  assert.deepEqual(bp, {
+    version: 2,
+    project: { name: 'task-hub', description: 'Help small teams track work', primaryUsers: ['member', 'admin'] },
+    repo: { layout: 'monorepo', language: 'python', packageManager: 'python-default' },
+    capabilities: { frontend: { enabled: false }, backend: { enabled: true }, database: { enabled: true, kind: 'postgres' } },
+    skills: { packs: [] }
+  });
+  assert.deepEqual(draftBlueprint({}, { database: 'none', packageManager: ' uv ' }, ctx).capabilities.database, { enabled: false });
+  assert.equal(draftBlueprint({}, { packageManager: ' uv ' }, ctx).repo.packageManager, 'uv');
+});
@@ -0,0 +1,220 @@
+/**
+ * Minimal JSON Schema validator (dependency-free)
+ *
+ * Supports the draft-07 subset used by the init kit schemas:
+ *   type (incl. "integer" and type arrays), enum, const, required, properties,
+ *   additionalProperties (boolean or schema), patternProperties, items (schema),
+ *   minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum,
+ *   maximum, exclusiveMinimum, exclusiveMaximum, allOf, anyOf, oneOf, not,
+ *   and local $ref ("#/..." into $defs / definitions).
+ * Annotation keywords (title, description, default, format, examples) are ignored.
+ *
+ * Errors carry an RFC 6901 JSON pointer to the offending value, e.g.
+ *   { path: '/repo/layout', keyword: 'enum', message: 'must be one of: single, monorepo' }
+ *
+ * Usage:
+ *   import { formatSchemaError, validateSchema } from './lib/json-schema.mjs';
+ *
+ *   const errors = validateSchema(schema, data);
+ *   for (const e of errors) console.error(formatSchemaError(e));
+ */
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+/** Closest known property name for an unknown key (typo hint), or null. */
+function suggestProperty(key, known) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const k of known) {
+    const d = editDistance(key.toLowerCase(), k.toLowerCase());
+    if (d < bestDist) {
+      best = k;
+      bestDist = d;
+    }
+  }
+  return best && bestDist <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`Unsupported $ref (only local refs are supported): ${ref}`);
+  const tokens = ref.slice(1).split('/').filter(Boolean).map(unescapePointerToken);
+  let cur = root;
+  for (const t of tokens) {
+    if (!cur || typeof cur !== 'object' || !(t in cur)) throw new Error(`Unresolvable $ref: ${ref}`);
+    cur = cur[t];
+  }
+  return cur;
+}
+
+function validateNode(root, schema, value, pointer, errors) {
+  if (schema === true || schema == null) return;
+  if (schema === false) {
+    errors.push({ path: pointer, keyword: 'false', message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    // draft-07: siblings of $ref are ignored.
+    validateNode(root, resolveRef(root, schema.$ref), value, pointer, errors);
+    return;
+  }
+
+  const push = (keyword, message, at = pointer) => errors.push({ path: at, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      push('type', `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    push('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => deepEqual(value, e))) {
+    push('enum', `must be one of: ${schema.enum.map((e) => (typeof e === 'string' ? e : JSON.stringify(e))).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isInteger(schema.minLength) && value.length < schema.minLength) push('minLength', `must be at least ${schema.minLength} characters`);
+    if (Number.isInteger(schema.maxLength) && value.length > schema.maxLength) push('maxLength', `must be at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+      push('pattern', `must match pattern ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) push('minimum', `must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) push('maximum', `must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) push('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) push('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) push('minItems', `must have at least ${schema.minItems} item(s)`);
+    if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) push('maxItems', `must have at most ${schema.maxItems} item(s)`);
+    if (schema.uniqueItems === true) {
+      value.forEach((v, i) => {
+        if (value.findIndex((w) => deepEqual(v, w)) < i) push('uniqueItems', `duplicates an earlier item (${JSON.stringify(v)})`, `${pointer}/${i}`);
+      });
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((v, i) => validateNode(root, schema.items, v, `${pointer}/${i}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    const patternProps = Object.entries(schema.patternProperties || {}).map(([re, s]) => [new RegExp(re, 'u'), s]);
+
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        push('required', `missing required property "${key}"`, `${pointer}/${escapePointerToken(key)}`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const at = `${pointer}/${escapePointerToken(key)}`;
+      let matched = false;
+      if (Object.prototype.hasOwnProperty.call(props, key)) {
+        matched = true;
+        validateNode(root, props[key], child, at, errors);
+      }
+      for (const [re, s] of patternProps) {
+        if (re.test(key)) {
+          matched = true;
+          validateNode(root, s, child, at, errors);
+        }
+      }
+      if (matched || schema.additionalProperties === undefined || schema.additionalProperties === true) continue;
+      if (schema.additionalProperties === false) {
+        const hint = suggestProperty(key, Object.keys(props));
+        push('additionalProperties', `unknown property "${key}"${hint ? ` (did you mean "${hint}"?)` : ''}`, at);
+      } else {
+        validateNode(root, schema.additionalProperties, child, at, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const s of schema.allOf) validateNode(root, s, value, pointer, errors);
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const ok = schema.anyOf.some((s) => validateSchemaAt(root, s, value, pointer).length === 0);
+    if (!ok) push('anyOf', 'must match at least one allowed schema');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const count = schema.oneOf.filter((s) => validateSchemaAt(root, s, value, pointer).length === 0).length;
+    if (count !== 1) push('oneOf', `must match exactly one allowed schema (matched ${count})`);
+  }
+  if (schema.not !== undefined && validateSchemaAt(root, schema.not, value, pointer).length === 0) {
+    push('not', 'must not match the disallowed schema');
+  }
+}
+
+function validateSchemaAt(root, schema, value, pointer) {
+  const errors = [];
+  validateNode(root, schema, value, pointer, errors);
+  return errors;
+}
+
+/**
+ * Validate `data` against `schema`.
+ *
+ * @param {object} schema - JSON Schema (draft-07 subset, see module header)
+ * @param {unknown} data
+ * @returns {{ path: string, keyword: string, message: string }[]} Empty when valid
+ */
+export function validateSchema(schema, data) {
+  return validateSchemaAt(schema, schema, data, '');
+}
+
+/** "/repo/layout: must be one of: ..." (root errors use "/"). */
+export function formatSchemaError(error) {
+  return `${error.path || '/'}: ${error.message}`;
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatSchemaError, validateSchema } from './json-schema.mjs';
+
+const paths = (errors) => errors.map((e) => [e.path, e.keyword]);
+
+test('valid data yields no errors; boolean schemas allow or reject everything', () => {
+  assert.deepEqual(validateSchema({ type: 'object' }, {}), []);
+  assert.deepEqual(validateSchema(true, 42), []);
+  assert.deepEqual(validateSchema(false, 42), [{ path: '', keyword: 'false', message: 'is not allowed' }]);
+});
+
+test('type checks distinguish integer, number, null and array and stop at the first mismatch', () => {
+  assert.deepEqual(validateSchema({ type: 'integer' }, 3), []);
+  assert.deepEqual(paths(validateSchema({ type: 'integer', minimum: 10 }, 3.5)), [['', 'type']]);
+  assert.deepEqual(validateSchema({ type: ['string', 'null'] }, null), []);
+  assert.equal(validateSchema({ type: 'number' }, Infinity).length, 1);
+  assert.equal(validateSchema({ type: 'object' }, [])[0].message, 'must be object (got array)');
+});
+
+test('unknown properties are reported with a JSON pointer and a typo hint', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: { capabilities: { type: 'object' }, repo: { type: 'object', additionalProperties: false, properties: { layout: { type: 'string' } } } }
+  };
+  const errors = validateSchema(schema, { capabilites: {}, repo: { layuot: 'single' }, zzz: 1 });
+
+  assert.deepEqual(errors.map(formatSchemaError), [
+    '/capabilites: unknown property "capabilites" (did you mean "capabilities"?)',
+    '/repo/layuot: unknown property "layuot" (did you mean "layout"?)',
+    '/zzz: unknown property "zzz"'
+  ]);
+});
+
+test('required, enum and array keywords point at the offending member', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'a/b'],
+    properties: {
+      layout: { enum: ['single', 'monorepo'] },
+      tags: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', pattern: '^[a-z]+$' } }
+    }
+  };
+  const errors = validateSchema(schema, { layout: 'multi', tags: ['ok', 'Bad', 'ok'] });
+
+  assert.deepEqual(paths(errors), [
+    ['/name', 'required'],
+    ['/a~1b', 'required'],
+    ['/layout', 'enum'],
+    ['/tags/2', 'uniqueItems'],
+    ['/tags/1', 'pattern']
+  ]);
+  assert.equal(errors[2].message, 'must be one of: single, monorepo (got "multi")');
+});
+
+test('string and number bounds are enforced', () => {
+  assert.deepEqual(paths(validateSchema({ minLength: 2, maxLength: 3 }, 'a')), [['', 'minLength']]);
+  assert.deepEqual(paths(validateSchema({ minLength: 2, maxLength: 3 }, 'abcd')), [['', 'maxLength']]);
+  assert.deepEqual(paths(validateSchema({ exclusiveMinimum: 0, maximum: 5 }, 0)), [['', 'exclusiveMinimum']]);
+  assert.deepEqual(paths(validateSchema({ exclusiveMinimum: 0, maximum: 5 }, 6)), [['', 'maximum']]);
+});
+
+test('local $ref, patternProperties and schema-valued additionalProperties', () => {
+  const schema = {
+    $defs: { port: { type: 'integer', minimum: 1 } },
+    type: 'object',
+    patternProperties: { '^x-': { type: 'string' } },
+    additionalProperties: { $ref: '#/$defs/port' }
+  };
+  const errors = validateSchema(schema, { 'x-note': 1, web: 0, api: 8080 });
+
+  assert.deepEqual(paths(errors), [['/x-note', 'type'], ['/web', 'minimum']]);
+  assert.throws(() => validateSchema({ $ref: '#/$defs/missing' }, 1), /Unresolvable \$ref: #\/\$defs\/missing/);
+  assert.throws(() => validateSchema({ $ref: 'other.json#/a' }, 1), /only local refs/);
+});
+
+test('anyOf, oneOf, not and const combine sub-schemas', () => {
+  assert.deepEqual(validateSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, 1), []);
+  assert.deepEqual(paths(validateSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, true)), [['', 'anyOf']]);
+  assert.equal(validateSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1)[0].message, 'must match exactly one allowed schema (matched 2)');
+  assert.deepEqual(paths(validateSchema({ not: { const: 'x' } }, 'x')), [['', 'not']]);
+  assert.deepEqual(validateSchema({ const: { a: [1, 2] } }, { a: [1, 2] }), []);
+});
+
+test('formatSchemaError shows root errors as "/"', () => {
+  assert.equal(formatSchemaError({ path: '', message: 'must be object (got string)' }), '/: must be object (got string)');
+});
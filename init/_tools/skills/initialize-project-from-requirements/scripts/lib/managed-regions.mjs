@@ -0,0 +1,193 @@
+/**
+ * Managed regions in generated docs (dependency-free)
+ *
+ * Generated parts of root README.md / AGENTS.md are wrapped in markers:
+ *   <!-- BEGIN GENERATED:TECH_STACK -->
+ *   ...generated content...
+ *   <!-- END GENERATED:TECH_STACK -->
+ * Text outside the markers belongs to humans and is never rewritten.
+ *
+ * Regeneration is a three-way merge per region, using the content generated last
+ * time as the base (recorded by the caller, e.g. in init/_work/.root-docs-base.json):
+ *   current == generated              -> unchanged
+ *   current == base                   -> updated (not edited by hand)
+ *   generated == base                 -> kept (hand edits, nothing new to add)
+ *   both changed, disjoint lines      -> merged
+ *   both changed, overlapping lines   -> conflict (region left as is, reported)
+ * Deleting a marker pair hands the region over to humans for good.
+ *
+ * Usage:
+ *   import { mergeManagedRegions, parseManagedRegions } from './lib/managed-regions.mjs';
+ *
+ *   const desired = parseManagedRegions(rendered);   // Map id -> inner text
+ *   const res = mergeManagedRegions(current, desired, base, { overwrite: false });
+ *   // res.content, res.regions [{ id, status, conflicts? }], res.base (next base map)
+ */
+
+const REGION_RE = /<!-- BEGIN GENERATED:([A-Z0-9_]+) -->\r?\n([\s\S]*?)<!-- END GENERATED:\1 -->/g;
+
+export function managedMarker(id, which) {
+  return `<!-- ${which} GENERATED:${id} -->`;
+}
+
+/** Wrap `inner` (normalized to end with a newline) in BEGIN/END markers. */
+export function wrapManagedRegion(id, inner) {
+  const body = inner.endsWith('\n') ? inner : `${inner}\n`;
+  return `${managedMarker(id, 'BEGIN')}\n${body}${managedMarker(id, 'END')}`;
+}
+
+/** Map of region id -> inner text (between the marker lines). First occurrence wins. */
+export function parseManagedRegions(content) {
+  const regions = new Map();
+  for (const m of String(content || '').matchAll(REGION_RE)) {
+    if (!regions.has(m[1])) regions.set(m[1], m[2]);
+  }
+  return regions;
+}
+
+function replaceRegion(content, id, inner) {
+  const re = new RegExp(`${managedMarker(id, 'BEGIN')}\\r?\\n[\\s\\S]*?${managedMarker(id, 'END')}`);
+  return content.replace(re, () => wrapManagedRegion(id, inner));
+}
+
+/** Matched index pairs [i, j] of a longest common subsequence of two line arrays. */
+function lcsPairs(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const dp = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((l, i) => l === b[i]);
+}
+
+/**
+ * Line-based diff3 merge.
+ *
+ * @returns {{ clean: boolean, content: string, conflicts: { ours: string[], base: string[], theirs: string[] }[] }}
+ *   On conflict, `content` keeps `ours` for the conflicting chunks.
+ */
+export function mergeThreeWay(base, ours, theirs) {
+  const b = base.split('\n');
+  const o = ours.split('\n');
+  const t = theirs.split('\n');
+  const toOurs = new Map(lcsPairs(b, o));
+  const toTheirs = new Map(lcsPairs(b, t));
+
+  const out = [];
+  const conflicts = [];
+  let pb = 0;
+  let po = 0;
+  let pt = 0;
+
+  const resolve = (bEnd, oEnd, tEnd) => {
+    const bc = b.slice(pb, bEnd);
+    const oc = o.slice(po, oEnd);
+    const tc = t.slice(pt, tEnd);
+    if (sameLines(oc, bc)) out.push(...tc);
+    else if (sameLines(tc, bc) || sameLines(oc, tc)) out.push(...oc);
+    else {
+      conflicts.push({ ours: oc, base: bc, theirs: tc });
+      out.push(...oc);
+    }
+  };
+
+  for (let i = 0; i < b.length; i++) {
+    if (!toOurs.has(i) || !toTheirs.has(i)) continue;
+    const oi = toOurs.get(i);
+    const ti = toTheirs.get(i);
+    if (oi < po || ti < pt) continue;
+    resolve(i, oi, ti);
+    out.push(b[i]);
+    pb = i + 1;
+    po = oi + 1;
+    pt = ti + 1;
+  }
+  resolve(b.length, o.length, t.length);
+
+  return { clean: conflicts.length === 0, content: out.join('\n'), conflicts };
+}
+
+/** Git-style rendering of a conflict for reports (never written into the doc). */
+export function formatConflict(conflict, label = 'generated') {
+  return ['<<<<<<< current', ...conflict.ours, '||||||| base', ...conflict.base, '=======', ...conflict.theirs, `>>>>>>> ${label}`].join('\n');
+}
+
+/**
+ * Three-way merge of every desired region into `content`.
+ *
+ * @param {string} content - Current document
+ * @param {Map<string, string>} desired - Region id -> freshly generated inner text
+ * @param {Record<string, string>} base - Region id -> inner text generated last time
+ * @param {{ overwrite?: boolean }} [options] - overwrite: take generated content even over hand edits
+ * @returns {{
+ *   content: string,
+ *   regions: { id: string, status: 'unchanged' | 'updated' | 'kept' | 'merged' | 'overwritten' | 'conflict' | 'missing', conflicts?: object[] }[],
+ *   base: Record<string, string>
+ * }} Regions without markers in `content` are reported as 'missing' (caller may insert them).
+ */
+export function mergeManagedRegions(content, desired, base = {}, options = {}) {
+  const current = parseManagedRegions(content);
+  const nextBase = { ...base };
+  const regions = [];
+  let out = content;
+
+  for (const [id, generated] of desired) {
+    if (!current.has(id)) {
+      regions.push({ id, status: 'missing' });
+      continue;
+    }
+    const mine = current.get(id);
+    const prev = Object.prototype.hasOwnProperty.call(base, id) ? base[id] : null;
+
+    let status;
+    let next = mine;
+    let conflicts;
+    if (mine === generated) status = 'unchanged';
+    else if (options.overwrite) {
+      status = 'overwritten';
+      next = generated;
+    } else if (prev != null && mine === prev) {
+      status = 'updated';
+      next = generated;
+    } else if (prev != null && generated === prev) {
+      status = 'kept';
+    } else if (prev == null) {
+      status = 'conflict';
+      conflicts = [{ ours: mine.split('\n'), base: [], theirs: generated.split('\n') }];
+    } else {
+      const merged = mergeThreeWay(prev, mine, generated);
+      if (merged.clean) {
+        status = 'merged';
+        next = merged.content;
+      } else {
+        status = 'conflict';
+        conflicts = merged.conflicts;
+      }
+    }
+
+    if (next !== mine) out = replaceRegion(out, id, next);
+    // A conflict keeps the old base so the region keeps being reported until it is resolved.
+    if (status !== 'conflict') nextBase[id] = generated;
+    regions.push(conflicts ? { id, status, conflicts } : { id, status });
+  }
+
+  return { content: out, regions, base: nextBase };
+}
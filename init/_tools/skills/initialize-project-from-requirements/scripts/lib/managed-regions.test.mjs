@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatConflict, mergeManagedRegions, mergeThreeWay, parseManagedRegions, wrapManagedRegion } from './managed-regions.mjs';
+
+const doc = (stack, extra = '') => `# Title\n\nHand intro.\n\n${wrapManagedRegion('TECH_STACK', stack)}\n${extra}`;
+
+test('wrapManagedRegion and parseManagedRegions round-trip inner text; the first duplicate wins', () => {
+  const content = `${wrapManagedRegion('A', 'one')}\ntext\n${wrapManagedRegion('B', 'two\n')}\n${wrapManagedRegion('A', 'again')}\n`;
+  assert.deepEqual([...parseManagedRegions(content)], [['A', 'one\n'], ['B', 'two\n']]);
+  assert.deepEqual([...parseManagedRegions('<!-- BEGIN GENERATED:A -->\r\nx\r\n<!-- END GENERATED:A -->')], [['A', 'x\r\n']]);
+  assert.equal(parseManagedRegions(null).size, 0);
+});
+
+test('mergeThreeWay takes non-overlapping edits from both sides', () => {
+  const base = 'a\nb\nc\nd\ne';
+  const res = mergeThreeWay(base, 'a\nB (mine)\nc\nd\ne', 'a\nb\nc\nd\nE (new)\nf');
+  assert.equal(res.clean, true);
+  assert.equal(res.content, 'a\nB (mine)\nc\nd\nE (new)\nf');
+  assert.deepEqual(mergeThreeWay(base, 'a\nX\nc\nd\ne', 'a\nX\nc\nd\ne').content, 'a\nX\nc\nd\ne', 'identical edits merge');
+});
+
+test('mergeThreeWay reports overlapping edits and keeps ours in the content', () => {
+  const res = mergeThreeWay('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc');
+  assert.equal(res.clean, false);
+  assert.equal(res.content, 'a\nmine\nc');
+  assert.deepEqual(res.conflicts, [{ ours: ['mine'], base: ['b'], theirs: ['theirs'] }]);
+  assert.equal(formatConflict(res.conflicts[0]), '<<<<<<< current\nmine\n||||||| base\nb\n=======\ntheirs\n>>>>>>> generated');
+});
+
+test('regions untouched since the last run are updated and human text outside markers is preserved', () => {
+  const content = doc('| Language | ts |\n', 'My own notes.\n');
+  const res = mergeManagedRegions(content, new Map([['TECH_STACK', '| Language | go |\n']]), { TECH_STACK: '| Language | ts |\n' });
+
+  assert.deepEqual(res.regions, [{ id: 'TECH_STACK', status: 'updated' }]);
+  assert.equal(res.content, doc('| Language | go |\n', 'My own notes.\n'));
+  assert.deepEqual(res.base, { TECH_STACK: '| Language | go |\n' });
+});
+
+test('hand edits are kept when nothing new is generated and merged with disjoint changes', () => {
+  const base = 'L1\nL2\nL3\nL4\nL5\n';
+  const edited = 'L1 (edited)\nL2\nL3\nL4\nL5\n';
+
+  const kept = mergeManagedRegions(doc(edited), new Map([['TECH_STACK', base]]), { TECH_STACK: base });
+  assert.deepEqual(kept.regions, [{ id: 'TECH_STACK', status: 'kept' }]);
+  assert.equal(kept.content, doc(edited));
+
+  const merged = mergeManagedRegions(doc(edited), new Map([['TECH_STACK', 'L1\nL2\nL3\nL4\nL5 (new)\n']]), { TECH_STACK: base });
+  assert.deepEqual(merged.regions, [{ id: 'TECH_STACK', status: 'merged' }]);
+  assert.equal(merged.content, doc('L1 (edited)\nL2\nL3\nL4\nL5 (new)\n'));
+});
+
+test('conflicts leave the region and the base untouched; overwrite takes the generated text', () => {
+  const content = doc('mine\n');
+  const desired = new Map([['TECH_STACK', 'generated\n']]);
+  const base = { TECH_STACK: 'old\n' };
+
+  const res = mergeManagedRegions(content, desired, base);
+  assert.equal(res.regions[0].status, 'conflict');
+  assert.deepEqual(res.regions[0].conflicts, [{ ours: ['mine'], base: ['old'], theirs: ['generated'] }]);
+  assert.equal(res.content, content);
+  assert.deepEqual(res.base, base);
+
+  const forced = mergeManagedRegions(content, desired, base, { overwrite: true });
+  assert.deepEqual(forced.regions, [{ id: 'TECH_STACK', status: 'overwritten' }]);
+  assert.equal(forced.content, doc('generated\n'));
+});
+
+test('without a recorded base a differing region is a conflict; removed markers are reported as missing', () => {
+  const res = mergeManagedRegions(doc('mine\n'), new Map([['TECH_STACK', 'generated\n'], ['STRUCTURE', 'tree\n']]));
+  assert.deepEqual(res.regions.map((r) => r.status), ['conflict', 'missing']);
+  assert.deepEqual(res.base, {});
+
+  const same = mergeManagedRegions(doc('x\n'), new Map([['TECH_STACK', 'x\n']]));
+  assert.deepEqual([same.regions, same.base], [[{ id: 'TECH_STACK', status: 'unchanged' }], { TECH_STACK: 'x\n' }]);
+});
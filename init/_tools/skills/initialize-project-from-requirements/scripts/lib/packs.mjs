@@ -0,0 +1,200 @@
+/**
+ * Skill pack registry (dependency-free)
+ *
+ * Loads pack definitions from `.ai/skills/_meta/packs/*.json` and resolves
+ * `dependencies` transitively into a single list of `includePrefixes`.
+ *
+ * Pack file shape (only `id` and `includePrefixes` are required):
+ *   {
+ *     "id": "bundle-backend-api-core",
+ *     "includePrefixes": ["backend/", "workflows/backend/debug-authenticated-routes/"],
+ *     "dependencies": ["workflows"],
+ *     "metadata": { "mutuallyExclusive": ["other-pack"] }
+ *   }
+ *
+ * Usage:
+ *   import { loadPackRegistry, resolvePacks } from './lib/packs.mjs';
+ *
+ *   const registry = loadPackRegistry(repoRoot);
+ *   const res = resolvePacks(registry, ['workflows', 'bundle-backend-api-core']);
+ *   console.log(res.includePrefixes, res.missing, res.cycles);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const PACKS_DIR_REL = path.join('.ai', 'skills', '_meta', 'packs');
+
+/**
+ * Core packs shipped with the template, in canonical display order.
+ * Also used as the registry when the packs directory does not exist.
+ */
+export const CORE_PACKS = [
+  { id: 'workflows', includePrefixes: ['workflows/'], dependencies: [] },
+  { id: 'standards', includePrefixes: ['standards/'], dependencies: [] },
+  { id: 'testing', includePrefixes: ['testing/'], dependencies: [] },
+  { id: 'backend', includePrefixes: ['backend/'], dependencies: [] },
+  { id: 'frontend', includePrefixes: ['frontend/'], dependencies: [] }
+];
+
+export function corePackOrder() {
+  return CORE_PACKS.map((p) => p.id);
+}
+
+function normalizePrefix(prefix) {
+  const p = String(prefix || '').replace(/\\/g, '/').replace(/^\/+/, '').trim();
+  if (!p) return '';
+  return p.endsWith('/') ? p : `${p}/`;
+}
+
+function stringList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter((v) => typeof v === 'string').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Load all pack definitions under `<repoRoot>/.ai/skills/_meta/packs/`.
+ * Invalid files are reported in `errors` and skipped; they never throw.
+ *
+ * @param {string} repoRoot - Repository root
+ * @returns {{ source: 'files' | 'builtin', dir: string, packs: Map<string, object>, errors: string[] }}
+ */
+export function loadPackRegistry(repoRoot) {
+  const dir = path.join(repoRoot, PACKS_DIR_REL);
+  const packs = new Map();
+  const errors = [];
+
+  if (!fs.existsSync(dir)) {
+    for (const p of CORE_PACKS) {
+      packs.set(p.id, { ...p, file: null, mutuallyExclusive: [] });
+    }
+    return { source: 'builtin', dir, packs, errors };
+  }
+
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const rel = path.join(PACKS_DIR_REL, file).replace(/\\/g, '/');
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8').replace(/^\ufeff/, ''));
+    } catch (e) {
+      errors.push(`Invalid pack file ${rel}: ${e.message}`);
+      continue;
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`Invalid pack file ${rel}: expected a JSON object.`);
+      continue;
+    }
+
+    const id = typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim() : path.basename(file, '.json');
+    if (packs.has(id)) {
+      errors.push(`Duplicate pack id "${id}" in ${rel} (already defined in ${packs.get(id).file}).`);
+      continue;
+    }
+
+    const includePrefixes = stringList(raw.includePrefixes).map(normalizePrefix).filter(Boolean);
+    if (includePrefixes.length === 0) {
+      errors.push(`Pack "${id}" (${rel}) has no includePrefixes.`);
+    }
+
+    packs.set(id, {
+      id,
+      file: rel,
+      description: typeof raw.description === 'string' ? raw.description : '',
+      includePrefixes,
+      dependencies: stringList(raw.dependencies),
+      mutuallyExclusive: stringList(raw.metadata && raw.metadata.mutuallyExclusive)
+    });
+  }
+
+  return { source: 'files', dir, packs, errors };
+}
+
+/**
+ * Resolve requested packs and their transitive dependencies.
+ *
+ * Dependencies are placed before the packs that require them. Missing packs and
+ * dependency cycles are reported instead of thrown so callers can decide whether
+ * they are errors (validate) or warnings (manifest update).
+ *
+ * @param {{ packs: Map<string, object> }} registry - Result of loadPackRegistry()
+ * @param {string[]} requested - Pack ids selected by the blueprint
+ * @returns {{
+ *   packs: string[],
+ *   includePrefixes: string[],
+ *   missing: { pack: string, requiredBy: string | null }[],
+ *   cycles: string[][],
+ *   conflicts: [string, string][]
+ * }}
+ */
+export function resolvePacks(registry, requested) {
+  const order = [];
+  const missing = [];
+  const cycles = [];
+  const done = new Set();
+  const stack = [];
+
+  function visit(id, requiredBy) {
+    if (done.has(id)) return;
+    const cycleStart = stack.indexOf(id);
+    if (cycleStart !== -1) {
+      cycles.push([...stack.slice(cycleStart), id]);
+      return;
+    }
+    const pack = registry.packs.get(id);
+    if (!pack) {
+      if (!missing.some((m) => m.pack === id && m.requiredBy === requiredBy)) {
+        missing.push({ pack: id, requiredBy });
+      }
+      return;
+    }
+
+    stack.push(id);
+    for (const dep of pack.dependencies) visit(dep, id);
+    stack.pop();
+
+    done.add(id);
+    order.push(id);
+  }
+
+  for (const id of requested || []) visit(id, null);
+
+  // Merge prefixes in pack order, dropping any prefix already covered by a broader one.
+  let includePrefixes = [];
+  for (const id of order) {
+    for (const prefix of registry.packs.get(id).includePrefixes) {
+      if (includePrefixes.some((have) => prefix.startsWith(have))) continue;
+      includePrefixes = includePrefixes.filter((have) => !have.startsWith(prefix));
+      includePrefixes.push(prefix);
+    }
+  }
+
+  const conflicts = [];
+  for (const id of order) {
+    for (const other of registry.packs.get(id).mutuallyExclusive) {
+      if (!order.includes(other)) continue;
+      if (conflicts.some(([a, b]) => (a === other && b === id))) continue;
+      conflicts.push([id, other]);
+    }
+  }
+
+  return { packs: order, includePrefixes, missing, cycles, conflicts };
+}
+
+/**
+ * Format resolvePacks() problems as human-readable messages.
+ *
+ * @param {ReturnType<typeof resolvePacks>} resolved
+ * @returns {{ missing: string[], cycles: string[], conflicts: string[] }}
+ */
+export function describePackProblems(resolved) {
+  return {
+    missing: resolved.missing.map((m) =>
+      m.requiredBy
+        ? `Pack "${m.requiredBy}" depends on unknown pack "${m.pack}".`
+        : `skills.packs includes unknown pack "${m.pack}" (no file under ${PACKS_DIR_REL.replace(/\\/g, '/')}/).`
+    ),
+    cycles: resolved.cycles.map((c) => `Pack dependency cycle: ${c.join(' -> ')}`),
+    conflicts: resolved.conflicts.map(([a, b]) => `Packs "${a}" and "${b}" are mutually exclusive.`)
+  };
+}
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CORE_PACKS, PACKS_DIR_REL, describePackProblems, loadPackRegistry, resolvePacks } from './packs.mjs';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..', '..', '..', '..');
+
+function registryOf(defs) {
+  const packs = new Map();
+  for (const d of defs) packs.set(d.id, { dependencies: [], mutuallyExclusive: [], ...d });
+  return { packs };
+}
+
+function withPackFiles(files, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'packs-'));
+  try {
+    const dir = path.join(repoRoot, PACKS_DIR_REL);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content, 'utf8');
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+test('loadPackRegistry falls back to the core packs without a packs directory', () => {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'packs-'));
+  try {
+    const registry = loadPackRegistry(repoRoot);
+    assert.equal(registry.source, 'builtin');
+    assert.deepEqual([...registry.packs.keys()], CORE_PACKS.map((p) => p.id));
+    assert.deepEqual(registry.errors, []);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadPackRegistry reads pack files and reports broken ones without throwing', () => {
+  const registry = withPackFiles(
+    {
+      'api.json': JSON.stringify({
+        id: 'bundle-api',
+        includePrefixes: ['backend', '\\workflows\\backend\\debug/', 7],
+        dependencies: ['workflows', ''],
+        metadata: { mutuallyExclusive: ['bundle-graphql'] }
+      }),
+      'workflows.json': '\ufeff{"includePrefixes": ["workflows/"]}',
+      'z-dup.json': JSON.stringify({ id: 'bundle-api', includePrefixes: ['x/'] }),
+      'broken.json': '{ nope',
+      'list.json': '[]',
+      'empty.json': JSON.stringify({ id: 'empty' }),
+      'notes.txt': 'ignored'
+    },
+    loadPackRegistry
+  );
+
+  assert.equal(registry.source, 'files');
+  assert.deepEqual([...registry.packs.keys()], ['bundle-api', 'empty', 'workflows']);
+  const api = registry.packs.get('bundle-api');
+  assert.deepEqual(api.includePrefixes, ['backend/', 'workflows/backend/debug/']);
+  assert.deepEqual(api.dependencies, ['workflows']);
+  assert.deepEqual(api.mutuallyExclusive, ['bundle-graphql']);
+  assert.equal(api.file, '.ai/skills/_meta/packs/api.json');
+  assert.equal(registry.packs.get('workflows').id, 'workflows');
+
+  assert.equal(registry.errors.length, 4);
+  assert.match(registry.errors[0], /^Invalid pack file \.ai\/skills\/_meta\/packs\/broken\.json: /);
+  assert.equal(registry.errors[1], 'Pack "empty" (.ai/skills/_meta/packs/empty.json) has no includePrefixes.');
+  assert.equal(registry.errors[2], 'Invalid pack file .ai/skills/_meta/packs/list.json: expected a JSON object.');
+  assert.equal(registry.errors[3], 'Duplicate pack id "bundle-api" in .ai/skills/_meta/packs/z-dup.json (already defined in .ai/skills/_meta/packs/api.json).');
+});
+
+test('resolvePacks places transitive dependencies first and merges their prefixes', () => {
+  const registry = registryOf([
+    { id: 'workflows', includePrefixes: ['workflows/'] },
+    { id: 'backend', includePrefixes: ['backend/'], dependencies: ['workflows'] },
+    { id: 'bundle-api', includePrefixes: ['backend/http/', 'workflows/backend/debug/', 'testing/api/'], dependencies: ['backend'] },
+    { id: 'testing', includePrefixes: ['testing/'] }
+  ]);
+
+  const res = resolvePacks(registry, ['bundle-api', 'testing', 'backend']);
+  assert.deepEqual(res.packs, ['workflows', 'backend', 'bundle-api', 'testing']);
+  // Narrower prefixes are dropped once a broader one covers them, whichever comes first.
+  assert.deepEqual(res.includePrefixes, ['workflows/', 'backend/', 'testing/']);
+  assert.deepEqual(res.missing, []);
+  assert.deepEqual(res.cycles, []);
+  assert.deepEqual(res.conflicts, []);
+});
+
+test('resolvePacks reports unknown packs with the pack that requires them', () => {
+  const registry = registryOf([{ id: 'bundle-api', includePrefixes: ['backend/'], dependencies: ['auth', 'auth'] }]);
+  const res = resolvePacks(registry, ['bundle-api', 'mobile']);
+
+  assert.deepEqual(res.packs, ['bundle-api']);
+  assert.deepEqual(res.missing, [{ pack: 'auth', requiredBy: 'bundle-api' }, { pack: 'mobile', requiredBy: null }]);
+  assert.deepEqual(describePackProblems(res).missing, [
+    'Pack "bundle-api" depends on unknown pack "auth".',
+    'skills.packs includes unknown pack "mobile" (no file under .ai/skills/_meta/packs/).'
+  ]);
+});
+
+test('resolvePacks reports dependency cycles instead of recursing forever', () => {
+  const registry = registryOf([
+    { id: 'a', includePrefixes: ['a/'], dependencies: ['b'] },
+    { id: 'b', includePrefixes: ['b/'], dependencies: ['c'] },
+    { id: 'c', includePrefixes: ['c/'], dependencies: ['a'] }
+  ]);
+  const res = resolvePacks(registry, ['a']);
+
+  assert.deepEqual(res.cycles, [['a', 'b', 'c', 'a']]);
+  assert.deepEqual(res.packs, ['c', 'b', 'a']);
+  assert.deepEqual(describePackProblems(res).cycles, ['Pack dependency cycle: a -> b -> c -> a']);
+});
+
+test('resolvePacks reports each mutually exclusive pair once', () => {
+  const registry = registryOf([
+    { id: 'playwright', includePrefixes: ['testing/web/playwright/'], mutuallyExclusive: ['cypress'] },
+    { id: 'cypress', includePrefixes: ['testing/web/cypress/'], mutuallyExclusive: ['playwright'] }
+  ]);
+
+  const res = resolvePacks(registry, ['playwright', 'cypress']);
+  assert.deepEqual(res.conflicts, [['playwright', 'cypress']]);
+  assert.deepEqual(describePackProblems(res).conflicts, ['Packs "playwright" and "cypress" are mutually exclusive.']);
+  assert.deepEqual(resolvePacks(registry, ['cypress']).conflicts, []);
+});
+
+test('resolvePacks resolves the packs shipped with the template', () => {
+  const registry = loadPackRegistry(REPO_ROOT);
+  assert.equal(registry.source, 'files');
+  assert.deepEqual(registry.errors, []);
+
+  const res = resolvePacks(registry, ['bundle-backend-api-core']);
+  assert.deepEqual(res.missing, []);
+  assert.deepEqual(res.cycles, []);
+  assert.ok(res.packs.indexOf('bundle-backend-api-core') === res.packs.length - 1);
+});
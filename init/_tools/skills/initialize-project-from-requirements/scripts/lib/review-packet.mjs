@@ -0,0 +1,254 @@
+/**
+ * Stage A/B review packet (dependency-free)
+ *
+ * Bundles everything a reviewer outside the repo needs into one Markdown or HTML file:
+ * the Stage A docs, a readable rendering of the blueprint, skill pack recommendations,
+ * `check-docs` / `validate` results and the stage/approval state.
+ *
+ * The packet hash covers the reviewed artifacts only (Stage A docs + blueprint file), not
+ * the generation time or the state, so it stays stable until someone edits what was reviewed:
+ *   sha256 over lines "<path>\0<sha256(content)>\n", sorted by path
+ * `approve --packet <file>` recomputes it from the working tree and records it.
+ *
+ * Usage:
+ *   import { extractPacketHash, packetHash, renderPacket } from './lib/review-packet.mjs';
+ *
+ *   const hash = packetHash([{ path: 'init/_work/stage-a-docs/requirements.md', content }]);
+ *   const text = renderPacket({ ...packet, hash }, 'html');   // 'md' | 'html'
+ *   extractPacketHash(text) === hash;
+ */
+
+import { contentHash, sha256 } from './hash.mjs';
+
+const HASH_MARKER = 'review-packet-hash';
+
+/** Content hash ("sha256:<hex>") of the reviewed files. */
+export function packetHash(files) {
+  const lines = [...files]
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+    .map((f) => `${f.path}\0${sha256(f.content)}\n`);
+  return contentHash(lines.join(''));
+}
+
+/** The hash embedded in an exported packet (Markdown comment or HTML meta), or null. */
+export function extractPacketHash(text) {
+  const m = String(text || '').match(new RegExp(`${HASH_MARKER}(?::\\s*|"\\s+content=")(sha256:[0-9a-f]{64})`));
+  return m ? m[1] : null;
+}
+
+/** Accepts "sha256:<hex>" or a bare 64-digit hex digest. */
+export function normalizePacketHash(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (/^sha256:[0-9a-f]{64}$/.test(v)) return v;
+  if (/^[0-9a-f]{64}$/.test(v)) return `sha256:${v}`;
+  return null;
+}
+
+function yesNo(v) {
+  return v ? 'yes' : 'no';
+}
+
+function cell(v) {
+  if (v === undefined || v === null || v === '') return '-';
+  if (Array.isArray(v)) return v.length > 0 ? v.join(', ') : '-';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v).replace(/\|/g, '\\|');
+}
+
+/** Markdown rendering of a blueprint: project, repo, capabilities, quality, packs. */
+export function renderBlueprintSummary(blueprint) {
+  const bp = blueprint || {};
+  const out = [];
+  const project = bp.project || {};
+  const repo = bp.repo || {};
+
+  out.push('| Field | Value |', '|---|---|');
+  out.push(`| Name | ${cell(project.name)} |`);
+  out.push(`| Description | ${cell(project.description)} |`);
+  if (project.domain) out.push(`| Domain | ${cell(project.domain)} |`);
+  if (project.primaryUsers) out.push(`| Primary users | ${cell(project.primaryUsers)} |`);
+  out.push(`| Layout | ${cell(repo.layout)} |`);
+  out.push(`| Language | ${cell(repo.language)} |`);
+  out.push(`| Package manager | ${cell(repo.packageManager)} |`);
+  for (const kind of ['apps', 'packages']) {
+    if (Array.isArray(repo[kind]) && repo[kind].length > 0) {
+      out.push(`| ${kind === 'apps' ? 'Apps' : 'Packages'} | ${cell(repo[kind].map((w) => `${w.name} (${w.kind || w.language || '?'})`))} |`);
+    }
+  }
+
+  out.push('', '**Capabilities**', '', '| Capability | On | Settings | Traces |', '|---|---|---|---|');
+  for (const [name, cap] of Object.entries(bp.capabilities || {})) {
+    if (!cap || typeof cap !== 'object') continue;
+    const on = name === 'api' ? !!cap.style && cap.style !== 'none' : cap.enabled === true;
+    const settings = Object.entries(cap)
+      .filter(([k]) => k !== 'enabled' && k !== 'traces')
+      .map(([k, v]) => `${k}: ${cell(v)}`);
+    out.push(`| ${name} | ${yesNo(on)} | ${cell(settings)} | ${cell(cap.traces)} |`);
+  }
+
+  const quality = bp.quality || {};
+  if (Object.keys(quality).length > 0) {
+    out.push('', '**Quality**', '');
+    for (const [name, q] of Object.entries(quality)) {
+      const settings = q && typeof q === 'object' ? Object.entries(q).map(([k, v]) => `${k}: ${cell(v)}`) : [cell(q)];
+      out.push(`- ${name}: ${settings.join('; ')}`);
+    }
+  }
+
+  out.push('', `**Skill packs:** ${cell(bp.skills && bp.skills.packs)}`);
+  return out.join('\n');
+}
+
+function renderList(items) {
+  return items.map((i) => `- ${i}`).join('\n');
+}
+
+/**
+ * Markdown packet.
+ *
+ * @param {{
+ *   title: string, generatedAt: string, hash: string,
+ *   files: { path: string }[],
+ *   state: { stage: string, language: string | null, stages: { stage: string, validated: boolean, approved: boolean, packet: string | null }[] } | null,
+ *   docs: { name: string, path: string, content: string }[],
+ *   blueprint: { path: string, data: object | null, error?: string } | null,
+ *   validation: { ok: boolean, errors: string[], warnings: string[] } | null,
+ *   packs: { recommended: string[], current: string[], missing: string[], extra: string[] } | null,
+ *   checkDocs: { ok: boolean, errors: string[], warnings: string[] }
+ * }} packet
+ */
+function renderMarkdown(packet) {
+  const out = [];
+  out.push(`# Review packet: ${packet.title}`, '');
+  out.push(`<!-- ${HASH_MARKER}: ${packet.hash} -->`);
+  out.push(`- Packet hash: \`${packet.hash}\``);
+  out.push(`- Generated: ${packet.generatedAt}`);
+  out.push(`- Covers: ${packet.files.map((f) => `\`${f.path}\``).join(', ') || '(no files)'}`);
+  out.push('', 'Approve with: `node init/_tools/init.mjs approve --stage <A|B> --packet <this file>`', '');
+
+  out.push('## Stage and approvals', '');
+  if (!packet.state) out.push('No init state (`init/_work/.init-state.json`) found.');
+  else {
+    out.push(`Current stage: **${packet.state.stage}**${packet.state.language ? ` (language: ${packet.state.language})` : ''}`, '');
+    out.push('| Stage | Validated | Approved | Approved packet |', '|---|---|---|---|');
+    for (const s of packet.state.stages) out.push(`| ${s.stage} | ${yesNo(s.validated)} | ${yesNo(s.approved)} | ${s.packet ? `\`${s.packet}\`` : '-'} |`);
+  }
+
+  out.push('', '## Checks', '');
+  out.push(`**check-docs:** ${packet.checkDocs.ok ? 'passed' : 'failed'}`, '');
+  if (packet.checkDocs.errors.length > 0) out.push('Errors:', renderList(packet.checkDocs.errors), '');
+  if (packet.checkDocs.warnings.length > 0) out.push('Warnings:', renderList(packet.checkDocs.warnings), '');
+  if (packet.validation) {
+    out.push(`**Blueprint validation:** ${packet.validation.ok ? 'passed' : 'failed'}`, '');
+    if (packet.validation.errors.length > 0) out.push('Errors:', renderList(packet.validation.errors), '');
+    if (packet.validation.warnings.length > 0) out.push('Warnings:', renderList(packet.validation.warnings), '');
+  }
+
+  out.push('## Stage B: blueprint', '');
+  if (!packet.blueprint) out.push('No blueprint yet.');
+  else if (!packet.blueprint.data) out.push(`\`${packet.blueprint.path}\` could not be read: ${packet.blueprint.error}`);
+  else {
+    out.push(`Source: \`${packet.blueprint.path}\``, '', renderBlueprintSummary(packet.blueprint.data));
+  }
+
+  if (packet.packs) {
+    out.push('', '### Skill pack recommendations (suggest-packs)', '');
+    out.push(`- Recommended: ${cell(packet.packs.recommended)}`);
+    out.push(`- Selected: ${cell(packet.packs.current)}`);
+    out.push(`- Recommended but not selected: ${cell(packet.packs.missing)}`);
+    out.push(`- Selected beyond the recommendation: ${cell(packet.packs.extra)}`);
+  }
+
+  out.push('', '## Stage A: requirements docs');
+  for (const doc of packet.docs) {
+    // Four-backtick fence so docs containing ``` blocks stay intact.
+    out.push('', `### ${doc.name}`, '', `Source: \`${doc.path}\``, '', '````markdown', doc.content.replace(/\n+$/, ''), '````');
+  }
+  if (packet.docs.length === 0) out.push('', 'No Stage A docs found.');
+
+  if (packet.blueprint && packet.blueprint.data) {
+    out.push('', '## Appendix: blueprint JSON', '', '```json', JSON.stringify(packet.blueprint.data, null, 2), '```');
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Inline Markdown subset used by the packet itself: `code`, **bold**. */
+function inlineHtml(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * HTML packet: the Markdown packet's own structure (headings, lists, tables) rendered to HTML;
+ * fenced blocks (the Stage A docs, blueprint JSON) are shown verbatim. No external assets.
+ */
+function renderHtml(packet) {
+  const md = renderMarkdown(packet).split('\n');
+  const body = [];
+  let i = 0;
+  while (i < md.length) {
+    const line = md[i];
+    const fence = line.match(/^(`{3,})/);
+    if (fence) {
+      const end = md.findIndex((l, j) => j > i && l === fence[1]);
+      const stop = end === -1 ? md.length : end;
+      body.push(`<pre>${escapeHtml(md.slice(i + 1, stop).join('\n'))}</pre>`);
+      i = stop + 1;
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      body.push(`<h${heading[1].length}>${inlineHtml(heading[2])}</h${heading[1].length}>`);
+    } else if (line.startsWith('|')) {
+      const rows = [];
+      while (i < md.length && md[i].startsWith('|')) rows.push(md[i++]);
+      const cells = (r) => r.replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map((c) => inlineHtml(c.trim().replace(/\\\|/g, '|')));
+      body.push('<table>');
+      body.push(`<tr>${cells(rows[0]).map((c) => `<th>${c}</th>`).join('')}</tr>`);
+      for (const r of rows.slice(2)) body.push(`<tr>${cells(r).map((c) => `<td>${c}</td>`).join('')}</tr>`);
+      body.push('</table>');
+      continue;
+    } else if (line.startsWith('- ')) {
+      const items = [];
+      while (i < md.length && md[i].startsWith('- ')) items.push(md[i++].slice(2));
+      body.push(`<ul>${items.map((t) => `<li>${inlineHtml(t)}</li>`).join('')}</ul>`);
+      continue;
+    } else if (line.startsWith('<!--')) {
+      // hash marker: carried by the <meta> tag instead
+    } else if (line.trim()) {
+      body.push(`<p>${inlineHtml(line)}</p>`);
+    }
+    i++;
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<meta name="${HASH_MARKER}" content="${packet.hash}">`,
+    `<title>Review packet: ${escapeHtml(packet.title)}</title>`,
+    '<style>',
+    'body{font-family:system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;line-height:1.5;color:#222}',
+    'pre{background:#f6f8fa;padding:1rem;overflow-x:auto;white-space:pre-wrap}',
+    'code{background:#f6f8fa;padding:0 .2em}',
+    'table{border-collapse:collapse;margin:.5rem 0}th,td{border:1px solid #ccc;padding:.25rem .5rem;text-align:left;vertical-align:top}',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/** Render a packet as 'md' or 'html'. */
+export function renderPacket(packet, kind = 'md') {
+  return kind === 'html' ? renderHtml(packet) : renderMarkdown(packet);
+}
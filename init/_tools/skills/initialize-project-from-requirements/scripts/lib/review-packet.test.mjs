@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractPacketHash, normalizePacketHash, packetHash, renderBlueprintSummary, renderPacket } from './review-packet.mjs';
+
+const FILES = [
+  { path: 'init/_work/stage-a-docs/requirements.md', content: '# Requirements\n' },
+  { path: 'init/_work/project-blueprint.json', content: '{}\n' }
+];
+
+const PACKET = {
+  title: 'task-hub',
+  generatedAt: '2026-10-01T00:00:00.000Z',
+  hash: packetHash(FILES),
+  files: FILES.map((f) => ({ path: f.path })),
+  state: {
+    stage: 'B',
+    language: 'de',
+    stages: [
+      { stage: 'A', validated: true, approved: true, packet: 'sha256:' + 'a'.repeat(64) },
+      { stage: 'B', validated: false, approved: false, packet: null }
+    ]
+  },
+  docs: [{ name: 'requirements.md', path: FILES[0].path, content: '# Requirements\n\n```js\nx < 1\n```\n' }],
+  blueprint: { path: FILES[1].path, data: { project: { name: 'task-hub', description: 'a | b' }, repo: { layout: 'single' }, skills: { packs: ['workflows'] } } },
+  validation: { ok: false, errors: ['/repo/language: missing required property "language"'], warnings: [] },
+  packs: { recommended: ['workflows', 'backend'], current: ['workflows'], missing: ['backend'], extra: [] },
+  checkDocs: { ok: true, errors: [], warnings: ['requirements.md:3: Uses alias "ticket"; the glossary term is "Task".'] }
+};
+
+test('packetHash depends on paths and contents, not on file order', () => {
+  assert.match(PACKET.hash, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(packetHash([...FILES].reverse()), PACKET.hash);
+  assert.notEqual(packetHash([{ ...FILES[0], content: '# Requirements!\n' }, FILES[1]]), PACKET.hash);
+  assert.notEqual(packetHash([{ ...FILES[0], path: 'other.md' }, FILES[1]]), PACKET.hash);
+});
+
+test('normalizePacketHash accepts prefixed or bare digests only', () => {
+  const hex = 'AB'.repeat(32);
+  assert.equal(normalizePacketHash(hex), `sha256:${hex.toLowerCase()}`);
+  assert.equal(normalizePacketHash(` sha256:${hex} `), `sha256:${hex.toLowerCase()}`);
+  assert.equal(normalizePacketHash('sha256:abc'), null);
+  assert.equal(normalizePacketHash(undefined), null);
+});
+
+test('the Markdown packet embeds the hash, state, checks, blueprint and docs', () => {
+  const md = renderPacket(PACKET, 'md');
+
+  assert.equal(extractPacketHash(md), PACKET.hash);
+  assert.match(md, /^# Review packet: task-hub$/m);
+  assert.match(md, /^\| A \| yes \| yes \| `sha256:a{64}` \|$/m);
+  assert.match(md, /^\*\*Blueprint validation:\*\* failed$/m);
+  assert.match(md, /^- Recommended but not selected: backend$/m);
+  assert.match(md, /^\| Description \| a \\\| b \|$/m, 'pipes in values are escaped');
+  assert.match(md, /### requirements\.md\n\nSource: `init\/_work\/stage-a-docs\/requirements\.md`\n\n````markdown\n# Requirements\n\n```js\nx < 1\n```\n````/);
+});
+
+test('the HTML packet is self-contained and carries the hash in a meta tag', () => {
+  const html = renderPacket(PACKET, 'html');
+
+  assert.equal(extractPacketHash(html), PACKET.hash);
+  assert.match(html, /<meta name="review-packet-hash" content="sha256:[0-9a-f]{64}">/);
+  assert.doesNotMatch(html, /<(?:script|link)\b|src=/);
+  assert.match(html, /<pre># Requirements\n\n```js\nx &lt; 1\n```<\/pre>/);
+  assert.match(html, /<td>a \| b<\/td>/);
+});
+
+test('packets without state or blueprint still render', () => {
+  const md = renderPacket({ ...PACKET, state: null, blueprint: null, validation: null, packs: null, docs: [] });
+  assert.match(md, /No init state/);
+  assert.match(md, /No blueprint yet\./);
+  assert.match(md, /No Stage A docs found\./);
+  assert.equal(extractPacketHash('no marker here'), null);
+});
+
+test('renderBlueprintSummary lists capabilities with their traces; api is on unless its style is none', () => {
+  const summary = renderBlueprintSummary({
+    capabilities: { database: { enabled: true, kind: 'postgres', traces: ['R-001'] }, api: { style: 'none' }, bpmn: null }
+  });
+  assert.match(summary, /^\| database \| yes \| kind: postgres \| R-001 \|$/m);
+  assert.match(summary, /^\| api \| no \| style: none \| - \|$/m);
+  assert.doesNotMatch(summary, /bpmn/);
+});
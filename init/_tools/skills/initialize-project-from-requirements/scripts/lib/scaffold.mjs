@@ -0,0 +1,847 @@
+/**
+ * Stage C rendering: scaffold plan, config/container files, root docs and the skill manifest
+ *
+ * Everything Stage C writes is rendered here from the blueprint. Root README.md/AGENTS.md are
+ * merged through managed regions (lib/managed-regions.mjs) against the base kept in
+ * init/_work/.root-docs-base.json; `collectStageCWrites` lists every write for `diff`.
+ *
+ * Usage:
+ *   import { diffStageC, generateConfigFiles, planScaffold } from './lib/scaffold.mjs';
+ *
+ *   const planned = [...planScaffold(repoRoot, blueprint, false), ...generateConfigFiles(repoRoot, blueprint, false)];
+ *   console.log(diffStageC(repoRoot, blueprint).files.map((f) => `${f.status} ${f.path}`));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { normalizePackList, uniq } from './blueprint.mjs';
+import { capabilityScaffold } from './capability-scaffold.mjs';
+import { EXIT } from './cli-output.mjs';
+import { die, writeJson } from './cli.mjs';
+import { getConfigTemplateDir, listConfigTemplates, listWorkspaceTemplates, resolvePackageManager } from './config-templates.mjs';
+import { CONTAINER_TEMPLATES_DIR, containerPlan, containerTemplateVars, containerizeEnabled } from './container-templates.mjs';
+import { formatConflict, mergeManagedRegions, parseManagedRegions, wrapManagedRegion } from './managed-regions.mjs';
+import { describePackProblems, loadPackRegistry, resolvePacks } from './packs.mjs';
+import { escaperForFile, renderTemplate } from './template-engine.mjs';
+import { diffLines, formatUnifiedDiff } from './unified-diff.mjs';
+import {
+  INIT_KIT_MARKER_DEFAULT_REL,
+  INIT_KIT_MARKER_LEGACY_REL,
+  ROOT_DOCS_BASE_DEFAULT_REL,
+  TEMPLATES_DIR,
+  ensureDir,
+  stripUtf8Bom,
+  toPosixPath,
+  writeFileIfMissing
+} from './workdir.mjs';
+import {
+  hasDeclaredWorkspaces,
+  listWorkspaces,
+  workspaceConflicts,
+  workspaceRegistrations,
+  workspaceTemplateVars,
+  workspacesTemplateView
+} from './workspaces.mjs';
+
+const TEMPLATE_PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+
+/**
+ * Renders a kit template (see lib/template-engine.mjs). Values are escaped for the target
+ * file type. Template bugs (undefined variables, unbalanced sections) abort the command.
+ */
+function renderKitTemplate(templatePath, view, targetName = templatePath) {
+  try {
+    return renderTemplate(fs.readFileSync(templatePath, 'utf8'), view, {
+      name: toPosixPath(path.relative(TEMPLATES_DIR, templatePath)),
+      escape: escaperForFile(targetName),
+      partialsDir: TEMPLATE_PARTIALS_DIR
+    });
+  } catch (e) {
+    die(`[error] Template error: ${e.message}`, EXIT.RUNTIME);
+  }
+}
+
+/** Config template view: the blueprint plus `workspaces` / `workspacesByLanguage`. */
+function configTemplateView(blueprint) {
+  return { ...blueprint, ...workspacesTemplateView(blueprint) };
+}
+
+/**
+ * Renders config templates for the blueprint's language/package manager.
+ * Returns one entry per template: { file, path, content } to write, or { file, action: 'skip'|'error', reason }.
+ */
+function renderConfigFiles(repoRoot, blueprint) {
+  const entries = [];
+  const repo = blueprint.repo || {};
+  const language = (repo.language || 'typescript').toLowerCase();
+  const packageManager = resolvePackageManager(language, repo.packageManager);
+  const layout = repo.layout || 'single';
+
+  const templateDir = getConfigTemplateDir(language, packageManager);
+  if (!templateDir) {
+    entries.push({ file: '(none)', action: 'skip', reason: `no templates for ${language}-${packageManager}` });
+    return entries;
+  }
+
+  const view = configTemplateView(blueprint);
+  const declaredWorkspaces = layout === 'monorepo' && hasDeclaredWorkspaces(blueprint);
+
+  let templates;
+  try {
+    templates = listConfigTemplates(templateDir, layout);
+  } catch (e) {
+    entries.push({ file: templateDir, action: 'error', reason: e.message });
+    return entries;
+  }
+
+  for (const { target: targetName, templatePath } of templates) {
+    const targetPath = path.join(repoRoot, targetName);
+
+    // Skip workspace file for single layout
+    if ((targetName === 'pnpm-workspace.yaml' || targetName === 'pnpm-workspace.yml') && layout !== 'monorepo') {
+      entries.push({ file: targetName, action: 'skip', reason: 'not monorepo' });
+      continue;
+    }
+    // Declared workspaces are registered explicitly below.
+    if ((targetName === 'pnpm-workspace.yaml' || targetName === 'pnpm-workspace.yml') && declaredWorkspaces) continue;
+
+    // Skip if file exists
+    if (fs.existsSync(targetPath)) {
+      entries.push({ file: targetName, action: 'skip', reason: 'exists' });
+      continue;
+    }
+
+    entries.push({ file: targetName, path: targetPath, content: renderKitTemplate(templatePath, view, targetName) });
+  }
+
+  if (declaredWorkspaces) entries.push(...renderWorkspaceConfigFiles(repoRoot, blueprint, entries));
+
+  return entries;
+}
+
+/**
+ * Per-workspace config templates (`scaffold-configs/<stack>/workspace/*.template`) and
+ * workspace registration files. `rootEntries` are the root config entries rendered so far;
+ * a root package.json being created gets its "workspaces" field patched in (npm/yarn).
+ */
+function renderWorkspaceConfigFiles(repoRoot, blueprint, rootEntries) {
+  const entries = [];
+  const workspaces = listWorkspaces(blueprint);
+  const conflicts = workspaceConflicts(repoRoot, workspaces);
+  const baseView = configTemplateView(blueprint);
+
+  for (const ws of workspaces) {
+    if (conflicts.has(ws.path)) continue;
+    const stackDir = getConfigTemplateDir(ws.language, ws.packageManager);
+    const wsTemplates = stackDir ? listWorkspaceTemplates(stackDir) : [];
+    if (wsTemplates.length === 0) {
+      entries.push({ file: `${ws.path}/`, action: 'skip', reason: `no workspace templates for ${ws.language}-${ws.packageManager}` });
+      continue;
+    }
+    const view = { ...baseView, workspace: workspaceTemplateVars(ws) };
+    for (const { target, templatePath } of wsTemplates) {
+      const rel = `${ws.path}/${target}`;
+      const targetPath = path.join(repoRoot, ...rel.split('/'));
+      if (fs.existsSync(targetPath)) {
+        entries.push({ file: rel, action: 'skip', reason: 'exists' });
+        continue;
+      }
+      const content = renderKitTemplate(templatePath, view, target);
+      entries.push({ file: rel, path: targetPath, content });
+    }
+  }
+
+  const registrable = workspaces.filter((ws) => !(conflicts.get(ws.path) || {}).notDirectory);
+  for (const reg of workspaceRegistrations(repoRoot, blueprint, registrable)) {
+    if (reg.exists) {
+      if (reg.missing.length > 0) {
+        const what = reg.field ? `exists; "${reg.field}" does not register` : 'exists but does not register';
+        entries.push({ file: reg.file, action: 'conflict', reason: `${what}: ${reg.missing.join(', ')}` });
+      } else {
+        entries.push({ file: reg.file, action: 'skip', reason: 'exists' });
+      }
+      continue;
+    }
+    if (reg.content != null) {
+      entries.push({ file: reg.file, path: path.join(repoRoot, reg.file), content: reg.content });
+      continue;
+    }
+    // Field-based registration: patch the root file rendered from the stack template.
+    const root = rootEntries.find((e) => e.file === reg.file && e.content != null);
+    if (!root) {
+      entries.push({ file: reg.file, action: 'skip', reason: `no root ${reg.file} to register workspaces in` });
+      continue;
+    }
+    const pkg = JSON.parse(root.content);
+    pkg[reg.field] = reg.workspaces;
+    root.content = JSON.stringify(pkg, null, 2) + '\n';
+  }
+
+  return entries;
+}
+
+/**
+ * Renders container files when quality.devops.containerize is true (see lib/container-templates.mjs):
+ * a Dockerfile per app plus a root .dockerignore and compose.yaml. Same entry shape as renderConfigFiles.
+ */
+function renderContainerFiles(repoRoot, blueprint) {
+  const entries = [];
+  if (!containerizeEnabled(blueprint)) return entries;
+
+  const { targets, view: sharedView } = containerPlan(blueprint);
+  const baseView = configTemplateView(blueprint);
+  const render = (file, templatePath, view) => {
+    const targetPath = path.join(repoRoot, ...file.split('/'));
+    const dir = path.dirname(targetPath);
+    if (fs.existsSync(targetPath)) {
+      entries.push({ file, action: 'skip', reason: 'exists' });
+    } else if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+      entries.push({ file, action: 'skip', reason: `${toPosixPath(path.relative(repoRoot, dir))} is not a directory` });
+    } else {
+      entries.push({ file, path: targetPath, content: renderKitTemplate(templatePath, view, path.basename(file)) });
+    }
+  };
+
+  for (const t of targets) {
+    if (!t.templateDir) {
+      entries.push({ file: t.dockerfile, action: 'skip', reason: `no container template for ${t.stackKey}` });
+      continue;
+    }
+    render(t.dockerfile, path.join(t.templateDir, 'Dockerfile.template'), { ...baseView, ...containerTemplateVars(blueprint, t) });
+  }
+  if (sharedView.services.length > 0) {
+    const view = { ...baseView, ...sharedView };
+    render('.dockerignore', path.join(CONTAINER_TEMPLATES_DIR, 'dockerignore.template'), view);
+    render('compose.yaml', path.join(CONTAINER_TEMPLATES_DIR, 'compose.yaml.template'), view);
+  }
+  return entries;
+}
+
+/** Writes (or, without apply, plans) rendered config/container entries; returns { file, action, mode|reason } records. */
+function writeRenderedFiles(entries, apply) {
+  return entries.map((e) => {
+    if (e.content == null) return { file: e.file, action: e.action, reason: e.reason };
+    if (!apply) return { file: e.file, action: 'write', mode: 'dry-run' };
+    fs.mkdirSync(path.dirname(e.path), { recursive: true });
+    fs.writeFileSync(e.path, e.content, 'utf8');
+    return { file: e.file, action: 'write', mode: 'applied' };
+  });
+}
+
+export function generateConfigFiles(repoRoot, blueprint, apply) {
+  return writeRenderedFiles(renderConfigFiles(repoRoot, blueprint), apply);
+}
+
+export function generateContainerFiles(repoRoot, blueprint, apply) {
+  return writeRenderedFiles(renderContainerFiles(repoRoot, blueprint), apply);
+}
+
+/**
+ * Renders a project-specific README.md from the blueprint.
+ * An existing README with managed regions only gets those regions regenerated (three-way merge).
+ * Returns { path, content, regions, base }, or { path, reason } when nothing can be rendered.
+ */
+export function renderProjectReadme(repoRoot, blueprint, options = {}) {
+  const readmePath = path.join(repoRoot, 'README.md');
+  const templatePath = path.join(TEMPLATES_DIR, 'README.template.md');
+  
+  if (!fs.existsSync(templatePath)) {
+    return { path: readmePath, reason: 'template not found' };
+  }
+  
+  const project = blueprint.project || {};
+  const repo = blueprint.repo || {};
+  const caps = blueprint.capabilities || {};
+
+  const language = repo.language || 'typescript';
+  const packageManager = repo.packageManager || 'pnpm';
+  const layout = repo.layout || 'single';
+
+  const techStack = [
+    { category: 'Language', value: language },
+    { category: 'Package Manager', value: packageManager },
+    { category: 'Layout', value: layout },
+    caps.frontend?.enabled && caps.frontend.framework ? { category: 'Frontend', value: caps.frontend.framework } : null,
+    caps.backend?.enabled && caps.backend.framework ? { category: 'Backend', value: caps.backend.framework } : null,
+    caps.database?.enabled && caps.database.kind ? { category: 'Database', value: caps.database.kind } : null,
+    caps.api?.style && caps.api.style !== 'none' ? { category: 'API', value: caps.api.style } : null
+  ].filter(Boolean);
+  
+  // Install and dev commands based on package manager
+  const installCommands = {
+    pnpm: 'pnpm install',
+    npm: 'npm install',
+    yarn: 'yarn',
+    pip: 'pip install -r requirements.txt',
+    poetry: 'poetry install',
+    go: 'go mod download'
+  };
+  
+  const devCommands = {
+    pnpm: 'pnpm dev',
+    npm: 'npm run dev',
+    yarn: 'yarn dev',
+    pip: 'python main.py',
+    poetry: 'poetry run python main.py',
+    go: 'go run .'
+  };
+  
+  const testCommands = {
+    pnpm: 'pnpm test',
+    npm: 'npm test',
+    yarn: 'yarn test',
+    pip: 'pytest',
+    poetry: 'poetry run pytest',
+    go: 'go test ./...'
+  };
+  
+  // Project structure based on layout: [path, comment] pairs, children indented by two spaces
+  const common = [
+    ['.ai/', 'Skills, scripts, LLM governance'],
+    ['dev-docs/', 'Development task docs (complex work)'],
+    ['docs/', 'Documentation (archive init docs here if desired)'],
+    ['init/', 'Bootstrap-only init kit (optional to remove)']
+  ];
+  let structure;
+  if (layout === 'monorepo' && hasDeclaredWorkspaces(blueprint)) {
+    const workspaces = listWorkspaces(blueprint);
+    structure = [];
+    for (const group of ['apps', 'packages']) {
+      structure.push([`${group}/`, null]);
+      for (const ws of workspaces.filter((w) => w.group === group)) {
+        structure.push([`  ${ws.name}/`, ws.description || `${ws.kind} (${ws.language})`]);
+      }
+    }
+    structure.push(...common);
+  } else if (layout === 'monorepo') {
+    structure = [
+      ['apps/', null],
+      ['  frontend/', 'Frontend application (if enabled)'],
+      ['  backend/', 'Backend services (if enabled)'],
+      ['packages/', null],
+      ['  shared/', 'Shared libraries'],
+      ...common
+    ];
+  } else {
+    structure = [
+      ['src/', null],
+      ['  frontend/', 'Frontend code (if enabled)'],
+      ['  backend/', 'Backend code (if enabled)'],
+      ...common
+    ];
+  }
+
+  const view = {
+    PROJECT_NAME: project.name || 'my-project',
+    PROJECT_DESCRIPTION: project.description || 'Project description',
+    DOMAIN: project.domain || null,
+    LANGUAGE: language,
+    PACKAGE_MANAGER: packageManager,
+    REPO_LAYOUT: layout,
+    techStack,
+    IS_NODE: ['typescript', 'javascript'].includes(repo.language),
+    IS_PYTHON: repo.language === 'python',
+    IS_GO: repo.language === 'go',
+    HAS_INIT_KIT:
+      fs.existsSync(path.join(repoRoot, INIT_KIT_MARKER_DEFAULT_REL)) ||
+      fs.existsSync(path.join(repoRoot, INIT_KIT_MARKER_LEGACY_REL)),
+    INSTALL_COMMAND: installCommands[packageManager] || installCommands.pnpm,
+    DEV_COMMAND: devCommands[packageManager] || devCommands.pnpm,
+    TEST_COMMAND: testCommands[packageManager] || testCommands.pnpm,
+    PROJECT_STRUCTURE: structure.map(([p, comment]) => ({ label: comment ? p.padEnd(19) : p, comment }))
+  };
+
+  // Collapse blank lines left by empty sections
+  const rendered = renderKitTemplate(templatePath, view, 'README.md').replace(/\n{3,}/g, '\n\n');
+  const desired = parseManagedRegions(rendered);
+
+  // A README without managed markers (e.g. the template repo's) is replaced as a whole;
+  // afterwards only the managed regions are regenerated.
+  const current = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : null;
+  if (current == null || parseManagedRegions(current).size === 0) {
+    return {
+      path: readmePath,
+      content: rendered,
+      regions: Array.from(desired.keys()).map((id) => ({ id, status: 'created' })),
+      base: Object.fromEntries(desired)
+    };
+  }
+
+  const merged = mergeManagedRegions(current, desired, (options.base || readRootDocsBase(repoRoot))['README.md'] || {}, {
+    overwrite: !!options.overwriteManaged
+  });
+  return { path: readmePath, content: merged.content, regions: merged.regions, base: merged.base };
+}
+
+/**
+ * Generates a project-specific README.md from the blueprint.
+ * Replaces the template README with project information.
+ */
+export function generateProjectReadme(repoRoot, blueprint, apply, options = {}) {
+  const rendered = renderProjectReadme(repoRoot, blueprint, options);
+  if (rendered.content == null) return { op: 'skip', path: rendered.path, reason: rendered.reason };
+  if (!apply) {
+    return { op: 'write', path: rendered.path, mode: 'dry-run', regions: rendered.regions };
+  }
+
+  fs.writeFileSync(rendered.path, rendered.content, 'utf8');
+  writeRootDocsBase(repoRoot, 'README.md', rendered.base, options.basePath);
+  return { op: 'write', path: rendered.path, mode: 'applied', regions: rendered.regions };
+}
+
+/**
+ * Renders the root AGENTS.md with blueprint-derived sections updated in place.
+ * Project Type and Tech Stack bodies are managed regions (three-way merged with hand edits);
+ * sections without markers are adopted on the first run.
+ * Returns { path, content, regions, base }, or { path, reason } when AGENTS.md does not exist.
+ */
+export function renderProjectAgents(repoRoot, blueprint, options = {}) {
+  const agentsPath = path.join(repoRoot, 'AGENTS.md');
+  if (!fs.existsSync(agentsPath)) {
+    return { path: agentsPath, reason: 'AGENTS.md not found' };
+  }
+
+  const project = blueprint.project || {};
+  const repo = blueprint.repo || {};
+  const caps = blueprint.capabilities || {};
+
+  const projectLine = `**${project.name || 'my-project'}** - ${project.description || 'Project description'}`;
+  let content = fs.readFileSync(agentsPath, 'utf8');
+
+  // Update the short descriptor line (template repos usually have this).
+  if (content.includes('**AI-Friendly Repository Template**')) {
+    content = content.replace(/^\*\*AI-Friendly Repository Template\*\*.*$/m, projectLine);
+  }
+
+  // Project Type section
+  const projectTypeBody = [
+    `${project.name || 'my-project'} - ${project.description || 'Project description'}`,
+    project.domain ? `Domain: ${project.domain}` : null
+  ].filter(Boolean).join('\n');
+
+  const projectTypeRe = /^## Project Type\s*\n[\s\S]*?(?=^##\s|\Z)/m;
+
+  // Tech Stack section (insert after Project Type if missing); same table partial as README.md
+  const techStack = [
+    { category: 'Language', value: repo.language || 'TBD' },
+    { category: 'Package Manager', value: repo.packageManager || 'TBD' },
+    { category: 'Layout', value: repo.layout || 'TBD' },
+    caps.frontend && caps.frontend.enabled ? { category: 'Frontend', value: caps.frontend.framework || 'TBD' } : null,
+    caps.backend && caps.backend.enabled ? { category: 'Backend', value: caps.backend.framework || 'TBD' } : null,
+    caps.database && caps.database.enabled ? { category: 'Database', value: caps.database.kind || 'TBD' } : null,
+    caps.api && caps.api.style && caps.api.style !== 'none'
+      ? { category: 'API', value: `${caps.api.style}${caps.api.auth ? ` (${caps.api.auth})` : ''}` }
+      : null
+  ].filter(Boolean);
+  const techStackRe = /^## Tech Stack\s*\n[\s\S]*?(?=^##\s|\Z)/m;
+
+  const desired = new Map([
+    ['PROJECT_TYPE', `${projectTypeBody}\n`],
+    ['TECH_STACK', renderKitTemplate(path.join(TEMPLATE_PARTIALS_DIR, 'tech-stack.template.md'), { techStack }, 'AGENTS.md')]
+  ]);
+  const merged = mergeManagedRegions(content, desired, (options.base || readRootDocsBase(repoRoot))['AGENTS.md'] || {}, {
+    overwrite: !!options.overwriteManaged
+  });
+  content = merged.content;
+  const base = merged.base;
+
+  // Adopt sections without markers: replace the section body with the managed region.
+  for (const region of merged.regions.filter((r) => r.status === 'missing')) {
+    const block = wrapManagedRegion(region.id, desired.get(region.id));
+    if (region.id === 'PROJECT_TYPE' && projectTypeRe.test(content)) {
+      content = content.replace(projectTypeRe, () => `## Project Type\n\n${block}\n\n`);
+    } else if (region.id === 'TECH_STACK' && techStackRe.test(content)) {
+      content = content.replace(techStackRe, () => `## Tech Stack\n\n${block}\n\n`);
+    } else if (region.id === 'TECH_STACK' && projectTypeRe.test(content)) {
+      content = content.replace(projectTypeRe, (match) => `${match.trimEnd()}\n\n## Tech Stack\n\n${block}\n\n`);
+    } else {
+      continue;
+    }
+    region.status = 'created';
+    base[region.id] = desired.get(region.id);
+  }
+
+  // Key Directories table: upsert common project paths
+  const keyDirsRe = /^## Key Directories\s*\n[\s\S]*?(?=^##\s|\Z)/m;
+  const keyDirsMatch = content.match(keyDirsRe);
+  if (keyDirsMatch) {
+    const section = keyDirsMatch[0];
+    const lines = section.split(/\r?\n/);
+
+    const headerIdx = lines.findIndex((l) => l.trim() === '| Directory | Purpose |');
+    const sepIdx = headerIdx >= 0 ? headerIdx + 1 : -1;
+
+    if (headerIdx >= 0 && sepIdx < lines.length) {
+      let rowEnd = sepIdx + 1;
+      while (rowEnd < lines.length && lines[rowEnd].trim().startsWith('|')) rowEnd++;
+
+      const rows = lines.slice(sepIdx + 1, rowEnd);
+      const parsed = rows.map((line) => {
+        const m = line.match(/^\|\s*(.*?)\s*\|\s*(.*?)\s*\|\s*$/);
+        if (!m) return null;
+        return { dir: m[1].trim(), purpose: m[2].trim() };
+      }).filter(Boolean);
+
+      const desired = [];
+      const hasInit = fs.existsSync(path.join(repoRoot, 'init'));
+      if (hasInit) desired.push({ dir: '`init/`', purpose: 'Bootstrap init kit (remove after init if desired)' });
+
+      if ((repo.layout || '').toLowerCase() === 'monorepo') {
+        desired.push({ dir: '`apps/`', purpose: 'Application entry points (monorepo)' });
+        if (hasDeclaredWorkspaces(blueprint)) {
+          for (const ws of listWorkspaces(blueprint).filter((w) => w.group === 'apps')) {
+            desired.push({ dir: `\`${ws.path}/\``, purpose: ws.description || `${ws.kind} app (${ws.language})` });
+          }
+        } else {
+          if (caps.frontend && caps.frontend.enabled) desired.push({ dir: '`apps/frontend/`', purpose: 'Frontend application' });
+          if (caps.backend && caps.backend.enabled) desired.push({ dir: '`apps/backend/`', purpose: 'Backend service(s)' });
+        }
+        desired.push({ dir: '`packages/`', purpose: 'Shared packages/libraries' });
+        if (hasDeclaredWorkspaces(blueprint)) {
+          for (const ws of listWorkspaces(blueprint).filter((w) => w.group === 'packages')) {
+            desired.push({ dir: `\`${ws.path}/\``, purpose: ws.description || `${ws.kind} package (${ws.language})` });
+          }
+        }
+      } else {
+        desired.push({ dir: '`src/`', purpose: 'Application code' });
+        if (caps.frontend && caps.frontend.enabled) desired.push({ dir: '`src/frontend/`', purpose: 'Frontend code' });
+        if (caps.backend && caps.backend.enabled) desired.push({ dir: '`src/backend/`', purpose: 'Backend code' });
+      }
+
+      for (const d of capabilityScaffold(blueprint).keyDirs) desired.push({ dir: `\`${d.dir}\``, purpose: d.purpose });
+      desired.push({ dir: '`docs/project/overview/`', purpose: 'Project overview + archived init SSOT (optional; created by cleanup-init --archive)' });
+
+      const desiredByDir = new Map(desired.map((d) => [d.dir, d]));
+      const seen = new Set();
+
+      const updatedRows = parsed.map((r) => {
+        const d = desiredByDir.get(r.dir);
+        if (!d) return r;
+        seen.add(r.dir);
+        return { dir: r.dir, purpose: d.purpose };
+      });
+
+      for (const d of desired) {
+        if (!seen.has(d.dir)) updatedRows.push({ dir: d.dir, purpose: d.purpose });
+      }
+
+      const rebuiltRows = updatedRows.map((r) => `| ${r.dir} | ${r.purpose} |`);
+      const newSectionLines = [
+        ...lines.slice(0, sepIdx + 1),
+        ...rebuiltRows,
+        ...lines.slice(rowEnd)
+      ];
+
+      const newSection = newSectionLines.join('\n');
+      content = content.replace(section, newSection);
+    }
+  }
+
+  // Normalize spacing (avoid runaway blank lines)
+  content = content.replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+
+  return { path: agentsPath, content, regions: merged.regions, base };
+}
+
+export function generateProjectAgents(repoRoot, blueprint, apply, options = {}) {
+  const rendered = renderProjectAgents(repoRoot, blueprint, options);
+  if (rendered.content == null) return { op: 'skip', path: rendered.path, reason: rendered.reason };
+  if (!apply) return { op: 'write', path: rendered.path, mode: 'dry-run', regions: rendered.regions };
+
+  fs.writeFileSync(rendered.path, rendered.content, 'utf8');
+  writeRootDocsBase(repoRoot, 'AGENTS.md', rendered.base, options.basePath);
+  return { op: 'write', path: rendered.path, mode: 'applied', regions: rendered.regions };
+}
+
+export function rootDocsBasePath(repoRoot) {
+  return path.join(repoRoot, ROOT_DOCS_BASE_DEFAULT_REL);
+}
+
+/**
+ * Last generated content of each managed region, per root doc: { 'README.md': { HEADER: '...' } }.
+ * `basePath` overrides the init/_work location (evolve keeps the base next to the archived blueprint).
+ */
+export function readRootDocsBase(repoRoot, basePath = rootDocsBasePath(repoRoot)) {
+  if (!fs.existsSync(basePath)) return {};
+  try {
+    const data = JSON.parse(stripUtf8Bom(fs.readFileSync(basePath, 'utf8')));
+    return data && typeof data.files === 'object' && data.files ? data.files : {};
+  } catch {
+    // An unreadable base only loses merge information: edited regions are reported as conflicts.
+    return {};
+  }
+}
+
+function writeRootDocsBase(repoRoot, fileRel, regions, basePath = rootDocsBasePath(repoRoot)) {
+  const files = readRootDocsBase(repoRoot, basePath);
+  files[fileRel] = regions;
+  writeJson(basePath, { version: 1, updatedAt: new Date().toISOString(), files });
+}
+
+/** Region statuses worth reporting (everything except "unchanged"), plus conflict details. */
+export function describeRegionResults(fileRel, regions) {
+  const lines = [];
+  const conflicts = [];
+  for (const r of regions || []) {
+    if (r.status === 'unchanged') continue;
+    lines.push(`  - ${r.id}: ${r.status}`);
+    if (r.status === 'conflict') conflicts.push(r);
+  }
+  for (const r of conflicts) {
+    lines.push(`[warn] ${fileRel}: managed region ${r.id} was edited by hand and conflicts with the regenerated content; left unchanged.`);
+    for (const c of r.conflicts) lines.push(formatConflict(c, 'generated').replace(/^/gm, '    '));
+  }
+  if (conflicts.length > 0) {
+    lines.push(`[hint] Merge the generated lines into ${fileRel} by hand, delete the region markers to stop managing it, or re-run with --overwrite-managed.`);
+  }
+  return lines;
+}
+
+function workspaceReadme(ws) {
+  const lines = [`# ${ws.name}`, ''];
+  if (ws.description) lines.push(ws.description, '');
+  lines.push(`- Kind: ${ws.kind}`, `- Language: ${ws.language}`, '');
+  lines.push('This folder is a scaffold placeholder. Populate it based on your selected stack.', '');
+  return lines.join('\n');
+}
+
+/**
+ * Lists the directories and placeholder files the scaffold wants to exist.
+ * Only reads the filesystem to detect workspace conflicts (entries of kind 'conflict');
+ * planScaffold() applies the remaining entries without overwriting.
+ * Database/API/BPMN artifacts come last (lib/capability-scaffold.mjs).
+ */
+export function scaffoldEntries(repoRoot, blueprint) {
+  const entries = [];
+  const repo = blueprint.repo || {};
+  const caps = blueprint.capabilities || {};
+  const layout = repo.layout;
+
+  const dir = (...parts) => entries.push({ kind: 'dir', path: path.join(repoRoot, ...parts) });
+  const file = (parts, content) => entries.push({ kind: 'file', path: path.join(repoRoot, ...parts), content });
+  const withCapabilities = () => {
+    for (const e of capabilityScaffold(blueprint).entries) {
+      if (e.kind === 'dir') dir(...e.path.split('/'));
+      else file(e.path.split('/'), e.content);
+    }
+    return entries;
+  };
+
+  if (layout === 'monorepo') {
+    dir('apps');
+    dir('packages');
+    file(['apps', 'README.md'], '# Apps\n\nApp entry points for this monorepo.\n');
+    file(['packages', 'README.md'], '# Packages\n\nShared packages/libraries for this monorepo.\n');
+
+    // Explicit repo.apps[] / repo.packages[] replace the capability-derived placeholders.
+    if (hasDeclaredWorkspaces(blueprint)) {
+      const workspaces = listWorkspaces(blueprint);
+      const conflicts = workspaceConflicts(repoRoot, workspaces);
+      for (const ws of workspaces) {
+        const conflict = conflicts.get(ws.path);
+        if (conflict) {
+          entries.push({ kind: 'conflict', path: path.join(repoRoot, ws.group, ws.name), reason: conflict.reason });
+          continue;
+        }
+        dir(ws.group, ws.name);
+        file([ws.group, ws.name, 'README.md'], workspaceReadme(ws));
+      }
+      return withCapabilities();
+    }
+
+    if (caps.frontend && caps.frontend.enabled) {
+      dir('apps', 'frontend');
+      file(
+        ['apps', 'frontend', 'README.md'],
+        '# Frontend app\n\nThis folder is a scaffold placeholder. Populate it based on your selected frontend stack.\n'
+      );
+    }
+
+    if (caps.backend && caps.backend.enabled) {
+      dir('apps', 'backend');
+      file(
+        ['apps', 'backend', 'README.md'],
+        '# Backend app\n\nThis folder is a scaffold placeholder. Populate it based on your selected backend stack.\n'
+      );
+    }
+
+    // Shared packages reduce clutter when there is only a single app.
+    const needsSharedPackage = !!(caps.frontend && caps.frontend.enabled) && !!(caps.backend && caps.backend.enabled);
+    if (needsSharedPackage) {
+      dir('packages', 'shared');
+      file(
+        ['packages', 'shared', 'README.md'],
+        '# Shared package\n\nThis folder is a scaffold placeholder for shared types/utilities.\n'
+      );
+    }
+  } else {
+    dir('src');
+    file(['src', 'README.md'], '# src\n\nApplication source code.\n');
+
+    if (caps.frontend && caps.frontend.enabled) {
+      dir('src', 'frontend');
+      file(
+        ['src', 'frontend', 'README.md'],
+        '# Frontend\n\nThis folder is a scaffold placeholder. Populate it based on your selected frontend stack.\n'
+      );
+    }
+
+    if (caps.backend && caps.backend.enabled) {
+      dir('src', 'backend');
+      file(
+        ['src', 'backend', 'README.md'],
+        '# Backend\n\nThis folder is a scaffold placeholder. Populate it based on your selected backend stack.\n'
+      );
+    }
+  }
+
+  return withCapabilities();
+}
+
+export function planScaffold(repoRoot, blueprint, apply) {
+  return scaffoldEntries(repoRoot, blueprint).map((e) => {
+    if (e.kind === 'conflict') return { op: 'conflict', path: e.path, reason: e.reason };
+    return e.kind === 'dir' ? ensureDir(e.path, apply) : writeFileIfMissing(e.path, e.content, apply);
+  });
+}
+
+/**
+ * Computes the next sync-manifest.json from blueprint.skills (no writes).
+ * `content` is the exact text updateManifest() would write; `prevContent` is null when the file is missing.
+ */
+function renderManifest(repoRoot, blueprint) {
+  const manifestPath = path.join(repoRoot, '.ai', 'skills', '_meta', 'sync-manifest.json');
+  const registry = loadPackRegistry(repoRoot);
+
+  let prevCanonical = null;
+  let manifest;
+  if (fs.existsSync(manifestPath)) {
+    try {
+      const raw = fs.readFileSync(manifestPath, 'utf8');
+      manifest = JSON.parse(stripUtf8Bom(raw));
+      prevCanonical = JSON.stringify(manifest, null, 2) + '\n';
+    } catch (e) {
+      die(`[error] Failed to read sync manifest JSON: ${toPosixPath(path.relative(repoRoot, manifestPath))}\n${e.message}`);
+    }
+  } else {
+    manifest = { version: 1, includePrefixes: [], includeSkills: [], excludePrefixes: [], excludeSkills: [] };
+  }
+
+  // Normalize to the sync-skills.mjs manifest schema (top-level arrays).
+  // If older schemas exist, we migrate best-effort to keep sync deterministic.
+  const legacyCurrent = manifest && manifest.collections && manifest.collections.current ? manifest.collections.current : null;
+  if (!Array.isArray(manifest.includePrefixes) && legacyCurrent && Array.isArray(legacyCurrent.includePrefixes)) {
+    manifest.includePrefixes = legacyCurrent.includePrefixes;
+  }
+  if (!Array.isArray(manifest.excludePrefixes) && legacyCurrent && Array.isArray(legacyCurrent.excludePrefixes)) {
+    manifest.excludePrefixes = legacyCurrent.excludePrefixes;
+  }
+  if (!Array.isArray(manifest.excludeSkills) && legacyCurrent && Array.isArray(legacyCurrent.excludeSkillNames)) {
+    manifest.excludeSkills = legacyCurrent.excludeSkillNames;
+  }
+  if (!Array.isArray(manifest.includePrefixes)) manifest.includePrefixes = [];
+  if (!Array.isArray(manifest.includeSkills)) manifest.includeSkills = [];
+  if (!Array.isArray(manifest.excludePrefixes)) manifest.excludePrefixes = [];
+  if (!Array.isArray(manifest.excludeSkills)) manifest.excludeSkills = [];
+
+  const packs = normalizePackList((blueprint.skills && blueprint.skills.packs) || []);
+  const resolved = resolvePacks(registry, packs);
+  const problems = describePackProblems(resolved);
+  const warnings = [
+    ...registry.errors,
+    ...problems.missing.map((m) => `${m} Ignoring for manifest.includePrefixes.`),
+    ...problems.cycles
+  ];
+
+  manifest.includePrefixes = uniq(resolved.includePrefixes);
+
+  // Optional excludes
+  const skills = blueprint.skills || {};
+  if (Array.isArray(skills.includeSkillNames)) manifest.includeSkills = uniq(skills.includeSkillNames);
+  if (Array.isArray(skills.excludePrefixes)) manifest.excludePrefixes = uniq(skills.excludePrefixes);
+  if (Array.isArray(skills.excludeSkillNames)) manifest.excludeSkills = uniq(skills.excludeSkillNames);
+
+  return {
+    path: manifestPath,
+    prevContent: prevCanonical,
+    content: JSON.stringify(manifest, null, 2) + '\n',
+    warnings,
+    packs: resolved.packs,
+    includePrefixes: manifest.includePrefixes
+  };
+}
+
+export function updateManifest(repoRoot, blueprint, apply) {
+  const rendered = renderManifest(repoRoot, blueprint);
+  const { path: manifestPath, warnings, packs, includePrefixes } = rendered;
+
+  if (!apply) return { op: 'write', path: manifestPath, mode: 'dry-run', warnings, packs, includePrefixes };
+
+  if (rendered.prevContent != null && rendered.content === rendered.prevContent) {
+    return { op: 'write', path: manifestPath, mode: 'skipped', reason: 'no change', warnings, packs, includePrefixes };
+  }
+
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, rendered.content, 'utf8');
+  return { op: 'write', path: manifestPath, mode: 'applied', warnings, packs, includePrefixes };
+}
+
+/**
+ * Collects every file Stage C apply would write, with current and proposed content.
+ * Mirrors apply: scaffold placeholders, configs and container files are create-only; README/AGENTS/manifest may overwrite.
+ * Wrapper sync output (.codex/.claude) is produced by sync-skills.mjs and is not included.
+ */
+export function collectStageCWrites(repoRoot, blueprint, options = {}) {
+  const writes = [];
+  const readIfExists = (p) => (fs.existsSync(p) ? fs.readFileSync(p, 'utf8') : null);
+
+  for (const e of scaffoldEntries(repoRoot, blueprint)) {
+    if (e.kind !== 'file' || fs.existsSync(e.path)) continue;
+    writes.push({ source: 'scaffold', path: e.path, before: null, after: e.content });
+  }
+
+  if (!options.skipConfigs) {
+    for (const e of renderConfigFiles(repoRoot, blueprint)) {
+      if (e.content == null) continue;
+      writes.push({ source: 'configs', path: e.path, before: null, after: e.content });
+    }
+    for (const e of renderContainerFiles(repoRoot, blueprint)) {
+      if (e.content == null) continue;
+      writes.push({ source: 'containers', path: e.path, before: null, after: e.content });
+    }
+  }
+
+  if (!options.skipReadme) {
+    const r = renderProjectReadme(repoRoot, blueprint, options);
+    if (r.content != null) writes.push({ source: 'readme', path: r.path, before: readIfExists(r.path), after: r.content, regions: r.regions });
+  }
+
+  if (!options.skipRootAgents) {
+    const r = renderProjectAgents(repoRoot, blueprint, options);
+    if (r.content != null) writes.push({ source: 'agents', path: r.path, before: readIfExists(r.path), after: r.content, regions: r.regions });
+  }
+
+  const m = renderManifest(repoRoot, blueprint);
+  const manifestBefore = readIfExists(m.path);
+  // updateManifest() skips the write when the canonical JSON is unchanged.
+  const manifestAfter = m.prevContent != null && m.content === m.prevContent ? manifestBefore : m.content;
+  writes.push({ source: 'manifest', path: m.path, before: manifestBefore, after: manifestAfter });
+
+  return writes;
+}
+
+export function diffStageC(repoRoot, blueprint, options = {}) {
+  const files = collectStageCWrites(repoRoot, blueprint, options).map((w) => {
+    const rel = toPosixPath(path.relative(repoRoot, w.path));
+    const hunks = w.before === w.after ? [] : diffLines(w.before, w.after, { context: options.context });
+    const status = w.before == null ? 'added' : hunks.length > 0 ? 'modified' : 'unchanged';
+    const file = { path: rel, source: w.source, status, hunks, patch: formatUnifiedDiff(rel, w.before, w.after, hunks) };
+    if (w.regions) file.regions = w.regions;
+    return file;
+  });
+
+  const added = files.filter((f) => f.status === 'added').length;
+  const modified = files.filter((f) => f.status === 'modified').length;
+  return { files, added, modified, unchanged: files.length - added - modified };
+}
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { diffStageC, generateConfigFiles, generateContainerFiles, generateProjectReadme, planScaffold, readRootDocsBase, renderProjectReadme } from './scaffold.mjs';
+import { TEMPLATES_DIR } from './workdir.mjs';
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'project-blueprint.example.json'), 'utf8'));
+
+function withRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+  try {
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+test('diffStageC lists every Stage C write as added in an empty repo without writing', () => {
+  withRepo((repoRoot) => {
+    const res = diffStageC(repoRoot, EXAMPLE);
+
+    assert.deepEqual(fs.readdirSync(repoRoot), []);
+    assert.equal(res.added, res.files.length);
+    assert.equal(res.modified + res.unchanged, 0);
+    assert.deepEqual([...new Set(res.files.map((f) => f.source))], ['scaffold', 'configs', 'containers', 'readme', 'manifest']);
+    for (const f of res.files) {
+      assert.ok(f.patch.startsWith(`--- /dev/null\n+++ b/${f.path}\n@@ -0,0 +1`), f.path);
+    }
+  });
+});
+
+test('diffStageC reports existing files as modified with a patch against their content', () => {
+  withRepo((repoRoot) => {
+    fs.writeFileSync(path.join(repoRoot, 'README.md'), '# Hand written\n');
+    const readme = diffStageC(repoRoot, EXAMPLE).files.find((f) => f.path === 'README.md');
+
+    assert.equal(readme.status, 'modified');
+    assert.match(readme.patch, /^--- a\/README\.md\n\+\+\+ b\/README\.md\n@@ -1 \+1,\d+ @@\n-# Hand written\n/);
+    assert.ok(readme.regions.every((r) => r.status === 'created'));
+  });
+});
+
+test('diffStageC leaves out scaffold files that already exist and honours the skip options', () => {
+  withRepo((repoRoot) => {
+    planScaffold(repoRoot, EXAMPLE, true);
+    const res = diffStageC(repoRoot, EXAMPLE, { skipConfigs: true, skipReadme: true });
+
+    // Scaffold never overwrites, so existing placeholders are not part of the preview;
+    // skipConfigs covers the container files as well.
+    assert.deepEqual([...new Set(res.files.map((f) => f.source))], ['manifest']);
+    assert.ok(fs.existsSync(path.join(repoRoot, 'apps', 'backend', 'README.md')));
+  });
+});
+
+test('declared workspaces get a README and stack configs; conflicting directories are left alone', () => {
+  withRepo((repoRoot) => {
+    fs.mkdirSync(path.join(repoRoot, 'apps', 'legacy'), { recursive: true });
+    fs.writeFileSync(path.join(repoRoot, 'apps', 'legacy', 'notes.txt'), 'keep\n');
+    const blueprint = structuredClone(EXAMPLE);
+    blueprint.repo.apps = [{ name: 'web', kind: 'frontend' }, { name: 'legacy' }];
+    blueprint.repo.packages = [{ name: 'ui' }];
+
+    const scaffold = planScaffold(repoRoot, blueprint, true);
+    const rel = (p) => path.relative(repoRoot, p).split(path.sep).join('/');
+    assert.deepEqual(scaffold.filter((r) => r.op === 'conflict').map((r) => rel(r.path)), ['apps/legacy']);
+    assert.ok(fs.existsSync(path.join(repoRoot, 'apps', 'web', 'README.md')));
+    assert.ok(!fs.existsSync(path.join(repoRoot, 'apps', 'backend')), 'declared workspaces replace the capability placeholders');
+    assert.deepEqual(fs.readdirSync(path.join(repoRoot, 'apps', 'legacy')), ['notes.txt']);
+
+    const configs = generateConfigFiles(repoRoot, blueprint, true).map((r) => r.file);
+    assert.ok(configs.includes('apps/web/package.json') && configs.includes('packages/ui/tsconfig.json'));
+    assert.ok(!configs.some((f) => f.startsWith('apps/legacy/')));
+    const pnpm = fs.readFileSync(path.join(repoRoot, 'pnpm-workspace.yaml'), 'utf8');
+    assert.match(pnpm, /- "apps\/web"\n {2}- "apps\/legacy"\n {2}- "packages\/ui"\n$/);
+  });
+});
+
+test('the generated README renders through the shared template engine with one line per declared app', () => {
+  withRepo((repoRoot) => {
+    const blueprint = structuredClone(EXAMPLE);
+    blueprint.repo.apps = [{ name: 'web', kind: 'frontend', description: 'Customer app' }, { name: 'worker', kind: 'worker' }];
+    const { content } = renderProjectReadme(repoRoot, blueprint);
+
+    assert.doesNotMatch(content, /\{\{/);
+    assert.match(content, /^# my-product$/m);
+    assert.match(content, /^ {2}web\/ +# Customer app\n {2}worker\/ +# worker \(typescript\)$/m);
+  });
+});
+
+test('regenerating the README merges hand edits and reports conflicting managed regions', () => {
+  withRepo((repoRoot) => {
+    const readmePath = path.join(repoRoot, 'README.md');
+    const blueprint = structuredClone(EXAMPLE);
+    generateProjectReadme(repoRoot, blueprint, true);
+    assert.ok(readRootDocsBase(repoRoot)['README.md'].TECH_STACK);
+
+    const edited = fs
+      .readFileSync(readmePath, 'utf8')
+      .replace('## Documentation', '## Team notes\n\nAsk in #platform.\n\n## Documentation')
+      .replace('### Development', '### Local development')
+      .replace('| Database | postgres |', '| Database | postgres 16 |');
+    fs.writeFileSync(readmePath, edited);
+
+    blueprint.project.description = 'Tracks work.';
+    blueprint.repo.packageManager = 'npm';
+    blueprint.capabilities.database.kind = 'mysql';
+    const res = generateProjectReadme(repoRoot, blueprint, true);
+    const after = fs.readFileSync(readmePath, 'utf8');
+
+    assert.deepEqual(Object.fromEntries(res.regions.map((r) => [r.id, r.status])), {
+      HEADER: 'updated',
+      TECH_STACK: 'conflict',
+      GETTING_STARTED: 'merged',
+      STRUCTURE: 'unchanged',
+      INIT_KIT: 'unchanged'
+    });
+    assert.match(after, /## Team notes\n\nAsk in #platform\./, 'text outside markers survives');
+    assert.match(after, /\nTracks work\.\n/);
+    assert.match(after, /### Local development\n\n```bash\nnpm run dev/);
+    assert.match(after, /\| Database \| postgres 16 \|\n\| API/, 'conflicting region is left as is');
+  });
+});
+
+test('planScaffold creates the capability artifacts without overwriting existing ones', () => {
+  withRepo((repoRoot) => {
+    fs.mkdirSync(path.join(repoRoot, 'prisma'));
+    fs.writeFileSync(path.join(repoRoot, 'prisma', 'schema.prisma'), '// mine\n');
+    planScaffold(repoRoot, EXAMPLE, true);
+
+    assert.equal(fs.readFileSync(path.join(repoRoot, 'prisma', 'schema.prisma'), 'utf8'), '// mine\n');
+    assert.equal(JSON.parse(fs.readFileSync(path.join(repoRoot, 'docs', 'project', 'db-ssot.json'), 'utf8')).db.ssot, 'repo-prisma');
+    assert.ok(fs.existsSync(path.join(repoRoot, 'docs', 'context', 'api', 'openapi.yaml')));
+    assert.ok(!fs.existsSync(path.join(repoRoot, 'bpmn')), 'BPMN is disabled in the example');
+  });
+});
+
+test('container files render per app and are create-only', () => {
+  withRepo((repoRoot) => {
+    fs.writeFileSync(path.join(repoRoot, 'compose.yaml'), 'services: {}\n');
+    const res = generateContainerFiles(repoRoot, EXAMPLE, true);
+
+    assert.deepEqual(res.map((r) => [r.file, r.action, r.mode || r.reason]), [
+      ['apps/frontend/Dockerfile', 'write', 'applied'],
+      ['apps/backend/Dockerfile', 'write', 'applied'],
+      ['.dockerignore', 'write', 'applied'],
+      ['compose.yaml', 'skip', 'exists']
+    ]);
+    const dockerfile = fs.readFileSync(path.join(repoRoot, 'apps', 'backend', 'Dockerfile'), 'utf8');
+    assert.doesNotMatch(dockerfile, /\{\{/);
+    assert.match(dockerfile, /pnpm/);
+    assert.match(fs.readFileSync(path.join(repoRoot, '.dockerignore'), 'utf8'), /node_modules/);
+    assert.deepEqual(generateContainerFiles(repoRoot, { ...EXAMPLE, quality: {} }, true), []);
+  });
+});
+
+test('the compose file lists every service and the database', () => {
+  withRepo((repoRoot) => {
+    generateContainerFiles(repoRoot, EXAMPLE, true);
+    const compose = fs.readFileSync(path.join(repoRoot, 'compose.yaml'), 'utf8');
+
+    assert.match(compose, /^ {2}frontend:\n {4}build:\n {6}context: \.\n {6}dockerfile: apps\/frontend\/Dockerfile\n {4}ports:\n {6}- "3000:3000"$/m);
+    assert.match(compose, /^ {2}backend:[\s\S]*DATABASE_URL: "postgresql:\/\/app:app@db:5432\/app"\n {4}depends_on:\n {6}- db$/m);
+    assert.match(compose, /^ {2}db:\n {4}image: postgres:16$/m);
+    assert.match(compose, /^volumes:\n {2}db-data:$/m);
+  });
+});
+
+test('apps without a container template are reported as skipped', () => {
+  withRepo((repoRoot) => {
+    const blueprint = structuredClone(EXAMPLE);
+    blueprint.repo = { layout: 'single', language: 'cpp', packageManager: 'xmake' };
+    const res = generateContainerFiles(repoRoot, blueprint, false);
+
+    assert.deepEqual(res, [{ file: 'Dockerfile', action: 'skip', reason: 'no container template for cpp-xmake' }]);
+    assert.deepEqual(fs.readdirSync(repoRoot), []);
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * Stage A docs: templates, check-docs, glossary and trace checks, review packets
+ *
+ * The four Stage A docs live under init/_work/stage-a-docs/. `checkDocs` combines the structure
+ * and placeholder checks with the content rules (lib/stage-a-rules.mjs) and glossary usage
+ * (lib/glossary.mjs); `buildReviewPacket` bundles the docs and the blueprint for approval.
+ *
+ * Usage:
+ *   import { checkDocs, ensureInitTemplates, traceRequirements } from './lib/stage-a-docs.mjs';
+ *
+ *   ensureInitTemplates(docsRoot, blueprintPath, true);
+ *   const result = checkDocs(docsRoot, repoRoot);
+ *   console.log(result.errors, traceRequirements(docsRoot, blueprint).orphans);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { missingRecommendedPacks, normalizePackList, recommendedPacksFromBlueprint, validateBlueprint } from './blueprint.mjs';
+import { EXIT } from './cli-output.mjs';
+import { die } from './cli.mjs';
+import { checkGlossaryUsage, parseGlossary } from './glossary.mjs';
+import { loadPackRegistry } from './packs.mjs';
+import { extractPacketHash, normalizePacketHash, packetHash } from './review-packet.mjs';
+import { readRootDocsBase } from './scaffold.mjs';
+import { headingVariants, listStageALocales, stageATemplatePath } from './stage-a-locales.mjs';
+import { checkStageARules } from './stage-a-rules.mjs';
+import { getStateLanguage, loadState, stageKey } from './state.mjs';
+import { buildTraceMatrix, extractRequirements } from './traceability.mjs';
+import {
+  STAGE_A_DOC_NAMES,
+  TEMPLATES_DIR,
+  ensureDir,
+  resolvePath,
+  stripUtf8Bom,
+  toPosixPath,
+  writeFileIfMissing
+} from './workdir.mjs';
+
+const HTML_TAG_NAMES = new Set([
+  'a',
+  'blockquote',
+  'br',
+  'code',
+  'details',
+  'div',
+  'em',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'img',
+  'kbd',
+  'li',
+  'ol',
+  'p',
+  'pre',
+  'small',
+  'span',
+  'strong',
+  'sub',
+  'summary',
+  'sup',
+  'table',
+  'tbody',
+  'td',
+  'th',
+  'thead',
+  'tr',
+  'ul'
+]);
+
+function isMarkdownAutolinkAngle(inner) {
+  const v = inner.trim();
+  if (!v) return false;
+  const lower = v.toLowerCase();
+  if (lower.startsWith('http://') || lower.startsWith('https://')) return true;
+  if (lower.startsWith('mailto:')) return true;
+  if (lower.startsWith('tel:')) return true;
+  // CommonMark also supports <email@domain> autolinks.
+  if (!/\s/.test(v) && v.includes('@')) return true;
+  return false;
+}
+
+function isHtmlTagAngle(inner) {
+  let v = inner.trim();
+  if (!v) return false;
+  if (v.startsWith('!--')) return true; // <!-- ... -->
+  if (v.startsWith('?xml')) return true;
+  if (v.startsWith('!doctype')) return true;
+
+  // Normalize forms like </tag>, <tag/>, <tag ...>, <tag .../>
+  if (v.startsWith('/')) v = v.slice(1).trim();
+  if (v.endsWith('/')) v = v.slice(0, -1).trim();
+
+  const m = v.match(/^([a-zA-Z][a-zA-Z0-9-]*)\b/);
+  if (!m) return false;
+  const tag = m[1].toLowerCase();
+  return HTML_TAG_NAMES.has(tag);
+}
+
+function findAngleBracketTemplatePlaceholders(content) {
+  const hits = [];
+  const re = /<([^>\n]{1,80})>/g;
+  for (const match of content.matchAll(re)) {
+    const inner = match[1] ?? '';
+    if (isMarkdownAutolinkAngle(inner)) continue;
+    if (isHtmlTagAngle(inner)) continue;
+    hits.push(match[0]);
+  }
+  return hits;
+}
+
+function readStageADocs(docsRoot) {
+  return STAGE_A_DOC_NAMES.map((name) => path.join(docsRoot, name))
+    .filter((fp) => fs.existsSync(fp))
+    .map((fp) => ({ name: path.basename(fp), content: fs.readFileSync(fp, 'utf8') }));
+}
+
+function lineOfIndex(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Stage A docs check: required files and headings, template placeholders, content rules
+ * (lib/stage-a-rules.mjs), requirement IDs and glossary usage (warnings). Line-level findings
+ * are also returned as `issues` ({ level, file, line, rule, message }).
+ */
+export function checkDocs(docsRoot, repoRoot = null) {
+  const errors = [];
+  const warnings = [];
+  const issues = [];
+  const report = (i) => {
+    issues.push(i);
+    (i.level === 'error' ? errors : warnings).push(`${i.file}:${i.line}: ${i.message}`);
+  };
+
+  const required = [
+    { name: 'requirements.md', mustContain: ['# Requirements', '## Conclusions', '## Goals', '## Non-goals'] },
+    { name: 'non-functional-requirements.md', mustContain: ['# Non-functional Requirements', '## Conclusions'] },
+    { name: 'domain-glossary.md', mustContain: ['# Domain Glossary', '## Terms'] },
+    { name: 'risk-open-questions.md', mustContain: ['# Risks and Open Questions', '## Open questions'] }
+  ];
+
+  const placeholderPatterns = [
+    { re: /^\s*[-*]\s*\.\.\.\s*$/gm, msg: 'placeholder bullet "- ..."' },
+    { re: /:\s*\.\.\.\s*$/gm, msg: 'placeholder value ": ..."' }
+  ];
+
+  for (const spec of required) {
+    const fp = path.join(docsRoot, spec.name);
+    if (!fs.existsSync(fp)) {
+      errors.push(`Missing required Stage A doc: ${path.relative(process.cwd(), fp)}`);
+      continue;
+    }
+    const content = fs.readFileSync(fp, 'utf8');
+
+    for (const needle of spec.mustContain) {
+      const variants = headingVariants(needle);
+      if (!variants.some((v) => content.includes(v))) {
+        const localized = variants.slice(1).map((v) => `"${v}"`);
+        errors.push(
+          `${spec.name} is missing required section/heading: "${needle}"${localized.length > 0 ? ` (or ${localized.join(' / ')})` : ''}`
+        );
+      }
+    }
+
+    const fileIssues = [];
+    const anglePlaceholders = findAngleBracketTemplatePlaceholders(content);
+    if (anglePlaceholders.length > 0) {
+      const line = lineOfIndex(content, content.indexOf(anglePlaceholders[0]));
+      fileIssues.push({
+        level: 'error',
+        file: spec.name,
+        line,
+        rule: 'placeholder',
+        message: `still contains template placeholder "<...>" (${anglePlaceholders.length}x, first: ${anglePlaceholders[0]}). Replace all template placeholders.`
+      });
+    }
+
+    for (const pat of placeholderPatterns) {
+      const hits = Array.from(content.matchAll(pat.re));
+      if (hits.length > 0) {
+        fileIssues.push({
+          level: 'error',
+          file: spec.name,
+          line: lineOfIndex(content, hits[0].index),
+          rule: 'placeholder',
+          message: `still contains ${pat.msg} (${hits.length}x). Replace all template placeholders.`
+        });
+      }
+    }
+
+    fileIssues.push(...checkStageARules(spec.name, content));
+    for (const i of fileIssues.sort((a, b) => a.line - b.line)) report(i);
+
+    // Soft signals
+    if (content.includes('TODO') || content.includes('FIXME')) {
+      warnings.push(`${spec.name} contains TODO/FIXME markers. Ensure they are tracked in risk-open-questions.md or removed.`);
+    }
+    if (/\bTBD\b/i.test(content)) {
+      warnings.push(`${spec.name} contains TBD items. Ensure each TBD is linked to an owner/options/decision due.`);
+    }
+  }
+
+  // Requirement IDs (R-###): duplicates are errors, malformed IDs and dangling references warnings.
+  for (const p of extractRequirements(readStageADocs(docsRoot)).problems) {
+    report({ level: p.level, file: p.doc, line: p.line, rule: 'requirement-id', message: p.message });
+  }
+
+  for (const f of checkGlossaryTerms(docsRoot, repoRoot).findings) {
+    report({ level: f.level, file: f.file, line: f.line, rule: f.rule, message: f.message });
+  }
+
+  return { ok: errors.length === 0, errors, warnings, issues };
+}
+
+/**
+ * Glossary terms and how the Stage A docs use them. Root README.md/AGENTS.md are scanned too once
+ * the pipeline has generated them (they have an entry in the root docs base); missing-term hints
+ * only come from the Stage A docs.
+ */
+export function checkGlossaryTerms(docsRoot, repoRoot = null) {
+  const docs = readStageADocs(docsRoot);
+  const glossary = docs.find((d) => d.name === 'domain-glossary.md');
+  const terms = glossary ? parseGlossary(glossary.content) : [];
+
+  const rootDocs = [];
+  if (repoRoot) {
+    const generated = readRootDocsBase(repoRoot);
+    for (const name of ['README.md', 'AGENTS.md']) {
+      const fp = path.join(repoRoot, name);
+      if (generated[name] && fs.existsSync(fp)) rootDocs.push({ name, content: fs.readFileSync(fp, 'utf8') });
+    }
+  }
+
+  const findings = checkGlossaryUsage(terms, [...docs, ...rootDocs], { nounDocs: docs.map((d) => d.name) });
+  return { terms, findings, scanned: [...docs, ...rootDocs].map((d) => d.name).filter((n) => n !== 'domain-glossary.md') };
+}
+
+/**
+ * Requirements -> capabilities matrix for the `trace` command and the Stage B approval check.
+ * `errors` (duplicate IDs, traces to unknown IDs) make the trace fail; orphans only with --strict.
+ */
+export function traceRequirements(docsRoot, blueprint) {
+  const extracted = extractRequirements(readStageADocs(docsRoot));
+  const matrix = buildTraceMatrix(extracted.requirements, blueprint);
+  const errors = [
+    ...extracted.problems.filter((p) => p.level === 'error').map((p) => `${p.doc}:${p.line}: ${p.message}`),
+    ...matrix.invalidTraces.map((t) => `capabilities.${t.capability}.traces ${t.message}`),
+    ...matrix.unknownTraces.map((t) => `capabilities.${t.capability}.traces: ${t.id} is not defined in the Stage A docs`)
+  ];
+  const warnings = [
+    ...(matrix.orphans.length > 0 ? [`MUST requirement(s) without an enabled capability: ${matrix.orphans.join(', ')}`] : []),
+    ...(matrix.untracedCapabilities.length > 0
+      ? [`Enabled capabilit${matrix.untracedCapabilities.length === 1 ? 'y' : 'ies'} without traces: ${matrix.untracedCapabilities.join(', ')}`]
+      : [])
+  ];
+  return { ...matrix, errors, warnings };
+}
+
+const STAGE_A_DOC_TEMPLATES = [
+  { template: 'requirements.template.md', target: 'requirements.md' },
+  { template: 'non-functional-requirements.template.md', target: 'non-functional-requirements.md' },
+  { template: 'domain-glossary.template.md', target: 'domain-glossary.md' },
+  { template: 'risk-open-questions.template.md', target: 'risk-open-questions.md' }
+];
+
+/** Stage A docs come from the template set for `locale` (lib/stage-a-locales.mjs; null = English). */
+export function ensureInitTemplates(docsRoot, blueprintPath, apply, locale = null) {
+  const results = [];
+  results.push(ensureDir(docsRoot, apply));
+
+  for (const { template, target } of STAGE_A_DOC_TEMPLATES) {
+    const templatePath = stageATemplatePath(template, locale);
+    if (!fs.existsSync(templatePath)) {
+      results.push({ op: 'skip', path: templatePath, reason: 'missing template' });
+      continue;
+    }
+    const content = fs.readFileSync(templatePath, 'utf8');
+    results.push(writeFileIfMissing(path.join(docsRoot, target), content, apply));
+  }
+
+  const blueprintTemplatePath = path.join(TEMPLATES_DIR, 'project-blueprint.example.json');
+  if (fs.existsSync(blueprintTemplatePath)) {
+    const blueprintContent = fs.readFileSync(blueprintTemplatePath, 'utf8');
+    results.push(writeFileIfMissing(blueprintPath, blueprintContent, apply));
+  } else {
+    results.push({ op: 'skip', path: blueprintTemplatePath, reason: 'missing template' });
+  }
+
+  return results;
+}
+
+/**
+ * Switches untouched Stage A docs to the template set for `locale` (used by set-language).
+ * A doc is untouched while it still equals one of the shipped templates (English or localized).
+ */
+export function localizeStageADocs(docsRoot, locale) {
+  const results = [];
+  for (const { template, target } of STAGE_A_DOC_TEMPLATES) {
+    const fp = path.join(docsRoot, target);
+    if (!fs.existsSync(fp)) continue;
+    const current = fs.readFileSync(fp, 'utf8');
+    const desired = fs.readFileSync(stageATemplatePath(template, locale), 'utf8');
+    if (current === desired) {
+      results.push({ op: 'skip', path: fp, reason: 'up to date' });
+      continue;
+    }
+    const pristine = [null, ...listStageALocales()].some((l) => fs.readFileSync(stageATemplatePath(template, l), 'utf8') === current);
+    if (!pristine) {
+      results.push({ op: 'skip', path: fp, reason: 'edited' });
+      continue;
+    }
+    fs.writeFileSync(fp, desired, 'utf8');
+    results.push({ op: 'write', path: fp, mode: 'applied' });
+  }
+  return results;
+}
+
+/** Files the review packet hash covers: the Stage A docs and the blueprint (repo-relative paths). */
+function reviewPacketFiles(repoRoot, docsRoot, blueprintPath) {
+  const rel = (p) => toPosixPath(path.relative(repoRoot, p));
+  const files = readStageADocs(docsRoot).map((d) => ({ path: rel(path.join(docsRoot, d.name)), content: d.content }));
+  if (fs.existsSync(blueprintPath)) files.push({ path: rel(blueprintPath), content: fs.readFileSync(blueprintPath, 'utf8') });
+  return files;
+}
+
+/** Everything the `export` packet shows; see lib/review-packet.mjs for the layout. */
+export function buildReviewPacket(repoRoot, docsRoot, blueprintPath) {
+  const files = reviewPacketFiles(repoRoot, docsRoot, blueprintPath);
+  const docsCheck = checkDocs(docsRoot, repoRoot);
+
+  let blueprint = null;
+  let validation = null;
+  let packs = null;
+  if (fs.existsSync(blueprintPath)) {
+    const rel = toPosixPath(path.relative(repoRoot, blueprintPath));
+    try {
+      const data = JSON.parse(stripUtf8Bom(fs.readFileSync(blueprintPath, 'utf8')));
+      blueprint = { path: rel, data };
+      const v = validateBlueprint(data, repoRoot);
+      validation = { ok: v.ok, errors: v.errors, warnings: v.warnings };
+      const registry = loadPackRegistry(repoRoot);
+      const recommended = recommendedPacksFromBlueprint(data);
+      const current = normalizePackList((data.skills && data.skills.packs) || []);
+      packs = {
+        recommended,
+        current,
+        missing: missingRecommendedPacks(registry, recommended, current),
+        extra: current.filter((p) => !recommended.includes(p))
+      };
+    } catch (e) {
+      blueprint = { path: rel, data: null, error: e.message };
+    }
+  }
+
+  const state = loadState(repoRoot);
+  const stageInfo = (stage, validatedKey) => {
+    const s = (state && state[stageKey(stage)]) || {};
+    return {
+      stage,
+      validated: !!s[validatedKey],
+      approved: !!s.userApproved,
+      packet: s.approvedPacket && s.approvedPacket.hash ? s.approvedPacket.hash : null
+    };
+  };
+
+  return {
+    title: (blueprint && blueprint.data && blueprint.data.project && blueprint.data.project.name) || path.basename(repoRoot),
+    generatedAt: new Date().toISOString(),
+    hash: packetHash(files),
+    files: files.map((f) => ({ path: f.path })),
+    state: state
+      ? {
+          stage: state.stage,
+          language: getStateLanguage(state),
+          stages: [stageInfo('A', 'validated'), stageInfo('B', 'validated'), stageInfo('C', 'scaffoldApplied')]
+        }
+      : null,
+    docs: readStageADocs(docsRoot).map((d) => ({ ...d, path: toPosixPath(path.relative(repoRoot, path.join(docsRoot, d.name))) })),
+    blueprint,
+    validation,
+    packs,
+    checkDocs: { ok: docsCheck.ok, errors: docsCheck.errors, warnings: docsCheck.warnings }
+  };
+}
+
+/**
+ * The review packet named by approve --packet / --packet-hash, checked against the current files.
+ * Returns null when neither option is given.
+ */
+export function resolveApprovedPacket(repoRoot, docsRoot, blueprintPath, opts) {
+  if (!opts['packet'] && !opts['packet-hash']) return null;
+  let hash;
+  let file = null;
+  if (opts['packet']) {
+    const packetPath = resolvePath(repoRoot, opts['packet']);
+    file = toPosixPath(path.relative(repoRoot, packetPath));
+    if (!fs.existsSync(packetPath)) die(`[error] Review packet not found: ${file}`, EXIT.PRECONDITION);
+    hash = extractPacketHash(fs.readFileSync(packetPath, 'utf8'));
+    if (!hash) die(`[error] No review packet hash found in ${file}. Was it written by "export"?`);
+  } else {
+    hash = normalizePacketHash(opts['packet-hash']);
+    if (!hash) die('[error] --packet-hash must be sha256:<64 hex digits>.', EXIT.USAGE);
+  }
+
+  const current = packetHash(reviewPacketFiles(repoRoot, docsRoot, blueprintPath));
+  if (current !== hash) {
+    die(
+      [
+        `[error] The approved packet (${hash}) does not match the current Stage A docs + blueprint (${current}).`,
+        '[hint] They changed after the export. Run export again and have the new packet reviewed.'
+      ].join('\n')
+    );
+  }
+  return { hash, file, approvedAt: new Date().toISOString() };
+}
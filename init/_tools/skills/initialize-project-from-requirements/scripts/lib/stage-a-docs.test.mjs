@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { checkDocs, checkGlossaryTerms, ensureInitTemplates, localizeStageADocs } from './stage-a-docs.mjs';
+import { stageATemplatePath } from './stage-a-locales.mjs';
+import { ROOT_DOCS_BASE_DEFAULT_REL } from './workdir.mjs';
+
+// Minimal Stage A docs that pass check-docs.
+const DOCS = {
+  'requirements.md': [
+    '# Requirements',
+    '',
+    '## Conclusions (read first)',
+    '- Task tracker for small teams.',
+    '- Web app with an API backend.',
+    '- Ships as a single service.',
+    '',
+    '## Goals (MUST)',
+    '- R-001: Users can create a Task.',
+    '',
+    '## Non-goals (OUT)',
+    '- Mobile apps.',
+    ''
+  ].join('\n'),
+  'non-functional-requirements.md': '# Non-functional Requirements (NFR)\n\n## Conclusions (read first)\n- Performance: p95 < 300 ms\n- Availability: 99.5% monthly\n',
+  'domain-glossary.md': '# Domain Glossary\n\n## Terms\n\n### Task\n- Definition: A unit of work owned by one user.\n',
+  'risk-open-questions.md': '# Risks and Open Questions\n\n## Open questions (prioritized)\n- Which SSO provider? Owner: Alex. Decision due: 2026-11-01\n'
+};
+
+function withDocs(overrides, fn) {
+  const docsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stage-a-docs-'));
+  try {
+    for (const [name, content] of Object.entries({ ...DOCS, ...overrides })) {
+      if (content != null) fs.writeFileSync(path.join(docsRoot, name), content, 'utf8');
+    }
+    return fn(docsRoot);
+  } finally {
+    fs.rmSync(docsRoot, { recursive: true, force: true });
+  }
+}
+
+test('checkDocs passes complete docs', () => {
+  const res = withDocs({}, (docsRoot) => checkDocs(docsRoot));
+  assert.deepEqual(res.errors, []);
+  assert.deepEqual(res.issues.filter((i) => i.level === 'error'), []);
+});
+
+test('checkDocs reports content rules per file and line, sorted within a file', () => {
+  const overrides = {
+    'requirements.md': DOCS['requirements.md'].replace('- R-001: Users can create a Task.', '- <goal>'),
+    'non-functional-requirements.md': '# Non-functional Requirements\n\n## Conclusions\n- Performance: fast\n- Availability: high\n',
+    'risk-open-questions.md': '# Risks and Open Questions\n\n## Open questions\n- Which SSO provider?\n'
+  };
+  const res = withDocs(overrides, (docsRoot) => checkDocs(docsRoot));
+
+  assert.equal(res.ok, false);
+  const byFile = (file) => res.issues.filter((i) => i.file === file && i.level === 'error').map((i) => [i.line, i.rule]);
+  assert.deepEqual(byFile('requirements.md'), [[8, 'min-content'], [9, 'placeholder']]);
+  assert.deepEqual(byFile('non-functional-requirements.md').map(([, rule]) => rule), ['nfr-measurable', 'nfr-measurable']);
+  assert.deepEqual(byFile('risk-open-questions.md'), [[4, 'question-owner'], [4, 'question-due']]);
+  assert.ok(res.errors.some((e) => /^risk-open-questions\.md:4: /.test(e)));
+});
+
+test('checkDocs lists missing docs and headings as plain errors', () => {
+  const res = withDocs({ 'domain-glossary.md': null, 'requirements.md': '# Requirements\n\n## Conclusions\n- a\n- b\n- c\n' }, (docsRoot) => checkDocs(docsRoot));
+
+  assert.ok(res.errors.some((e) => e.startsWith('Missing required Stage A doc: ') && e.endsWith('domain-glossary.md')));
+  assert.ok(res.errors.some((e) => e.startsWith('requirements.md is missing required section/heading: "## Goals"')));
+});
+
+test('glossary findings appear as check-docs warnings; root docs are scanned once generated', () => {
+  const glossary = '# Domain Glossary\n\n## Terms\n\n### Task\n- Definition: A unit of work.\n- Synonyms: ticket\n';
+  const requirements = DOCS['requirements.md'].replace('- Mobile apps.', '- Mobile apps or ticket imports.');
+  withDocs({ 'domain-glossary.md': glossary, 'requirements.md': requirements }, (docsRoot) => {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stage-a-docs-repo-'));
+    try {
+      fs.writeFileSync(path.join(repoRoot, 'README.md'), '# Demo\n\nFile a ticket.\n');
+      assert.deepEqual(checkGlossaryTerms(docsRoot, repoRoot).scanned, ['requirements.md', 'non-functional-requirements.md', 'risk-open-questions.md']);
+
+      const basePath = path.join(repoRoot, ROOT_DOCS_BASE_DEFAULT_REL);
+      fs.mkdirSync(path.dirname(basePath), { recursive: true });
+      fs.writeFileSync(basePath, JSON.stringify({ version: 1, files: { 'README.md': { HEADER: '' } } }));
+      const res = checkGlossaryTerms(docsRoot, repoRoot);
+      assert.deepEqual(res.findings.map((f) => `${f.file}:${f.line}:${f.rule}`), ['requirements.md:12:glossary-alias', 'README.md:3:glossary-alias']);
+
+      const docs = checkDocs(docsRoot, repoRoot);
+      assert.equal(docs.ok, true);
+      assert.ok(docs.warnings.includes('README.md:3: Uses alias "ticket"; the glossary term is "Task".'));
+    } finally {
+      fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+  });
+});
+
+test('checkDocs accepts localized headings', () => {
+  const de = {
+    'requirements.md': DOCS['requirements.md']
+      .replace('# Requirements', '# Anforderungen')
+      .replace('## Conclusions (read first)', '## Fazit (zuerst lesen)')
+      .replace('## Goals (MUST)', '## Ziele (MUST)')
+      .replace('## Non-goals (OUT)', '## Nicht-Ziele (OUT)'),
+    'domain-glossary.md': '# Domänenglossar\n\n## Begriffe\n\n### Aufgabe\n- Definition: Eine Arbeitseinheit.\n'
+  };
+  const res = withDocs(de, (docsRoot) => checkDocs(docsRoot));
+  assert.deepEqual(res.errors, []);
+});
+
+test('localizeStageADocs swaps untouched templates and keeps edited docs', () => {
+  const docsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stage-a-docs-'));
+  try {
+    ensureInitTemplates(docsRoot, path.join(docsRoot, 'project-blueprint.json'), true);
+    fs.appendFileSync(path.join(docsRoot, 'domain-glossary.md'), '\n### Task\n- Definition: A unit of work.\n');
+
+    const res = localizeStageADocs(docsRoot, 'zh-CN');
+    assert.deepEqual(res.map((r) => [path.basename(r.path), r.op, r.reason]), [
+      ['requirements.md', 'write', undefined],
+      ['non-functional-requirements.md', 'write', undefined],
+      ['domain-glossary.md', 'skip', 'edited'],
+      ['risk-open-questions.md', 'write', undefined]
+    ]);
+    const read = (name) => fs.readFileSync(path.join(docsRoot, name), 'utf8');
+    assert.equal(read('requirements.md'), fs.readFileSync(stageATemplatePath('requirements.template.md', 'zh-CN'), 'utf8'));
+
+    // Switching again (or back to English) works from any pristine template.
+    assert.equal(localizeStageADocs(docsRoot, null)[0].op, 'write');
+    assert.match(read('requirements.md'), /^# Requirements/);
+  } finally {
+    fs.rmSync(docsRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Localized Stage A templates and heading aliases (dependency-free)
+ *
+ * `state.language` is free-form ("zh-CN", "German", "Deutsch", ...). It selects a template set:
+ *   templates/<name>.template.md                       English (fallback)
+ *   templates/stage-a/<dir>/<name>.template.md         localized set; <dir> is the lowercase locale tag ("zh-CN" -> zh-cn)
+ *
+ * Checks address sections and fields by their English heading/label; the alias tables map
+ * those to the localized spellings so `check-docs`, the content rules, the glossary parser and
+ * `interview` accept either. Aliases are accepted whatever `state.language` says, so a doc
+ * written in another supported language still passes.
+ *
+ * Adding a locale: create templates/stage-a/<lowercase locale>/ with all four templates, add the
+ * language names to LOCALE_NAMES and a column to HEADING_ALIASES / LABEL_ALIASES.
+ *
+ * Usage:
+ *   import { headingVariants, resolveStageALocale, stageATemplatePath } from './lib/stage-a-locales.mjs';
+ *
+ *   const locale = resolveStageALocale(state.language);             // 'zh-CN' | 'de' | null (English)
+ *   const templatePath = stageATemplatePath('requirements.template.md', locale);
+ *   const ok = headingVariants('## Goals').some((h) => content.includes(h));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const STAGE_A_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'templates');
+
+/** Locale -> lowercase language names/tags that select it (besides the locale tag itself). */
+export const LOCALE_NAMES = {
+  'zh-CN': ['zh', 'zh-cn', 'zh-hans', 'zh-sg', 'chinese', 'simplified chinese', 'mandarin', '中文', '简体中文', '汉语'],
+  de: ['de', 'de-de', 'de-at', 'de-ch', 'german', 'deutsch']
+};
+
+/** English heading (or heading prefix) -> localized spelling per locale. */
+export const HEADING_ALIASES = {
+  '# Requirements': { 'zh-CN': '# 需求', de: '# Anforderungen' },
+  '## Conclusions': { 'zh-CN': '## 结论', de: '## Fazit' },
+  '## Goals': { 'zh-CN': '## 目标', de: '## Ziele' },
+  '## Goals (MUST)': { 'zh-CN': '## 目标 (MUST)', de: '## Ziele (MUST)' },
+  '## Non-goals': { 'zh-CN': '## 非目标', de: '## Nicht-Ziele' },
+  '## Non-goals (OUT)': { 'zh-CN': '## 非目标 (OUT)', de: '## Nicht-Ziele (OUT)' },
+  '### User types': { 'zh-CN': '### 用户类型', de: '### Benutzertypen' },
+  '### Top journeys (with acceptance criteria)': {
+    'zh-CN': '### 核心用户旅程（含验收标准）',
+    de: '### Wichtigste Journeys (mit Akzeptanzkriterien)'
+  },
+  '## Success metrics': { 'zh-CN': '## 成功指标', de: '## Erfolgskennzahlen' },
+  '## Verification': { 'zh-CN': '## 验证', de: '## Verifikation' },
+  '# Non-functional Requirements': { 'zh-CN': '# 非功能需求', de: '# Nicht-funktionale Anforderungen' },
+  '# Domain Glossary': { 'zh-CN': '# 领域术语表', de: '# Domänenglossar' },
+  '## Terms': { 'zh-CN': '## 术语', de: '## Begriffe' },
+  '# Risks and Open Questions': { 'zh-CN': '# 风险与未决问题', de: '# Risiken und offene Fragen' },
+  '## Open questions': { 'zh-CN': '## 未决问题', de: '## Offene Fragen' }
+};
+
+/** English field / bullet label -> localized spelling per locale. */
+export const LABEL_ALIASES = {
+  Project: { 'zh-CN': '项目', de: 'Projekt' },
+  'In-scope (MUST)': { 'zh-CN': '范围内 (MUST)', de: 'Im Umfang (MUST)' },
+  'Out-of-scope (OUT)': { 'zh-CN': '范围外 (OUT)', de: 'Nicht im Umfang (OUT)' },
+  'Primary users': { 'zh-CN': '主要用户', de: 'Primäre Benutzer' },
+  'Top user journeys': { 'zh-CN': '核心用户旅程', de: 'Wichtigste User Journeys' },
+  Constraints: { 'zh-CN': '约束', de: 'Einschränkungen' },
+  Term: { 'zh-CN': '术语', de: 'Begriff' },
+  Definition: { 'zh-CN': '定义', de: 'Definition' },
+  Synonyms: { 'zh-CN': '同义词', de: 'Synonyme' },
+  Aliases: { 'zh-CN': '别名', de: 'Aliase' },
+  Owner: { 'zh-CN': '负责人', de: 'Verantwortlich' },
+  'Decision due': { 'zh-CN': '决策截止', de: 'Entscheidung bis' }
+};
+
+/** NFR section names (lowercase fragments) that call for a measurable target, per language. */
+export const MEASURABLE_SECTION_WORDS = [
+  'performance', 'scalab', 'availability', 'resilien', 'capacity', 'latency',
+  '性能', '可扩展', '可用性', '容灾', '容量', '延迟',
+  'leistung', 'skalier', 'verfügbar', 'ausfallsicher', 'kapazität', 'latenz'
+];
+
+/** Template directory of a locale: the tag in lowercase, since directory names are kebab-case. */
+function localeDir(locale) {
+  return locale.toLowerCase();
+}
+
+function variants(table, key) {
+  const localized = table[key] ? Object.values(table[key]) : [];
+  return [key, ...localized.filter((v) => v !== key)];
+}
+
+/** The English heading plus its localized spellings. */
+export function headingVariants(heading) {
+  return variants(HEADING_ALIASES, heading);
+}
+
+/** The English label plus its localized spellings. */
+export function labelVariants(label) {
+  return variants(LABEL_ALIASES, label);
+}
+
+/** Localized spelling of a heading or label for `locale` (English when there is none). */
+export function localizeHeading(heading, locale) {
+  return (locale && HEADING_ALIASES[heading] && HEADING_ALIASES[heading][locale]) || heading;
+}
+
+export function localizeLabel(label, locale) {
+  return (locale && LABEL_ALIASES[label] && LABEL_ALIASES[label][locale]) || label;
+}
+
+/**
+ * Template locale for a free-form language, or null for English / unsupported languages.
+ * Matches the locale tag, a known name, or the primary subtag ("de-LU" -> "de").
+ */
+export function resolveStageALocale(language) {
+  const v = String(language ?? '').trim().toLowerCase().replace(/_/g, '-');
+  if (!v) return null;
+  for (const [locale, names] of Object.entries(LOCALE_NAMES)) {
+    if (v === locale.toLowerCase() || names.includes(v)) return locale;
+  }
+  const primary = v.split('-')[0];
+  for (const [locale, names] of Object.entries(LOCALE_NAMES)) {
+    if (primary === locale.toLowerCase().split('-')[0] || names.includes(primary)) return locale;
+  }
+  return null;
+}
+
+/** Locales that ship a complete template set. */
+export function listStageALocales() {
+  return Object.keys(LOCALE_NAMES).filter((l) => fs.existsSync(path.join(STAGE_A_TEMPLATES_DIR, 'stage-a', localeDir(l))));
+}
+
+/** Path of a Stage A template for `locale`, falling back to the English template. */
+export function stageATemplatePath(name, locale) {
+  if (locale) {
+    const localized = path.join(STAGE_A_TEMPLATES_DIR, 'stage-a', localeDir(locale), name);
+    if (fs.existsSync(localized)) return localized;
+  }
+  return path.join(STAGE_A_TEMPLATES_DIR, name);
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {
+  HEADING_ALIASES,
+  STAGE_A_TEMPLATES_DIR,
+  headingVariants,
+  labelVariants,
+  listStageALocales,
+  localizeHeading,
+  resolveStageALocale,
+  stageATemplatePath
+} from './stage-a-locales.mjs';
+
+const TEMPLATES = ['requirements.template.md', 'non-functional-requirements.template.md', 'domain-glossary.template.md', 'risk-open-questions.template.md'];
+
+test('resolveStageALocale maps free-form language names and tags; English and unknown fall back to null', () => {
+  for (const language of ['zh-CN', 'zh_cn', 'Chinese', '简体中文', 'zh-TW']) assert.equal(resolveStageALocale(language), 'zh-CN', language);
+  for (const language of ['de', 'German', ' Deutsch ', 'de-LU']) assert.equal(resolveStageALocale(language), 'de', language);
+  for (const language of ['en', 'English', 'fr', '', null, undefined]) assert.equal(resolveStageALocale(language), null, String(language));
+});
+
+test('every locale ships a full template set and English is the fallback', () => {
+  assert.deepEqual(listStageALocales(), ['zh-CN', 'de']);
+  for (const locale of listStageALocales()) {
+    for (const name of TEMPLATES) assert.ok(fs.existsSync(path.join(STAGE_A_TEMPLATES_DIR, 'stage-a', locale.toLowerCase(), name)), `${locale}/${name}`);
+  }
+  assert.equal(stageATemplatePath('requirements.template.md', null), path.join(STAGE_A_TEMPLATES_DIR, 'requirements.template.md'));
+  assert.equal(stageATemplatePath('quality-checklist.md', 'de'), path.join(STAGE_A_TEMPLATES_DIR, 'quality-checklist.md'));
+});
+
+test('localized templates use the aliased headings of their locale', () => {
+  const byTemplate = {
+    'requirements.template.md': ['# Requirements', '## Conclusions', '## Goals', '## Non-goals'],
+    'non-functional-requirements.template.md': ['# Non-functional Requirements', '## Conclusions'],
+    'domain-glossary.template.md': ['# Domain Glossary', '## Terms'],
+    'risk-open-questions.template.md': ['# Risks and Open Questions', '## Open questions']
+  };
+  for (const locale of listStageALocales()) {
+    for (const [name, headings] of Object.entries(byTemplate)) {
+      const content = fs.readFileSync(stageATemplatePath(name, locale), 'utf8');
+      for (const h of headings) assert.ok(content.includes(HEADING_ALIASES[h][locale]), `${locale}/${name}: ${HEADING_ALIASES[h][locale]}`);
+    }
+  }
+});
+
+test('variants list the English spelling first and localize on demand', () => {
+  assert.deepEqual(headingVariants('## Goals'), ['## Goals', '## 目标', '## Ziele']);
+  assert.deepEqual(headingVariants('## Unknown'), ['## Unknown']);
+  assert.deepEqual(labelVariants('Definition'), ['Definition', '定义'], 'identical spellings are not repeated');
+  assert.equal(localizeHeading('## Success metrics', 'de'), '## Erfolgskennzahlen');
+  assert.equal(localizeHeading('## Success metrics', null), '## Success metrics');
+});
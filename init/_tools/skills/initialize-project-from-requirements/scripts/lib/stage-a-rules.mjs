@@ -0,0 +1,291 @@
+/**
+ * Semantic content rules for Stage A docs (dependency-free)
+ *
+ * `check-docs` verifies headings and template placeholders; these rules check that the
+ * docs actually say something:
+ *   min-content      required sections hold a minimum number of real content lines
+ *   glossary-term    every glossary term has a non-empty definition
+ *   question-owner   every open question names an owner (not TBD)
+ *   question-due     every open question has a decision due date that is a real calendar date (YYYY-MM-DD)
+ *   nfr-measurable   performance/availability sections and "Performance:"/"Availability:" bullets under
+ *                    Conclusions state a measurable target (number + unit) or an explicit TBD; an NFR doc
+ *                    with neither fails too
+ *
+ * A "real content line" is a non-empty line that is not a heading, comment, table rule,
+ * template placeholder (`...`, `<x>`) or a bare TBD/TODO.
+ *
+ * Sections and field labels are named in English; localized spellings come from
+ * lib/stage-a-locales.mjs.
+ *
+ * Usage:
+ *   import { checkStageARules } from './lib/stage-a-rules.mjs';
+ *
+ *   const issues = checkStageARules('requirements.md', content);
+ *   // [{ level: 'error' | 'warning', file, line, rule, message }]
+ */
+
+import { MEASURABLE_SECTION_WORDS, headingVariants, labelVariants } from './stage-a-locales.mjs';
+
+/** Minimum real content lines per required section (heading prefix match). */
+export const MIN_CONTENT = {
+  'requirements.md': [
+    { heading: '## Conclusions', min: 3 },
+    { heading: '## Goals', min: 1 },
+    { heading: '## Non-goals', min: 1 }
+  ],
+  'non-functional-requirements.md': [{ heading: '## Conclusions', min: 2 }],
+  'domain-glossary.md': [{ heading: '## Terms', min: 1 }],
+  'risk-open-questions.md': [{ heading: '## Open questions', min: 1 }]
+};
+
+/** NFR sections (h2, matched case-insensitively) that must state a measurable target. */
+const MEASURABLE_SECTIONS = new RegExp(MEASURABLE_SECTION_WORDS.join('|'), 'i');
+
+const UNIT =
+  '(?:%|ms|milliseconds?|s|secs?|seconds?|mins?|minutes?|h|hrs?|hours?|days?|weeks?|months?|years?|' +
+  'rps|qps|tps|req/s|requests?(?:/\\w+)?|ops(?:/\\w+)?|users?|sessions?|events?|records?|rows?|' +
+  'kb|mb|gb|tb|pb|kib|mib|gib|tib|k|m|x|nines?|' +
+  '毫秒|秒|分钟|小时|天|周|月|年|次|个?用户|个?请求|条|' +
+  'sek(?:unden)?|std|stunden|tage?n?|wochen?|monate?n?|jahre?n?|nutzer(?:innen)?|anfragen)';
+const MEASURABLE_RE = new RegExp(`\\d+(?:[.,]\\d+)?\\s*${UNIT}(?![a-z])`, 'i');
+
+const ISO_DATE_RE = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Alternation of a label's English and localized spellings. */
+function labelAlt(label) {
+  return `(?:${labelVariants(label).map(escapeRe).join('|')})`;
+}
+
+// "- Owner: x", "- **Owner**: x", "(Owner: x)"; full-width colon for CJK docs.
+function fieldRe(alt) {
+  return new RegExp(`(?:^|[^\\p{L}])(?:\\*\\*)?${alt}(?:\\*\\*)?\\s*[:：]`, 'iu');
+}
+
+const DEFINITION_FIELD_RE = fieldRe(labelAlt('Definition'));
+const OWNER_FIELD_RE = fieldRe(labelAlt('Owner'));
+const DUE_FIELD_RE = fieldRe(`(?:${labelAlt('Decision due')}|due)`);
+const ANY_QUESTION_FIELD_RE = fieldRe(`(?:${labelAlt('Owner')}|${labelAlt('Decision due')}|due)`);
+
+// "- Performance: ...", "- **Availability**: ..." bullets (label up to 40 chars).
+const LABELED_BULLET_RE = /^\s*(?:[-*+]|\d+[.)])\s+(?:\*\*)?([^:：*]{1,40}?)(?:\*\*)?\s*[:：]\s*(.*)$/;
+
+/** True for a YYYY-MM-DD string naming a day that exists (2026-02-30 does not). */
+function isCalendarDate(year, month, day) {
+  const d = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return d.getUTCFullYear() === Number(year) && d.getUTCMonth() === Number(month) - 1 && d.getUTCDate() === Number(day);
+}
+
+/** Split a doc into lines, marking fenced code so rules can skip it. */
+function docLines(content) {
+  let inFence = false;
+  return String(content || '')
+    .split(/\r?\n/)
+    .map((text, i) => {
+      const fence = /^\s*(```|~~~)/.test(text);
+      if (fence) inFence = !inFence;
+      return { text, line: i + 1, code: fence || inFence };
+    });
+}
+
+function headingLevel(text) {
+  const m = text.match(/^(#{1,6})\s/);
+  return m ? m[1].length : 0;
+}
+
+/** Sections keyed by heading: { heading, line, level, body: lines until the next heading of the same or higher level }. */
+function sections(lines) {
+  const out = [];
+  lines.forEach((l, idx) => {
+    const level = l.code ? 0 : headingLevel(l.text);
+    if (!level) return;
+    let end = idx + 1;
+    while (end < lines.length && !(headingLevel(lines[end].text) && !lines[end].code && headingLevel(lines[end].text) <= level)) end++;
+    out.push({ heading: l.text.trim(), line: l.line, level, body: lines.slice(idx + 1, end) });
+  });
+  return out;
+}
+
+function findSection(all, prefix) {
+  const prefixes = headingVariants(prefix);
+  return all.find((s) => prefixes.some((p) => s.heading.startsWith(p)));
+}
+
+/** Text of a line with list markers, emphasis and labels like "Definition:" kept, or '' when it carries no content. */
+function contentText(l) {
+  if (l.code) return l.text.trim();
+  const t = l.text.trim();
+  if (!t || headingLevel(t) || /^<!--.*-->$/.test(t) || /^\|?[\s:|-]+\|?$/.test(t)) return '';
+  const stripped = t
+    .replace(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+    .replace(/\*\*|__|`/g, '')
+    .replace(/<[^>\n]{1,80}>/g, '')
+    .replace(/\.\.\./g, '')
+    .trim();
+  if (/^(?:tbd|todo|fixme|n\/a)?[\s:.-]*$/i.test(stripped)) return '';
+  // A bare label ("Acceptance criteria:") has no content of its own.
+  if (/^[^:：]{1,40}[:：][\s-]*$/.test(stripped)) return '';
+  return /[\p{L}\p{N}]/u.test(stripped) ? stripped : '';
+}
+
+function issue(level, file, line, rule, message) {
+  return { level, file, line, rule, message };
+}
+
+function checkMinContent(file, all) {
+  const out = [];
+  for (const spec of MIN_CONTENT[file] || []) {
+    const section = findSection(all, spec.heading);
+    if (!section) continue; // missing headings are reported by the structural check
+    const count = section.body.filter((l) => contentText(l)).length;
+    if (count < spec.min) {
+      out.push(
+        issue('error', file, section.line, 'min-content', `"${section.heading}" needs at least ${spec.min} line(s) of real content (found ${count}).`)
+      );
+    }
+  }
+  return out;
+}
+
+/** Glossary: "### Term" + "- Definition: ...", "- **Term**: definition" bullets, or a Term | Definition table. */
+function checkGlossary(file, all) {
+  const out = [];
+  const terms = findSection(all, '## Terms');
+  if (!terms) return out;
+
+  for (const s of all.filter((x) => x.level === 3 && terms.body.some((l) => l.line === x.line))) {
+    const def = s.body.find((l) => DEFINITION_FIELD_RE.test(l.text));
+    const value = def ? contentText({ ...def, text: def.text.replace(DEFINITION_FIELD_RE, '') }) : '';
+    if (!value) out.push(issue('error', file, s.line, 'glossary-term', `Term "${s.heading.replace(/^#+\s*/, '')}" has no definition ("- Definition: ...").`));
+  }
+
+  let header = null;
+  for (const l of terms.body) {
+    if (l.code || headingLevel(l.text)) {
+      if (headingLevel(l.text)) header = null;
+      continue;
+    }
+    const t = l.text.trim();
+    if (t.startsWith('|')) {
+      const cells = t.replace(/^\||\|$/g, '').split('|').map((c) => c.trim());
+      if (/^[\s:|-]+$/.test(t)) continue;
+      if (!header) {
+        header = cells.map((c) => c.toLowerCase());
+        continue;
+      }
+      const ti = header.findIndex((c) => labelVariants('Term').some((v) => c === v.toLowerCase()));
+      const di = header.findIndex((c) => labelVariants('Definition').some((v) => c.startsWith(v.toLowerCase())));
+      if (ti === -1 || di === -1) continue;
+      if (contentText({ ...l, text: cells[ti] || '' }) && !contentText({ ...l, text: cells[di] || '' })) {
+        out.push(issue('error', file, l.line, 'glossary-term', `Term "${cells[ti]}" has no definition.`));
+      }
+      continue;
+    }
+    header = null;
+    const bullet = t.match(/^[-*+]\s+\*\*(.+?)\*\*\s*:?\s*(.*)$/);
+    if (bullet && !labelVariants('Definition').some((v) => v.toLowerCase() === bullet[1].toLowerCase()) && !contentText({ ...l, text: bullet[2] })) {
+      out.push(issue('error', file, l.line, 'glossary-term', `Term "${bullet[1]}" has no definition.`));
+    }
+  }
+  return out;
+}
+
+/** Open questions: every top-level list item needs "Owner:" and a dated "Decision due:" / "Due:". */
+function checkOpenQuestions(file, all) {
+  const out = [];
+  const section = findSection(all, '## Open questions');
+  if (!section) return out;
+
+  const items = [];
+  for (const l of section.body) {
+    if (l.code) continue;
+    if (/^(?:[-*+]|\d+[.)])\s+/.test(l.text)) items.push({ line: l.line, lines: [l] });
+    else if (items.length > 0 && /^\s+\S/.test(l.text)) items[items.length - 1].lines.push(l);
+  }
+
+  for (const item of items) {
+    if (!contentText(item.lines[0])) continue; // placeholders are reported elsewhere
+    // Value after the matched label, up to the next Owner/Due label on the same line.
+    const field = (re) => {
+      for (const l of item.lines) {
+        const m = re.exec(l.text);
+        if (!m) continue;
+        const rest = l.text.slice(m.index + m[0].length);
+        const next = ANY_QUESTION_FIELD_RE.exec(rest);
+        const value = (next ? rest.slice(0, next.index) : rest).replace(/[\s,;.，；。]+$/, '');
+        return contentText({ ...l, text: value });
+      }
+      return '';
+    };
+    const label = contentText(item.lines[0]).replace(/^(?:question|问题|frage)\s*[:：]\s*/i, '').slice(0, 60);
+    if (!field(OWNER_FIELD_RE)) {
+      out.push(issue('error', file, item.line, 'question-owner', `Open question "${label}" has no owner ("- Owner: ...").`));
+    }
+    const due = field(DUE_FIELD_RE);
+    const date = due.match(ISO_DATE_RE);
+    if (!due) {
+      out.push(issue('error', file, item.line, 'question-due', `Open question "${label}" has no due date ("- Decision due: YYYY-MM-DD").`));
+    } else if (!date) {
+      out.push(issue('error', file, item.line, 'question-due', `Open question "${label}": due date "${due}" is not a date (YYYY-MM-DD).`));
+    } else if (!isCalendarDate(date[1], date[2], date[3])) {
+      out.push(issue('error', file, item.line, 'question-due', `Open question "${label}": due date "${date[0]}" is not a calendar date.`));
+    }
+  }
+  return out;
+}
+
+function statesTarget(texts) {
+  return texts.some((t) => MEASURABLE_RE.test(t)) || texts.some((t) => /\bTBD\b/i.test(t) && contentText({ text: t }));
+}
+
+/**
+ * NFR performance/availability targets: each matching h2 section and each "Performance:" /
+ * "Availability:" bullet under Conclusions needs a number with a unit, or an explicit TBD.
+ * A doc with neither such a section nor such a bullet states no target and fails.
+ */
+function checkMeasurable(file, all) {
+  const out = [];
+  const hint = 'a number with a unit, e.g. "p95 < 300 ms", "99.9%"; mark unknowns TBD';
+  const targetSections = all.filter((x) => x.level === 2 && MEASURABLE_SECTIONS.test(x.heading));
+  for (const s of targetSections) {
+    if (statesTarget(s.body.filter((l) => !l.code).map((l) => l.text))) continue;
+    out.push(issue('error', file, s.line, 'nfr-measurable', `"${s.heading}" has no measurable target (${hint}).`));
+  }
+
+  const conclusions = findSection(all, '## Conclusions');
+  let targetBullets = 0;
+  for (const l of conclusions ? conclusions.body : []) {
+    const m = l.code ? null : l.text.match(LABELED_BULLET_RE);
+    if (!m || !MEASURABLE_SECTIONS.test(m[1]) || !contentText({ ...l, text: m[2] })) continue; // placeholders are reported elsewhere
+    targetBullets++;
+    if (!statesTarget([l.text])) {
+      out.push(issue('error', file, l.line, 'nfr-measurable', `"${l.text.trim()}" has no measurable target (${hint}).`));
+    }
+  }
+
+  if (targetSections.length === 0 && targetBullets === 0) {
+    out.push(
+      issue('error', file, conclusions ? conclusions.line : 1, 'nfr-measurable', `No performance/availability target found; add a "- Performance: ..." / "- Availability: ..." bullet under Conclusions or a "## Performance and scalability" section (${hint}).`)
+    );
+  }
+  return out;
+}
+
+/**
+ * Run every content rule that applies to a Stage A doc.
+ *
+ * @param {string} file - Doc file name (e.g. "requirements.md")
+ * @param {string} content
+ * @returns {{ level: 'error' | 'warning', file: string, line: number, rule: string, message: string }[]}
+ */
+export function checkStageARules(file, content) {
+  const all = sections(docLines(content));
+  const issues = [...checkMinContent(file, all)];
+  if (file === 'domain-glossary.md') issues.push(...checkGlossary(file, all));
+  if (file === 'risk-open-questions.md') issues.push(...checkOpenQuestions(file, all));
+  if (file === 'non-functional-requirements.md') issues.push(...checkMeasurable(file, all));
+  return issues.sort((a, b) => a.line - b.line);
+}
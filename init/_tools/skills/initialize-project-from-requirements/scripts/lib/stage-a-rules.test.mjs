@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkStageARules } from './stage-a-rules.mjs';
+
+const rules = (file, content) => checkStageARules(file, content).map((i) => i.rule);
+
+function questions(...items) {
+  return checkStageARules('risk-open-questions.md', ['# Risks and Open Questions', '', '## Open questions (prioritized)', ...items, ''].join('\n'));
+}
+
+test('min-content counts real lines, not placeholders or bare TBD', () => {
+  const doc = ['# Requirements', '', '## Conclusions (read first)', '- ...', '- <summary>', '- TBD', '- Ships as one service.', '', '## Goals (MUST)', '- R-001: Users can sign in.', '', '## Non-goals (OUT)', '- Mobile apps.'].join('\n');
+  const issues = checkStageARules('requirements.md', doc);
+  assert.deepEqual(issues.map((i) => [i.rule, i.line]), [['min-content', 3]]);
+  assert.match(issues[0].message, /at least 3 .*found 1/);
+});
+
+test('min-content accepts localized headings', () => {
+  const doc = ['# Domänenglossar', '', '## Begriffe', '', '### Aufgabe', '- Definition: Eine Arbeitseinheit.'].join('\n');
+  assert.deepEqual(checkStageARules('domain-glossary.md', doc), []);
+});
+
+test('glossary-term flags headings, bullets and table rows without a definition', () => {
+  const doc = [
+    '# Domain Glossary',
+    '',
+    '## Terms',
+    '',
+    '### Task',
+    '- Definition: A unit of work.',
+    '',
+    '### Project',
+    '- Definition: ...',
+    '',
+    '- **Team**: A group of users.',
+    '- **Board**:',
+    '',
+    '| Term | Definition |',
+    '| --- | --- |',
+    '| Sprint | A time box. |',
+    '| Epic | |'
+  ].join('\n');
+  const issues = checkStageARules('domain-glossary.md', doc);
+  assert.deepEqual(issues.map((i) => [i.rule, i.line]), [['glossary-term', 8], ['glossary-term', 12], ['glossary-term', 17]]);
+});
+
+test('open questions need an owner and a dated decision', () => {
+  assert.deepEqual(questions('- Which SSO provider? Owner: Alex. Decision due: 2026-11-01'), []);
+  assert.deepEqual(questions('- Which SSO provider?', '  - Owner: Alex', '  - Decision due: 2024-02-29'), []);
+  assert.deepEqual(questions('- 使用哪个 SSO？ 负责人：Alex 决策截止：2026-11-01'), []);
+  assert.deepEqual(questions('- Which SSO provider?').map((i) => i.rule), ['question-owner', 'question-due']);
+});
+
+test('open question fields end at the next label', () => {
+  const missingOwner = questions('- Which SSO? Decision due: 2026-11-01, Owner:');
+  assert.deepEqual(missingOwner.map((i) => i.rule), ['question-owner']);
+
+  const vagueDue = questions('- Budget? Owner: Bo. Decision due: soon');
+  assert.deepEqual(vagueDue.map((i) => i.rule), ['question-due']);
+  assert.match(vagueDue[0].message, /due date "soon" is not a date/);
+});
+
+test('open questions reject TBD owners and impossible dates', () => {
+  const issues = questions('- Which DB? Owner: TBD, Due: 2026-02-30');
+  assert.deepEqual(issues.map((i) => i.rule), ['question-owner', 'question-due']);
+  assert.match(issues[1].message, /"2026-02-30" is not a calendar date/);
+});
+
+test('nfr-measurable accepts numbers with units or TBD in target sections', () => {
+  const doc = [
+    '# Non-functional Requirements (NFR)',
+    '',
+    '## Conclusions (read first)',
+    '- Security: SSO only',
+    '- Compliance: N/A',
+    '',
+    '## Performance and scalability',
+    '- Target latency: p95 < 300 ms',
+    '',
+    '## Availability and resilience',
+    '- Availability target: TBD (pending SLA talks)'
+  ].join('\n');
+  assert.deepEqual(checkStageARules('non-functional-requirements.md', doc), []);
+});
+
+test('nfr-measurable flags target sections without a number and unit', () => {
+  const doc = ['# NFR', '', '## Conclusions (read first)', '- Security: SSO only', '- Compliance: N/A', '', '## Performance and scalability', '- Target latency: fast'].join('\n');
+  const issues = checkStageARules('non-functional-requirements.md', doc);
+  assert.deepEqual(issues.map((i) => [i.rule, i.line]), [['nfr-measurable', 7]]);
+});
+
+test('nfr-measurable checks Performance/Availability bullets under Conclusions', () => {
+  const vague = ['# NFR', '', '## Conclusions (read first)', '- Performance: fast', '- Availability: high'].join('\n');
+  assert.deepEqual(checkStageARules('non-functional-requirements.md', vague).map((i) => [i.rule, i.line]), [['nfr-measurable', 4], ['nfr-measurable', 5]]);
+
+  const measured = ['# NFR', '', '## Conclusions (read first)', '- Performance: p95 < 300 ms', '- Availability: 99.5% monthly'].join('\n');
+  assert.deepEqual(checkStageARules('non-functional-requirements.md', measured), []);
+});
+
+test('nfr-measurable fails an NFR doc that states no target at all', () => {
+  const doc = ['# NFR', '', '## Conclusions (read first)', '- Security: SSO only', '- Compliance: N/A'].join('\n');
+  const issues = checkStageARules('non-functional-requirements.md', doc);
+  assert.deepEqual(issues.map((i) => [i.rule, i.line]), [['nfr-measurable', 3]]);
+  assert.match(issues[0].message, /No performance\/availability target/);
+});
+
+test('rules skip fenced code', () => {
+  const doc = ['# NFR', '', '## Conclusions (read first)', '- Performance: p95 < 300 ms', '- Availability: 99.9%', '', '```', '## Performance', '```'].join('\n');
+  assert.deepEqual(rules('non-functional-requirements.md', doc), []);
+});
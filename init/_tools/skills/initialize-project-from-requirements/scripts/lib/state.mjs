@@ -0,0 +1,203 @@
+/**
+ * Init state: init/_work/.init-state.json, stage progress and approval drift (dependency-free)
+ *
+ * The state file records the current stage, the working language, per-stage validation and
+ * approval flags and a history of events. Approvals store the hashes of the Stage A docs and
+ * the blueprint; `approvalDriftReport` lists approved artifacts that changed since.
+ *
+ * Usage:
+ *   import { addHistoryEvent, getStageProgress, loadState, saveState } from './lib/state.mjs';
+ *
+ *   const state = loadState(repoRoot);
+ *   addHistoryEvent(state, 'note', 'Reviewed by hand');
+ *   saveState(repoRoot, state);
+ *   console.log(getStageProgress(state).stage);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { approvalDrift, describeApproval } from './approvals.mjs';
+import { STAGE_A_DOC_NAMES, resolveInitStatePath, stripUtf8Bom, toPosixPath } from './workdir.mjs';
+
+export function getStatePath(repoRoot) {
+  return resolveInitStatePath(repoRoot);
+}
+
+export function stageKey(letter) {
+  const l = String(letter || '').toLowerCase();
+  if (!l) return '';
+  return `stage-${l}`;
+}
+
+export function normalizeStateShape(state) {
+  if (!state || typeof state !== 'object') return state;
+
+  // Migrate legacy camel-case stage keys -> kebab-case stage-* keys.
+  for (const stageLetter of ['A', 'B', 'C']) {
+    const legacyKey = `stage${stageLetter}`;
+    const newKey = stageKey(stageLetter);
+    if (state[legacyKey] && !state[newKey]) state[newKey] = state[legacyKey];
+    if (state[legacyKey]) delete state[legacyKey];
+  }
+
+  return state;
+}
+
+export function createInitialState() {
+  return {
+    version: 1,
+    language: null,
+    stage: 'A',
+    createdAt: new Date().toISOString(),
+    [stageKey('A')]: {
+      mustAsk: {
+        onePurpose: { asked: false, answered: false, writtenTo: null },
+        userRoles: { asked: false, answered: false, writtenTo: null },
+        mustRequirements: { asked: false, answered: false, writtenTo: null },
+        outOfScope: { asked: false, answered: false, writtenTo: null },
+        userJourneys: { asked: false, answered: false, writtenTo: null },
+        constraints: { asked: false, answered: false, writtenTo: null },
+        successMetrics: { asked: false, answered: false, writtenTo: null }
+      },
+      docsWritten: {
+        requirements: false,
+        nfr: false,
+        glossary: false,
+        riskQuestions: false
+      },
+      validated: false,
+      userApproved: false
+    },
+    [stageKey('B')]: {
+      drafted: false,
+      validated: false,
+      packsReviewed: false,
+      userApproved: false
+    },
+    [stageKey('C')]: {
+      scaffoldApplied: false,
+      configsGenerated: false,
+      manifestUpdated: false,
+      wrappersSynced: false,
+      skillRetentionReviewed: false,
+      userApproved: false
+    },
+    history: []
+  };
+}
+
+export function normalizeLanguageValue(value) {
+  const v = String(value ?? '').trim();
+  return v ? v : null;
+}
+
+export function getStateLanguage(state) {
+  if (!state || typeof state !== 'object') return null;
+  return normalizeLanguageValue(state.language);
+}
+
+export function loadState(repoRoot) {
+  const statePath = getStatePath(repoRoot);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  try {
+    return normalizeStateShape(JSON.parse(stripUtf8Bom(fs.readFileSync(statePath, 'utf8'))));
+  } catch (e) {
+    console.error(`[warn] Failed to parse state file: ${e.message}`);
+    return null;
+  }
+}
+
+export function saveState(repoRoot, state) {
+  const statePath = getStatePath(repoRoot);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+}
+
+export function addHistoryEvent(state, event, details) {
+  state.history = state.history || [];
+  state.history.push({
+    timestamp: new Date().toISOString(),
+    event,
+    details
+  });
+}
+
+export function getStageProgress(state) {
+  const stageStateA = state[stageKey('A')] || {};
+  const stageStateB = state[stageKey('B')] || {};
+  const stageStateC = state[stageKey('C')] || {};
+
+  const mustAskKeys = Object.keys(stageStateA.mustAsk || {});
+  const mustAskAnswered = mustAskKeys.filter(k => stageStateA.mustAsk[k]?.answered).length;
+
+  const docsKeys = ['requirements', 'nfr', 'glossary', 'riskQuestions'];
+  const docsWritten = docsKeys.filter(k => stageStateA.docsWritten?.[k]).length;
+
+  return {
+    stage: state.stage,
+    [stageKey('A')]: {
+      mustAskTotal: mustAskKeys.length,
+      mustAskAnswered,
+      docsTotal: docsKeys.length,
+      docsWritten,
+      validated: !!stageStateA.validated,
+      userApproved: !!stageStateA.userApproved
+    },
+    [stageKey('B')]: {
+      drafted: !!stageStateB.drafted,
+      validated: !!stageStateB.validated,
+      packsReviewed: !!stageStateB.packsReviewed,
+      userApproved: !!stageStateB.userApproved
+    },
+    [stageKey('C')]: {
+      scaffoldApplied: !!stageStateC.scaffoldApplied,
+      configsGenerated: !!stageStateC.configsGenerated,
+      manifestUpdated: !!stageStateC.manifestUpdated,
+      wrappersSynced: !!stageStateC.wrappersSynced,
+      skillRetentionReviewed: !!stageStateC.skillRetentionReviewed,
+      userApproved: !!stageStateC.userApproved
+    }
+  };
+}
+
+/** Files an approval of Stage A (the docs) or Stage B (the blueprint) covers, as raw bytes. */
+export function approvalArtifactFiles(repoRoot, docsRoot, blueprintPath, stage) {
+  const paths = stage === 'A' ? STAGE_A_DOC_NAMES.map((name) => path.join(docsRoot, name)) : [blueprintPath];
+  return paths
+    .filter((p) => fs.existsSync(p))
+    .map((p) => ({ path: toPosixPath(path.relative(repoRoot, p)), content: fs.readFileSync(p) }));
+}
+
+/** Approved Stage A/B artifacts that changed after approval: [{ stage, approval, changes }]. */
+export function approvalDriftReport(repoRoot, state) {
+  if (!state || state.stage === 'complete') return [];
+  const out = [];
+  for (const stage of ['A', 'B']) {
+    const s = state[stageKey(stage)];
+    if (!s || !s.userApproved || !s.approval) continue;
+    const changes = approvalDrift(repoRoot, s.approval);
+    if (changes.length > 0) out.push({ stage, approval: s.approval, changes });
+  }
+  return out;
+}
+
+export function formatApprovalDrift(drift, label) {
+  const lines = [];
+  for (const d of drift) {
+    lines.push(`${label} Stage ${d.stage} artifacts changed after approval (${describeApproval(d.approval)}):`);
+    for (const c of d.changes) lines.push(`  - ${c.change}: ${c.path}`);
+    lines.push(`[hint] Revert the changes, or have them reviewed and re-approve: node init/_tools/init.mjs approve --stage ${d.stage}`);
+  }
+  return lines;
+}
+
+/** " (by <approver>; comment: ...; review packet <hash>)" for approval history events. */
+export function approvalHistoryNote(approval, packet) {
+  const parts = [`by ${approval.approver}`];
+  if (approval.comment) parts.push(`comment: ${approval.comment}`);
+  if (packet) parts.push(`review packet ${packet.hash}`);
+  return ` (${parts.join('; ')})`;
+}
@@ -0,0 +1,233 @@
+/**
+ * Mustache-style template renderer (dependency-free)
+ *
+ * Shared by the config templates (`templates/scaffold-configs/`) and the root
+ * README/AGENTS generators. Supported tags:
+ *   {{name}} / {{a.b.c}}   variable (escaped with the selected escaper)
+ *   {{{name}}} / {{& name}}  variable, never escaped
+ *   {{.}}                  current item inside a section
+ *   {{#name}}...{{/name}}  section: once for true/objects/strings, per item for arrays, skipped when falsy/empty
+ *   {{^name}}...{{/name}}  inverted section: rendered only when the value is falsy or an empty array
+ *   {{> partial}}          partial: `<partialsDir>/<partial>.template` or `<partial>.template.md`
+ *   {{! comment}}          dropped
+ * Section, partial and comment tags alone on a line are "standalone": the whole line is removed
+ * (a standalone partial's indentation is applied to every line of the partial).
+ *
+ * Variables are strict: an undefined/null value or an object throws an Error naming the
+ * template, line and key. Sections treat undefined values as falsy.
+ *
+ * Usage:
+ *   import { escaperForFile, renderTemplate } from './lib/template-engine.mjs';
+ *
+ *   const out = renderTemplate(src, { project, workspaces }, {
+ *     name: 'package.json.template',
+ *     escape: escaperForFile('package.json'),
+ *     partialsDir: path.join(TEMPLATES_DIR, 'partials')
+ *   });
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_PARTIAL_DEPTH = 16;
+
+export const ESCAPERS = {
+  none: (s) => s,
+  // Body of a double-quoted JSON/TOML/YAML string (without the quotes).
+  json: (s) => JSON.stringify(s).slice(1, -1),
+  xml: (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;'),
+  html: (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+};
+
+const ESCAPER_BY_EXTENSION = {
+  '.json': 'json',
+  '.toml': 'json',
+  '.yaml': 'json',
+  '.yml': 'json',
+  '.xml': 'xml',
+  '.html': 'html'
+};
+
+/** Escaper name for a target file (values in JSON/TOML/YAML/XML must not break the syntax). */
+export function escaperForFile(fileName) {
+  return ESCAPER_BY_EXTENSION[path.extname(String(fileName)).toLowerCase()] || 'none';
+}
+
+function lineAt(src, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (src.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+/**
+ * Parse a template into a token tree.
+ * Tokens: { type: 'text', value } | { type: 'var', key, raw, line }
+ *       | { type: 'section', key, inverted, children, line } | { type: 'partial', name, indent, line }
+ */
+function parse(src, name) {
+  const root = [];
+  const stack = [{ children: root, key: null, line: 0 }];
+  let pos = 0;
+
+  const fail = (index, msg) => {
+    throw new Error(`${name}:${lineAt(src, index)}: ${msg}`);
+  };
+  const pushText = (text) => {
+    if (text) stack[stack.length - 1].children.push({ type: 'text', value: text });
+  };
+
+  while (pos < src.length) {
+    const open = src.indexOf('{{', pos);
+    if (open === -1) {
+      pushText(src.slice(pos));
+      break;
+    }
+
+    const triple = src.startsWith('{{{', open);
+    const close = src.indexOf(triple ? '}}}' : '}}', open + (triple ? 3 : 2));
+    if (close === -1) fail(open, 'unclosed tag');
+    const end = close + (triple ? 3 : 2);
+    let body = src.slice(open + (triple ? 3 : 2), close).trim();
+
+    let sigil = '';
+    if (triple) sigil = '&';
+    else if ('#^/>!&'.includes(body[0])) {
+      sigil = body[0];
+      body = body.slice(1).trim();
+    }
+    if (!body && sigil !== '!') fail(open, 'empty tag');
+
+    // Standalone: a block tag alone on its line removes the whole line.
+    let before = src.slice(pos, open);
+    let next = end;
+    let indent = '';
+    if ('#^/>!'.includes(sigil) && sigil !== '') {
+      const lineStart = src.lastIndexOf('\n', open - 1) + 1;
+      const lead = src.slice(lineStart, open);
+      const trail = src.slice(end).match(/^[ \t]*(\r?\n|$)/);
+      if (lineStart >= pos && /^[ \t]*$/.test(lead) && trail) {
+        before = src.slice(pos, lineStart);
+        indent = lead;
+        next = end + trail[0].length;
+      }
+    }
+    pushText(before);
+    pos = next;
+
+    const line = lineAt(src, open);
+    const parent = stack[stack.length - 1];
+    if (sigil === '!') continue;
+    if (sigil === '#' || sigil === '^') {
+      const node = { type: 'section', key: body, inverted: sigil === '^', children: [], line };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.length === 1) fail(open, `unexpected closing tag {{/${body}}}`);
+      if (parent.key !== body) fail(open, `{{/${body}}} closes {{#${parent.key}}} opened on line ${parent.line}`);
+      stack.pop();
+    } else if (sigil === '>') {
+      parent.children.push({ type: 'partial', name: body, indent, line });
+    } else {
+      parent.children.push({ type: 'var', key: body, raw: sigil === '&', line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`${name}:${open.line}: unclosed section {{#${open.key}}}`);
+  }
+  return root;
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object';
+}
+
+/** Resolve a dotted key against the context stack (innermost first). */
+function lookup(contexts, key) {
+  if (key === '.') return contexts[contexts.length - 1];
+  const [head, ...rest] = key.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (!isObject(ctx) || !(head in ctx)) continue;
+    let value = ctx[head];
+    for (const part of rest) {
+      if (!isObject(value)) return undefined;
+      value = value[part];
+    }
+    return value;
+  }
+  return undefined;
+}
+
+function isFalsy(value) {
+  return Array.isArray(value) ? value.length === 0 : !value;
+}
+
+function indentLines(text, indent) {
+  if (!indent) return text;
+  return text.replace(/^(?=.)/gm, indent);
+}
+
+function createRenderer(options) {
+  const name = options.name || 'template';
+  const escaper = typeof options.escape === 'function' ? options.escape : ESCAPERS[options.escape || 'none'];
+  if (!escaper) throw new Error(`Unknown escaper: ${options.escape}`);
+  const partials = options.partials || {};
+  const cache = new Map();
+
+  function loadPartial(partialName, from, line) {
+    if (Object.prototype.hasOwnProperty.call(partials, partialName)) return partials[partialName];
+    const candidates = options.partialsDir
+      ? [`${partialName}.template`, `${partialName}.template.md`].map((f) => path.join(options.partialsDir, f))
+      : [];
+    const file = candidates.find((f) => fs.existsSync(f));
+    if (!file) throw new Error(`${from}:${line}: partial "${partialName}" not found${options.partialsDir ? ` in ${options.partialsDir}` : ''}`);
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  function renderTokens(tokens, contexts, from, depth) {
+    let out = '';
+    for (const t of tokens) {
+      if (t.type === 'text') {
+        out += t.value;
+      } else if (t.type === 'var') {
+        const value = lookup(contexts, t.key);
+        if (value === undefined || value === null) throw new Error(`${from}:${t.line}: undefined variable "${t.key}"`);
+        if (isObject(value)) throw new Error(`${from}:${t.line}: "${t.key}" is not a scalar (use a section to iterate it)`);
+        out += t.raw ? String(value) : escaper(String(value));
+      } else if (t.type === 'section') {
+        const value = lookup(contexts, t.key);
+        if (t.inverted) {
+          if (isFalsy(value)) out += renderTokens(t.children, contexts, from, depth);
+        } else if (Array.isArray(value)) {
+          for (const item of value) out += renderTokens(t.children, [...contexts, item], from, depth);
+        } else if (!isFalsy(value)) {
+          out += renderTokens(t.children, value === true ? contexts : [...contexts, value], from, depth);
+        }
+      } else if (t.type === 'partial') {
+        if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`${from}:${t.line}: partials nested deeper than ${MAX_PARTIAL_DEPTH} (recursive partial?)`);
+        const key = `${t.name}\u0000${t.indent}`;
+        if (!cache.has(key)) cache.set(key, parse(indentLines(loadPartial(t.name, from, t.line), t.indent), t.name));
+        out += renderTokens(cache.get(key), contexts, t.name, depth + 1);
+      }
+    }
+    return out;
+  }
+
+  return (template, view) => renderTokens(parse(template, name), [view], name, 0);
+}
+
+/**
+ * Render `template` against `view`.
+ *
+ * @param {string} template
+ * @param {object} view - Root context
+ * @param {{ name?: string, escape?: 'none' | 'json' | 'xml' | 'html' | ((s: string) => string), partialsDir?: string, partials?: Record<string, string> }} [options]
+ *   name: used in error messages; partials: inline partials (take precedence over partialsDir)
+ * @returns {string}
+ * @throws {Error} On syntax errors, undefined variables and missing partials ("<name>:<line>: ...")
+ */
+export function renderTemplate(template, view, options = {}) {
+  return createRenderer(options)(String(template), view);
+}
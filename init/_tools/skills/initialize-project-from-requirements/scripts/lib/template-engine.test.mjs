@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { escaperForFile, renderTemplate } from './template-engine.mjs';
+
+test('variables resolve dotted keys through the context stack', () => {
+  const view = { project: { name: 'demo' }, owner: 'ops', items: [{ id: 1 }, { id: 2, owner: 'dev' }] };
+  assert.equal(renderTemplate('{{project.name}}:{{#items}}{{id}}/{{owner}} {{/items}}', view), 'demo:1/ops 2/dev ');
+  assert.equal(renderTemplate('{{#tags}}[{{.}}]{{/tags}}', { tags: ['a', 'b'] }), '[a][b]');
+  assert.equal(renderTemplate('{{n}} {{ok}}', { n: 0, ok: false }), '0 false');
+});
+
+test('sections render once for truthy values and inverted sections for falsy or empty ones', () => {
+  const tpl = '{{#on}}on{{/on}}{{^on}}off{{/on}}|{{#list}}x{{/list}}{{^list}}none{{/list}}|{{#obj}}{{k}}{{/obj}}';
+  assert.equal(renderTemplate(tpl, { on: true, list: [], obj: { k: 'v' } }), 'on|none|v');
+  assert.equal(renderTemplate(tpl, { list: [1] }), 'off|x|');
+});
+
+test('standalone block tags remove their whole line', () => {
+  const tpl = 'members = [\n{{#ws}}\n  "{{path}}",\n{{/ws}}\n{{! note }}\n]\n';
+  assert.equal(renderTemplate(tpl, { ws: [{ path: 'a' }, { path: 'b' }] }), 'members = [\n  "a",\n  "b",\n]\n');
+  assert.equal(renderTemplate('a {{#x}}b{{/x}} c\n', { x: true }), 'a b c\n', 'inline tags keep the line');
+});
+
+test('escaping follows the target file type; triple mustache and & are never escaped', () => {
+  assert.equal(escaperForFile('package.json'), 'json');
+  assert.equal(escaperForFile('pyproject.toml'), 'json');
+  assert.equal(escaperForFile('pom.xml'), 'xml');
+  assert.equal(escaperForFile('README.md'), 'none');
+
+  const view = { v: 'a "b" <c>' };
+  assert.equal(renderTemplate('{{v}}', view, { escape: 'json' }), 'a \\"b\\" <c>');
+  assert.equal(renderTemplate('{{v}}', view, { escape: 'xml' }), 'a &quot;b&quot; &lt;c&gt;');
+  assert.equal(renderTemplate('{{{v}}}|{{& v}}', view, { escape: 'xml' }), 'a "b" <c>|a "b" <c>');
+  assert.equal(renderTemplate('{{v}}', view, { escape: (s) => s.toUpperCase() }), 'A "B" <C>');
+  assert.throws(() => renderTemplate('x', {}, { escape: 'yaml' }), /Unknown escaper: yaml/);
+});
+
+test('undefined and non-scalar variables fail with template name and line', () => {
+  assert.throws(() => renderTemplate('ok\n{{missing}}', {}, { name: 'a.template' }), /^Error: a\.template:2: undefined variable "missing"$/);
+  assert.throws(() => renderTemplate('{{project}}', { project: {} }), /template:1: "project" is not a scalar/);
+  assert.equal(renderTemplate('{{#missing}}x{{/missing}}', {}), '', 'sections treat undefined as falsy');
+});
+
+test('syntax errors point at the offending tag', () => {
+  assert.throws(() => renderTemplate('{{#a}}\n{{/b}}', {}, { name: 't' }), /t:2: \{\{\/b\}\} closes \{\{#a\}\} opened on line 1/);
+  assert.throws(() => renderTemplate('\n{{#a}}x', {}, { name: 't' }), /t:2: unclosed section \{\{#a\}\}/);
+  assert.throws(() => renderTemplate('{{/a}}', {}, { name: 't' }), /t:1: unexpected closing tag/);
+  assert.throws(() => renderTemplate('x {{name', {}, { name: 't' }), /t:1: unclosed tag/);
+  assert.throws(() => renderTemplate('{{ }}', {}, { name: 't' }), /t:1: empty tag/);
+});
+
+test('partials load inline or from partialsDir and standalone partials keep their indentation', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-engine-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'deps.template'), 'a = {{a}}\nb = 2\n');
+    fs.writeFileSync(path.join(dir, 'intro.template.md'), 'Hello {{name}}');
+
+    const out = renderTemplate('[deps]\n  {{> deps}}\n{{> intro}}!\n', { a: 1, name: 'x' }, { partialsDir: dir });
+    assert.equal(out, '[deps]\n  a = 1\n  b = 2\nHello x!\n');
+    assert.equal(renderTemplate('{{> p}}', {}, { partials: { p: 'inline' }, partialsDir: dir }), 'inline');
+    assert.throws(() => renderTemplate('{{> nope}}', {}, { name: 't', partialsDir: dir }), /t:1: partial "nope" not found in /);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recursive partials stop at the nesting limit', () => {
+  assert.throws(() => renderTemplate('{{> loop}}', {}, { partials: { loop: '{{> loop}}' } }), /partials nested deeper than 16/);
+});
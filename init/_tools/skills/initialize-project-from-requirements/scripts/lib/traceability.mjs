@@ -0,0 +1,179 @@
+/**
+ * Requirements -> capabilities traceability (dependency-free)
+ *
+ * Stage A docs define requirements with stable IDs at the start of a list item or heading:
+ *   - R-001: Members can create tasks
+ *   - **R-002** MUST: Board view per workspace
+ *   - MUST: R-003 Email notifications on assignment
+ *   ### R-004 Audit log
+ * Under a heading containing "(MUST)" (e.g. "## Goals (MUST)") requirements default to MUST.
+ * Any other `R-###` occurrence is a reference.
+ *
+ * Blueprint capabilities list the requirements that justify them:
+ *   "capabilities": { "backend": { "enabled": true, "traces": ["R-001", "R-003"] } }
+ *
+ * The matrix flags both sides:
+ *   orphan requirements    MUST requirements no enabled capability traces
+ *   untraced capabilities  enabled capabilities without traces
+ *   unknown traces         traces naming IDs no Stage A doc defines
+ *   invalid traces         `traces` that is not an array of IDs (e.g. the string "R-001")
+ *
+ * Usage:
+ *   import { buildTraceMatrix, extractRequirements } from './lib/traceability.mjs';
+ *
+ *   const { requirements, problems } = extractRequirements([{ name: 'requirements.md', content }]);
+ *   const matrix = buildTraceMatrix(requirements, blueprint);
+ *   // matrix.rows, matrix.capabilities, matrix.orphans, matrix.untracedCapabilities, matrix.unknownTraces, matrix.invalidTraces
+ */
+
+export const REQUIREMENT_ID_RE = /\bR-\d{3,}\b/g;
+
+const TRACE_ID_RE = /^R-\d{3,}$/;
+
+// List item or heading whose first token (after an optional strength / checkbox / bold) is an ID.
+const DEFINITION_RE =
+  /^\s*(?:(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?|#{2,6}\s+)(?:\*\*)?(?:(MUST|SHOULD|MAY)\b:?\s*)?(?:\*\*)?\[?(R-\d{3,})\]?(?:\*\*)?(.*)$/;
+
+function stripDefinitionText(rest) {
+  const m = rest.match(/^[\s:.)\]*-]*(?:(MUST|SHOULD|MAY)\b[\s:*-]*)?(.*)$/);
+  return { strength: m[1] || null, text: m[2].replace(/\*\*/g, '').trim() };
+}
+
+/**
+ * Requirement definitions and references in Stage A docs (fenced code is ignored).
+ *
+ * @param {{ name: string, content: string }[]} docs
+ * @returns {{
+ *   requirements: { id: string, strength: 'MUST' | 'SHOULD' | 'MAY' | null, text: string, doc: string, line: number }[],
+ *   references: { id: string, doc: string, line: number }[],
+ *   problems: { level: 'error' | 'warning', doc: string, line: number, message: string }[]
+ * }}
+ */
+export function extractRequirements(docs) {
+  const requirements = [];
+  const references = [];
+  const problems = [];
+  const byId = new Map();
+
+  for (const doc of docs) {
+    let inFence = false;
+    let mustLevel = 0; // level of the enclosing "(MUST)" heading, 0 when none
+    const lines = String(doc.content || '').split(/\r?\n/);
+    lines.forEach((line, i) => {
+      const lineNo = i + 1;
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading && !DEFINITION_RE.test(line)) {
+        const level = heading[1].length;
+        if (/\(MUST\)/.test(heading[2])) mustLevel = level;
+        else if (level <= mustLevel) mustLevel = 0;
+      }
+
+      const def = line.match(DEFINITION_RE);
+      if (def) {
+        const id = def[2];
+        const rest = stripDefinitionText(def[3]);
+        const strength = def[1] || rest.strength || (mustLevel > 0 ? 'MUST' : null);
+        const prev = byId.get(id);
+        if (prev) {
+          problems.push({
+            level: 'error',
+            doc: doc.name,
+            line: lineNo,
+            message: `Requirement ${id} is defined more than once (first in ${prev.doc}:${prev.line}).`
+          });
+        } else {
+          const req = { id, strength, text: rest.text, doc: doc.name, line: lineNo };
+          byId.set(id, req);
+          requirements.push(req);
+        }
+        for (const m of def[3].matchAll(REQUIREMENT_ID_RE)) references.push({ id: m[0], doc: doc.name, line: lineNo });
+        return;
+      }
+
+      for (const m of line.matchAll(REQUIREMENT_ID_RE)) references.push({ id: m[0], doc: doc.name, line: lineNo });
+      for (const m of line.matchAll(/\bR-\d{1,2}\b/g)) {
+        problems.push({ level: 'warning', doc: doc.name, line: lineNo, message: `"${m[0]}" looks like a requirement ID; use at least three digits (e.g. R-001).` });
+      }
+    });
+  }
+
+  for (const ref of references) {
+    if (!byId.has(ref.id)) {
+      problems.push({ level: 'warning', doc: ref.doc, line: ref.line, message: `Reference to undefined requirement ${ref.id}.` });
+    }
+  }
+
+  return { requirements, references, problems };
+}
+
+/** Valid trace IDs of a capability, plus why `traces` is malformed (null when it is fine or absent). */
+function readTraces(raw) {
+  if (raw === undefined || raw === null) return { traces: [], error: null };
+  if (!Array.isArray(raw)) {
+    const hint = typeof raw === 'string' ? ` (write ["${raw}"])` : '';
+    return { traces: [], error: `must be an array of requirement IDs, got ${typeof raw}${hint}` };
+  }
+  const bad = raw.filter((t) => typeof t !== 'string' || !TRACE_ID_RE.test(t));
+  return {
+    traces: raw.filter((t) => typeof t === 'string' && TRACE_ID_RE.test(t)),
+    error: bad.length > 0 ? `has entries that are not requirement IDs (R-###): ${bad.map((t) => JSON.stringify(t)).join(', ')}` : null
+  };
+}
+
+/** Every capability block in the blueprint: whether it is on, its traces, and a malformed-traces error. */
+export function capabilityTraces(blueprint) {
+  const caps = (blueprint && blueprint.capabilities) || {};
+  const out = [];
+  for (const [name, cap] of Object.entries(caps)) {
+    if (!cap || typeof cap !== 'object') continue;
+    // api has no "enabled" flag: it is on when a style other than "none" is chosen.
+    const enabled = name === 'api' ? !!cap.style && cap.style !== 'none' : cap.enabled === true;
+    out.push({ name, enabled, ...readTraces(cap.traces) });
+  }
+  return out;
+}
+
+/**
+ * Requirements x capabilities matrix.
+ *
+ * @returns {{
+ *   rows: { id: string, strength: string | null, text: string, doc: string, line: number, capabilities: string[] }[],
+ *   capabilities: { name: string, enabled: boolean, traces: string[], error: string | null }[],
+ *   orphans: string[],
+ *   untraced: string[],
+ *   untracedCapabilities: string[],
+ *   unknownTraces: { capability: string, id: string }[],
+ *   invalidTraces: { capability: string, message: string }[]
+ * }}
+ *   `orphans` are MUST requirements without an enabled capability; `untraced` are the other untraced ones.
+ */
+export function buildTraceMatrix(requirements, blueprint) {
+  const capabilities = capabilityTraces(blueprint);
+  const known = new Set(requirements.map((r) => r.id));
+
+  const rows = requirements.map((r) => ({
+    ...r,
+    capabilities: capabilities.filter((c) => c.enabled && c.traces.includes(r.id)).map((c) => c.name)
+  }));
+
+  const unknownTraces = [];
+  for (const c of capabilities) {
+    for (const id of c.traces) if (!known.has(id)) unknownTraces.push({ capability: c.name, id });
+  }
+
+  return {
+    rows,
+    capabilities,
+    orphans: rows.filter((r) => r.capabilities.length === 0 && r.strength === 'MUST').map((r) => r.id),
+    untraced: rows.filter((r) => r.capabilities.length === 0 && r.strength !== 'MUST').map((r) => r.id),
+    untracedCapabilities: capabilities.filter((c) => c.enabled && c.traces.length === 0 && !c.error).map((c) => c.name),
+    unknownTraces,
+    invalidTraces: capabilities.filter((c) => c.error).map((c) => ({ capability: c.name, message: c.error }))
+  };
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildTraceMatrix, capabilityTraces, extractRequirements } from './traceability.mjs';
+
+const REQUIREMENTS = [
+  '# Requirements',
+  '',
+  '## Goals (MUST)',
+  '- R-001: Members can create tasks',
+  '- **R-002** Board view per workspace',
+  '',
+  '### R-003 Audit log',
+  '',
+  '## Nice to have',
+  '- SHOULD: R-004 Email digests',
+  '- R-005: Dark mode',
+  '',
+  '```',
+  '- R-999: inside a fence',
+  '```'
+].join('\n');
+
+test('extractRequirements reads IDs from list items and headings with their strength', () => {
+  const { requirements, problems } = extractRequirements([{ name: 'requirements.md', content: REQUIREMENTS }]);
+  assert.deepEqual(
+    requirements.map((r) => [r.id, r.strength, r.text, r.line]),
+    [
+      ['R-001', 'MUST', 'Members can create tasks', 4],
+      ['R-002', 'MUST', 'Board view per workspace', 5],
+      ['R-003', 'MUST', 'Audit log', 7],
+      ['R-004', 'SHOULD', 'Email digests', 10],
+      ['R-005', null, 'Dark mode', 11]
+    ]
+  );
+  assert.deepEqual(problems, []);
+});
+
+test('extractRequirements flags duplicates, undefined references and short IDs', () => {
+  const docs = [
+    { name: 'requirements.md', content: '- R-001: One\n- R-001: Again\n- See R-010 and R-7.' },
+    { name: 'non-functional-requirements.md', content: 'Covers R-001.' }
+  ];
+  const { references, problems } = extractRequirements(docs);
+  assert.deepEqual(references.map((r) => [r.id, r.doc]), [['R-010', 'requirements.md'], ['R-001', 'non-functional-requirements.md']]);
+  assert.deepEqual(
+    problems.map((p) => [p.level, p.line, p.message]),
+    [
+      ['error', 2, 'Requirement R-001 is defined more than once (first in requirements.md:1).'],
+      ['warning', 3, '"R-7" looks like a requirement ID; use at least three digits (e.g. R-001).'],
+      ['warning', 3, 'Reference to undefined requirement R-010.']
+    ]
+  );
+});
+
+test('buildTraceMatrix links requirements to enabled capabilities and flags both sides', () => {
+  const { requirements } = extractRequirements([{ name: 'requirements.md', content: REQUIREMENTS }]);
+  const blueprint = {
+    capabilities: {
+      frontend: { enabled: true, traces: ['R-001', 'R-002'] },
+      backend: { enabled: true },
+      api: { style: 'rest', traces: ['R-004', 'R-404'] },
+      database: { enabled: false, traces: ['R-003'] }
+    }
+  };
+  const matrix = buildTraceMatrix(requirements, blueprint);
+  assert.deepEqual(matrix.rows.map((r) => [r.id, r.capabilities]), [
+    ['R-001', ['frontend']],
+    ['R-002', ['frontend']],
+    ['R-003', []],
+    ['R-004', ['api']],
+    ['R-005', []]
+  ]);
+  assert.deepEqual(matrix.orphans, ['R-003']);
+  assert.deepEqual(matrix.untraced, ['R-005']);
+  assert.deepEqual(matrix.untracedCapabilities, ['backend']);
+  assert.deepEqual(matrix.unknownTraces, [{ capability: 'api', id: 'R-404' }]);
+  assert.deepEqual(matrix.invalidTraces, []);
+});
+
+test('capabilityTraces treats api as enabled unless its style is none', () => {
+  const caps = capabilityTraces({ capabilities: { api: { style: 'none' }, frontend: { enabled: 'yes' } } });
+  assert.deepEqual(caps.map((c) => [c.name, c.enabled]), [['api', false], ['frontend', false]]);
+});
+
+test('buildTraceMatrix reports traces that are not an array of IDs instead of dropping them', () => {
+  const { requirements } = extractRequirements([{ name: 'requirements.md', content: '## Goals (MUST)\n- R-001: One' }]);
+  const matrix = buildTraceMatrix(requirements, {
+    capabilities: {
+      backend: { enabled: true, traces: 'R-001' },
+      frontend: { enabled: true, traces: ['R-001', 7, 'r1'] }
+    }
+  });
+  assert.deepEqual(matrix.invalidTraces, [
+    { capability: 'backend', message: 'must be an array of requirement IDs, got string (write ["R-001"])' },
+    { capability: 'frontend', message: 'has entries that are not requirement IDs (R-###): 7, "r1"' }
+  ]);
+  assert.deepEqual(matrix.untracedCapabilities, []);
+  assert.deepEqual(matrix.rows[0].capabilities, ['frontend']);
+});
@@ -0,0 +1,200 @@
+/**
+ * Line-based unified diff (dependency-free)
+ *
+ * Computes a minimal line edit script (Myers O(ND)) and groups it into hunks
+ * with surrounding context, compatible with `git apply` / `patch -p1`.
+ *
+ * Usage:
+ *   import { diffLines, formatUnifiedDiff } from './lib/unified-diff.mjs';
+ *
+ *   const hunks = diffLines(before, after, { context: 3 });
+ *   console.log(formatUnifiedDiff('README.md', before, after, hunks));
+ */
+
+function splitLines(text) {
+  if (text == null || text === '') return { lines: [], finalNewline: true };
+  const normalized = String(text).replace(/\r\n/g, '\n');
+  const finalNewline = normalized.endsWith('\n');
+  const body = finalNewline ? normalized.slice(0, -1) : normalized;
+  return { lines: body.split('\n'), finalNewline };
+}
+
+/**
+ * Myers shortest edit script. Returns a list of ops: { type: ' ' | '-' | '+', line }.
+ */
+function editScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  let done = false;
+  for (let d = 0; d <= max && !done; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack through the saved frontiers.
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[y - 1] });
+      else ops.push({ type: '-', line: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Compute unified diff hunks between two texts.
+ *
+ * @param {string | null} before - Current content (null when the file does not exist)
+ * @param {string} after - Proposed content
+ * @param {{ context?: number }} [options]
+ * @returns {{ oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[] }[]}
+ */
+export function diffLines(before, after, options = {}) {
+  const context = Number.isInteger(options.context) && options.context >= 0 ? options.context : 3;
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = editScript(a.lines, b.lines);
+
+  // Attach the "no newline at end of file" marker to the last line of each side.
+  const aLast = a.lines.length;
+  const bLast = b.lines.length;
+  let ai = 0;
+  let bi = 0;
+  for (const op of ops) {
+    if (op.type !== '+') ai++;
+    if (op.type !== '-') bi++;
+    op.aNoEol = op.type !== '+' && ai === aLast && !a.finalNewline;
+    op.bNoEol = op.type !== '-' && bi === bLast && !b.finalNewline;
+    op.aIdx = ai;
+    op.bIdx = bi;
+  }
+  // A context line whose EOL status differs must be represented as -/+.
+  const expanded = [];
+  for (const op of ops) {
+    if (op.type === ' ' && op.aNoEol !== op.bNoEol) {
+      expanded.push({ ...op, type: '-', bNoEol: false });
+      expanded.push({ ...op, type: '+', aNoEol: false });
+    } else {
+      expanded.push(op);
+    }
+  }
+
+  const changeIdx = [];
+  expanded.forEach((op, i) => {
+    if (op.type !== ' ') changeIdx.push(i);
+  });
+  if (changeIdx.length === 0) return [];
+
+  // Group changes whose context windows overlap.
+  const groups = [];
+  let start = Math.max(0, changeIdx[0] - context);
+  let end = Math.min(expanded.length - 1, changeIdx[0] + context);
+  for (const i of changeIdx.slice(1)) {
+    if (i - context <= end + 1) {
+      end = Math.min(expanded.length - 1, i + context);
+    } else {
+      groups.push([start, end]);
+      start = Math.max(0, i - context);
+      end = Math.min(expanded.length - 1, i + context);
+    }
+  }
+  groups.push([start, end]);
+
+  // Line numbers before the group start.
+  const hunks = [];
+  for (const [s, e] of groups) {
+    let oldLine = 0;
+    let newLine = 0;
+    for (let i = 0; i < s; i++) {
+      if (expanded[i].type !== '+') oldLine++;
+      if (expanded[i].type !== '-') newLine++;
+    }
+    const lines = [];
+    let oldLines = 0;
+    let newLines = 0;
+    for (let i = s; i <= e; i++) {
+      const op = expanded[i];
+      lines.push(`${op.type}${op.line}`);
+      if (op.type !== '+') oldLines++;
+      if (op.type !== '-') newLines++;
+      const noEol = op.type === '-' ? op.aNoEol : op.type === '+' ? op.bNoEol : op.aNoEol && op.bNoEol;
+      if (noEol) lines.push('\\ No newline at end of file');
+    }
+    hunks.push({
+      oldStart: oldLines === 0 ? oldLine : oldLine + 1,
+      oldLines,
+      newStart: newLines === 0 ? newLine : newLine + 1,
+      newLines,
+      lines
+    });
+  }
+  return hunks;
+}
+
+/**
+ * Render hunks as a unified diff for a single file.
+ *
+ * @param {string} relPath - POSIX path relative to the repo root
+ * @param {string | null} before - Current content (null = new file)
+ * @param {string | null} after - Proposed content (null = deleted file)
+ * @param {ReturnType<typeof diffLines>} hunks
+ * @returns {string} Empty string when there are no hunks
+ */
+export function formatUnifiedDiff(relPath, before, after, hunks) {
+  if (!hunks || hunks.length === 0) return '';
+  const out = [
+    `--- ${before == null ? '/dev/null' : `a/${relPath}`}`,
+    `+++ ${after == null ? '/dev/null' : `b/${relPath}`}`
+  ];
+  for (const h of hunks) {
+    const oldRange = h.oldLines === 1 ? `${h.oldStart}` : `${h.oldStart},${h.oldLines}`;
+    const newRange = h.newLines === 1 ? `${h.newStart}` : `${h.newStart},${h.newLines}`;
+    out.push(`@@ -${oldRange} +${newRange} @@`);
+    out.push(...h.lines);
+  }
+  return out.join('\n') + '\n';
+}
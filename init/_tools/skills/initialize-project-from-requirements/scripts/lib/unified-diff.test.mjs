@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import { diffLines, formatUnifiedDiff } from './unified-diff.mjs';
+
+const lines = (n, edit = {}) => Array.from({ length: n }, (_, i) => edit[i + 1] ?? `line ${i + 1}`).join('\n') + '\n';
+
+test('identical texts produce no hunks and an empty patch', () => {
+  assert.deepEqual(diffLines('a\nb\n', 'a\nb\n'), []);
+  assert.deepEqual(diffLines('a\r\nb\r\n', 'a\nb\n'), [], 'CRLF and LF compare equal');
+  assert.equal(formatUnifiedDiff('x.txt', 'a\n', 'a\n', []), '');
+});
+
+test('a new file diffs against /dev/null with a 0,0 old range', () => {
+  const hunks = diffLines(null, 'one\ntwo\n');
+  assert.deepEqual(hunks, [{ oldStart: 0, oldLines: 0, newStart: 1, newLines: 2, lines: ['+one', '+two'] }]);
+  assert.equal(formatUnifiedDiff('docs/new.md', null, 'one\ntwo\n', hunks), '--- /dev/null\n+++ b/docs/new.md\n@@ -0,0 +1,2 @@\n+one\n+two\n');
+});
+
+test('changes far apart get separate hunks with three lines of context', () => {
+  const before = lines(20);
+  const after = lines(20, { 2: 'changed 2', 18: 'changed 18' });
+  const hunks = diffLines(before, after);
+
+  assert.deepEqual(
+    hunks.map((h) => [h.oldStart, h.oldLines, h.newStart, h.newLines]),
+    [[1, 5, 1, 5], [15, 6, 15, 6]]
+  );
+  assert.deepEqual(hunks[0].lines, [' line 1', '-line 2', '+changed 2', ' line 3', ' line 4', ' line 5']);
+});
+
+test('changes whose context overlaps are merged into one hunk; context is configurable', () => {
+  const before = lines(12);
+  const after = lines(12, { 3: 'x', 8: 'y' });
+  assert.equal(diffLines(before, after).length, 1);
+  assert.equal(diffLines(before, after, { context: 1 }).length, 2);
+
+  const [only] = diffLines(before, after, { context: 0 });
+  assert.deepEqual(only, { oldStart: 3, oldLines: 1, newStart: 3, newLines: 1, lines: ['-line 3', '+x'] });
+});
+
+test('a missing final newline is marked on the side that lacks it', () => {
+  const hunks = diffLines('a\nb', 'a\nb\n');
+  assert.deepEqual(hunks[0].lines, [' a', '-b', '\\ No newline at end of file', '+b']);
+  assert.equal(formatUnifiedDiff('f', 'a\nb', 'a\nb\n', hunks).split('\n')[2], '@@ -1,2 +1,2 @@');
+});
+
+test('pure deletions and insertions report single-line ranges without a count', () => {
+  const patch = formatUnifiedDiff('f', 'a\nb\nc\n', 'a\nc\n', diffLines('a\nb\nc\n', 'a\nc\n', { context: 0 }));
+  assert.equal(patch, '--- a/f\n+++ b/f\n@@ -2 +1,0 @@\n-b\n');
+});
+
+const noGit = spawnSync('git', ['--version']).status !== 0 && 'git not available';
+
+test('patches apply cleanly with git apply', { skip: noGit }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unified-diff-'));
+  try {
+    const cases = [
+      ['edit.txt', lines(30), lines(31, { 4: 'four', 17: 'seventeen', 31: 'tail' })],
+      ['eol.txt', 'x\ny', 'x\ny\nz'],
+      ['added.txt', null, 'fresh\n']
+    ];
+    let patch = '';
+    for (const [name, before, after] of cases) {
+      if (before != null) fs.writeFileSync(path.join(dir, name), before);
+      patch += formatUnifiedDiff(name, before, after, diffLines(before, after));
+    }
+    fs.writeFileSync(path.join(dir, 'change.patch'), patch);
+
+    const res = spawnSync('git', ['apply', 'change.patch'], { cwd: dir, encoding: 'utf8' });
+    assert.equal(res.status, 0, res.stderr);
+    for (const [name, , after] of cases) assert.equal(fs.readFileSync(path.join(dir, name), 'utf8'), after);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
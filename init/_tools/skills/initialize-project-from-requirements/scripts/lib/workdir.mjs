@@ -0,0 +1,139 @@
+/**
+ * Init workdir layout: default paths, path resolution and small file helpers (dependency-free)
+ *
+ * Stage outputs live under `init/_work/` (Stage A docs, blueprint, init state, apply journal,
+ * review packet). Files from the older layout directly under `init/` are used when only they
+ * exist, so older checkouts keep working until `migrate-workdir` moves them.
+ *
+ * Usage:
+ *   import { resolveBlueprintPath, resolveDocsRoot, toPosixPath } from './lib/workdir.mjs';
+ *
+ *   const docsRoot = resolveDocsRoot(repoRoot, opts['docs-root']);
+ *   console.log(toPosixPath(path.relative(repoRoot, resolveBlueprintPath(repoRoot))));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export function resolvePath(base, p) {
+  if (!p) return null;
+  if (path.isAbsolute(p)) return p;
+  return path.resolve(base, p);
+}
+
+const INIT_WORK_DEFAULT_REL = path.join('init', '_work');
+
+export const STAGE_A_DOCS_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, 'stage-a-docs');
+
+export const BLUEPRINT_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, 'project-blueprint.json');
+
+export const INIT_STATE_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, '.init-state.json');
+
+const APPLY_JOURNAL_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, '.apply-journal.json');
+
+export const ROOT_DOCS_BASE_FILE = '.root-docs-base.json';
+
+export const ROOT_DOCS_BASE_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, ROOT_DOCS_BASE_FILE);
+
+export const ARCHIVE_DIR_DEFAULT_REL = path.join('docs', 'project', 'overview');
+
+export const REVIEW_PACKET_DEFAULT_REL = path.join(INIT_WORK_DEFAULT_REL, 'review-packet.md');
+
+export const LEGACY_STAGE_A_DOCS_REL = path.join('init', 'stage-a-docs');
+
+export const LEGACY_BLUEPRINT_REL = path.join('init', 'project-blueprint.json');
+
+export const LEGACY_INIT_STATE_REL = path.join('init', '.init-state.json');
+
+export const START_HERE_DEFAULT_REL = path.join('init', 'START-HERE.md');
+
+export const START_HEERE_LEGACY_REL = path.join('init', 'START-HEERE.md');
+
+export const INIT_BOARD_DEFAULT_REL = path.join('init', 'INIT-BOARD.md');
+
+export const INIT_KIT_MARKER_DEFAULT_REL = path.join('init', '_tools', '.init-kit');
+
+export const INIT_KIT_MARKER_LEGACY_REL = path.join('init', '.init-kit');
+
+export const STAGE_A_DOC_NAMES = ['requirements.md', 'non-functional-requirements.md', 'domain-glossary.md', 'risk-open-questions.md'];
+
+export const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'templates');
+
+export function resolveDocsRoot(repoRoot, provided) {
+  if (provided) return resolvePath(repoRoot, provided);
+  const modern = path.join(repoRoot, STAGE_A_DOCS_DEFAULT_REL);
+  const legacy = path.join(repoRoot, LEGACY_STAGE_A_DOCS_REL);
+  if (!fs.existsSync(modern) && fs.existsSync(legacy)) return legacy;
+  return modern;
+}
+
+export function resolveBlueprintPath(repoRoot, provided) {
+  if (provided) return resolvePath(repoRoot, provided);
+  const modern = path.join(repoRoot, BLUEPRINT_DEFAULT_REL);
+  const legacy = path.join(repoRoot, LEGACY_BLUEPRINT_REL);
+  if (!fs.existsSync(modern) && fs.existsSync(legacy)) return legacy;
+  return modern;
+}
+
+export function resolveInitStatePath(repoRoot) {
+  const modern = path.join(repoRoot, INIT_STATE_DEFAULT_REL);
+  const legacy = path.join(repoRoot, LEGACY_INIT_STATE_REL);
+  if (!fs.existsSync(modern) && fs.existsSync(legacy)) return legacy;
+  return modern;
+}
+
+export function applyJournalPath(repoRoot) {
+  return path.join(repoRoot, APPLY_JOURNAL_DEFAULT_REL);
+}
+
+export function toPosixPath(p) {
+  return String(p || '').replace(/\\/g, '/');
+}
+
+export function stripUtf8Bom(s) {
+  if (s == null) return '';
+  let str = String(s);
+  while (str.charCodeAt(0) === 0xfeff) str = str.slice(1);
+  return str;
+}
+
+export function ensureDir(dirPath, apply) {
+  if (fs.existsSync(dirPath)) return { op: 'skip', path: dirPath, reason: 'exists' };
+  if (!apply) return { op: 'mkdir', path: dirPath, mode: 'dry-run' };
+  fs.mkdirSync(dirPath, { recursive: true });
+  return { op: 'mkdir', path: dirPath, mode: 'applied' };
+}
+
+export function writeFileIfMissing(filePath, content, apply) {
+  if (fs.existsSync(filePath)) return { op: 'skip', path: filePath, reason: 'exists' };
+  if (!apply) return { op: 'write', path: filePath, mode: 'dry-run' };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  return { op: 'write', path: filePath, mode: 'applied' };
+}
+
+export function copyFile(src, dest, apply) {
+  if (!fs.existsSync(src)) return { op: 'copy', src, dest, mode: 'skip', reason: 'missing source' };
+  if (!apply) return { op: 'copy', src, dest, mode: 'dry-run' };
+  try {
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+    return { op: 'copy', src, dest, mode: 'applied' };
+  } catch (e) {
+    return { op: 'copy', src, dest, mode: 'failed', error: e.message };
+  }
+}
+
+export function movePath(src, dest, apply) {
+  if (!fs.existsSync(src)) return { op: 'mv', src, dest, mode: 'skip', reason: 'missing source' };
+  if (fs.existsSync(dest)) return { op: 'mv', src, dest, mode: 'skip', reason: 'destination exists' };
+  if (!apply) return { op: 'mv', src, dest, mode: 'dry-run' };
+  try {
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.renameSync(src, dest);
+    return { op: 'mv', src, dest, mode: 'applied' };
+  } catch (e) {
+    return { op: 'mv', src, dest, mode: 'failed', error: e.message };
+  }
+}
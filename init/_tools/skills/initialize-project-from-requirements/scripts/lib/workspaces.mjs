@@ -0,0 +1,254 @@
+/**
+ * Monorepo workspaces declared in the blueprint (dependency-free)
+ *
+ * `repo.apps[]` and `repo.packages[]` list workspaces explicitly:
+ *   { "name": "web", "kind": "frontend", "language": "typescript", "description": "..." }
+ * Apps live under `apps/<name>`, packages under `packages/<name>`. `kind` defaults to
+ * "other" (apps) / "library" (packages); `language` defaults to `repo.language`.
+ *
+ * Registration files are rendered per ecosystem (pnpm-workspace.yaml, package.json
+ * "workspaces", go.work). Existing files are never rewritten; instead the caller gets
+ * the list of workspaces they do not register yet.
+ *
+ * Usage:
+ *   import { listWorkspaces, workspaceConflicts, workspaceRegistrations } from './lib/workspaces.mjs';
+ *
+ *   const workspaces = listWorkspaces(blueprint);
+ *   const conflicts = workspaceConflicts(repoRoot, workspaces);
+ *   for (const reg of workspaceRegistrations(repoRoot, blueprint, workspaces)) console.log(reg.file, reg.missing);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { DEFAULT_PACKAGE_MANAGER, resolvePackageManager } from './config-templates.mjs';
+
+export const WORKSPACE_KINDS = ['frontend', 'backend', 'worker', 'cli', 'mobile', 'library', 'other'];
+
+const NODE_LANGUAGES = ['typescript', 'javascript', 'react-native'];
+
+/** Files that mark a directory as a workspace (scaffolded by us or created by hand). */
+const WORKSPACE_MARKERS = ['README.md', 'package.json', 'go.mod', 'pyproject.toml', 'Cargo.toml', 'pom.xml', 'build.gradle', 'build.gradle.kts'];
+
+/** True when the blueprint declares repo.apps[] or repo.packages[] (non-empty). */
+export function hasDeclaredWorkspaces(blueprint) {
+  const repo = (blueprint && blueprint.repo) || {};
+  return (Array.isArray(repo.apps) && repo.apps.length > 0) || (Array.isArray(repo.packages) && repo.packages.length > 0);
+}
+
+/**
+ * Normalize repo.apps[] / repo.packages[] into a flat list.
+ *
+ * @returns {{ group: 'apps' | 'packages', name: string, kind: string, language: string, packageManager: string, description: string, path: string }[]}
+ */
+export function listWorkspaces(blueprint) {
+  const repo = (blueprint && blueprint.repo) || {};
+  const repoLanguage = String(repo.language || 'typescript').toLowerCase();
+  const repoPackageManager = resolvePackageManager(repoLanguage, repo.packageManager);
+  const out = [];
+
+  for (const group of ['apps', 'packages']) {
+    const items = Array.isArray(repo[group]) ? repo[group] : [];
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) continue;
+      const name = item.name.trim();
+      const language = String(item.language || repoLanguage).toLowerCase();
+      out.push({
+        group,
+        name,
+        kind: item.kind || (group === 'apps' ? 'other' : 'library'),
+        language,
+        packageManager: language === repoLanguage ? repoPackageManager : DEFAULT_PACKAGE_MANAGER[language] || 'other',
+        description: typeof item.description === 'string' ? item.description : '',
+        path: `${group}/${name}`
+      });
+    }
+  }
+  return out;
+}
+
+/** Semantic problems the schema cannot express (duplicate names within a group). */
+export function workspaceProblems(workspaces) {
+  const errors = [];
+  const seen = new Set();
+  for (const ws of workspaces) {
+    if (seen.has(ws.path)) errors.push(`repo.${ws.group} declares "${ws.name}" more than once (${ws.path}).`);
+    seen.add(ws.path);
+  }
+  return errors;
+}
+
+/**
+ * Existing paths that block scaffolding a workspace.
+ * Empty directories and directories that already look like a workspace (see WORKSPACE_MARKERS)
+ * are fine: missing files are added, nothing is overwritten. A file, or a directory with
+ * unrelated content, is a conflict. Conflicting directories are still registered.
+ *
+ * @returns {Map<string, { reason: string, notDirectory: boolean }>} workspace path -> conflict
+ */
+export function workspaceConflicts(repoRoot, workspaces) {
+  const conflicts = new Map();
+  for (const ws of workspaces) {
+    const abs = path.join(repoRoot, ws.group, ws.name);
+    if (!fs.existsSync(abs)) continue;
+    const stat = fs.statSync(abs);
+    if (!stat.isDirectory()) {
+      conflicts.set(ws.path, { reason: 'path exists and is not a directory', notDirectory: true });
+    } else {
+      const names = fs.readdirSync(abs);
+      if (names.length > 0 && !names.some((n) => WORKSPACE_MARKERS.includes(n))) {
+        conflicts.set(ws.path, { reason: 'directory already exists with unrelated content (left untouched)', notDirectory: false });
+      }
+    }
+  }
+  return conflicts;
+}
+
+function globToRegExp(glob) {
+  const src = glob
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((seg) => (seg === '**' ? '.*' : seg.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')))
+    .join('/');
+  return new RegExp(`^${src}$`);
+}
+
+function covered(patterns, wsPath) {
+  return patterns.some((p) => !p.startsWith('!') && globToRegExp(p).test(wsPath));
+}
+
+function readPnpmPatterns(content) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (inPackages) {
+      const m = line.match(/^\s+-\s*["']?([^"'#]+?)["']?\s*(?:#.*)?$/);
+      if (m) patterns.push(m[1].trim());
+      else if (/^\S/.test(line)) inPackages = false;
+    }
+  }
+  return patterns;
+}
+
+function readGoWorkUses(content) {
+  const uses = [];
+  const block = content.match(/^use\s*\(([\s\S]*?)^\)/m);
+  if (block) {
+    for (const line of block[1].split(/\r?\n/)) {
+      const t = line.replace(/\/\/.*$/, '').trim();
+      if (t) uses.push(t);
+    }
+  }
+  for (const m of content.matchAll(/^use\s+(?!\()(\S+)/gm)) uses.push(m[1]);
+  return uses.map((u) => u.replace(/^\.\//, '').replace(/\/+$/, ''));
+}
+
+/**
+ * Workspace registration per ecosystem. Each registrar returns the file it owns,
+ * the content to create it with, and which workspaces an existing file misses.
+ */
+const REGISTRARS = [
+  {
+    id: 'pnpm',
+    file: 'pnpm-workspace.yaml',
+    applies: (ws) => NODE_LANGUAGES.includes(ws.language) && ws.packageManager === 'pnpm',
+    render: (list) =>
+      ['# pnpm workspace configuration (generated from blueprint repo.apps / repo.packages)', '', 'packages:', ...list.map((ws) => `  - "${ws.path}"`), ''].join('\n'),
+    missing: (content, list) => {
+      const patterns = readPnpmPatterns(content);
+      return list.filter((ws) => !covered(patterns, ws.path));
+    }
+  },
+  {
+    id: 'npm-workspaces',
+    file: 'package.json',
+    field: 'workspaces',
+    applies: (ws) => NODE_LANGUAGES.includes(ws.language) && ['npm', 'yarn'].includes(ws.packageManager),
+    // package.json is rendered by the root config template; the caller patches the field in.
+    render: null,
+    missing: (content, list) => {
+      let pkg;
+      try {
+        pkg = JSON.parse(content);
+      } catch {
+        return list;
+      }
+      const ws = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces && Array.isArray(pkg.workspaces.packages) ? pkg.workspaces.packages : [];
+      return list.filter((w) => !covered(ws, w.path));
+    }
+  },
+  {
+    id: 'go',
+    file: 'go.work',
+    applies: (ws) => ws.language === 'go',
+    render: (list, ctx) =>
+      [
+        'go 1.22',
+        '',
+        'use (',
+        ...(ctx.rootLanguage === 'go' ? ['\t.'] : []),
+        ...list.map((ws) => `\t./${ws.path}`),
+        ')',
+        ''
+      ].join('\n'),
+    missing: (content, list) => {
+      const uses = readGoWorkUses(content);
+      return list.filter((ws) => !uses.includes(ws.path));
+    }
+  }
+];
+
+/**
+ * Registration files needed for the declared workspaces.
+ *
+ * @returns {{ id: string, file: string, field?: string, workspaces: string[], exists: boolean, content: string | null, missing: string[] }[]}
+ *   `content` is set when the file should be created; `missing` lists workspaces an existing file does not register.
+ */
+export function workspaceRegistrations(repoRoot, blueprint, workspaces) {
+  const rootLanguage = String(((blueprint && blueprint.repo) || {}).language || '').toLowerCase();
+  const out = [];
+  for (const reg of REGISTRARS) {
+    const list = workspaces.filter(reg.applies);
+    if (list.length === 0) continue;
+    const abs = path.join(repoRoot, reg.file);
+    const exists = fs.existsSync(abs);
+    const entry = { id: reg.id, file: reg.file, workspaces: list.map((ws) => ws.path), exists, content: null, missing: [] };
+    if (reg.field) entry.field = reg.field;
+    if (exists) {
+      entry.missing = reg.missing(fs.readFileSync(abs, 'utf8'), list).map((ws) => ws.path);
+    } else if (reg.render) {
+      entry.content = reg.render(list, { rootLanguage });
+    }
+    out.push(entry);
+  }
+  return out;
+}
+
+/**
+ * Template view of all declared workspaces, for root config templates:
+ *   {{#workspaces}}...{{/workspaces}} and {{#workspacesByLanguage.rust}}...{{/workspacesByLanguage.rust}}
+ * Items have the fields of workspaceTemplateVars(). Empty when no workspaces are declared.
+ */
+export function workspacesTemplateView(blueprint) {
+  const workspaces = listWorkspaces(blueprint).map(workspaceTemplateVars);
+  const workspacesByLanguage = {};
+  for (const ws of workspaces) (workspacesByLanguage[ws.language] ||= []).push(ws);
+  return { workspaces, workspacesByLanguage };
+}
+
+/** Template variables for `templates/scaffold-configs/<stack>/workspace/*.template`. */
+export function workspaceTemplateVars(ws) {
+  return {
+    name: ws.name,
+    kind: ws.kind,
+    language: ws.language,
+    description: ws.description || `${ws.name} (${ws.kind})`,
+    path: ws.path,
+    root: ws.path.split('/').map(() => '..').join('/')
+  };
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  hasDeclaredWorkspaces,
+  listWorkspaces,
+  workspaceConflicts,
+  workspaceProblems,
+  workspaceRegistrations,
+  workspaceTemplateVars,
+  workspacesTemplateView
+} from './workspaces.mjs';
+
+function withRepo(files, fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+  try {
+    for (const [rel, content] of Object.entries(files)) {
+      const abs = path.join(repoRoot, rel);
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      if (content != null) fs.writeFileSync(abs, content);
+      else fs.mkdirSync(abs);
+    }
+    return fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+const blueprint = (repo) => ({ repo: { layout: 'monorepo', language: 'typescript', packageManager: 'pnpm', ...repo } });
+
+test('listWorkspaces applies kind, language and package manager defaults', () => {
+  const bp = blueprint({
+    apps: [{ name: ' web ', kind: 'frontend' }, { name: 'api', language: 'Go' }, { name: '' }, null],
+    packages: [{ name: 'shared', description: 'Shared types' }]
+  });
+
+  assert.equal(hasDeclaredWorkspaces(bp), true);
+  assert.equal(hasDeclaredWorkspaces(blueprint({ apps: [] })), false);
+  assert.deepEqual(listWorkspaces(bp), [
+    { group: 'apps', name: 'web', kind: 'frontend', language: 'typescript', packageManager: 'pnpm', description: '', path: 'apps/web' },
+    { group: 'apps', name: 'api', kind: 'other', language: 'go', packageManager: 'go', description: '', path: 'apps/api' },
+    { group: 'packages', name: 'shared', kind: 'library', language: 'typescript', packageManager: 'pnpm', description: 'Shared types', path: 'packages/shared' }
+  ]);
+});
+
+test('workspaceProblems flags names declared twice within a group only', () => {
+  const ws = listWorkspaces(blueprint({ apps: [{ name: 'core' }, { name: 'core' }], packages: [{ name: 'core' }] }));
+  assert.deepEqual(workspaceProblems(ws), ['repo.apps declares "core" more than once (apps/core).']);
+});
+
+test('workspaceConflicts accepts empty or workspace-like directories and rejects files and unrelated content', () => {
+  const files = {
+    'apps/empty': null,
+    'apps/started/package.json': '{}',
+    'apps/file': 'not a dir',
+    'apps/other/notes.txt': 'x'
+  };
+  withRepo(files, (repoRoot) => {
+    const ws = listWorkspaces(blueprint({ apps: ['empty', 'started', 'file', 'other', 'fresh'].map((name) => ({ name })) }));
+    const conflicts = workspaceConflicts(repoRoot, ws);
+
+    assert.deepEqual([...conflicts.keys()], ['apps/file', 'apps/other']);
+    assert.equal(conflicts.get('apps/file').notDirectory, true);
+    assert.equal(conflicts.get('apps/other').notDirectory, false);
+  });
+});
+
+test('new pnpm and go.work registration files list every workspace of their ecosystem', () => {
+  withRepo({}, (repoRoot) => {
+    const bp = blueprint({ language: 'go', packageManager: undefined, apps: [{ name: 'web', language: 'typescript' }, { name: 'api' }] });
+    const regs = workspaceRegistrations(repoRoot, bp, listWorkspaces(bp));
+
+    assert.deepEqual(regs.map((r) => [r.id, r.file, r.workspaces]), [['pnpm', 'pnpm-workspace.yaml', ['apps/web']], ['go', 'go.work', ['apps/api']]]);
+    assert.match(regs[0].content, /\npackages:\n {2}- "apps\/web"\n$/);
+    assert.equal(regs[1].content, 'go 1.22\n\nuse (\n\t.\n\t./apps/api\n)\n');
+  });
+});
+
+test('existing registration files are read, not rewritten, and report unregistered workspaces', () => {
+  const files = {
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*' # apps\nother: true\n",
+    'go.work': 'go 1.22\n\nuse ./apps/api\n'
+  };
+  withRepo(files, (repoRoot) => {
+    const bp = blueprint({
+      apps: [{ name: 'web' }, { name: 'api', language: 'go' }, { name: 'worker', language: 'go' }],
+      packages: [{ name: 'shared' }]
+    });
+    const regs = workspaceRegistrations(repoRoot, bp, listWorkspaces(bp));
+
+    assert.deepEqual(regs.map((r) => [r.file, r.exists, r.content, r.missing]), [
+      ['pnpm-workspace.yaml', true, null, ['packages/shared']],
+      ['go.work', true, null, ['apps/worker']]
+    ]);
+  });
+});
+
+test('npm workspaces register through the package.json field, including the yarn object form', () => {
+  const bp = blueprint({ packageManager: 'yarn', apps: [{ name: 'web' }], packages: [{ name: 'ui' }] });
+  withRepo({}, (repoRoot) => {
+    const [reg] = workspaceRegistrations(repoRoot, bp, listWorkspaces(bp));
+    assert.deepEqual([reg.id, reg.field, reg.content, reg.workspaces], ['npm-workspaces', 'workspaces', null, ['apps/web', 'packages/ui']]);
+  });
+  withRepo({ 'package.json': JSON.stringify({ workspaces: { packages: ['apps/**'] } }) }, (repoRoot) => {
+    assert.deepEqual(workspaceRegistrations(repoRoot, bp, listWorkspaces(bp))[0].missing, ['packages/ui']);
+  });
+});
+
+test('template variables expose workspaces grouped by language with a relative root', () => {
+  const bp = blueprint({ apps: [{ name: 'api', kind: 'backend', language: 'rust' }], packages: [{ name: 'ui' }] });
+  const view = workspacesTemplateView(bp);
+
+  assert.deepEqual(Object.keys(view.workspacesByLanguage), ['rust', 'typescript']);
+  assert.deepEqual(workspaceTemplateVars(listWorkspaces(bp)[0]), {
+    name: 'api',
+    kind: 'backend',
+    language: 'rust',
+    description: 'api (backend)',
+    path: 'apps/api',
+    root: '../..'
+  });
+});
@@ -11,13 +11,12 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { CONFIG_TEMPLATES_DIR, getConfigTemplateDir, listConfigTemplates, resolvePackageManager } from './lib/config-templates.mjs';
+import { escaperForFile, renderTemplate } from './lib/template-engine.mjs';
+import { workspacesTemplateView } from './lib/workspaces.mjs';
 
-const SCRIPT_DIR = __dirname;
-const TEMPLATES_DIR = path.join(SCRIPT_DIR, '..', 'templates', 'scaffold-configs');
+const PARTIALS_DIR = path.join(CONFIG_TEMPLATES_DIR, '..', 'partials');
 
 function usage() {
   console.log(`
@@ -59,82 +58,45 @@ function readJson(filePath) {
   }
 }
 
-function getTemplateDir(language, packageManager) {
-  // Map language + packageManager to template directory
-  const mappings = {
-    'typescript-pnpm': 'typescript-pnpm',
-    'typescript-npm': 'typescript-pnpm',  // fallback
-    'typescript-yarn': 'typescript-pnpm', // fallback
-    'javascript-pnpm': 'typescript-pnpm', // fallback
-    'javascript-npm': 'typescript-pnpm',  // fallback
-    'go-go': 'go',
-    'go': 'go',
-    'cpp-xmake': 'cpp-xmake',
-    'c-xmake': 'cpp-xmake',
-    'cpp': 'cpp-xmake',
-    'c': 'cpp-xmake',
-    'react-native': 'react-native-typescript'
-  };
-
-  const key = `${language}-${packageManager}`.toLowerCase();
-  let templateName = mappings[key] || mappings[language.toLowerCase()] || null;
-
-  if (!templateName) return null;
-
-  const dir = path.join(TEMPLATES_DIR, templateName);
-  return fs.existsSync(dir) ? dir : null;
-}
-
-function renderTemplate(content, variables) {
-  let result = content;
-  for (const [key, value] of Object.entries(variables)) {
-    const pattern = new RegExp(`\\{\\{${key.replace(/\./g, '\\.')}\\}\\}`, 'g');
-    result = result.replace(pattern, value != null ? String(value) : '');
-  }
-  return result;
-}
-
-function flattenObject(obj, prefix = '') {
-  const result = {};
-  for (const [key, value] of Object.entries(obj || {})) {
-    const fullKey = prefix ? `${prefix}.${key}` : key;
-    if (value && typeof value === 'object' && !Array.isArray(value)) {
-      Object.assign(result, flattenObject(value, fullKey));
-    } else {
-      result[fullKey] = value;
-    }
+function renderConfigTemplate(templatePath, view, targetName) {
+  try {
+    return renderTemplate(fs.readFileSync(templatePath, 'utf8'), view, {
+      name: path.relative(CONFIG_TEMPLATES_DIR, templatePath).split(path.sep).join('/'),
+      escape: escaperForFile(targetName),
+      partialsDir: PARTIALS_DIR
+    });
+  } catch (e) {
+    console.error(`[error] Template error: ${e.message}`);
+    process.exit(1);
   }
-  return result;
 }
 
 function generateConfigs(blueprint, repoRoot, apply, force) {
   const results = [];
   const repo = blueprint.repo || {};
   const language = (repo.language || 'typescript').toLowerCase();
-  const packageManager = (repo.packageManager || 'pnpm').toLowerCase();
+  const packageManager = resolvePackageManager(language, repo.packageManager);
   const layout = repo.layout || 'single';
   
-  const templateDir = getTemplateDir(language, packageManager);
+  const templateDir = getConfigTemplateDir(language, packageManager);
   if (!templateDir) {
     results.push({ file: '(none)', action: 'skip', reason: `no templates for ${language}-${packageManager}` });
     return results;
   }
   
-  // Flatten blueprint for template variables
-  const variables = flattenObject(blueprint);
+  // Template view: blueprint + declared workspaces (for monorepo root templates)
+  const view = { ...blueprint, ...workspacesTemplateView(blueprint) };
   
-  // Read template files
-  let templateFiles;
+  // Read template files (monorepo variants replace base files)
+  let templates;
   try {
-    templateFiles = fs.readdirSync(templateDir).filter(f => f.endsWith('.template'));
+    templates = listConfigTemplates(templateDir, layout);
   } catch (e) {
     results.push({ file: templateDir, action: 'error', reason: e.message });
     return results;
   }
   
-  for (const templateFile of templateFiles) {
-    const targetName = templateFile.replace('.template', '');
-    const templatePath = path.join(templateDir, templateFile);
+  for (const { target: targetName, templatePath } of templates) {
     const targetPath = path.join(repoRoot, targetName);
     
     // Skip workspace file for single layout
@@ -149,8 +111,7 @@ function generateConfigs(blueprint, repoRoot, apply, force) {
       continue;
     }
     
-    const templateContent = fs.readFileSync(templatePath, 'utf8');
-    const rendered = renderTemplate(templateContent, variables);
+    const rendered = renderConfigTemplate(templatePath, view, targetName);
     
     if (apply) {
       fs.writeFileSync(targetPath, rendered, 'utf8');